@@ -0,0 +1,103 @@
+// SERVICE WORKER
+// Lets the app shell load without a network, so the dashboard can start
+// from its offline copy in IndexedDB (src/lib/offline-store.js):
+// - Next.js build assets (/_next/static/..., content-hashed) and icons are
+//   served from the cache once seen ("cache first")
+// - pages always come from the network. Offline, every page gets the app
+//   shell instead: /offline (src/app/offline/page.js), the dashboard with
+//   no data in it, which then shows the offline copy.
+// Pages themselves are never cached: they're rendered with the signed-in
+// user's bookmarks, which mustn't outlive their session (or be shown to
+// whoever signs in next on this browser). API routes, Supabase requests
+// and the redirects that open bookmarks aren't cached either: the app
+// handles being offline for those itself.
+//
+// Bump CACHE_VERSION to throw away old caches on the next visit.
+
+const CACHE_VERSION = "v2";
+const CACHE_NAME = `smart-bookmarks-${CACHE_VERSION}`;
+const OFFLINE_PAGE = "/offline";
+const APP_SHELL = [OFFLINE_PAGE, "/manifest.webmanifest", "/favicon.ico"];
+
+// Cache the app shell, and the scripts and styles it loads: pages seen
+// so far may not have needed all of them
+async function cacheAppShell() {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.addAll(APP_SHELL);
+
+  const page = await cache.match(OFFLINE_PAGE);
+  const html = await page.text();
+  const assets = html.match(/\/_next\/static\/[^"'\s\\)]+/g) ?? [];
+  await cache.addAll([...new Set(assets)]);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    cacheAppShell()
+      .catch((err) => console.error("Failed to cache the app shell:", err.message))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("smart-bookmarks-") && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+function isStaticAsset(url) {
+  return (
+    url.pathname.startsWith("/_next/static/") ||
+    /\.(?:ico|svg|png|jpg|jpeg|gif|webp|woff2?)$/.test(url.pathname)
+  );
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkOrAppShell(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const shell = await caches.match(OFFLINE_PAGE);
+    if (shell) return shell;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  // Supabase, fonts, favicons of bookmarked sites...: let the browser handle them
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/") || url.pathname.startsWith("/auth/")) return;
+  // Opening a bookmark (/bookmarks/<id>/open) counts a visit and redirects
+  // away; never answer it with a cached page
+  if (/^\/bookmarks\/[^/]+\/open$/.test(url.pathname)) return;
+
+  if (isStaticAsset(url)) {
+    event.respondWith(cacheFirst(request));
+  } else if (request.mode === "navigate") {
+    event.respondWith(networkOrAppShell(request));
+  }
+});
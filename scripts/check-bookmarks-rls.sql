@@ -0,0 +1,120 @@
+-- Checks that the bookmark policies in supabase-schema.sql let workspace
+-- editors work on (and tag) every bookmark in the workspace, but not take
+-- one out of it. Run it in the Supabase SQL editor after the schema: it acts as
+-- two made-up users, raises an error naming the first rule that doesn't
+-- hold, and rolls everything back ("Success. No rows returned" means
+-- every check passed).
+
+begin;
+
+insert into auth.users (id, email)
+values
+  ('00000000-0000-4000-8000-00000000c001', 'rls-check-1@example.com'),
+  ('00000000-0000-4000-8000-00000000c002', 'rls-check-2@example.com');
+
+-- From here on, queries go through RLS as a signed-in user
+set local role authenticated;
+
+-- Sign in as one of the two users for the rest of the transaction
+create function pg_temp.act_as(n int)
+returns void
+language sql
+as $$
+  select set_config(
+    'request.jwt.claims',
+    json_build_object(
+      'sub', '00000000-0000-4000-8000-00000000c00' || n,
+      'role', 'authenticated',
+      'email', 'rls-check-' || n || '@example.com'
+    )::text,
+    true
+  );
+$$;
+
+do $$
+declare
+  workspace uuid;
+  invite_token text;
+  shared uuid;
+  private uuid;
+  tag uuid;
+begin
+  -- User 1 sets up a workspace, invites user 2 as an editor and adds a
+  -- bookmark to it
+  perform pg_temp.act_as(1);
+  insert into public.workspaces (name, created_by)
+  values ('RLS check', auth.uid())
+  returning id into workspace;
+  insert into public.workspace_invites (workspace_id, email, role, invited_by)
+  values (workspace, 'rls-check-2@example.com', 'editor', auth.uid())
+  returning token into invite_token;
+  insert into public.bookmarks (user_id, workspace_id, title, url)
+  values (auth.uid(), workspace, 'Shared', 'https://example.com/shared')
+  returning id into shared;
+  insert into public.bookmarks (user_id, title, url)
+  values (auth.uid(), 'Private', 'https://example.com/private')
+  returning id into private;
+
+  perform pg_temp.act_as(2);
+  perform public.accept_workspace_invite(invite_token);
+
+  -- An editor can edit a teammate's bookmark...
+  update public.bookmarks set title = 'Renamed' where id = shared;
+  if not found then
+    raise exception 'An editor couldn''t edit a teammate''s workspace bookmark';
+  end if;
+
+  -- ...and tag it with one of their own tags...
+  insert into public.tags (user_id, name)
+  values (auth.uid(), 'rls-check')
+  returning id into tag;
+  insert into public.bookmark_tags (bookmark_id, tag_id, user_id)
+  values (shared, tag, auth.uid());
+
+  -- ...but not a teammate's private bookmark
+  begin
+    insert into public.bookmark_tags (bookmark_id, tag_id, user_id)
+    values (private, tag, auth.uid());
+    raise exception 'A user tagged someone else''s private bookmark';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  -- Nor take the workspace bookmark out of the workspace, into their
+  -- private space
+  begin
+    update public.bookmarks
+    set workspace_id = null, user_id = auth.uid()
+    where id = shared;
+    raise exception 'An editor moved a teammate''s bookmark into their private space';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  -- ...or make it theirs
+  begin
+    update public.bookmarks set user_id = auth.uid() where id = shared;
+    raise exception 'An editor took over a teammate''s workspace bookmark';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  -- The owner can't move their own bookmarks between spaces either
+  perform pg_temp.act_as(1);
+  begin
+    update public.bookmarks set workspace_id = null where id = shared;
+    raise exception 'A workspace bookmark was moved into a private space';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  begin
+    update public.bookmarks set workspace_id = workspace where id = private;
+    raise exception 'A private bookmark was moved into a workspace';
+  exception when insufficient_privilege then
+    null;
+  end;
+end;
+$$;
+
+rollback;
@@ -0,0 +1,121 @@
+-- Checks that the collections policies in supabase-schema.sql let users
+-- nest their own collections, and collections in a workspace they can edit
+-- under that workspace's collections, and nothing else. Run it in the Supabase SQL
+-- editor after the schema: it acts as two made-up users, raises an error
+-- naming the first rule that doesn't hold, and rolls everything back
+-- ("Success. No rows returned" means every check passed).
+
+begin;
+
+insert into auth.users (id, email)
+values
+  ('00000000-0000-4000-8000-00000000c001', 'rls-check-1@example.com'),
+  ('00000000-0000-4000-8000-00000000c002', 'rls-check-2@example.com');
+
+-- From here on, queries go through RLS as a signed-in user
+set local role authenticated;
+
+-- Sign in as one of the two users for the rest of the transaction
+create function pg_temp.act_as(n int)
+returns void
+language sql
+as $$
+  select set_config(
+    'request.jwt.claims',
+    json_build_object(
+      'sub', '00000000-0000-4000-8000-00000000c00' || n,
+      'role', 'authenticated',
+      'email', 'rls-check-' || n || '@example.com'
+    )::text,
+    true
+  );
+$$;
+
+do $$
+declare
+  parent uuid;
+  other_parent uuid;
+  child uuid;
+  strangers uuid;
+  workspace uuid;
+  team_parent uuid;
+  team_child uuid;
+begin
+  perform pg_temp.act_as(2);
+  insert into public.collections (user_id, name)
+  values (auth.uid(), 'Someone else''s')
+  returning id into strangers;
+
+  perform pg_temp.act_as(1);
+  insert into public.collections (user_id, name)
+  values (auth.uid(), 'Parent')
+  returning id into parent;
+  insert into public.collections (user_id, name)
+  values (auth.uid(), 'Other parent')
+  returning id into other_parent;
+
+  -- A sub-collection of one's own collection
+  insert into public.collections (user_id, parent_id, name)
+  values (auth.uid(), parent, 'Child')
+  returning id into child;
+
+  -- Moving it under another of one's own collections
+  update public.collections set parent_id = other_parent where id = child;
+  if not found then
+    raise exception 'Moving a collection under another one was refused';
+  end if;
+
+  -- ...but not under someone else's collection
+  begin
+    insert into public.collections (user_id, parent_id, name)
+    values (auth.uid(), strangers, 'Intruder');
+    raise exception 'A collection was created under another user''s collection';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  begin
+    update public.collections set parent_id = strangers where id = child;
+    raise exception 'A collection was moved under another user''s collection';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  -- Workspaces: a trigger makes the creator its owner
+  insert into public.workspaces (name, created_by)
+  values ('RLS check', auth.uid())
+  returning id into workspace;
+  insert into public.collections (user_id, workspace_id, name)
+  values (auth.uid(), workspace, 'Team parent')
+  returning id into team_parent;
+  insert into public.collections (user_id, workspace_id, parent_id, name)
+  values (auth.uid(), workspace, team_parent, 'Team child')
+  returning id into team_child;
+
+  -- A parent must be in the same space: no workspace collection under a
+  -- private one, and no private collection under a workspace one
+  begin
+    insert into public.collections (user_id, workspace_id, parent_id, name)
+    values (auth.uid(), workspace, parent, 'Wrong space');
+    raise exception 'A workspace collection was created under a private collection';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  begin
+    update public.collections set parent_id = team_parent where id = child;
+    raise exception 'A private collection was moved under a workspace collection';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  begin
+    update public.collections set parent_id = parent where id = team_child;
+    raise exception 'A workspace collection was moved under a private collection';
+  exception when insufficient_privilege then
+    null;
+  end;
+end;
+$$;
+
+rollback;
@@ -0,0 +1,97 @@
+-- Checks that the page snapshot policies in supabase-schema.sql only let
+-- a snapshot row point at the snapshot taker's own file, so nobody can
+-- open (or get the purge job to delete) a file in another user's folder.
+-- Run it in the Supabase SQL editor after the schema: it acts as two
+-- made-up users, raises an error naming the first rule that doesn't
+-- hold, and rolls everything back ("Success. No rows returned" means
+-- every check passed).
+
+begin;
+
+insert into auth.users (id, email)
+values
+  ('00000000-0000-4000-8000-00000000c001', 'rls-check-1@example.com'),
+  ('00000000-0000-4000-8000-00000000c002', 'rls-check-2@example.com');
+
+-- From here on, queries go through RLS as a signed-in user
+set local role authenticated;
+
+-- Sign in as one of the two users for the rest of the transaction
+create function pg_temp.act_as(n int)
+returns void
+language sql
+as $$
+  select set_config(
+    'request.jwt.claims',
+    json_build_object(
+      'sub', '00000000-0000-4000-8000-00000000c00' || n,
+      'role', 'authenticated',
+      'email', 'rls-check-' || n || '@example.com'
+    )::text,
+    true
+  );
+$$;
+
+do $$
+declare
+  victim_bookmark uuid;
+  victim_path text;
+  own_bookmark uuid;
+  own_path text;
+begin
+  -- The victim snapshots one of their bookmarks
+  perform pg_temp.act_as(2);
+  insert into public.bookmarks (user_id, title, url)
+  values (auth.uid(), 'Private', 'https://example.com/private')
+  returning id into victim_bookmark;
+  victim_path := auth.uid() || '/' || victim_bookmark || '.html';
+  insert into storage.objects (bucket_id, name)
+  values ('snapshots', victim_path);
+  insert into public.bookmark_snapshots (bookmark_id, user_id, status, storage_path)
+  values (victim_bookmark, auth.uid(), 'ok', victim_path);
+
+  -- A snapshot of one's own bookmark, in one's own folder
+  perform pg_temp.act_as(1);
+  insert into public.bookmarks (user_id, title, url)
+  values (auth.uid(), 'Mine', 'https://example.com/mine')
+  returning id into own_bookmark;
+  own_path := auth.uid() || '/' || own_bookmark || '.html';
+  insert into public.bookmark_snapshots (bookmark_id, user_id, status, storage_path)
+  values (own_bookmark, auth.uid(), 'ok', own_path);
+
+  -- ...but not pointing at the victim's file
+  begin
+    update public.bookmark_snapshots
+    set storage_path = victim_path
+    where bookmark_id = own_bookmark;
+    raise exception 'A snapshot was pointed at another user''s file';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  delete from public.bookmark_snapshots where bookmark_id = own_bookmark;
+  begin
+    insert into public.bookmark_snapshots (bookmark_id, user_id, status, storage_path)
+    values (own_bookmark, auth.uid(), 'ok', victim_path);
+    raise exception 'A snapshot was saved pointing at another user''s file';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  -- Nor anywhere else in one's own folder
+  begin
+    insert into public.bookmark_snapshots (bookmark_id, user_id, status, storage_path)
+    values (own_bookmark, auth.uid(), 'ok', auth.uid() || '/elsewhere.html');
+    raise exception 'A snapshot was saved pointing at a file named after no bookmark';
+  exception when insufficient_privilege then
+    null;
+  end;
+
+  -- The victim's file stays unreadable
+  if exists (select 1 from storage.objects where name = victim_path) then
+    raise exception 'Another user''s snapshot file can be read';
+  end if;
+end;
+$$;
+
+rollback;
@@ -0,0 +1,64 @@
+// LOCAL WEBHOOK RECEIVER
+// A tiny HTTP server for trying out webhooks on your own machine. It
+// prints every delivery it gets and checks its signature the way a real
+// receiver should (see src/lib/webhooks.js):
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.mjs
+//
+// then add a webhook for http://localhost:4000/ on /settings/webhooks
+// (with WEBHOOKS_ALLOW_PRIVATE_NETWORK=true in .env.local, since the app
+// normally refuses to call private addresses) and press "Send test".
+// Set FAIL=1 to answer 500, to watch the retries in the delivery log.
+//
+// Plain Node, no dependencies.
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const TOLERANCE_SECONDS = 5 * 60;
+
+function verify(headers, body) {
+  const timestamp = headers["x-webhook-timestamp"];
+  const signature = headers["x-webhook-signature"] || "";
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) {
+    return "timestamp too old";
+  }
+  const expected =
+    "v1=" +
+    crypto.createHmac("sha256", SECRET).update(`${timestamp}.${body}`).digest("hex");
+  const ok =
+    expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  return ok ? "valid" : "INVALID";
+}
+
+http
+  .createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const signature = SECRET ? verify(req.headers, body) : "not checked (no WEBHOOK_SECRET)";
+
+      console.log(
+        `\n${new Date().toISOString()} ${req.method} ${req.url}` +
+          `\n  event:     ${req.headers["x-webhook-event"]}` +
+          `\n  delivery:  ${req.headers["x-webhook-id"]}` +
+          `\n  signature: ${signature}`
+      );
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch {
+        console.log(body);
+      }
+
+      const status = process.env.FAIL ? 500 : signature === "INVALID" ? 401 : 200;
+      res.writeHead(status, { "content-type": "text/plain" });
+      res.end(status === 200 ? "ok" : "rejected");
+    });
+  })
+  .listen(PORT, () => {
+    console.log(`Listening for webhooks on http://localhost:${PORT}/`);
+  });
@@ -0,0 +1,131 @@
+// ACCOUNT API ROUTE (DELETE /api/account)
+// "Delete my account" on /settings. Removes everything the user has:
+// 1. delete_account_data() in the database: their webhooks, workspaces
+//    nobody else is left in (shared ones go to the member who joined
+//    first), and every bookmark they added — including the ones in shared
+//    workspaces, which the other members lose (the settings page says so)
+// 2. their files in storage: page snapshots and avatars (each bucket has
+//    a folder per user)
+// 3. the auth user itself, which takes every remaining row of theirs
+//    with it (tags, collections, smart views, tokens, share links, their
+//    profile...; see "on delete cascade" in supabase-schema.sql)
+// Then this browser is signed out. Needs the service role key: users
+// can't delete auth users themselves.
+//
+// The body must be { confirm: "<the user's email>" }, typed in by the
+// user, so a stray request can't delete an account.
+// Responds with { deleted: true }, or { error }.
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { SNAPSHOT_BUCKET } from "@/lib/snapshot";
+import { AVATAR_BUCKET } from "@/lib/profile";
+
+// SNAPSHOT_BUCKET comes with src/lib/snapshot.js, which uses Node modules
+export const runtime = "nodejs";
+export const maxDuration = 60;
+
+// Storage lists (and removes) at most this many files per request
+const FILE_PAGE_SIZE = 1000;
+
+// Remove every file in a folder of a bucket, and in the folders inside it
+// (listed as entries without an id). Lists again after each pass until
+// nothing is left, or a pass removes nothing (so it can't spin on
+// something it can't remove). Returns how many files went.
+async function removeFolder(admin, bucket, folder) {
+  let total = 0;
+  for (;;) {
+    const { data: entries, error } = await admin.storage
+      .from(bucket)
+      .list(folder, { limit: FILE_PAGE_SIZE });
+    if (error) throw new Error(error.message);
+
+    let removed = 0;
+    for (const entry of entries.filter((entry) => entry.id === null)) {
+      removed += await removeFolder(admin, bucket, `${folder}/${entry.name}`);
+    }
+
+    const files = entries.filter((entry) => entry.id !== null);
+    if (files.length > 0) {
+      const { data: removedFiles, error: removeError } = await admin.storage
+        .from(bucket)
+        .remove(files.map((file) => `${folder}/${file.name}`));
+      if (removeError) throw new Error(removeError.message);
+      removed += removedFiles.length;
+    }
+
+    total += removed;
+    if (removed === 0) return total;
+  }
+}
+
+export async function DELETE(request) {
+  const supabase = await createClient();
+  const admin = createAdminClient();
+  if (!supabase || !admin) {
+    return NextResponse.json(
+      { error: "Supabase is not configured" },
+      { status: 500 }
+    );
+  }
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (!user) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    body = {};
+  }
+  const confirm = typeof body?.confirm === "string" ? body.confirm.trim() : "";
+  if (!user.email || confirm.toLowerCase() !== user.email.toLowerCase()) {
+    return NextResponse.json(
+      { error: "Type your email address to confirm" },
+      { status: 400 }
+    );
+  }
+
+  const { error: dataError } = await admin.rpc("delete_account_data", {
+    target_user: user.id,
+  });
+  if (dataError) {
+    console.error("Failed to delete account data:", dataError.message);
+    return NextResponse.json(
+      { error: "Failed to delete your data" },
+      { status: 500 }
+    );
+  }
+
+  // Before the auth user: files can't outlive their owner's folder anyway,
+  // and a failure here leaves an account the user can try deleting again
+  try {
+    await removeFolder(admin, SNAPSHOT_BUCKET, user.id);
+    await removeFolder(admin, AVATAR_BUCKET, user.id);
+  } catch (err) {
+    console.error("Failed to delete account files:", err.message);
+    return NextResponse.json(
+      { error: "Failed to delete your files" },
+      { status: 500 }
+    );
+  }
+
+  const { error: userError } = await admin.auth.admin.deleteUser(user.id);
+  if (userError) {
+    console.error("Failed to delete user:", userError.message);
+    return NextResponse.json(
+      { error: "Failed to delete your account" },
+      { status: 500 }
+    );
+  }
+
+  // The session's refresh token went with the user; clear its cookies
+  await supabase.auth.signOut({ scope: "local" });
+
+  return NextResponse.json({ deleted: true });
+}
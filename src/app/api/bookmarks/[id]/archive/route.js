@@ -0,0 +1,69 @@
+// PAGE SNAPSHOT API ROUTE (POST /api/bookmarks/[id]/archive)
+// Saves a readable copy of the bookmarked page (see src/lib/snapshot.js),
+// replacing any earlier one. Called when a bookmark is added, and from the
+// snapshot page's "Save again" button.
+//
+// Responds with { snapshot } on success, or { error, snapshot } with a 502
+// when the page couldn't be saved (snapshot is then the earlier copy, or
+// the recorded failure).
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+import { takeSnapshot } from "@/lib/snapshot";
+
+// We rely on Node's http/dns modules, so this can't run on the Edge
+export const runtime = "nodejs";
+export const maxDuration = 60;
+
+export async function POST(request, { params }) {
+  const { id } = await params;
+
+  const supabase = await createClient();
+  if (!supabase) {
+    return NextResponse.json(
+      { error: "Supabase is not configured" },
+      { status: 500 }
+    );
+  }
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (!user) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  // RLS makes sure it's a bookmark this user can see; whether they may
+  // snapshot it (not a workspace viewer) is checked when saving
+  const { data: bookmark, error } = await supabase
+    .from("bookmarks")
+    .select("id, url")
+    .eq("id", id)
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  if (error) {
+    console.error("Failed to load bookmark:", error.message);
+    return NextResponse.json({ error: "Snapshot failed" }, { status: 500 });
+  }
+  if (!bookmark) {
+    return NextResponse.json({ error: "Bookmark not found" }, { status: 404 });
+  }
+
+  const result = await takeSnapshot(supabase, user.id, bookmark);
+
+  if (result.error) {
+    console.error("Failed to save snapshot:", result.error.message);
+    return NextResponse.json(
+      { error: "Couldn't save the snapshot" },
+      { status: 500 }
+    );
+  }
+  if (result.failure) {
+    return NextResponse.json(
+      { error: result.failure, snapshot: result.snapshot },
+      { status: 502 }
+    );
+  }
+  return NextResponse.json({ snapshot: result.snapshot });
+}
@@ -0,0 +1,66 @@
+// SCHEDULED LINK CHECK (GET /api/cron/link-check)
+// Runs once a day (see vercel.json) and re-checks the links that haven't
+// been checked for the longest, across all users, so badges for rotten
+// links show up without anyone pressing "Check links".
+//
+// Not for browsers: it needs `Authorization: Bearer <CRON_SECRET>` (Vercel
+// Cron sends this automatically) and uses the service role key, since no
+// user is signed in. Responds with a short health report of the run.
+
+import { NextResponse } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { checkAndRecordLinks } from "@/lib/link-check";
+import { getLinkHealth } from "@/lib/link-health";
+
+export const runtime = "nodejs";
+export const maxDuration = 300;
+
+// Links checked per run, and how old a check must be to be redone
+const BATCH_SIZE = 200;
+const RECHECK_AFTER_DAYS = 7;
+const CONCURRENCY = 8;
+
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get("authorization") !== `Bearer ${secret}`) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const supabase = createAdminClient();
+  if (!supabase) {
+    return NextResponse.json(
+      { error: "SUPABASE_SERVICE_ROLE_KEY is not configured" },
+      { status: 500 }
+    );
+  }
+
+  const staleBefore = new Date(
+    Date.now() - RECHECK_AFTER_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+  const { data: bookmarks, error } = await supabase
+    .from("bookmarks")
+    .select("id, url")
+    .is("deleted_at", null)
+    .or(`link_checked_at.is.null,link_checked_at.lt.${staleBefore}`)
+    .order("link_checked_at", { ascending: true, nullsFirst: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    console.error("Scheduled link check failed:", error.message);
+    return NextResponse.json({ error: "Link check failed" }, { status: 500 });
+  }
+
+  const results = await checkAndRecordLinks(supabase, bookmarks, {
+    concurrency: CONCURRENCY,
+  });
+
+  // Tally the run: { checked, ok, redirected, broken, unknown }
+  const report = { checked: results.length, ok: 0, redirected: 0, broken: 0, unknown: 0 };
+  results.forEach((result) => {
+    const url = bookmarks.find((b) => b.id === result.id).url;
+    report[getLinkHealth({ url, ...result })]++;
+  });
+
+  return NextResponse.json(report);
+}
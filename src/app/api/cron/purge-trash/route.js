@@ -0,0 +1,79 @@
+// SCHEDULED TRASH PURGE (GET /api/cron/purge-trash)
+// Runs once a day (see vercel.json) and permanently deletes bookmarks that
+// have been in the trash for longer than TRASH_RETENTION_DAYS, across all
+// users. Until then they can be restored from /trash.
+// It then removes snapshot files that no longer belong to a bookmark from
+// storage (queued in snapshot_file_deletions by the database).
+//
+// Not for browsers: it needs `Authorization: Bearer <CRON_SECRET>` (Vercel
+// Cron sends this automatically) and uses the service role key, since no
+// user is signed in. Responds with how many bookmarks were purged and how
+// many snapshot files were removed.
+
+import { NextResponse } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { purgeCutoff } from "@/lib/trash";
+import { SNAPSHOT_BUCKET } from "@/lib/snapshot";
+
+// SNAPSHOT_BUCKET comes with src/lib/snapshot.js, which uses Node modules
+export const runtime = "nodejs";
+
+// Snapshot files removed per run (small enough that their paths fit in
+// one request URL)
+const FILE_BATCH_SIZE = 100;
+
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get("authorization") !== `Bearer ${secret}`) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const supabase = createAdminClient();
+  if (!supabase) {
+    return NextResponse.json(
+      { error: "SUPABASE_SERVICE_ROLE_KEY is not configured" },
+      { status: 500 }
+    );
+  }
+
+  const { count, error } = await supabase
+    .from("bookmarks")
+    .delete({ count: "exact" })
+    .lt("deleted_at", purgeCutoff());
+
+  if (error) {
+    console.error("Trash purge failed:", error.message);
+    return NextResponse.json({ error: "Trash purge failed" }, { status: 500 });
+  }
+
+  // Remove orphaned snapshot files; anything left over waits for tomorrow
+  const { data: queued, error: queueError } = await supabase
+    .from("snapshot_file_deletions")
+    .select("storage_path")
+    .order("queued_at")
+    .limit(FILE_BATCH_SIZE);
+
+  if (queueError) {
+    console.error("Failed to load snapshot files to remove:", queueError.message);
+    return NextResponse.json({ purged: count, filesRemoved: 0 });
+  }
+
+  const paths = queued.map((row) => row.storage_path);
+  let filesRemoved = 0;
+  if (paths.length > 0) {
+    const { error: removeError } = await supabase.storage
+      .from(SNAPSHOT_BUCKET)
+      .remove(paths);
+    if (removeError) {
+      console.error("Failed to remove snapshot files:", removeError.message);
+    } else {
+      await supabase
+        .from("snapshot_file_deletions")
+        .delete()
+        .in("storage_path", paths);
+      filesRemoved = paths.length;
+    }
+  }
+
+  return NextResponse.json({ purged: count, filesRemoved });
+}
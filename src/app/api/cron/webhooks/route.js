@@ -0,0 +1,65 @@
+// SCHEDULED WEBHOOK DELIVERY (GET /api/cron/webhooks)
+// Runs once a day (see vercel.json; Vercel's Hobby plan allows no more)
+// and sends the webhook deliveries that are still due: events and
+// retries nobody has sent yet (see src/lib/webhook-delivery.js). Most go
+// out sooner, through /api/webhooks/dispatch as the app is used. On a
+// plan with more frequent cron jobs, run it every few minutes so retries
+// keep to their schedule. Also clears delivery log entries older than
+// LOG_RETENTION_DAYS.
+//
+// Not for browsers: it needs `Authorization: Bearer <CRON_SECRET>` (Vercel
+// Cron sends this automatically) and uses the service role key, since no
+// user is signed in. In development, call it by hand (see the README).
+// Responds with how many deliveries went out, will be retried, or failed.
+
+import { NextResponse } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { deliverDueWebhooks } from "@/lib/webhook-delivery";
+
+export const runtime = "nodejs";
+export const maxDuration = 60;
+
+const BATCH_SIZE = 50;
+const CONCURRENCY = 5;
+const LOG_RETENTION_DAYS = 30;
+
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get("authorization") !== `Bearer ${secret}`) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const supabase = createAdminClient();
+  if (!supabase) {
+    return NextResponse.json(
+      { error: "SUPABASE_SERVICE_ROLE_KEY is not configured" },
+      { status: 500 }
+    );
+  }
+
+  let report;
+  try {
+    report = await deliverDueWebhooks(supabase, {
+      batchSize: BATCH_SIZE,
+      concurrency: CONCURRENCY,
+    });
+  } catch (err) {
+    console.error("Webhook delivery failed:", err.message);
+    return NextResponse.json({ error: "Webhook delivery failed" }, { status: 500 });
+  }
+
+  // Finished deliveries don't need to be kept forever
+  const { error: pruneError } = await supabase
+    .from("webhook_deliveries")
+    .delete()
+    .neq("status", "pending")
+    .lt(
+      "created_at",
+      new Date(Date.now() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    );
+  if (pruneError) {
+    console.error("Failed to prune webhook deliveries:", pruneError.message);
+  }
+
+  return NextResponse.json(report);
+}
@@ -0,0 +1,142 @@
+// EXPORT API ROUTE (GET /api/export?format=html|json|csv|md)
+// Downloads the signed-in user's bookmarks as a file, for backups or for
+// moving them into another tool. Optional filters:
+//   from=YYYY-MM-DD   only bookmarks added on/after this day
+//   to=YYYY-MM-DD     only bookmarks added on/before this day
+//   domain=github.com only bookmarks on this site (and its subdomains)
+//
+// Rows are read from Supabase a page at a time and streamed straight into
+// the response, so large collections never sit in memory all at once.
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+import { EXPORT_FORMATS, matchesDomain } from "@/lib/export";
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Read one page of bookmarks (with tag names) matching the filters.
+// Only the user's private bookmarks — not ones they added to a workspace.
+function fetchPage(supabase, userId, { format, from, to, domain }, offset) {
+  let query = supabase
+    .from("bookmarks")
+    .select("*, tags(name)")
+    .eq("user_id", userId)
+    .is("workspace_id", null)
+    .is("deleted_at", null);
+
+  if (from) query = query.gte("created_at", `${from}T00:00:00Z`);
+  if (to) query = query.lte("created_at", `${to}T23:59:59.999Z`);
+  // Cheap pre-filter in the database; the exact host check happens below
+  if (domain) query = query.ilike("url", `%${domain.replace(/[%_\\]/g, "\\$&")}%`);
+
+  // The HTML writer needs rows grouped by folder to build the folder tree
+  if (format === "html") {
+    query = query.order("folder_path", { ascending: true, nullsFirst: true });
+  }
+
+  return query
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: true })
+    .range(offset, offset + PAGE_SIZE - 1);
+}
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const format = searchParams.get("format") || "json";
+  const from = searchParams.get("from");
+  const to = searchParams.get("to");
+  const domain = searchParams.get("domain")?.trim();
+
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    return NextResponse.json(
+      {
+        error: `Unknown format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      },
+      { status: 400 }
+    );
+  }
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return NextResponse.json(
+      { error: "Dates must look like YYYY-MM-DD" },
+      { status: 400 }
+    );
+  }
+
+  const supabase = await createClient();
+  if (!supabase) {
+    return NextResponse.json(
+      { error: "Supabase is not configured" },
+      { status: 500 }
+    );
+  }
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (!user) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  const filters = { format, from, to, domain };
+
+  // Fetch the first page before responding, so a database error can still
+  // become a proper error response instead of a truncated download
+  const first = await fetchPage(supabase, user.id, filters, 0);
+  if (first.error) {
+    console.error("Export failed:", first.error.message);
+    return NextResponse.json({ error: "Export failed" }, { status: 500 });
+  }
+
+  // Yields the file a piece at a time: header, one chunk per bookmark, footer
+  async function* generate() {
+    const writer = spec.createWriter();
+    yield writer.header();
+
+    let page = first.data;
+    for (let offset = 0; ; ) {
+      for (const row of page) {
+        if (domain && !matchesDomain(row.url, domain)) continue;
+        yield writer.row({ ...row, tags: (row.tags || []).map((t) => t.name) });
+      }
+      if (page.length < PAGE_SIZE) break;
+
+      offset += PAGE_SIZE;
+      const next = await fetchPage(supabase, user.id, filters, offset);
+      if (next.error) throw new Error(next.error.message);
+      page = next.data;
+    }
+
+    yield writer.footer();
+  }
+
+  const encoder = new TextEncoder();
+  const chunks = generate();
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next();
+        if (done) controller.close();
+        else controller.enqueue(encoder.encode(value));
+      } catch (err) {
+        console.error("Export failed mid-stream:", err.message);
+        controller.error(err);
+      }
+    },
+    async cancel() {
+      await chunks.return();
+    },
+  });
+
+  const fileName = `bookmarks-${new Date().toISOString().slice(0, 10)}.${spec.extension}`;
+  return new Response(stream, {
+    headers: {
+      "Content-Type": spec.contentType,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
@@ -0,0 +1,117 @@
+// LINK CHECK API ROUTE (POST /api/link-check)
+// Checks whether bookmark URLs still work and saves the result on each
+// bookmark (status code, final URL after redirects, last checked time).
+//
+// Body (JSON, all optional):
+//   ids        check exactly these bookmarks
+//   workspace  otherwise: check the space being viewed (null = private)...
+//   before     ...picking bookmarks not checked since this ISO timestamp
+//
+// Each call checks at most BATCH_SIZE links and reports how many are left,
+// so the dashboard calls it in a loop (with a progress bar) instead of one
+// request running past the serverless time limit.
+// Only people who can edit the bookmarks can check them: a workspace's
+// viewers get a 403, and results RLS didn't let us save aren't reported.
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+import { checkAndRecordLinks } from "@/lib/link-check";
+
+// We rely on Node's http/dns modules, so this can't run on the Edge
+export const runtime = "nodejs";
+export const maxDuration = 60;
+
+const BATCH_SIZE = 25;
+// Links checked in parallel (per request)
+const CONCURRENCY = 5;
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    body = {};
+  }
+  const { ids, workspace = null, before = new Date().toISOString() } = body;
+
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length > BATCH_SIZE)) {
+    return NextResponse.json(
+      { error: `ids must be an array of at most ${BATCH_SIZE} bookmark ids` },
+      { status: 400 }
+    );
+  }
+  if (Number.isNaN(Date.parse(before))) {
+    return NextResponse.json(
+      { error: "before must be an ISO timestamp" },
+      { status: 400 }
+    );
+  }
+
+  const supabase = await createClient();
+  if (!supabase) {
+    return NextResponse.json(
+      { error: "Supabase is not configured" },
+      { status: 500 }
+    );
+  }
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (!user) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  // Viewers couldn't save anything: stop before checking (their results
+  // would never count as checked, so the dashboard's loop wouldn't end)
+  if (workspace) {
+    const { data: member, error: memberError } = await supabase
+      .from("workspace_members")
+      .select("role")
+      .eq("workspace_id", workspace)
+      .eq("user_id", user.id)
+      .maybeSingle();
+    if (memberError) {
+      console.error("Failed to fetch workspace role:", memberError.message);
+      return NextResponse.json({ error: "Link check failed" }, { status: 500 });
+    }
+    if (member?.role !== "owner" && member?.role !== "editor") {
+      return NextResponse.json(
+        { error: "Only the workspace's owners and editors can check its links" },
+        { status: 403 }
+      );
+    }
+  }
+
+  // Pick the bookmarks to check. RLS makes sure they're ones we can see.
+  let query = supabase
+    .from("bookmarks")
+    .select("id, url", { count: "exact" })
+    .is("deleted_at", null);
+  if (ids) {
+    query = query.in("id", ids);
+  } else {
+    query = workspace
+      ? query.eq("workspace_id", workspace)
+      : query.is("workspace_id", null).eq("user_id", user.id);
+    query = query
+      .or(`link_checked_at.is.null,link_checked_at.lt.${new Date(before).toISOString()}`)
+      .order("link_checked_at", { ascending: true, nullsFirst: true })
+      .limit(BATCH_SIZE);
+  }
+
+  const { data: bookmarks, count, error } = await query;
+  if (error) {
+    console.error("Failed to load bookmarks to check:", error.message);
+    return NextResponse.json({ error: "Link check failed" }, { status: 500 });
+  }
+
+  const results = await checkAndRecordLinks(supabase, bookmarks, {
+    concurrency: CONCURRENCY,
+  });
+
+  return NextResponse.json({
+    results,
+    remaining: ids ? 0 : Math.max(count - bookmarks.length, 0),
+  });
+}
@@ -0,0 +1,68 @@
+// METADATA API ROUTE (GET /api/metadata?url=...)
+// Used by the "Add a Bookmark" form: when the user enters a URL we fetch
+// the page here on the server and return its title, description, preview
+// image and favicon so the form can pre-fill the title.
+//
+// The fetching itself lives in src/lib/metadata.js / src/lib/safe-fetch.js,
+// which block private network addresses (SSRF), cap the response size and
+// time out slow sites. Only signed-in users may call this, so the app
+// can't be used as an open proxy.
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+import { fetchPageMetadata } from "@/lib/metadata";
+import { SafeFetchError } from "@/lib/safe-fetch";
+
+// We rely on Node's http/dns modules, so this can't run on the Edge
+export const runtime = "nodejs";
+
+// SafeFetchError code -> HTTP status we answer with
+const ERROR_STATUS = {
+  invalid_url: 400,
+  blocked: 400,
+  too_large: 413,
+  timeout: 504,
+  too_many_redirects: 502,
+  network: 502,
+};
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const url = searchParams.get("url");
+
+  if (!url) {
+    return NextResponse.json({ error: "Missing url" }, { status: 400 });
+  }
+
+  const supabase = await createClient();
+  if (!supabase) {
+    return NextResponse.json(
+      { error: "Supabase is not configured" },
+      { status: 500 }
+    );
+  }
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (!user) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  try {
+    const metadata = await fetchPageMetadata(url);
+    return NextResponse.json(metadata);
+  } catch (err) {
+    if (err instanceof SafeFetchError) {
+      return NextResponse.json(
+        { error: err.message },
+        { status: ERROR_STATUS[err.code] || 502 }
+      );
+    }
+    console.error("Metadata fetch failed:", err);
+    return NextResponse.json(
+      { error: "Could not fetch page details" },
+      { status: 500 }
+    );
+  }
+}
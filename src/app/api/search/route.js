@@ -0,0 +1,81 @@
+// SEARCH API ROUTE (GET /api/search?q=...&workspace=<id>)
+// Full-text search over the signed-in user's bookmarks, or over a shared
+// workspace's bookmarks when ?workspace= is given.
+// The search runs entirely in Postgres (see search_bookmarks() in
+// supabase-schema.sql), so the browser only receives the matching rows,
+// already ranked best-first, instead of downloading the whole table.
+// Matches inside a bookmark's page snapshot count too (ranked lower).
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+import { parseSearchTerms, buildPrefixQuery } from "@/lib/search";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const terms = parseSearchTerms(searchParams.get("q"));
+  const workspace = searchParams.get("workspace") || null;
+  const limit = Math.min(
+    Number.parseInt(searchParams.get("limit"), 10) || DEFAULT_LIMIT,
+    MAX_LIMIT
+  );
+
+  const supabase = await createClient();
+  if (!supabase) {
+    return NextResponse.json(
+      { error: "Supabase is not configured" },
+      { status: 500 }
+    );
+  }
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (!user) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  // Nothing searchable typed (e.g. only punctuation) — no results
+  if (terms.length === 0) {
+    return NextResponse.json({ results: [], terms });
+  }
+
+  // 1. Ask Postgres for the best matching bookmark ids, ranked.
+  //    RLS still applies inside the function, so only rows this user may
+  //    see count (and only workspaces they belong to).
+  const { data: ranked, error: rankError } = await supabase.rpc(
+    "search_bookmarks",
+    {
+      search_query: buildPrefixQuery(terms),
+      max_results: limit,
+      in_workspace: workspace,
+    }
+  );
+
+  if (rankError) {
+    console.error("Search failed:", rankError.message);
+    return NextResponse.json({ error: "Search failed" }, { status: 500 });
+  }
+  if (ranked.length === 0) {
+    return NextResponse.json({ results: [], terms });
+  }
+
+  // 2. Load those bookmarks (with their tag links, like the dashboard does)
+  const { data, error } = await supabase
+    .from("bookmarks")
+    .select("*, bookmark_tags(tag_id)")
+    .in("id", ranked.map((r) => r.id));
+
+  if (error) {
+    console.error("Search failed:", error.message);
+    return NextResponse.json({ error: "Search failed" }, { status: 500 });
+  }
+
+  // 3. Put them back in rank order (.in() doesn't preserve it)
+  const byId = Object.fromEntries(data.map((b) => [b.id, b]));
+  const results = ranked.map((r) => byId[r.id]).filter(Boolean);
+
+  return NextResponse.json({ results, terms });
+}
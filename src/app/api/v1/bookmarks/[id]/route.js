@@ -0,0 +1,88 @@
+// REST API: ONE BOOKMARK (/api/v1/bookmarks/[id])
+//
+// GET    — the bookmark (scope: read)
+// PATCH  — change some of its fields (scope: write)
+//   { "title"?, "url"?, "notes"?, "collection_id"?, "tags"? }
+//   "tags" replaces the whole tag list; "collection_id": null takes the
+//   bookmark out of its collection.
+// DELETE — move it to the trash, like deleting on the dashboard (it can be
+//   restored from /trash for a while); answers 204 with no body (scope: write)
+//
+// Bookmarks that don't exist, aren't the token owner's, belong to a
+// workspace or are in the trash all answer 404 not_found.
+
+import { NextResponse } from "next/server";
+import {
+  apiHandler,
+  ApiError,
+  readJsonBody,
+  parseBookmarkInput,
+  loadBookmark,
+  topPositionIn,
+  serializeBookmark,
+} from "@/lib/api-v1";
+import { parseTagInput, replaceBookmarkTags } from "@/lib/tags";
+import { normalizeUrl } from "@/lib/normalize-url";
+
+export const GET = apiHandler("read", async (request, { params, supabase, userId }) => {
+  const bookmark = await loadBookmark(supabase, userId, params.id);
+  return NextResponse.json({ data: serializeBookmark(bookmark) });
+});
+
+export const PATCH = apiHandler("write", async (request, { params, supabase, userId }) => {
+  const current = await loadBookmark(supabase, userId, params.id);
+  const { tags, ...input } = parseBookmarkInput(await readJsonBody(request), {
+    partial: true,
+  });
+
+  if (Object.keys(input).length === 0 && !tags) {
+    throw new ApiError(
+      422,
+      "validation_error",
+      "Send at least one of title, url, notes, collection_id or tags"
+    );
+  }
+
+  const changes = { ...input };
+  if ("url" in input) changes.canonical_url = normalizeUrl(input.url);
+  if ("collection_id" in input && input.collection_id !== current.collection_id) {
+    changes.position = input.collection_id
+      ? await topPositionIn(supabase, userId, input.collection_id)
+      : null;
+  }
+
+  if (Object.keys(changes).length > 0) {
+    const { error } = await supabase
+      .from("bookmarks")
+      .update(changes)
+      .eq("id", current.id)
+      .eq("user_id", userId);
+    if (error) throw error;
+  }
+
+  if (tags) {
+    const { error } = await replaceBookmarkTags(
+      supabase,
+      userId,
+      current.id,
+      parseTagInput(tags.join(","))
+    );
+    if (error) throw error;
+  }
+
+  const updated = await loadBookmark(supabase, userId, current.id);
+  return NextResponse.json({ data: serializeBookmark(updated) });
+});
+
+export const DELETE = apiHandler("write", async (request, { params, supabase, userId }) => {
+  const bookmark = await loadBookmark(supabase, userId, params.id);
+
+  const { error } = await supabase
+    .from("bookmarks")
+    .update({ deleted_at: new Date().toISOString() })
+    .eq("id", bookmark.id)
+    .eq("user_id", userId);
+  if (error) throw error;
+
+  return new NextResponse(null, { status: 204 });
+});
@@ -0,0 +1,222 @@
+// REST API: BOOKMARKS COLLECTION (/api/v1/bookmarks)
+//
+// GET  — list the token owner's bookmarks, newest first (scope: read)
+//   ?limit=20          1–100 per page
+//   ?offset=0          skip this many (use pagination.next_offset)
+//   ?q=react           title, URL or notes contains the text
+//   ?tag=a&tag=b       has ALL of these tags
+//   ?collection=<id>   in this collection
+//   ?domain=github.com on this site (or one of its subdomains)
+//   ?created_after=2024-01-01&created_before=2024-02-01
+//
+// POST — create a bookmark (scope: write)
+//   { "url": "...", "title"?: "...", "notes"?: "...",
+//     "tags"?: ["a", "b"], "collection_id"?: "<id>" }
+//   Without a title we fetch the page and use its <title>.
+//
+// The API only covers personal bookmarks (not workspace ones), and every
+// query is filtered by the token owner's id — see src/lib/api-v1.js.
+
+import { NextResponse } from "next/server";
+import {
+  apiHandler,
+  ApiError,
+  readJsonBody,
+  parseBookmarkInput,
+  isUuid,
+  loadBookmark,
+  topPositionIn,
+  serializeBookmark,
+  BOOKMARK_COLUMNS,
+} from "@/lib/api-v1";
+import { fetchPageMetadata } from "@/lib/metadata";
+import { parseTagInput, saveBookmarkTags } from "@/lib/tags";
+import { normalizeUrl } from "@/lib/normalize-url";
+
+// fetchPageMetadata relies on Node's http/dns modules
+export const runtime = "nodejs";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function parseInteger(value, name, { min, max, fallback }) {
+  if (value === null || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ApiError(
+      400,
+      "invalid_parameter",
+      `${name} must be a whole number between ${min} and ${max}`
+    );
+  }
+  return number;
+}
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, "invalid_parameter", `${name} must be a date`);
+  }
+  return date.toISOString();
+}
+
+// Ids of the user's tags with these names, or null if any of them
+// doesn't exist (then no bookmark can have them all)
+async function tagIdsNamed(supabase, userId, names) {
+  const { data: tags, error } = await supabase
+    .from("tags")
+    .select("id")
+    .eq("user_id", userId)
+    .in("name", names);
+  if (error) throw error;
+  return tags.length < names.length ? null : tags.map((t) => t.id);
+}
+
+// The text for an ilike filter, matched literally: LIKE's wildcards (%
+// and _) and its escape character are escaped, like the export's domain
+// filter does. Characters that mean something in PostgREST's or() syntax
+// (and *, its own wildcard) can't be escaped there, so they're dropped.
+function likeText(text) {
+  return text
+    .replace(/[,()*"]/g, " ")
+    .trim()
+    .replace(/[%_\\]/g, "\\$&");
+}
+
+export const GET = apiHandler("read", async (request, { supabase, userId }) => {
+  const { searchParams } = new URL(request.url);
+
+  const limit = parseInteger(searchParams.get("limit"), "limit", {
+    min: 1,
+    max: MAX_LIMIT,
+    fallback: DEFAULT_LIMIT,
+  });
+  const offset = parseInteger(searchParams.get("offset"), "offset", {
+    min: 0,
+    max: Number.MAX_SAFE_INTEGER,
+    fallback: 0,
+  });
+
+  const tagNames = parseTagInput(searchParams.getAll("tag").join(","));
+  const tagIds =
+    tagNames.length > 0 ? await tagIdsNamed(supabase, userId, tagNames) : [];
+  if (!tagIds) {
+    return NextResponse.json({
+      data: [],
+      pagination: { limit, offset, total: 0, next_offset: null },
+    });
+  }
+
+  // Each tag joins bookmark_tags once more (!inner leaves out bookmarks
+  // without a matching row), so only bookmarks with every tag are listed,
+  // and the filter stays inside this one query however many bookmarks
+  // carry the tags
+  const tagJoins = tagIds
+    .map((_, i) => `, tag_${i}:bookmark_tags!inner(tag_id)`)
+    .join("");
+  let query = supabase
+    .from("bookmarks")
+    .select(BOOKMARK_COLUMNS + tagJoins, { count: "exact" })
+    .eq("user_id", userId)
+    .is("workspace_id", null)
+    .is("deleted_at", null);
+  tagIds.forEach((id, i) => {
+    query = query.eq(`tag_${i}.tag_id`, id);
+  });
+
+  const q = likeText(searchParams.get("q") || "");
+  if (q) {
+    query = query.or(
+      `title.ilike.*${q}*,url.ilike.*${q}*,notes.ilike.*${q}*`
+    );
+  }
+
+  const collection = searchParams.get("collection");
+  if (collection) {
+    if (!isUuid(collection)) {
+      throw new ApiError(400, "invalid_parameter", "collection must be a collection id");
+    }
+    query = query.eq("collection_id", collection);
+  }
+
+  const domain = (searchParams.get("domain") || "").trim().toLowerCase();
+  if (domain) {
+    if (!/^[a-z0-9.-]+$/.test(domain)) {
+      throw new ApiError(400, "invalid_parameter", "domain must be a host name like example.com");
+    }
+    query = query.or(
+      `url.ilike.*://${domain},url.ilike.*://${domain}/*,url.ilike.*://*.${domain},url.ilike.*://*.${domain}/*`
+    );
+  }
+
+  const createdAfter = parseDate(searchParams.get("created_after"), "created_after");
+  if (createdAfter) query = query.gte("created_at", createdAfter);
+  const createdBefore = parseDate(searchParams.get("created_before"), "created_before");
+  if (createdBefore) query = query.lt("created_at", createdBefore);
+
+  const { data, count, error } = await query
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) throw error;
+
+  const nextOffset = offset + data.length;
+  return NextResponse.json({
+    data: data.map(serializeBookmark),
+    pagination: {
+      limit,
+      offset,
+      total: count,
+      next_offset: nextOffset < count ? nextOffset : null,
+    },
+  });
+});
+
+export const POST = apiHandler("write", async (request, { supabase, userId }) => {
+  const input = parseBookmarkInput(await readJsonBody(request));
+  const collectionId = input.collection_id ?? null;
+  const position = collectionId
+    ? await topPositionIn(supabase, userId, collectionId)
+    : null;
+
+  // Fill in the title and preview details from the page, like the add form
+  // does. A page we can't fetch isn't an error — we fall back to the URL.
+  let details = null;
+  try {
+    details = await fetchPageMetadata(input.url);
+  } catch {
+    // keep going without details
+  }
+
+  const { data: bookmark, error } = await supabase
+    .from("bookmarks")
+    .insert({
+      url: input.url,
+      canonical_url: normalizeUrl(input.url),
+      title: input.title || details?.title || input.url,
+      notes: input.notes ?? null,
+      description: details?.description ?? null,
+      image_url: details?.image_url ?? null,
+      favicon_url: details?.favicon_url ?? null,
+      collection_id: collectionId,
+      position,
+      user_id: userId,
+    })
+    .select("id")
+    .single();
+  if (error) throw error;
+
+  if (input.tags) {
+    const { error: tagError } = await saveBookmarkTags(
+      supabase,
+      userId,
+      bookmark.id,
+      parseTagInput(input.tags.join(","))
+    );
+    if (tagError) throw tagError;
+  }
+
+  const created = await loadBookmark(supabase, userId, bookmark.id);
+  return NextResponse.json({ data: serializeBookmark(created) }, { status: 201 });
+});
@@ -0,0 +1,83 @@
+// WEBHOOK TEST API ROUTE (POST /api/webhooks/[id]/test)
+// "Send test" on /settings/webhooks: sends a webhook.test event to one of
+// the user's webhooks straight away (not through the queue, and without
+// retries) and answers with how it went, so a new endpoint can be tried
+// out. The attempt is written to the delivery log like any other.
+//
+// Responds with { ok, status, error } for the attempt.
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { sendWebhook } from "@/lib/webhook-delivery";
+import { TEST_EVENT, testPayload } from "@/lib/webhooks";
+
+// sendWebhook() uses Node's http/dns modules, so this can't run on the Edge
+export const runtime = "nodejs";
+
+export async function POST(request, { params }) {
+  const { id } = await params;
+
+  const supabase = await createClient();
+  const admin = createAdminClient();
+  if (!supabase || !admin) {
+    return NextResponse.json(
+      { error: "Supabase is not configured" },
+      { status: 500 }
+    );
+  }
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (!user) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  // RLS: only the user's own webhooks are found
+  const { data: webhook, error } = await supabase
+    .from("webhooks")
+    .select("id, name, url, format, secret")
+    .eq("id", id)
+    .maybeSingle();
+  if (error) {
+    console.error("Failed to load webhook:", error.message);
+    return NextResponse.json({ error: "Failed to load webhook" }, { status: 500 });
+  }
+  if (!webhook) {
+    return NextResponse.json({ error: "Webhook not found" }, { status: 404 });
+  }
+
+  // The log is written with the service role: users can't add to it
+  const { data: delivery, error: insertError } = await admin
+    .from("webhook_deliveries")
+    .insert({
+      webhook_id: webhook.id,
+      event: TEST_EVENT,
+      payload: testPayload(webhook),
+      attempts: 1,
+    })
+    .select("id, event, payload")
+    .single();
+  if (insertError) {
+    console.error("Failed to log test delivery:", insertError.message);
+    return NextResponse.json({ error: "Failed to send test" }, { status: 500 });
+  }
+
+  const result = await sendWebhook({ ...delivery, ...webhook, id: delivery.id });
+
+  const { error: saveError } = await admin
+    .from("webhook_deliveries")
+    .update({
+      status: result.ok ? "delivered" : "failed",
+      response_status: result.status,
+      last_error: result.error,
+      delivered_at: result.ok ? new Date().toISOString() : null,
+    })
+    .eq("id", delivery.id);
+  if (saveError) {
+    console.error("Failed to save test delivery:", saveError.message);
+  }
+
+  return NextResponse.json(result);
+}
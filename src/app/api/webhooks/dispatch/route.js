@@ -0,0 +1,53 @@
+// WEBHOOK DISPATCH API ROUTE (POST /api/webhooks/dispatch)
+// Sends the webhook deliveries that are due right away, instead of
+// leaving them for the daily /api/cron/webhooks job. The app calls it
+// (see sendQueuedWebhooks() in src/lib/webhooks.js) after changing
+// bookmarks, so new events go out within seconds; retries that have come
+// due are sent along with them.
+//
+// Any signed-in user can call it: it only sends what the cron job would
+// send next, to whoever's webhooks they belong to, and never anything
+// early. Uses the service role key, like the cron job.
+// Responds with how many deliveries went out, will be retried, or failed.
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { deliverDueWebhooks } from "@/lib/webhook-delivery";
+
+// sendWebhook() uses Node's http/dns modules, so this can't run on the Edge
+export const runtime = "nodejs";
+export const maxDuration = 60;
+
+// Small batches keep the request short; what's left goes out next time
+const BATCH_SIZE = 20;
+const CONCURRENCY = 5;
+
+export async function POST() {
+  const supabase = await createClient();
+  const admin = createAdminClient();
+  if (!supabase || !admin) {
+    return NextResponse.json(
+      { error: "Supabase is not configured" },
+      { status: 500 }
+    );
+  }
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (!user) {
+    return NextResponse.json({ error: "Not signed in" }, { status: 401 });
+  }
+
+  try {
+    const report = await deliverDueWebhooks(admin, {
+      batchSize: BATCH_SIZE,
+      concurrency: CONCURRENCY,
+    });
+    return NextResponse.json(report);
+  } catch (err) {
+    console.error("Webhook delivery failed:", err.message);
+    return NextResponse.json({ error: "Webhook delivery failed" }, { status: 500 });
+  }
+}
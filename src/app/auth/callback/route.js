@@ -1,31 +1,99 @@
 // AUTH CALLBACK ROUTE
-// After Google redirects the user back to our app, they land here.
-// Google sends a "code" in the URL. We exchange that code for a session
-// (access token + refresh token) using Supabase's exchangeCodeForSession().
-// Then we redirect the user to the dashboard (/).
+// Every way of signing in ends up here:
+// - Google / GitHub redirect the user back with a "code" in the URL. We
+//   exchange that code for a session (access token + refresh token) using
+//   Supabase's exchangeCodeForSession(). Connecting another provider from
+//   /settings/sign-in (linkIdentity) comes back the same way.
+// - Magic links: by default Supabase verifies the link itself and sends a
+//   "code" too. If the email template links straight here instead
+//   (?token_hash=...&type=...), we verify it with verifyOtp().
+// Then we redirect the user to the dashboard (/), or to the page they were
+// originally trying to open (?next=..., e.g. an invitation link), and set
+// the theme cookie from their profile (see src/lib/profile.js).
+//
+// Errors go back to /login?error=auth&reason=..., which explains them —
+// unless the user is already signed in (a failed attempt to connect
+// another provider), in which case they go back to ?next= with the error.
 
 import { NextResponse } from "next/server";
 import { createClient } from "@/lib/supabase/server";
+import { safeNextPath } from "@/lib/auth-redirect";
+import { authErrorReason } from "@/lib/auth-providers";
+import { fetchProfile, THEME_COOKIE, THEME_COOKIE_OPTIONS } from "@/lib/profile";
+
+// verifyOtp() types a magic link / confirmation email can carry
+const EMAIL_OTP_TYPES = ["magiclink", "email", "signup", "invite", "email_change"];
+
+// `reason` is an AUTH_ERROR_REASONS key (src/lib/auth-providers.js), if
+// the error is one we recognize
+function withError(path, reason) {
+  const url = new URL(path, "http://localhost");
+  url.searchParams.set("error", "auth");
+  if (reason) url.searchParams.set("reason", reason);
+  return `${url.pathname}${url.search}`;
+}
 
 export async function GET(request) {
   const { searchParams, origin } = new URL(request.url);
   const code = searchParams.get("code");
+  const tokenHash = searchParams.get("token_hash");
+  const type = searchParams.get("type");
+  const next = safeNextPath(searchParams.get("next"));
 
-  if (code) {
-    const supabase = await createClient();
-    if (!supabase) {
-      // Supabase isn't configured on the server — redirect to login so
-      // the developer can set env vars. We don't throw so users see a friendly redirect.
-      return NextResponse.redirect(`${origin}/login?error=config`);
-    }
+  // The provider (or Supabase) can send the user back with an error
+  // instead, e.g. when they press "Cancel" on GitHub's consent screen, or
+  // when the identity is already connected to a different account
+  const providerError = searchParams.get("error");
+  let reason = authErrorReason(searchParams.get("error_code") || providerError);
+  if (providerError) {
+    console.error(
+      "Sign-in failed:",
+      searchParams.get("error_description") || providerError
+    );
+  }
+
+  const supabase = await createClient();
+  if (!supabase) {
+    // Supabase isn't configured on the server — redirect to login so
+    // the developer can set env vars. We don't throw so users see a friendly redirect.
+    return NextResponse.redirect(`${origin}/login?error=config`);
+  }
+
+  if (!providerError && (code || tokenHash)) {
+    const { data, error } = code
+      ? await supabase.auth.exchangeCodeForSession(code)
+      : EMAIL_OTP_TYPES.includes(type)
+        ? await supabase.auth.verifyOtp({ type, token_hash: tokenHash })
+        : { error: { message: "Unknown sign-in link type" } };
 
-    const { error } = await supabase.auth.exchangeCodeForSession(code);
     if (!error) {
-      // Successfully logged in — go to dashboard
-      return NextResponse.redirect(origin);
+      // Successfully logged in — go to the dashboard (or ?next=), in the
+      // theme the user picked on /settings (this browser may not have it
+      // yet)
+      const response = NextResponse.redirect(`${origin}${next}`);
+      if (data?.user) {
+        const profile = await fetchProfile(supabase, data.user.id);
+        response.cookies.set(THEME_COOKIE, profile.theme, THEME_COOKIE_OPTIONS);
+      }
+      return response;
     }
+    console.error("Sign-in failed:", error.message);
+    reason = authErrorReason(error.code);
+  }
+
+  // Already signed in: this was an attempt to connect another sign-in
+  // method. Show the error where they started instead of on /login (which
+  // would just bounce a signed-in user to the dashboard).
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+  if (user) {
+    return NextResponse.redirect(`${origin}${withError(next, reason)}`);
   }
 
-  // If something went wrong, redirect to login with an error hint
-  return NextResponse.redirect(`${origin}/login?error=auth`);
+  // If something went wrong, redirect to login with an error hint (keeping
+  // ?next= so trying again still ends up in the right place)
+  const loginUrl = withError("/login", reason);
+  const nextParam = next === "/" ? "" : `&next=${encodeURIComponent(next)}`;
+  return NextResponse.redirect(`${origin}${loginUrl}${nextParam}`);
 }
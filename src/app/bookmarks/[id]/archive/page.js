@@ -0,0 +1,171 @@
+// SNAPSHOT PAGE (/bookmarks/[id]/archive)
+// Shows the saved copy of a bookmarked page (see src/lib/snapshot.js):
+// where and when it was saved, and the cleaned-up article itself. Editors
+// can save it again, e.g. after the page was updated.
+//
+// The snapshot is sanitized when it's saved, and is shown in a sandboxed
+// iframe on top of that, so nothing in it can run scripts or touch this
+// page. Only people who can see the bookmark can open it (RLS on
+// bookmark_snapshots and the storage bucket's policies).
+//
+// This is a Server Component: the bookmark, the snapshot row and the file
+// are all loaded on the server with the user's session.
+
+import { cache } from "react";
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { createClient } from "@/lib/supabase/server";
+import { buildDashboardUrl } from "@/lib/filters";
+import { SNAPSHOT_BUCKET } from "@/lib/snapshot";
+import SnapshotActions from "@/components/SnapshotActions";
+
+// generateMetadata and the page both need the bookmark; load it once
+const getBookmark = cache(async (id) => {
+  const supabase = await createClient();
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from("bookmarks")
+    .select("id, title, url, user_id, workspace_id")
+    .eq("id", id)
+    .is("deleted_at", null)
+    .maybeSingle();
+  if (error) console.error("Failed to load bookmark:", error.message);
+  return data;
+});
+
+export async function generateMetadata({ params }) {
+  const { id } = await params;
+  const bookmark = await getBookmark(id);
+  return {
+    title: bookmark ? `Saved copy: ${bookmark.title}` : "Bookmark not found",
+    robots: { index: false, follow: false },
+  };
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+export default async function SnapshotPage({ params }) {
+  const { id } = await params;
+  const bookmark = await getBookmark(id);
+  if (!bookmark) notFound();
+
+  const supabase = await createClient();
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+
+  // Workspace viewers can look, but not save a new copy
+  let canEdit = !bookmark.workspace_id && bookmark.user_id === user?.id;
+  if (bookmark.workspace_id) {
+    const { data: membership } = await supabase
+      .from("workspace_members")
+      .select("role")
+      .eq("workspace_id", bookmark.workspace_id)
+      .eq("user_id", user?.id)
+      .maybeSingle();
+    canEdit = membership?.role === "owner" || membership?.role === "editor";
+  }
+
+  const { data: snapshot, error } = await supabase
+    .from("bookmark_snapshots")
+    .select(
+      "status, storage_path, final_url, title, byline, word_count, size_bytes, error, created_at"
+    )
+    .eq("bookmark_id", bookmark.id)
+    .maybeSingle();
+  if (error) console.error("Failed to load snapshot:", error.message);
+
+  // The saved document itself
+  let snapshotHtml = null;
+  let downloadError = null;
+  if (snapshot?.status === "ok") {
+    const { data: file, error: fileError } = await supabase.storage
+      .from(SNAPSHOT_BUCKET)
+      .download(snapshot.storage_path);
+    if (fileError) {
+      console.error("Failed to download snapshot:", fileError.message);
+      downloadError = "The saved copy couldn't be loaded.";
+    } else {
+      snapshotHtml = await file.text();
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <Link
+              href={buildDashboardUrl({ workspace: bookmark.workspace_id })}
+              className="text-sm text-gray-500 hover:text-gray-900"
+            >
+              ← Back to bookmarks
+            </Link>
+            <h1 className="text-xl font-bold text-gray-900 truncate mt-1">
+              {bookmark.title}
+            </h1>
+            <a
+              href={bookmark.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-sm text-blue-600 hover:underline truncate block"
+            >
+              {bookmark.url}
+            </a>
+          </div>
+          {canEdit && (
+            <SnapshotActions
+              bookmarkId={bookmark.id}
+              hasSnapshot={snapshot?.status === "ok"}
+            />
+          )}
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-6">
+        {!snapshot ? (
+          <p className="text-center text-gray-400 py-16">
+            There&rsquo;s no saved copy of this page yet.
+          </p>
+        ) : snapshot.status === "failed" ? (
+          <div className="bg-amber-50 border border-amber-200 text-amber-800 rounded-xl px-4 py-3 text-sm">
+            The page couldn&rsquo;t be saved on {formatDate(snapshot.created_at)}:{" "}
+            {snapshot.error}
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-gray-500 mb-3">
+              Saved {formatDate(snapshot.created_at)}
+              {snapshot.word_count ? ` · ${snapshot.word_count.toLocaleString()} words` : ""}
+              {snapshot.final_url && snapshot.final_url !== bookmark.url && (
+                <> · from {snapshot.final_url}</>
+              )}
+            </p>
+            {downloadError ? (
+              <p className="text-sm text-red-600">{downloadError}</p>
+            ) : (
+              // No allow-scripts / allow-same-origin: the copy is inert.
+              // Links may open in a new tab.
+              <iframe
+                srcDoc={snapshotHtml}
+                sandbox="allow-popups allow-popups-to-escape-sandbox"
+                title={`Saved copy of ${bookmark.title}`}
+                className="w-full h-[75vh] bg-white rounded-xl border border-gray-200"
+              />
+            )}
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// OPEN BOOKMARK ROUTE (GET /bookmarks/[id]/open)
+// The links on bookmark cards point here rather than straight at the
+// page, so the app knows which bookmarks get used: the visit is counted
+// (visit_count and last_visited_at, via record_bookmark_visit() in the
+// database) and the browser is redirected to the bookmarked URL.
+// The middleware makes sure the user is signed in first. Only people who
+// can see the bookmark can open it through here.
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+
+// Only ever redirect to web pages (never javascript: and the like)
+function isWebUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const { origin } = new URL(request.url);
+
+  const supabase = await createClient();
+  if (!supabase) {
+    return NextResponse.redirect(`${origin}/login?error=config`);
+  }
+
+  let { data: url, error } = await supabase.rpc("record_bookmark_visit", {
+    visited_id: id,
+  });
+
+  // Counting the visit failed: still open the page, the count matters less
+  if (error) {
+    console.error("Failed to record visit:", error.message);
+    const { data: bookmark } = await supabase
+      .from("bookmarks")
+      .select("url")
+      .eq("id", id)
+      .is("deleted_at", null)
+      .maybeSingle();
+    url = bookmark?.url ?? null;
+  }
+
+  if (!url || !isWebUrl(url)) {
+    return NextResponse.json({ error: "Bookmark not found" }, { status: 404 });
+  }
+
+  // Don't keep the redirect around: every open should be counted
+  const response = NextResponse.redirect(url, 302);
+  response.headers.set("Cache-Control", "no-store");
+  return response;
+}
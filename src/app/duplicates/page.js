@@ -0,0 +1,273 @@
+// DUPLICATES PAGE (/duplicates)
+// Lists the user's private bookmarks that point at the same page — after
+// URL normalization, so trailing slashes, utm_* parameters, http/https and
+// www. don't hide a duplicate (see src/lib/normalize-url.js) — and merges
+// them:
+// - the oldest bookmark of each group is kept, so its created_at survives
+// - it gets the best title (picked automatically, or chosen by the user)
+// - tags, share lists and notes of the others are moved onto it
+// The merge itself runs in the database (merge_bookmarks() in
+// supabase-schema.sql) so it either happens completely or not at all.
+//
+// This is a Client Component because it uses useState, useEffect, and event handlers.
+
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import {
+  backfillCanonicalUrls,
+  findDuplicateGroups,
+  pickBestTitle,
+} from "@/lib/duplicates";
+import { formatRelativeTime } from "@/lib/time";
+import { sendQueuedWebhooks } from "@/lib/webhooks";
+
+// Supabase returns at most 1000 rows per request, so we page through
+const PAGE_SIZE = 1000;
+
+// Every private bookmark of the user, with what the review screen shows
+async function loadAllBookmarks(supabase, userId) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("bookmarks")
+      .select("id, title, url, canonical_url, notes, created_at, bookmark_tags(tag_id)")
+      .eq("user_id", userId)
+      .is("workspace_id", null)
+      .is("deleted_at", null)
+      .order("created_at", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+export default function DuplicatesPage() {
+  const supabase = createClient();
+
+  const [bookmarks, setBookmarks] = useState([]);
+  // canonical URL -> title the user picked for that group
+  const [titleChoices, setTitleChoices] = useState({});
+  // canonical URL of the group being merged, or "all"
+  const [merging, setMerging] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const load = async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+
+      if (user) {
+        try {
+          const rows = await loadAllBookmarks(supabase, user.id);
+          // Older bookmarks may not have a canonical_url yet
+          const { data, error } = await backfillCanonicalUrls(supabase, rows);
+          if (error) {
+            console.error("Failed to fill in canonical URLs:", error.message);
+          }
+          setBookmarks(data);
+        } catch (error) {
+          console.error("Failed to fetch bookmarks:", error.message);
+          setLoadError(error.message);
+        }
+      }
+      setLoading(false);
+    };
+    load();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const groups = findDuplicateGroups(bookmarks);
+  const titleFor = (group) =>
+    titleChoices[group.canonicalUrl] ?? pickBestTitle(group.bookmarks);
+
+  // Merge one group into its oldest bookmark. Returns true on success.
+  const mergeGroup = async (group) => {
+    const [keep, ...others] = group.bookmarks;
+    const title = titleFor(group);
+
+    const { error } = await supabase.rpc("merge_bookmarks", {
+      keep_id: keep.id,
+      merge_ids: others.map((b) => b.id),
+      merged_title: title,
+    });
+
+    if (error) {
+      console.error("Failed to merge bookmarks:", error.message);
+      alert("Failed to merge bookmarks: " + error.message);
+      return false;
+    }
+    sendQueuedWebhooks();
+
+    const mergedIds = new Set(others.map((b) => b.id));
+    setBookmarks((prev) =>
+      prev
+        .filter((b) => !mergedIds.has(b.id))
+        .map((b) => (b.id === keep.id ? { ...b, title } : b))
+    );
+    return true;
+  };
+
+  const mergeOne = async (group) => {
+    setMerging(group.canonicalUrl);
+    await mergeGroup(group);
+    setMerging(null);
+  };
+
+  const mergeAll = async () => {
+    const count = groups.reduce((sum, g) => sum + g.bookmarks.length - 1, 0);
+    if (
+      !confirm(
+        `Merge all ${groups.length} groups? ${count} duplicate bookmarks will be folded into the oldest copy of each link.`
+      )
+    ) {
+      return;
+    }
+
+    setMerging("all");
+    for (const group of groups) {
+      // Stop at the first failure (it has already been reported)
+      if (!(await mergeGroup(group))) break;
+    }
+    setMerging(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-500">Loading...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900">🧹 Duplicates</h1>
+          <Link
+            href="/"
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ← Back to bookmarks
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8">
+        {loadError ? (
+          <p className="text-sm text-red-600">
+            Could not load your bookmarks: {loadError}
+          </p>
+        ) : groups.length === 0 ? (
+          <div className="text-center py-16">
+            <p className="text-gray-400 text-lg">No duplicates</p>
+            <p className="text-gray-400 text-sm mt-1">
+              Every link in your bookmarks is saved only once
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="flex items-center justify-between mb-4">
+              <p className="text-sm text-gray-600">
+                {groups.length} {groups.length === 1 ? "link is" : "links are"}{" "}
+                saved more than once. Merging keeps the oldest copy and its
+                date, with the tags, notes and share lists of all copies.
+              </p>
+              <button
+                onClick={mergeAll}
+                disabled={merging !== null}
+                className="px-4 py-1.5 text-sm bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
+              >
+                {merging === "all" ? "Merging..." : "Merge all"}
+              </button>
+            </div>
+
+            <ul className="space-y-4">
+              {groups.map((group) => {
+                const titles = [
+                  ...new Set(group.bookmarks.map((b) => b.title.trim())),
+                ];
+                const chosenTitle = titleFor(group);
+
+                return (
+                  <li
+                    key={group.canonicalUrl}
+                    className="bg-white rounded-xl shadow-sm border border-gray-200 p-4"
+                  >
+                    <div className="flex items-start justify-between gap-4 mb-3">
+                      <p className="text-sm font-mono text-gray-500 break-all">
+                        {group.canonicalUrl}
+                      </p>
+                      <button
+                        onClick={() => mergeOne(group)}
+                        disabled={merging !== null}
+                        className="text-sm text-blue-600 hover:text-blue-800 font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
+                      >
+                        {merging === group.canonicalUrl
+                          ? "Merging..."
+                          : `Merge ${group.bookmarks.length}`}
+                      </button>
+                    </div>
+
+                    <ul className="divide-y divide-gray-100 text-sm">
+                      {group.bookmarks.map((bookmark, i) => (
+                        <li key={bookmark.id} className="py-2">
+                          <p className="text-gray-900">
+                            {bookmark.title}
+                            {i === 0 && (
+                              <span className="ml-2 text-xs text-green-700 bg-green-50 rounded px-1.5 py-0.5">
+                                kept
+                              </span>
+                            )}
+                          </p>
+                          <p className="text-xs text-gray-400 truncate">
+                            {bookmark.url} · saved{" "}
+                            {formatRelativeTime(bookmark.created_at)}
+                            {bookmark.bookmark_tags?.length > 0 &&
+                              ` · ${bookmark.bookmark_tags.length} ${
+                                bookmark.bookmark_tags.length === 1 ? "tag" : "tags"
+                              }`}
+                            {bookmark.notes && " · has notes"}
+                          </p>
+                        </li>
+                      ))}
+                    </ul>
+
+                    {titles.length > 1 && (
+                      <label className="flex items-center gap-2 mt-3 text-sm text-gray-700">
+                        Title
+                        <select
+                          value={chosenTitle}
+                          onChange={(e) =>
+                            setTitleChoices((prev) => ({
+                              ...prev,
+                              [group.canonicalUrl]: e.target.value,
+                            }))
+                          }
+                          className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          {titles.map((title) => (
+                            <option key={title} value={title}>
+                              {title}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
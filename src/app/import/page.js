@@ -0,0 +1,375 @@
+// IMPORT PAGE (/import)
+// Brings bookmarks in from other places:
+// 1. The user picks a file — a browser's Netscape bookmarks.html export
+//    (Chrome/Firefox/Safari/Edge), a JSON file or a CSV file
+// 2. We parse it in the browser and show a preview, marking links that are
+//    already saved (or repeated in the file) as duplicates. Links are
+//    compared after normalization (src/lib/normalize-url.js), so
+//    "http://www.x.com/a/" and "https://x.com/a?utm_source=y" match.
+// 3. On confirm, we insert in batches and show progress as we go
+//
+// Each link keeps its original browser folder (folder_path) and "added"
+// date (created_at), and any tags the file carries.
+//
+// This is a Client Component because it reads a local file and shows progress.
+
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import { detectFormat, parseImportFile, isImportableUrl } from "@/lib/import";
+import { saveTagsForBookmarks } from "@/lib/tags";
+import { normalizeUrl } from "@/lib/normalize-url";
+import { sendQueuedWebhooks } from "@/lib/webhooks";
+
+// Rows per insert request
+const BATCH_SIZE = 100;
+// Supabase returns at most 1000 rows per request, so we page through
+const PAGE_SIZE = 1000;
+// How many preview rows to render (the counts always cover everything)
+const PREVIEW_LIMIT = 200;
+
+const STATUS_STYLES = {
+  new: "bg-green-50 text-green-700",
+  duplicate: "bg-amber-50 text-amber-700",
+  invalid: "bg-red-50 text-red-700",
+};
+
+// Fetch every URL the user already has, normalized, for duplicate
+// detection (imports go into their private bookmarks, not a shared workspace)
+async function loadExistingUrls(supabase, userId) {
+  const urls = new Set();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("bookmarks")
+      .select("url")
+      .eq("user_id", userId)
+      .is("workspace_id", null)
+      .is("deleted_at", null)
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    data.forEach((b) => urls.add(normalizeUrl(b.url)));
+    if (data.length < PAGE_SIZE) return urls;
+  }
+}
+
+// Mark every parsed entry as new / duplicate / invalid
+function classifyEntries(entries, existingUrls) {
+  const seen = new Set(existingUrls);
+  return entries.map((entry) => {
+    if (!isImportableUrl(entry.url)) return { ...entry, status: "invalid" };
+    const canonicalUrl = normalizeUrl(entry.url);
+    if (seen.has(canonicalUrl)) return { ...entry, status: "duplicate" };
+    seen.add(canonicalUrl);
+    return { ...entry, status: "new" };
+  });
+}
+
+function fallbackTitle(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+}
+
+export default function ImportPage() {
+  const supabase = createClient();
+
+  const [user, setUser] = useState(null);
+  const [existingUrls, setExistingUrls] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [entries, setEntries] = useState([]);
+  const [parseError, setParseError] = useState(null);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  // null before importing, then { done, total, failed, errors, finished }
+  const [progress, setProgress] = useState(null);
+
+  // ───────────────────────────────────────────────
+  // ON MOUNT: get the user and the URLs they already have
+  // ───────────────────────────────────────────────
+  useEffect(() => {
+    const load = async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+      setUser(user);
+      if (!user) return;
+
+      try {
+        setExistingUrls(await loadExistingUrls(supabase, user.id));
+      } catch (error) {
+        console.error("Failed to load existing bookmarks:", error.message);
+        setParseError("Could not load your existing bookmarks: " + error.message);
+      }
+    };
+
+    load();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ───────────────────────────────────────────────
+  // PICK A FILE: parse it for the preview
+  // ───────────────────────────────────────────────
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setFileName(file.name);
+    setParseError(null);
+    setProgress(null);
+
+    try {
+      const text = await file.text();
+      const parsed = parseImportFile(detectFormat(file.name, text), text);
+      setEntries(classifyEntries(parsed, existingUrls || []));
+      if (parsed.length === 0) setParseError("No bookmarks found in that file.");
+    } catch (err) {
+      setEntries([]);
+      setParseError(err.message);
+    }
+  };
+
+  const counts = { new: 0, duplicate: 0, invalid: 0 };
+  entries.forEach((entry) => counts[entry.status]++);
+
+  const toImport = entries.filter(
+    (entry) =>
+      entry.status === "new" || (entry.status === "duplicate" && !skipDuplicates)
+  );
+
+  // ───────────────────────────────────────────────
+  // IMPORT: insert in batches, reporting progress
+  // ───────────────────────────────────────────────
+  const runImport = async () => {
+    const total = toImport.length;
+    let done = 0;
+    let failed = 0;
+    const errors = [];
+    setProgress({ done, total, failed, errors, finished: false });
+
+    for (let i = 0; i < total; i += BATCH_SIZE) {
+      // The ids are picked here rather than by Postgres, so each row's tags
+      // go to the right bookmark whatever order the rows come back in
+      const batch = toImport
+        .slice(i, i + BATCH_SIZE)
+        .map((entry) => ({ ...entry, id: crypto.randomUUID() }));
+
+      const { data, error } = await supabase
+        .from("bookmarks")
+        .insert(
+          batch.map((entry) => ({
+            id: entry.id,
+            user_id: user.id,
+            url: entry.url,
+            canonical_url: normalizeUrl(entry.url),
+            title: entry.title || fallbackTitle(entry.url),
+            notes: entry.notes,
+            description: entry.description,
+            folder_path: entry.folder_path,
+            // Keep the original "added" date when the file has one
+            ...(entry.created_at ? { created_at: entry.created_at } : {}),
+          }))
+        )
+        .select("id");
+
+      if (error) {
+        console.error("Failed to import batch:", error.message);
+        failed += batch.length;
+        errors.push(error.message);
+      } else {
+        const inserted = new Set(data.map((row) => row.id));
+        const { error: tagError } = await saveTagsForBookmarks(
+          supabase,
+          user.id,
+          batch
+            .filter((entry) => inserted.has(entry.id))
+            .map((entry) => ({ bookmarkId: entry.id, names: entry.tags }))
+        );
+        if (tagError) {
+          console.error("Failed to import tags:", tagError.message);
+          errors.push("Some tags could not be saved: " + tagError.message);
+        }
+        done += data.length;
+      }
+
+      setProgress({ done, total, failed, errors: [...errors], finished: false });
+    }
+
+    setProgress({ done, total, failed, errors, finished: true });
+    if (done > 0) sendQueuedWebhooks();
+    // Anything imported now counts as "already saved" for another import
+    setExistingUrls((prev) => {
+      const next = new Set(prev);
+      toImport.forEach((entry) => next.add(normalizeUrl(entry.url)));
+      return next;
+    });
+  };
+
+  // ───────────────────────────────────────────────
+  // RENDER
+  // ───────────────────────────────────────────────
+  const importing = progress && !progress.finished;
+  const percent = progress?.total
+    ? Math.round(((progress.done + progress.failed) / progress.total) * 100)
+    : 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900">📥 Import Bookmarks</h1>
+          <Link
+            href="/"
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ← Back to bookmarks
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-6">
+        {/* ── FILE PICKER ── */}
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">
+            Choose a file
+          </h2>
+          <p className="text-sm text-gray-500 mb-4">
+            A browser bookmarks export (<code>bookmarks.html</code>), or a JSON
+            or CSV file. CSV files need a header row with at least a{" "}
+            <code>url</code> column (optional: <code>title</code>,{" "}
+            <code>created_at</code>, <code>folder</code>, <code>tags</code>,{" "}
+            <code>notes</code>).
+          </p>
+          <input
+            type="file"
+            accept=".html,.htm,.json,.csv,text/html,application/json,text/csv"
+            onChange={handleFile}
+            disabled={!existingUrls || importing}
+            className="block text-sm text-gray-600 file:mr-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-blue-600 file:text-white file:font-medium hover:file:bg-blue-700 file:cursor-pointer"
+          />
+          {!existingUrls && !parseError && (
+            <p className="text-sm text-gray-400 mt-2">
+              Loading your existing bookmarks...
+            </p>
+          )}
+          {parseError && (
+            <p className="text-sm text-red-600 mt-2">{parseError}</p>
+          )}
+        </section>
+
+        {/* ── PREVIEW ── */}
+        {entries.length > 0 && (
+          <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Preview: {fileName}
+                </h2>
+                <p className="text-sm text-gray-500">
+                  {counts.new} new · {counts.duplicate} duplicate ·{" "}
+                  {counts.invalid} not importable
+                </p>
+              </div>
+              <div className="flex items-center gap-4">
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={skipDuplicates}
+                    onChange={(e) => setSkipDuplicates(e.target.checked)}
+                    disabled={importing}
+                  />
+                  Skip duplicates
+                </label>
+                <button
+                  onClick={runImport}
+                  disabled={importing || toImport.length === 0 || progress?.finished}
+                  className="px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Import {toImport.length}
+                </button>
+              </div>
+            </div>
+
+            {/* ── PROGRESS ── */}
+            {progress && (
+              <div className="mb-4">
+                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-blue-600 transition-all"
+                    style={{ width: `${percent}%` }}
+                  />
+                </div>
+                <p className="text-sm text-gray-600 mt-2">
+                  {progress.finished ? "Finished: " : "Importing... "}
+                  {progress.done} of {progress.total} imported
+                  {progress.failed > 0 && `, ${progress.failed} failed`}
+                </p>
+                {progress.errors.map((message, i) => (
+                  <p key={i} className="text-sm text-red-600">
+                    {message}
+                  </p>
+                ))}
+                {progress.finished && (
+                  <Link
+                    href="/"
+                    className="inline-block text-sm text-blue-600 hover:underline mt-1"
+                  >
+                    View your bookmarks →
+                  </Link>
+                )}
+              </div>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 pr-4 font-medium">Status</th>
+                    <th className="py-2 pr-4 font-medium">Title / URL</th>
+                    <th className="py-2 pr-4 font-medium">Folder</th>
+                    <th className="py-2 font-medium">Added</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.slice(0, PREVIEW_LIMIT).map((entry, i) => (
+                    <tr key={i} className="border-b border-gray-100 align-top">
+                      <td className="py-2 pr-4">
+                        <span
+                          className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[entry.status]}`}
+                        >
+                          {entry.status}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-4 max-w-md">
+                        <div className="text-gray-900 truncate">
+                          {entry.title || "(no title)"}
+                        </div>
+                        <div className="text-gray-500 truncate">{entry.url}</div>
+                      </td>
+                      <td className="py-2 pr-4 text-gray-500">
+                        {entry.folder_path || "—"}
+                      </td>
+                      <td className="py-2 text-gray-500 whitespace-nowrap">
+                        {entry.created_at
+                          ? new Date(entry.created_at).toLocaleDateString()
+                          : "—"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {entries.length > PREVIEW_LIMIT && (
+                <p className="text-sm text-gray-400 mt-2">
+                  …and {entries.length - PREVIEW_LIMIT} more
+                </p>
+              )}
+            </div>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+// INVITE ACCEPT ROUTE (GET /invite/accept?token=...)
+// The link sent in a workspace invitation. The middleware makes sure the
+// user is signed in first (sending them through /login and back here).
+// accept_workspace_invite() in the database checks the token, expiry and
+// that it was sent to this user's email, then adds them as a member.
+// On success we open the workspace on the dashboard; otherwise we show
+// the reason on /workspaces.
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+import { buildDashboardUrl } from "@/lib/filters";
+
+export async function GET(request) {
+  const { searchParams, origin } = new URL(request.url);
+  const token = searchParams.get("token");
+
+  const failed = (message) =>
+    NextResponse.redirect(
+      `${origin}/workspaces?error=${encodeURIComponent(message)}`
+    );
+
+  if (!token) {
+    return failed("The invitation link is incomplete");
+  }
+
+  const supabase = await createClient();
+  if (!supabase) {
+    return NextResponse.redirect(`${origin}/login?error=config`);
+  }
+
+  const { data: workspaceId, error } = await supabase.rpc(
+    "accept_workspace_invite",
+    { invite_token: token }
+  );
+
+  if (error) {
+    console.error("Failed to accept invitation:", error.message);
+    return failed(error.message);
+  }
+
+  return NextResponse.redirect(
+    `${origin}${buildDashboardUrl({ workspace: workspaceId })}`
+  );
+}
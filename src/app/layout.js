@@ -1,5 +1,8 @@
 import { Geist, Geist_Mono } from "next/font/google";
+import { cookies } from "next/headers";
 import "./globals.css";
+import ServiceWorkerRegistration from "@/components/ServiceWorkerRegistration";
+import { THEME_COOKIE, themeFromCookie } from "@/lib/profile";
 
 const geistSans = Geist({
   variable: "--font-geist-sans",
@@ -16,13 +19,19 @@ export const metadata = {
   description: "Save and organize your favorite links",
 };
 
-export default function RootLayout({ children }) {
+// The theme (light, dark or the device's) comes from a cookie, so pages
+// are sent already in it; see globals.css and src/lib/profile.js
+export default async function RootLayout({ children }) {
+  const cookieStore = await cookies();
+  const theme = themeFromCookie(cookieStore.get(THEME_COOKIE)?.value);
+
   return (
-    <html lang="en">
+    <html lang="en" data-theme={theme}>
       <body
         className={`${geistSans.variable} ${geistMono.variable} antialiased`}
       >
         {children}
+        <ServiceWorkerRegistration />
       </body>
     </html>
   );
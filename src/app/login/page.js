@@ -1,26 +1,93 @@
 // LOGIN PAGE
-// Simple page with a "Sign in with Google" button.
-// This is a Client Component because we need onClick handlers.
+// Three ways to sign in (see src/lib/auth-providers.js):
+// - "Continue with Google" / "Continue with GitHub" (OAuth)
+// - an email address, to which Supabase sends a one-time "magic link"
+// Whichever is used, the same email address means the same account.
+//
+// /auth/callback sends people back here with ?error=auth (and a ?reason=
+// when it knows what went wrong) or ?error=config when something went
+// wrong; those are shown above the buttons. Both are keys into fixed
+// messages, so a link can't make this page say anything else.
+//
+// This is a Client Component because it uses useState and event handlers.
 
 "use client";
 
+import { use, useState } from "react";
 import { createClient } from "@/lib/supabase/client";
+import {
+  OAUTH_PROVIDERS,
+  AUTH_ERROR_MESSAGES,
+  authErrorDetail,
+  authCallbackUrl,
+} from "@/lib/auth-providers";
+import ProviderIcon from "@/components/ProviderIcon";
 
-export default function LoginPage() {
-  const handleGoogleLogin = async () => {
+export default function LoginPage({ searchParams }) {
+  const params = use(searchParams);
+  // If the middleware sent us here from a protected page (?next=...),
+  // carry that through so the callback can send the user back there.
+  const next = typeof params.next === "string" ? params.next : null;
+  const errorKey = typeof params.error === "string" ? params.error : null;
+  const errorDetail = authErrorDetail(params.reason);
+
+  const [email, setEmail] = useState("");
+  const [sending, setSending] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+  const [formError, setFormError] = useState(null);
+
+  const handleOAuthLogin = async (provider) => {
     const supabase = createClient();
 
-    // signInWithOAuth tells Supabase to redirect the user to Google's
-    // login page. After they sign in with Google, Google redirects them
+    // signInWithOAuth tells Supabase to redirect the user to the
+    // provider's login page. After they sign in there, they're redirected
     // back to our /auth/callback route (which we specify in redirectTo).
-    await supabase.auth.signInWithOAuth({
-      provider: "google",
+    const { error } = await supabase.auth.signInWithOAuth({
+      provider,
       options: {
-        redirectTo: `${window.location.origin}/auth/callback`,
+        redirectTo: authCallbackUrl(next),
       },
     });
+
+    if (error) {
+      console.error("Failed to start sign-in:", error.message);
+      setFormError(error.message);
+    }
   };
 
+  const handleEmailLogin = async (e) => {
+    e.preventDefault();
+    const address = email.trim();
+    if (!address) return;
+
+    setSending(true);
+    setFormError(null);
+    const supabase = createClient();
+
+    // Emails a link that signs the user in (creating the account on first
+    // use) and lands on /auth/callback like the OAuth buttons do
+    const { error } = await supabase.auth.signInWithOtp({
+      email: address,
+      options: {
+        emailRedirectTo: authCallbackUrl(next),
+      },
+    });
+    setSending(false);
+
+    if (error) {
+      console.error("Failed to send sign-in link:", error.message);
+      setFormError(error.message);
+      return;
+    }
+    setSentTo(address);
+  };
+
+  const errorMessage =
+    formError ||
+    (errorKey && Object.hasOwn(AUTH_ERROR_MESSAGES, errorKey)
+      ? AUTH_ERROR_MESSAGES[errorKey]
+      : null);
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50">
       <div className="bg-white p-8 rounded-2xl shadow-lg max-w-sm w-full text-center">
@@ -32,32 +99,81 @@ export default function LoginPage() {
           Save and organize your favorite links
         </p>
 
-        {/* Google Sign In Button */}
-        <button
-          onClick={handleGoogleLogin}
-          className="w-full flex items-center justify-center gap-3 bg-white border-2 border-gray-200 rounded-xl px-6 py-3 text-gray-700 font-medium hover:bg-gray-50 hover:border-gray-300 transition-all cursor-pointer"
-        >
-          {/* Google "G" logo as inline SVG */}
-          <svg width="20" height="20" viewBox="0 0 24 24">
-            <path
-              d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92a5.06 5.06 0 0 1-2.2 3.32v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.1z"
-              fill="#4285F4"
-            />
-            <path
-              d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
-              fill="#34A853"
-            />
-            <path
-              d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
-              fill="#FBBC05"
-            />
-            <path
-              d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
-              fill="#EA4335"
+        {/* Errors from the callback (?error=) or from the last attempt */}
+        {errorMessage && (
+          <div
+            role="alert"
+            className="mb-6 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700 text-left"
+          >
+            <p>{errorMessage}</p>
+            {!formError && errorDetail && (
+              <p className="mt-1 text-xs text-red-500">{errorDetail}</p>
+            )}
+          </div>
+        )}
+
+        {/* OAuth buttons */}
+        <div className="space-y-3">
+          {OAUTH_PROVIDERS.map((provider) => (
+            <button
+              key={provider.id}
+              onClick={() => handleOAuthLogin(provider.id)}
+              className="w-full flex items-center justify-center gap-3 bg-white border-2 border-gray-200 rounded-xl px-6 py-3 text-gray-700 font-medium hover:bg-gray-50 hover:border-gray-300 transition-all cursor-pointer"
+            >
+              <ProviderIcon provider={provider.id} />
+              Continue with {provider.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-3 my-6 text-xs text-gray-400">
+          <span className="flex-1 border-t border-gray-200" />
+          or
+          <span className="flex-1 border-t border-gray-200" />
+        </div>
+
+        {/* Magic link */}
+        {sentTo ? (
+          <div className="p-4 rounded-lg bg-green-50 border border-green-200 text-sm text-green-800 space-y-2">
+            <p className="font-medium">Check your email</p>
+            <p>
+              We sent a sign-in link to <strong>{sentTo}</strong>. Open it on
+              this device to continue.
+            </p>
+            <button
+              onClick={() => setSentTo(null)}
+              className="text-green-700 hover:text-green-900 underline cursor-pointer"
+            >
+              Use a different address
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleEmailLogin} className="space-y-3">
+            <input
+              type="email"
+              placeholder="you@example.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              aria-label="Email address"
+              autoComplete="email"
+              required
             />
-          </svg>
-          Sign in with Google
-        </button>
+            <button
+              type="submit"
+              disabled={sending}
+              className="w-full flex items-center justify-center gap-3 bg-blue-600 text-white rounded-xl px-6 py-3 font-medium hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ProviderIcon provider="email" />
+              {sending ? "Sending..." : "Email me a sign-in link"}
+            </button>
+          </form>
+        )}
+
+        <p className="mt-6 text-xs text-gray-400">
+          Signing in with Google, GitHub or an email link all reach the same
+          account as long as the email address is the same.
+        </p>
       </div>
     </div>
   );
@@ -0,0 +1,23 @@
+// WEB APP MANIFEST (/manifest.webmanifest)
+// Lets the app be installed to a phone's home screen. Once installed, it
+// shows up in the system "Share to" sheet: share_target sends the shared
+// link to /save?url=...&title=...&text=..., the same page the bookmarklet
+// opens (see src/lib/save.js).
+
+export default function manifest() {
+  return {
+    name: "Smart Bookmark App",
+    short_name: "Bookmarks",
+    description: "Save and organize your favorite links",
+    start_url: "/",
+    display: "standalone",
+    background_color: "#f9fafb",
+    theme_color: "#2563eb",
+    icons: [{ src: "/favicon.ico", sizes: "any", type: "image/x-icon" }],
+    share_target: {
+      action: "/save",
+      method: "GET",
+      params: { title: "title", text: "text", url: "url" },
+    },
+  };
+}
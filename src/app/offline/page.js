@@ -0,0 +1,16 @@
+// OFFLINE APP SHELL (/offline)
+// What the service worker (public/sw.js) shows for any page when there's
+// no network: the dashboard with no data in the HTML, so it starts from
+// its offline copy in IndexedDB instead (see src/lib/offline-store.js).
+// Unlike the real dashboard (src/app/page.js), nothing here depends on
+// who is signed in, so it's safe to keep in the browser's cache: a
+// signed-in user's pages never are.
+//
+// This is a Server Component; the Dashboard loads everything in the browser.
+
+import { getDashboardFilters } from "@/lib/filters";
+import Dashboard from "@/components/Dashboard";
+
+export default function OfflinePage() {
+  return <Dashboard filters={getDashboardFilters({})} initialData={null} />;
+}
@@ -0,0 +1,61 @@
+// SHARED LIST FEED (GET /s/<token>/feed, /s/<token>/feed?format=rss)
+// The same public list as /s/<token>, as an Atom (default) or RSS 2.0 feed
+// so it can be followed in a feed reader. Public, like the page: the
+// middleware lets /s/... through without signing in.
+
+import { NextResponse } from "next/server";
+import { createClient } from "@/lib/supabase/server";
+import { loadSharedList, sharePath, toFeed } from "@/lib/share";
+import { buildAtomFeed, buildRssFeed } from "@/lib/feed";
+
+const FORMATS = {
+  atom: { build: buildAtomFeed, contentType: "application/atom+xml; charset=utf-8" },
+  rss: { build: buildRssFeed, contentType: "application/rss+xml; charset=utf-8" },
+};
+
+export async function GET(request, { params }) {
+  const { token } = await params;
+  const { searchParams, origin } = new URL(request.url);
+  const format = searchParams.get("format") || "atom";
+
+  const spec = FORMATS[format];
+  if (!spec) {
+    return NextResponse.json(
+      { error: `Unknown format "${format}". Use atom or rss` },
+      { status: 400 }
+    );
+  }
+
+  const supabase = await createClient();
+  if (!supabase) {
+    return NextResponse.json(
+      { error: "Supabase is not configured" },
+      { status: 500 }
+    );
+  }
+
+  let list;
+  try {
+    list = await loadSharedList(supabase, token);
+  } catch (err) {
+    console.error("Failed to load shared list:", err.message);
+    return NextResponse.json({ error: "Failed to load feed" }, { status: 500 });
+  }
+  if (!list) {
+    return NextResponse.json(
+      { error: "This link doesn't exist or has expired" },
+      { status: 404 }
+    );
+  }
+
+  const pageUrl = `${origin}${sharePath(token)}`;
+  const body = spec.build(toFeed(list, { pageUrl, selfUrl: request.url }));
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": spec.contentType,
+      // Short cache so a revoked link stops being served soon after
+      "Cache-Control": "public, max-age=300",
+    },
+  });
+}
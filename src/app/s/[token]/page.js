@@ -0,0 +1,134 @@
+// SHARED LIST PAGE (Public Route: /s/[token])
+// A read-only list of bookmarks someone chose to share with a public link.
+// Anyone with the link can open it without signing in (the middleware lets
+// /s/... through), and it only ever shows the bookmarks on the list — see
+// get_shared_bookmarks() in supabase-schema.sql.
+//
+// This is a Server Component: the list is rendered on the server, so it
+// works without JavaScript and the owner's session is never involved.
+
+import { cache } from "react";
+import { notFound } from "next/navigation";
+import { createClient } from "@/lib/supabase/server";
+import { loadSharedList, sharePath } from "@/lib/share";
+
+// generateMetadata and the page both need the list; load it once per request
+const getSharedList = cache(async (token) => {
+  const supabase = await createClient();
+  if (!supabase) return null;
+  return loadSharedList(supabase, token);
+});
+
+export async function generateMetadata({ params }) {
+  const { token } = await params;
+  const list = await getSharedList(token);
+  if (!list) return { title: "Link not found", robots: { index: false } };
+
+  const feedUrl = `${sharePath(token)}/feed`;
+  return {
+    title: list.link.title,
+    description: list.link.description || undefined,
+    // Shared lists are unlisted: keep them out of search engines
+    robots: { index: false, follow: false },
+    alternates: {
+      types: {
+        "application/atom+xml": feedUrl,
+        "application/rss+xml": `${feedUrl}?format=rss`,
+      },
+    },
+  };
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+export default async function SharedListPage({ params }) {
+  const { token } = await params;
+  const list = await getSharedList(token);
+  if (!list) notFound();
+
+  const { link, bookmarks } = list;
+  const feedUrl = `${sharePath(token)}/feed`;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-3xl mx-auto px-4 py-6">
+          <h1 className="text-2xl font-bold text-gray-900">{link.title}</h1>
+          {link.description && (
+            <p className="text-gray-600 mt-1 whitespace-pre-line">
+              {link.description}
+            </p>
+          )}
+          <p className="text-sm text-gray-400 mt-2">
+            {bookmarks.length} {bookmarks.length === 1 ? "link" : "links"} ·
+            shared {formatDate(link.created_at)}
+            {link.expires_at && ` · available until ${formatDate(link.expires_at)}`}
+            {" · "}
+            <a href={feedUrl} className="hover:text-gray-600 underline">
+              Atom
+            </a>
+            {" / "}
+            <a
+              href={`${feedUrl}?format=rss`}
+              className="hover:text-gray-600 underline"
+            >
+              RSS
+            </a>
+          </p>
+        </div>
+      </header>
+
+      {/* ── BOOKMARKS ── */}
+      <main className="max-w-3xl mx-auto px-4 py-8">
+        {bookmarks.length === 0 ? (
+          <p className="text-center text-gray-400 text-lg py-16">
+            This list is empty
+          </p>
+        ) : (
+          <ul className="space-y-3">
+            {bookmarks.map((bookmark) => (
+              <li
+                key={bookmark.id}
+                className="bg-white rounded-xl shadow-sm border border-gray-200 p-4"
+              >
+                <h2 className="font-medium text-gray-900 flex items-center gap-2">
+                  {bookmark.favicon_url && (
+                    // eslint-disable-next-line @next/next/no-img-element -- icons come from arbitrary sites
+                    <img
+                      src={bookmark.favicon_url}
+                      alt=""
+                      width={16}
+                      height={16}
+                      className="w-4 h-4 flex-shrink-0"
+                    />
+                  )}
+                  <span className="truncate">{bookmark.title}</span>
+                </h2>
+                <a
+                  href={bookmark.url}
+                  target="_blank"
+                  rel="noopener noreferrer nofollow"
+                  className="text-sm text-blue-600 hover:underline truncate block"
+                >
+                  {bookmark.url}
+                </a>
+                {bookmark.description && (
+                  <p className="text-sm text-gray-500 mt-1 line-clamp-2">
+                    {bookmark.description}
+                  </p>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </main>
+    </div>
+  );
+}
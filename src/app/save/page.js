@@ -0,0 +1,372 @@
+// SAVE PAGE (/save?url=...&title=...&text=...)
+// The quick "save this page" popup. Opened by:
+// - the bookmarklet (for the page the user is on, with any selected text)
+// - the phone's "Share to" sheet, via the manifest's share_target
+// It shows a compact form pre-filled from the query string so the user can
+// tweak the title, notes, tags and collection before saving.
+//
+// Signed-out users are sent through /login and back here by the middleware
+// (?next= keeps the query string), so nothing gets lost.
+//
+// Without a url it explains how to install the bookmarklet instead.
+//
+// This is a Client Component because it uses useState, useEffect, and event handlers.
+
+"use client";
+
+import { useState, useEffect, useRef, use } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import { parseTagInput, saveBookmarkTags } from "@/lib/tags";
+import {
+  buildCollectionTree,
+  flattenCollectionTree,
+  POSITION_STEP,
+} from "@/lib/collections";
+import { getSaveParams, buildBookmarklet } from "@/lib/save";
+import { normalizeUrl } from "@/lib/normalize-url";
+import { formatRelativeTime } from "@/lib/time";
+import { sendQueuedWebhooks } from "@/lib/webhooks";
+
+// How long the "Saved" message shows before a bookmarklet popup closes itself
+const CLOSE_DELAY_MS = 1200;
+
+export default function SavePage({ searchParams }) {
+  const supabase = createClient();
+  const initial = getSaveParams(use(searchParams));
+
+  const [user, setUser] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [title, setTitle] = useState(initial.title);
+  const [url, setUrl] = useState(initial.url);
+  // Selected text becomes the notes, quoted so it's clearly from the page
+  const [notes, setNotes] = useState(initial.text ? `“${initial.text}”` : "");
+  const [tagInput, setTagInput] = useState("");
+  const [collectionId, setCollectionId] = useState("");
+  // Page details fetched from /api/metadata ({ description, image_url, ... })
+  const [details, setDetails] = useState(null);
+  // The user's earliest private bookmark of the same page, if any
+  const [duplicate, setDuplicate] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  // ─── Load the user and their collections, and the page's details ───
+  useEffect(() => {
+    const load = async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+      setUser(user);
+
+      if (user) {
+        const { data, error } = await supabase
+          .from("collections")
+          .select("id, name, parent_id, position")
+          .eq("user_id", user.id)
+          .is("workspace_id", null);
+
+        if (error) {
+          console.error("Failed to fetch collections:", error.message);
+        } else {
+          setCollections(data || []);
+        }
+
+        const canonicalUrl = normalizeUrl(initial.url);
+        if (canonicalUrl) {
+          const { data: matches, error: matchError } = await supabase
+            .from("bookmarks")
+            .select("id, title, created_at")
+            .eq("user_id", user.id)
+            .is("workspace_id", null)
+            .is("deleted_at", null)
+            .eq("canonical_url", canonicalUrl)
+            .order("created_at", { ascending: true })
+            .limit(1);
+
+          if (matchError) {
+            console.error("Failed to check for duplicates:", matchError.message);
+          } else {
+            setDuplicate(matches[0] || null);
+          }
+        }
+      }
+      setLoading(false);
+
+      // Failing to fetch details is fine — the user can still type a title
+      if (!initial.url) return;
+      try {
+        const res = await fetch(
+          `/api/metadata?url=${encodeURIComponent(initial.url)}`
+        );
+        if (!res.ok) return;
+        const metadata = await res.json();
+        setDetails(metadata);
+        // Shared links often arrive without a title
+        if (metadata.title) setTitle((prev) => prev || metadata.title);
+      } catch (err) {
+        console.error("Failed to fetch page details:", err.message);
+      }
+    };
+    load();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Where a bookmark added to a collection goes: above everything in it
+  const topPosition = async (id) => {
+    const { data } = await supabase
+      .from("bookmarks")
+      .select("position")
+      .eq("collection_id", id)
+      .not("position", "is", null)
+      .order("position", { ascending: true })
+      .limit(1);
+    return data?.length > 0 ? data[0].position - POSITION_STEP : 0;
+  };
+
+  const saveBookmark = async (e) => {
+    e.preventDefault();
+    if (!title.trim() || !url.trim()) return;
+
+    setSaving(true);
+    const sameUrl = details?.url && url.trim() === initial.url;
+    const { data, error } = await supabase
+      .from("bookmarks")
+      .insert({
+        title: title.trim(),
+        url: url.trim(),
+        canonical_url: normalizeUrl(url),
+        notes: notes.trim() || null,
+        // Page details only apply if the URL wasn't changed
+        description: sameUrl ? details.description ?? null : null,
+        image_url: sameUrl ? details.image_url ?? null : null,
+        favicon_url: sameUrl ? details.favicon_url ?? null : null,
+        collection_id: collectionId || null,
+        position: collectionId ? await topPosition(collectionId) : null,
+        user_id: user.id,
+      })
+      .select("id")
+      .single();
+
+    if (error) {
+      setSaving(false);
+      console.error("Failed to save bookmark:", error.message);
+      alert("Failed to save bookmark: " + error.message);
+      return;
+    }
+
+    const { error: tagError } = await saveBookmarkTags(
+      supabase,
+      user.id,
+      data.id,
+      parseTagInput(tagInput)
+    );
+    if (tagError) {
+      console.error("Failed to save tags:", tagError.message);
+      alert("Bookmark saved, but its tags failed: " + tagError.message);
+    }
+
+    // Keep a readable copy of the page in case it disappears (see
+    // src/lib/snapshot.js). keepalive lets it finish after the popup closes.
+    fetch(`/api/bookmarks/${data.id}/archive`, {
+      method: "POST",
+      keepalive: true,
+    }).catch((err) => console.error("Failed to save snapshot:", err.message));
+    // ...and send the user's webhooks the news
+    sendQueuedWebhooks();
+
+    setSaving(false);
+    setSaved(true);
+
+    // Opened by the bookmarklet: close the popup and go back to the page
+    if (window.opener) setTimeout(() => window.close(), CLOSE_DELAY_MS);
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-500">Loading...</p>
+      </div>
+    );
+  }
+
+  if (!initial.url) return <BookmarkletHelp />;
+
+  if (saved) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 text-center max-w-sm w-full">
+          <p className="text-2xl mb-2">✓</p>
+          <p className="font-medium text-gray-900">Saved</p>
+          <p className="text-sm text-gray-500 truncate mt-1">{title}</p>
+          <div className="flex justify-center gap-4 mt-4 text-sm">
+            <Link href="/" className="text-blue-600 hover:underline">
+              Open bookmarks
+            </Link>
+            <button
+              onClick={() => window.close()}
+              className="text-gray-600 hover:text-gray-900 cursor-pointer"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const collectionOptions = flattenCollectionTree(
+    buildCollectionTree(collections)
+  );
+  const inputClass =
+    "w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4">
+      <form
+        onSubmit={saveBookmark}
+        className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 space-y-2 max-w-md mx-auto"
+      >
+        <h1 className="text-base font-semibold text-gray-900 flex items-center gap-2">
+          {details?.favicon_url && (
+            // eslint-disable-next-line @next/next/no-img-element -- icons come from arbitrary sites
+            <img
+              src={details.favicon_url}
+              alt=""
+              width={16}
+              height={16}
+              className="w-4 h-4 flex-shrink-0"
+            />
+          )}
+          Save bookmark
+        </h1>
+        {duplicate && url.trim() === initial.url && (
+          <p className="text-sm text-amber-700">
+            Already saved {formatRelativeTime(duplicate.created_at)} as
+            &ldquo;{duplicate.title}&rdquo;
+          </p>
+        )}
+        <input
+          type="text"
+          placeholder="Title"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className={inputClass}
+          required
+          autoFocus
+        />
+        <input
+          type="url"
+          placeholder="https://example.com"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          className={inputClass}
+          required
+        />
+        <textarea
+          placeholder="Notes (optional)"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          className={inputClass}
+          rows={3}
+        />
+        <input
+          type="text"
+          placeholder="Tags, comma separated (optional)"
+          value={tagInput}
+          onChange={(e) => setTagInput(e.target.value)}
+          className={inputClass}
+        />
+        {collectionOptions.length > 0 && (
+          <select
+            value={collectionId}
+            onChange={(e) => setCollectionId(e.target.value)}
+            className={inputClass}
+            aria-label="Collection"
+          >
+            <option value="">No collection</option>
+            {collectionOptions.map(({ collection, depth }) => (
+              <option key={collection.id} value={collection.id}>
+                {`${"\u00a0\u00a0".repeat(depth)}${collection.name}`}
+              </option>
+            ))}
+          </select>
+        )}
+        <div className="flex justify-between items-center pt-1">
+          <span className="text-xs text-gray-400 truncate">{user?.email}</span>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => window.close()}
+              className="px-4 py-1.5 text-sm text-gray-600 hover:text-gray-900 cursor-pointer"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-1.5 text-sm bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? "Saving..." : "Save"}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Shown at /save with no url: how to install the bookmarklet
+function BookmarkletHelp() {
+  const linkRef = useRef(null);
+
+  // React refuses to render javascript: URLs in href, so set it directly
+  useEffect(() => {
+    linkRef.current?.setAttribute(
+      "href",
+      buildBookmarklet(window.location.origin)
+    );
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-3xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900">📌 Save from anywhere</h1>
+          <Link
+            href="/"
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ← Back to bookmarks
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto px-4 py-8 space-y-6 text-sm text-gray-700">
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-3">
+          <h2 className="text-lg font-semibold text-gray-900">Bookmarklet</h2>
+          <p>
+            Drag this button to your browser&apos;s bookmarks bar. Click it on
+            any page to save that page — select some text first to add it to
+            the notes.
+          </p>
+          <a
+            ref={linkRef}
+            onClick={(e) => e.preventDefault()}
+            className="inline-block px-4 py-2 bg-blue-600 text-white font-medium rounded-lg cursor-move"
+          >
+            📑 Save bookmark
+          </a>
+        </section>
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-2">
+          <h2 className="text-lg font-semibold text-gray-900">On your phone</h2>
+          <p>
+            Install the app (&ldquo;Add to Home Screen&rdquo; in your
+            browser&apos;s menu). It then appears in the Share sheet, so you
+            can share a link from any app straight into your bookmarks.
+          </p>
+        </section>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,517 @@
+// SETTINGS PAGE (/settings)
+// The user's account in one place:
+// 1. Profile: a display name and an avatar (uploaded to the public
+//    "avatars" bucket), shown in the dashboard's header
+// 2. Preferences: the theme (light, dark or the device's) and the order
+//    bookmark lists are in when no other sort is picked. Both are saved
+//    in the user's profile, so they follow them to other devices (see
+//    src/lib/profile.js)
+// 3. Links to the other settings pages: sign-in methods, API tokens and
+//    webhooks
+// 4. Sessions: every browser or device signed in to the account, with
+//    "Sign out" for one of them, or everywhere at once
+// 5. Deleting the account and everything in it (/api/account), after
+//    typing the account's email address to confirm
+//
+// This is a Client Component because it uses useState, useEffect, and event handlers.
+
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import {
+  THEMES,
+  AVATAR_BUCKET,
+  AVATAR_MAX_BYTES,
+  AVATAR_TYPES,
+  DISPLAY_NAME_MAX_LENGTH,
+  fetchProfile,
+  avatarUrl,
+  themeCookie,
+  displayName,
+} from "@/lib/profile";
+import { SORT_OPTIONS } from "@/lib/sorting";
+import { clearOfflineData } from "@/lib/offline-store";
+import { formatRelativeTime } from "@/lib/time";
+
+const SETTINGS_LINKS = [
+  {
+    href: "/settings/sign-in",
+    label: "Sign-in methods",
+    description: "Connect or disconnect Google, GitHub and email links",
+  },
+  {
+    href: "/settings/tokens",
+    label: "API tokens",
+    description: "Let scripts and other apps use the REST API",
+  },
+  {
+    href: "/settings/webhooks",
+    label: "Webhooks",
+    description: "Tell other systems (or Slack) when bookmarks change",
+  },
+];
+
+// "Firefox on macOS" from a User-Agent header, roughly
+function describeUserAgent(userAgent) {
+  if (!userAgent) return "Unknown device";
+  const browser =
+    [
+      [/Edg\//, "Edge"],
+      [/OPR\/|Opera/, "Opera"],
+      [/Firefox\//, "Firefox"],
+      [/Chrome\//, "Chrome"],
+      [/Safari\//, "Safari"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] ?? "A browser";
+  const os =
+    [
+      [/Android/, "Android"],
+      [/iPhone|iPad/, "iOS"],
+      [/Mac OS X|Macintosh/, "macOS"],
+      [/Windows/, "Windows"],
+      [/Linux/, "Linux"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1];
+  return os ? `${browser} on ${os}` : browser;
+}
+
+export default function SettingsPage() {
+  const supabase = createClient();
+
+  const [user, setUser] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Profile form
+  const [name, setName] = useState("");
+  const [savingName, setSavingName] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  // Account deletion
+  const [deleteConfirm, setDeleteConfirm] = useState("");
+  const [deleting, setDeleting] = useState(false);
+
+  const loadSessions = async () => {
+    const { data, error } = await supabase.rpc("list_sessions");
+    if (error) {
+      console.error("Failed to fetch sessions:", error.message);
+    } else {
+      setSessions(data || []);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+      setUser(user);
+
+      if (user) {
+        const profile = await fetchProfile(supabase, user.id);
+        setProfile(profile);
+        setName(profile.display_name ?? "");
+        await loadSessions();
+      }
+      setLoading(false);
+    };
+    load();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Save some of the profile's fields (the row is created the first time).
+  // Returns whether it worked.
+  const saveProfile = async (fields) => {
+    const { data, error } = await supabase
+      .from("profiles")
+      .upsert({ user_id: user.id, ...fields })
+      .select("display_name, avatar_path, theme, default_sort")
+      .single();
+
+    if (error) {
+      console.error("Failed to save settings:", error.message);
+      alert("Failed to save settings: " + error.message);
+      return false;
+    }
+    setProfile({ ...data, avatar_url: avatarUrl(supabase, data.avatar_path) });
+    return true;
+  };
+
+  // ───────────────────────────────────────────────
+  // PROFILE
+  // ───────────────────────────────────────────────
+  const saveName = async (e) => {
+    e.preventDefault();
+    setSavingName(true);
+    await saveProfile({ display_name: name.trim() || null });
+    setSavingName(false);
+  };
+
+  const uploadAvatar = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const extension = AVATAR_TYPES[file.type];
+    if (!extension) {
+      alert("Please pick a PNG, JPEG, WebP or GIF image.");
+      return;
+    }
+    if (file.size > AVATAR_MAX_BYTES) {
+      alert("Please pick an image under 1 MB.");
+      return;
+    }
+
+    setUploading(true);
+    // A new name every time, so nobody sees a cached copy of the old one
+    const path = `${user.id}/${crypto.randomUUID()}.${extension}`;
+    const { error } = await supabase.storage
+      .from(AVATAR_BUCKET)
+      .upload(path, file, { contentType: file.type });
+
+    if (error) {
+      setUploading(false);
+      console.error("Failed to upload avatar:", error.message);
+      alert("Failed to upload avatar: " + error.message);
+      return;
+    }
+
+    const oldPath = profile.avatar_path;
+    if (await saveProfile({ avatar_path: path })) {
+      if (oldPath) await supabase.storage.from(AVATAR_BUCKET).remove([oldPath]);
+    } else {
+      await supabase.storage.from(AVATAR_BUCKET).remove([path]);
+    }
+    setUploading(false);
+  };
+
+  const removeAvatar = async () => {
+    const oldPath = profile.avatar_path;
+    if (await saveProfile({ avatar_path: null })) {
+      const { error } = await supabase.storage.from(AVATAR_BUCKET).remove([oldPath]);
+      if (error) console.error("Failed to delete avatar file:", error.message);
+    }
+  };
+
+  // ───────────────────────────────────────────────
+  // PREFERENCES
+  // ───────────────────────────────────────────────
+  const changeTheme = async (theme) => {
+    // Switch straight away, and for the next page the server renders
+    document.documentElement.dataset.theme = theme;
+    document.cookie = themeCookie(theme);
+    await saveProfile({ theme });
+  };
+
+  const changeDefaultSort = async (sort) => {
+    await saveProfile({ default_sort: sort === "newest" ? null : sort });
+  };
+
+  // ───────────────────────────────────────────────
+  // SESSIONS
+  // ───────────────────────────────────────────────
+  const endSession = async (session) => {
+    const { error } = await supabase.rpc("end_session", { session_id: session.id });
+
+    if (error) {
+      console.error("Failed to sign out session:", error.message);
+      alert("Failed to sign out that session: " + error.message);
+      return;
+    }
+    setSessions((prev) => prev.filter((s) => s.id !== session.id));
+  };
+
+  const signOutEverywhere = async () => {
+    if (
+      !confirm(
+        "Sign out on every device, including this one? Changes made offline and not synced yet will be lost."
+      )
+    ) {
+      return;
+    }
+
+    const { error } = await supabase.auth.signOut({ scope: "global" });
+    if (error) {
+      console.error("Failed to sign out everywhere:", error.message);
+      alert("Failed to sign out everywhere: " + error.message);
+      return;
+    }
+    await clearOfflineData();
+    window.location.href = "/login";
+  };
+
+  // ───────────────────────────────────────────────
+  // ACCOUNT DELETION
+  // ───────────────────────────────────────────────
+  const deleteAccount = async (e) => {
+    e.preventDefault();
+    if (
+      !confirm(
+        "Delete your account for good? Your bookmarks, collections, tags, snapshots and everything else will be gone — including the bookmarks and collections you added to shared workspaces, which their other members will lose too. This can't be undone."
+      )
+    ) {
+      return;
+    }
+
+    setDeleting(true);
+    let result;
+    try {
+      const res = await fetch("/api/account", {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ confirm: deleteConfirm }),
+      });
+      result = await res.json();
+      if (!res.ok) throw new Error(result.error);
+    } catch (err) {
+      setDeleting(false);
+      console.error("Failed to delete account:", err.message);
+      alert("Failed to delete account: " + err.message);
+      return;
+    }
+
+    await clearOfflineData();
+    window.location.href = "/login";
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-500">Loading...</p>
+      </div>
+    );
+  }
+
+  const inputClass =
+    "w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+  const shownName = displayName(profile, user);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900">⚙️ Settings</h1>
+          <Link
+            href="/"
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ← Back to bookmarks
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-8">
+        {/* ── PROFILE ── */}
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Profile</h2>
+          <div className="flex items-center gap-4 mb-4">
+            {profile.avatar_url ? (
+              // eslint-disable-next-line @next/next/no-img-element -- avatars come from Supabase Storage
+              <img
+                src={profile.avatar_url}
+                alt=""
+                className="w-16 h-16 rounded-full object-cover border border-gray-200"
+              />
+            ) : (
+              <div className="w-16 h-16 rounded-full bg-blue-100 text-blue-700 flex items-center justify-center text-2xl font-semibold">
+                {shownName.charAt(0).toUpperCase()}
+              </div>
+            )}
+            <div className="space-y-1 text-sm">
+              <label className="text-blue-600 hover:text-blue-800 cursor-pointer font-medium">
+                {uploading ? "Uploading..." : "Upload a picture"}
+                <input
+                  type="file"
+                  accept={Object.keys(AVATAR_TYPES).join(",")}
+                  onChange={uploadAvatar}
+                  disabled={uploading}
+                  className="hidden"
+                />
+              </label>
+              {profile.avatar_path && (
+                <button
+                  onClick={removeAvatar}
+                  className="block text-gray-500 hover:text-red-600 cursor-pointer"
+                >
+                  Remove picture
+                </button>
+              )}
+              <p className="text-xs text-gray-400">PNG, JPEG, WebP or GIF, up to 1 MB</p>
+            </div>
+          </div>
+          <form onSubmit={saveName} className="flex gap-2">
+            <input
+              type="text"
+              placeholder={user?.email ?? "Display name"}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={DISPLAY_NAME_MAX_LENGTH}
+              className={inputClass}
+              aria-label="Display name"
+            />
+            <button
+              type="submit"
+              disabled={savingName || name.trim() === (profile.display_name ?? "")}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
+            >
+              {savingName ? "Saving..." : "Save"}
+            </button>
+          </form>
+          <p className="text-xs text-gray-400 mt-2">
+            Signed in as {user?.email}. Leave the name empty to show your email
+            address instead.
+          </p>
+        </section>
+
+        {/* ── PREFERENCES ── */}
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Preferences</h2>
+          <label className="block text-sm text-gray-700">
+            Theme
+            <select
+              value={profile.theme}
+              onChange={(e) => changeTheme(e.target.value)}
+              className={`${inputClass} mt-1`}
+            >
+              {Object.entries(THEMES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-sm text-gray-700">
+            Sort bookmarks by default
+            <select
+              value={profile.default_sort ?? "newest"}
+              onChange={(e) => changeDefaultSort(e.target.value)}
+              className={`${inputClass} mt-1`}
+            >
+              {Object.entries(SORT_OPTIONS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <span className="block text-xs text-gray-400 mt-1">
+              Collections keep their manual order, and the reading list its
+              own; picking a sort above the list still overrides this.
+            </span>
+          </label>
+        </section>
+
+        {/* ── MORE SETTINGS ── */}
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+          {SETTINGS_LINKS.map((link) => (
+            <Link
+              key={link.href}
+              href={link.href}
+              className="flex items-center justify-between px-6 py-4 hover:bg-gray-50"
+            >
+              <span>
+                <span className="block font-medium text-gray-900">{link.label}</span>
+                <span className="block text-sm text-gray-500">{link.description}</span>
+              </span>
+              <span className="text-gray-400">→</span>
+            </Link>
+          ))}
+        </section>
+
+        {/* ── SESSIONS ── */}
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Sessions</h2>
+            <button
+              onClick={signOutEverywhere}
+              className="text-sm text-red-600 hover:text-red-800 font-medium cursor-pointer"
+            >
+              Sign out everywhere
+            </button>
+          </div>
+          {sessions.length === 0 ? (
+            <p className="text-sm text-gray-400">No sessions found</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {sessions.map((session) => (
+                <li
+                  key={session.id}
+                  className="py-3 flex items-center justify-between gap-4 text-sm"
+                >
+                  <div className="min-w-0">
+                    <p className="text-gray-900">
+                      {describeUserAgent(session.user_agent)}
+                      {session.current && (
+                        <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-800">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      {session.ip && `${session.ip} · `}
+                      signed in {formatRelativeTime(session.created_at)} · last
+                      active {formatRelativeTime(session.last_active_at)}
+                    </p>
+                  </div>
+                  {!session.current && (
+                    <button
+                      onClick={() => endSession(session)}
+                      className="text-gray-600 hover:text-red-600 cursor-pointer flex-shrink-0"
+                    >
+                      Sign out
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className="text-xs text-gray-400 mt-3">
+            A signed-out session can still be used for up to an hour, until its
+            current access token expires.
+          </p>
+        </section>
+
+        {/* ── DELETE ACCOUNT ── */}
+        <section className="bg-white rounded-xl shadow-sm border border-red-200 p-6">
+          <h2 className="text-lg font-semibold text-red-700 mb-2">Delete account</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            This deletes your account and everything in it: bookmarks, tags,
+            collections, smart views, page snapshots, share links, API tokens
+            and webhooks. That includes the bookmarks and collections you
+            added to shared workspaces: they&apos;re deleted for everyone in
+            them. Workspaces you own are handed to the member who joined
+            first, or deleted if you&apos;re the only one left. You may
+            want to{" "}
+            <a
+              href="/api/export?format=html"
+              className="text-blue-600 hover:text-blue-800"
+            >
+              export your bookmarks
+            </a>{" "}
+            first.
+          </p>
+          <form onSubmit={deleteAccount} className="flex gap-2">
+            <input
+              type="email"
+              placeholder={`Type ${user?.email} to confirm`}
+              value={deleteConfirm}
+              onChange={(e) => setDeleteConfirm(e.target.value)}
+              className={inputClass}
+              aria-label="Your email address"
+            />
+            <button
+              type="submit"
+              disabled={
+                deleting ||
+                deleteConfirm.trim().toLowerCase() !== user?.email?.toLowerCase()
+              }
+              className="px-4 py-2 bg-red-600 text-white font-medium rounded-lg hover:bg-red-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed flex-shrink-0"
+            >
+              {deleting ? "Deleting..." : "Delete my account"}
+            </button>
+          </form>
+        </section>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+// SIGN-IN METHODS PAGE (/settings/sign-in)
+// Lists the ways the signed-in user can get into their account (their
+// Supabase "identities": Google, GitHub, email link) and lets them:
+// - connect another provider (linkIdentity): the provider's login page
+//   opens, and /auth/callback brings them back here
+// - disconnect one (unlinkIdentity), as long as another one is left
+//
+// Signing in with a provider that uses the same verified email address
+// connects it automatically; this page is for the ones that don't (e.g. a
+// GitHub account under a different address). Connecting by hand needs
+// "Manual linking" enabled in Supabase (see the README).
+//
+// Errors from the callback come back as ?error=auth&reason=... (see
+// AUTH_ERROR_REASONS in src/lib/auth-providers.js)
+//
+// This is a Client Component because it uses useState, useEffect, and event handlers.
+
+"use client";
+
+import { use, useState, useEffect } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import {
+  OAUTH_PROVIDERS,
+  PROVIDER_LABELS,
+  AUTH_ERROR_MESSAGES,
+  authErrorDetail,
+  authCallbackUrl,
+} from "@/lib/auth-providers";
+import { formatRelativeTime } from "@/lib/time";
+import ProviderIcon from "@/components/ProviderIcon";
+
+const PAGE_PATH = "/settings/sign-in";
+
+export default function SignInMethodsPage({ searchParams }) {
+  const params = use(searchParams);
+  const supabase = createClient();
+
+  const [user, setUser] = useState(null);
+  const [identities, setIdentities] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null); // provider being connected / disconnected
+
+  // The callback's error (if any) until the user does something else
+  const [errorMessage, setErrorMessage] = useState(() =>
+    params.error === "auth"
+      ? authErrorDetail(params.reason) || AUTH_ERROR_MESSAGES.auth
+      : null
+  );
+
+  useEffect(() => {
+    const loadIdentities = async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+      setUser(user);
+
+      if (user) {
+        const { data, error } = await supabase.auth.getUserIdentities();
+        if (error) {
+          console.error("Failed to fetch sign-in methods:", error.message);
+        } else {
+          setIdentities(data.identities || []);
+        }
+      }
+      setLoading(false);
+    };
+    loadIdentities();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const connect = async (provider) => {
+    setBusy(provider);
+    setErrorMessage(null);
+
+    // Redirects to the provider; on success we're back here with the new
+    // identity in the list
+    const { error } = await supabase.auth.linkIdentity({
+      provider,
+      options: { redirectTo: authCallbackUrl(PAGE_PATH) },
+    });
+
+    if (error) {
+      console.error("Failed to connect sign-in method:", error.message);
+      setErrorMessage(error.message);
+      setBusy(null);
+    }
+  };
+
+  const disconnect = async (identity) => {
+    const label = PROVIDER_LABELS[identity.provider] || identity.provider;
+    if (!confirm(`Disconnect ${label}? You won't be able to sign in with it any more.`)) {
+      return;
+    }
+
+    setBusy(identity.provider);
+    setErrorMessage(null);
+    const { error } = await supabase.auth.unlinkIdentity(identity);
+    setBusy(null);
+
+    if (error) {
+      console.error("Failed to disconnect sign-in method:", error.message);
+      alert("Failed to disconnect sign-in method: " + error.message);
+      return;
+    }
+    setIdentities((prev) =>
+      prev.filter((i) => i.identity_id !== identity.identity_id)
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-500">Loading...</p>
+      </div>
+    );
+  }
+
+  const connected = new Set(identities.map((i) => i.provider));
+  const available = OAUTH_PROVIDERS.filter((p) => !connected.has(p.id));
+  // Supabase refuses to remove the last identity (there'd be no way back in)
+  const canDisconnect = identities.length > 1;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900">🔐 Sign-in Methods</h1>
+          <Link
+            href="/"
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ← Back to bookmarks
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-8">
+        {errorMessage && (
+          <div
+            role="alert"
+            className="p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700"
+          >
+            {errorMessage}
+          </div>
+        )}
+
+        {/* ── CONNECTED ── */}
+        <section>
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">
+            Connected
+          </h2>
+          <p className="text-sm text-gray-500 mb-3">
+            Any of these signs you in to this account ({user?.email}).
+          </p>
+          <ul className="space-y-3">
+            {identities.map((identity) => (
+              <li
+                key={identity.identity_id}
+                className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 flex items-center justify-between gap-4"
+              >
+                <div className="flex items-center gap-3 min-w-0">
+                  <ProviderIcon provider={identity.provider} />
+                  <div className="min-w-0">
+                    <h3 className="font-medium text-gray-900">
+                      {PROVIDER_LABELS[identity.provider] || identity.provider}
+                    </h3>
+                    <p className="text-xs text-gray-400 mt-1 truncate">
+                      {identity.identity_data?.email || "No email"}
+                      {identity.last_sign_in_at &&
+                        ` · last used ${formatRelativeTime(identity.last_sign_in_at)}`}
+                    </p>
+                  </div>
+                </div>
+                {canDisconnect && (
+                  <button
+                    onClick={() => disconnect(identity)}
+                    disabled={busy !== null}
+                    className="text-sm text-red-600 hover:text-red-800 cursor-pointer flex-shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {busy === identity.provider ? "Disconnecting..." : "Disconnect"}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        {/* ── CONNECT ANOTHER ── */}
+        {available.length > 0 && (
+          <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">
+              Connect another
+            </h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Useful when that account uses a different email address —
+              ones with the same address are connected the first time you
+              sign in with them.
+            </p>
+            <div className="flex flex-wrap gap-3">
+              {available.map((provider) => (
+                <button
+                  key={provider.id}
+                  onClick={() => connect(provider.id)}
+                  disabled={busy !== null}
+                  className="flex items-center gap-2 bg-white border-2 border-gray-200 rounded-xl px-4 py-2 text-gray-700 font-medium hover:bg-gray-50 hover:border-gray-300 transition-all cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <ProviderIcon provider={provider.id} />
+                  {busy === provider.id ? "Redirecting..." : `Connect ${provider.label}`}
+                </button>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {!connected.has("email") && user?.email && (
+          <p className="text-sm text-gray-500">
+            You can also sign in with an email link sent to{" "}
+            <strong>{user.email}</strong> — pick &quot;Email me a sign-in
+            link&quot; on the login page.
+          </p>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,351 @@
+// API TOKENS PAGE (/settings/tokens)
+// Personal access tokens let scripts and other apps use the REST API
+// (/api/v1/bookmarks) on the user's behalf:
+// - create a token with a name, scopes (read and/or write) and an expiry
+// - see when each token was last used
+// - revoke a token, which deletes it so requests using it fail at once
+//
+// The token is generated here in the browser and only its hash is saved,
+// so it's shown exactly once, right after it's created.
+//
+// This is a Client Component because it uses useState, useEffect, and event handlers.
+
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import {
+  API_SCOPES,
+  TOKEN_EXPIRY_OPTIONS,
+  generateApiToken,
+  hashApiToken,
+  tokenDisplayPrefix,
+  RATE_LIMIT,
+  RATE_LIMIT_WINDOW_SECONDS,
+} from "@/lib/api-tokens";
+import { formatRelativeTime } from "@/lib/time";
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+export default function ApiTokensPage() {
+  const supabase = createClient();
+
+  const [user, setUser] = useState(null);
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // New token form
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState(["read"]);
+  const [expiry, setExpiry] = useState(0); // index into TOKEN_EXPIRY_OPTIONS
+  const [creating, setCreating] = useState(false);
+
+  // The token we just created — the only time it's ever visible
+  const [newToken, setNewToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const loadTokens = async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+      setUser(user);
+
+      if (user) {
+        // Never select token_hash: the page has no use for it
+        const { data, error } = await supabase
+          .from("api_tokens")
+          .select("id, name, token_prefix, scopes, expires_at, last_used_at, created_at")
+          .eq("user_id", user.id)
+          .order("created_at", { ascending: false });
+
+        if (error) {
+          console.error("Failed to fetch API tokens:", error.message);
+        } else {
+          setTokens(data || []);
+        }
+      }
+      setLoading(false);
+    };
+    loadTokens();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const toggleScope = (scope) => {
+    setScopes((prev) =>
+      prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]
+    );
+  };
+
+  const createToken = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || scopes.length === 0) return;
+
+    setCreating(true);
+    const token = generateApiToken();
+    const { days } = TOKEN_EXPIRY_OPTIONS[expiry];
+    const expiresAt = days
+      ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const { data, error } = await supabase
+      .from("api_tokens")
+      .insert({
+        name: name.trim(),
+        token_hash: await hashApiToken(token),
+        token_prefix: tokenDisplayPrefix(token),
+        // Keep the order stable ("read", "write") whatever order they were ticked in
+        scopes: Object.keys(API_SCOPES).filter((s) => scopes.includes(s)),
+        expires_at: expiresAt,
+        user_id: user.id,
+      })
+      .select("id, name, token_prefix, scopes, expires_at, last_used_at, created_at")
+      .single();
+    setCreating(false);
+
+    if (error) {
+      console.error("Failed to create API token:", error.message);
+      alert("Failed to create API token: " + error.message);
+      return;
+    }
+
+    setTokens((prev) => [data, ...prev]);
+    setNewToken(token);
+    setCopied(false);
+    setName("");
+    setScopes(["read"]);
+    setExpiry(0);
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error("Failed to copy token:", err.message);
+    }
+  };
+
+  const revokeToken = async (token) => {
+    if (!confirm(`Revoke "${token.name}"? Anything using it will stop working.`)) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from("api_tokens")
+      .delete()
+      .eq("id", token.id);
+
+    if (error) {
+      console.error("Failed to revoke API token:", error.message);
+      alert("Failed to revoke API token: " + error.message);
+      return;
+    }
+    setTokens((prev) => prev.filter((t) => t.id !== token.id));
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-500">Loading...</p>
+      </div>
+    );
+  }
+
+  const inputClass =
+    "w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+  const apiUrl =
+    typeof window === "undefined"
+      ? "/api/v1/bookmarks"
+      : `${window.location.origin}/api/v1/bookmarks`;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900">🔑 API Tokens</h1>
+          <Link
+            href="/"
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ← Back to bookmarks
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-8">
+        {/* ── NEW TOKEN ── */}
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            Create a token
+          </h2>
+
+          {newToken && (
+            <div className="mb-4 p-4 rounded-lg bg-green-50 border border-green-200 space-y-2">
+              <p className="text-sm text-green-800 font-medium">
+                Copy your new token now — you won&apos;t be able to see it again.
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newToken}
+                  readOnly
+                  onFocus={(e) => e.target.select()}
+                  className={`${inputClass} text-sm font-mono bg-white`}
+                  aria-label="New API token"
+                />
+                <button
+                  type="button"
+                  onClick={copyToken}
+                  className="px-4 py-2 text-sm bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer flex-shrink-0"
+                >
+                  {copied ? "Copied!" : "Copy"}
+                </button>
+              </div>
+            </div>
+          )}
+
+          <form onSubmit={createToken} className="space-y-3">
+            <input
+              type="text"
+              placeholder="Name (e.g. Reading list script)"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className={inputClass}
+              required
+            />
+            <fieldset className="space-y-1">
+              <legend className="text-sm font-medium text-gray-700 mb-1">
+                Scopes
+              </legend>
+              {Object.entries(API_SCOPES).map(([scope, description]) => (
+                <label
+                  key={scope}
+                  className="flex items-center gap-2 text-sm text-gray-700"
+                >
+                  <input
+                    type="checkbox"
+                    checked={scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                  />
+                  <span className="font-mono">{scope}</span>
+                  <span className="text-gray-400">— {description}</span>
+                </label>
+              ))}
+            </fieldset>
+            <select
+              value={expiry}
+              onChange={(e) => setExpiry(Number(e.target.value))}
+              className={inputClass}
+              aria-label="Expiry"
+            >
+              {TOKEN_EXPIRY_OPTIONS.map((option, i) => (
+                <option key={option.label} value={i}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={creating || scopes.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {creating ? "Creating..." : "Create token"}
+            </button>
+          </form>
+        </section>
+
+        {/* ── TOKENS ── */}
+        <section>
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">
+            Your tokens
+          </h2>
+          {tokens.length === 0 ? (
+            <p className="text-gray-400 text-sm">No tokens yet</p>
+          ) : (
+            <ul className="space-y-3">
+              {tokens.map((token) => {
+                const expired =
+                  token.expires_at && new Date(token.expires_at) < new Date();
+
+                return (
+                  <li
+                    key={token.id}
+                    className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 flex items-center justify-between gap-4"
+                  >
+                    <div className="min-w-0">
+                      <h3 className="font-medium text-gray-900 truncate">
+                        {token.name}{" "}
+                        <span className="font-mono text-xs text-gray-400">
+                          {token.token_prefix}…
+                        </span>
+                      </h3>
+                      <p className="text-xs text-gray-400 mt-1">
+                        {token.scopes.join(" + ")} · created{" "}
+                        {formatDate(token.created_at)} ·{" "}
+                        {token.last_used_at
+                          ? `last used ${formatRelativeTime(token.last_used_at)}`
+                          : "never used"}{" "}
+                        ·{" "}
+                        {expired ? (
+                          <span className="text-red-600">expired</span>
+                        ) : token.expires_at ? (
+                          `expires ${formatDate(token.expires_at)}`
+                        ) : (
+                          "never expires"
+                        )}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => revokeToken(token)}
+                      className="text-sm text-red-600 hover:text-red-800 cursor-pointer flex-shrink-0"
+                    >
+                      {expired ? "Delete" : "Revoke"}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </section>
+
+        {/* ── USAGE ── */}
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 text-sm text-gray-700 space-y-3">
+          <h2 className="text-lg font-semibold text-gray-900">Using the API</h2>
+          <p>
+            Send the token in an <code>Authorization</code> header. Each token
+            can make {RATE_LIMIT} requests every {RATE_LIMIT_WINDOW_SECONDS}{" "}
+            seconds; the <code>X-RateLimit-Remaining</code> header shows how
+            many are left.
+          </p>
+          <pre className="bg-gray-900 text-gray-100 rounded-lg p-3 overflow-x-auto text-xs">
+            {`# List bookmarks tagged "react" (read scope)
+curl -H "Authorization: Bearer sbk_..." \\
+  "${apiUrl}?tag=react&limit=50"
+
+# Save a bookmark (write scope)
+curl -X POST -H "Authorization: Bearer sbk_..." \\
+  -H "Content-Type: application/json" \\
+  -d '{"url": "https://example.com", "tags": ["reading"]}' \\
+  "${apiUrl}"`}
+          </pre>
+          <p>
+            Endpoints: <code>GET</code> and <code>POST /api/v1/bookmarks</code>,{" "}
+            <code>GET</code>, <code>PATCH</code> and{" "}
+            <code>DELETE /api/v1/bookmarks/&lt;id&gt;</code>. Errors always
+            look like{" "}
+            <code>{`{"error": {"code": "...", "message": "..."}}`}</code>.
+          </p>
+        </section>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,524 @@
+// WEBHOOKS PAGE (/settings/webhooks)
+// Webhooks tell other systems when bookmarks change: the server POSTs
+// each event to the user's endpoint, signed with the webhook's secret
+// (see src/lib/webhooks.js), or posts a message to a Slack channel.
+// - add a webhook: name, URL, format (JSON or Slack), which events, and
+//   which space (private bookmarks or a shared workspace)
+// - copy its signing secret, send a test event, pause, resume or delete it
+// - the delivery log: recent deliveries with their status, attempts and
+//   the endpoint's answer; failed ones can be retried
+//
+// This is a Client Component because it uses useState, useEffect, and event handlers.
+
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_FORMATS,
+  MAX_ATTEMPTS,
+  sendQueuedWebhooks,
+} from "@/lib/webhooks";
+import { formatRelativeTime } from "@/lib/time";
+
+// Deliveries shown in the log
+const LOG_LIMIT = 50;
+
+const DELIVERY_STATUS_STYLES = {
+  pending: "bg-amber-100 text-amber-800",
+  delivered: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-700",
+};
+
+export default function WebhooksPage() {
+  const supabase = createClient();
+
+  const [user, setUser] = useState(null);
+  const [webhooks, setWebhooks] = useState([]);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // New webhook form
+  const [name, setName] = useState("");
+  const [url, setUrl] = useState("");
+  const [format, setFormat] = useState("json");
+  const [events, setEvents] = useState(Object.keys(WEBHOOK_EVENTS));
+  const [workspaceId, setWorkspaceId] = useState("");
+  const [creating, setCreating] = useState(false);
+
+  // Webhook ids whose secret is shown, and the outcome of the last test
+  // per webhook ({ ok, status, error }, or "sending")
+  const [revealed, setRevealed] = useState([]);
+  const [tests, setTests] = useState({});
+
+  const loadDeliveries = async () => {
+    const { data, error } = await supabase
+      .from("webhook_deliveries")
+      .select(
+        "id, webhook_id, event, status, attempts, next_attempt_at, response_status, last_error, created_at, delivered_at"
+      )
+      .order("created_at", { ascending: false })
+      .limit(LOG_LIMIT);
+
+    if (error) {
+      console.error("Failed to fetch webhook deliveries:", error.message);
+    } else {
+      setDeliveries(data || []);
+    }
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+      setUser(user);
+
+      if (user) {
+        const [hooks, memberships] = await Promise.all([
+          supabase
+            .from("webhooks")
+            .select("*")
+            .eq("user_id", user.id)
+            .order("created_at", { ascending: false }),
+          supabase
+            .from("workspace_members")
+            .select("workspaces(id, name)")
+            .eq("user_id", user.id),
+        ]);
+
+        if (hooks.error) {
+          console.error("Failed to fetch webhooks:", hooks.error.message);
+        } else {
+          setWebhooks(hooks.data || []);
+        }
+        if (memberships.error) {
+          console.error("Failed to fetch workspaces:", memberships.error.message);
+        } else {
+          setWorkspaces(
+            (memberships.data || [])
+              .map((m) => m.workspaces)
+              .filter(Boolean)
+              .sort((a, b) => a.name.localeCompare(b.name))
+          );
+        }
+        await loadDeliveries();
+      }
+      setLoading(false);
+    };
+    load();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const toggleEvent = (event) => {
+    setEvents((prev) =>
+      prev.includes(event) ? prev.filter((e) => e !== event) : [...prev, event]
+    );
+  };
+
+  const createWebhook = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || !url.trim() || events.length === 0) return;
+
+    setCreating(true);
+    const { data, error } = await supabase
+      .from("webhooks")
+      .insert({
+        name: name.trim(),
+        url: url.trim(),
+        format,
+        // Keep the order stable whatever order they were ticked in
+        events: Object.keys(WEBHOOK_EVENTS).filter((ev) => events.includes(ev)),
+        workspace_id: workspaceId || null,
+        user_id: user.id,
+      })
+      .select()
+      .single();
+    setCreating(false);
+
+    if (error) {
+      console.error("Failed to create webhook:", error.message);
+      alert("Failed to create webhook: " + error.message);
+      return;
+    }
+
+    setWebhooks((prev) => [data, ...prev]);
+    setRevealed((prev) => [...prev, data.id]);
+    setName("");
+    setUrl("");
+    setFormat("json");
+    setEvents(Object.keys(WEBHOOK_EVENTS));
+    setWorkspaceId("");
+  };
+
+  const setActive = async (webhook, active) => {
+    const { data, error } = await supabase
+      .from("webhooks")
+      .update({ active })
+      .eq("id", webhook.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Failed to update webhook:", error.message);
+      alert("Failed to update webhook: " + error.message);
+      return;
+    }
+    setWebhooks((prev) => prev.map((w) => (w.id === data.id ? data : w)));
+  };
+
+  const deleteWebhook = async (webhook) => {
+    if (!confirm(`Delete the webhook "${webhook.name}" and its delivery log?`)) {
+      return;
+    }
+
+    const { error } = await supabase.from("webhooks").delete().eq("id", webhook.id);
+
+    if (error) {
+      console.error("Failed to delete webhook:", error.message);
+      alert("Failed to delete webhook: " + error.message);
+      return;
+    }
+    setWebhooks((prev) => prev.filter((w) => w.id !== webhook.id));
+    setDeliveries((prev) => prev.filter((d) => d.webhook_id !== webhook.id));
+  };
+
+  const sendTest = async (webhook) => {
+    setTests((prev) => ({ ...prev, [webhook.id]: "sending" }));
+    let result;
+    try {
+      const res = await fetch(`/api/webhooks/${webhook.id}/test`, { method: "POST" });
+      result = await res.json();
+      if (!res.ok) result = { ok: false, status: null, error: result.error };
+    } catch (err) {
+      console.error("Failed to send test webhook:", err.message);
+      result = { ok: false, status: null, error: "Couldn't reach the server" };
+    }
+    setTests((prev) => ({ ...prev, [webhook.id]: result }));
+    await loadDeliveries();
+  };
+
+  const retryDelivery = async (delivery) => {
+    const { error } = await supabase.rpc("retry_webhook_delivery", {
+      delivery_id: delivery.id,
+    });
+
+    if (error) {
+      console.error("Failed to retry delivery:", error.message);
+      alert("Failed to retry delivery: " + error.message);
+      return;
+    }
+    sendQueuedWebhooks();
+    await loadDeliveries();
+  };
+
+  const copySecret = async (secret) => {
+    try {
+      await navigator.clipboard.writeText(secret);
+    } catch (err) {
+      console.error("Failed to copy secret:", err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-500">Loading...</p>
+      </div>
+    );
+  }
+
+  const inputClass =
+    "w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+  const webhooksById = Object.fromEntries(webhooks.map((w) => [w.id, w]));
+  const workspacesById = Object.fromEntries(workspaces.map((w) => [w.id, w]));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900">🪝 Webhooks</h1>
+          <Link
+            href="/"
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ← Back to bookmarks
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-8">
+        {/* ── NEW WEBHOOK ── */}
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            Add a webhook
+          </h2>
+          <form onSubmit={createWebhook} className="space-y-3">
+            <input
+              type="text"
+              placeholder="Name (e.g. #links channel)"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className={inputClass}
+              required
+            />
+            <input
+              type="url"
+              placeholder="https://example.com/hooks/bookmarks"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              className={inputClass}
+              required
+            />
+            <div className="grid sm:grid-cols-2 gap-3">
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                className={inputClass}
+                aria-label="Format"
+              >
+                {Object.entries(WEBHOOK_FORMATS).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={workspaceId}
+                onChange={(e) => setWorkspaceId(e.target.value)}
+                className={inputClass}
+                aria-label="Space"
+              >
+                <option value="">My private bookmarks</option>
+                {workspaces.map((workspace) => (
+                  <option key={workspace.id} value={workspace.id}>
+                    Workspace: {workspace.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <fieldset className="space-y-1">
+              <legend className="text-sm font-medium text-gray-700 mb-1">
+                Events
+              </legend>
+              {Object.entries(WEBHOOK_EVENTS).map(([event, description]) => (
+                <label
+                  key={event}
+                  className="flex items-center gap-2 text-sm text-gray-700"
+                >
+                  <input
+                    type="checkbox"
+                    checked={events.includes(event)}
+                    onChange={() => toggleEvent(event)}
+                  />
+                  <span className="font-mono">{event}</span>
+                  <span className="text-gray-400">— {description}</span>
+                </label>
+              ))}
+            </fieldset>
+            <button
+              type="submit"
+              disabled={creating || events.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {creating ? "Adding..." : "Add webhook"}
+            </button>
+          </form>
+        </section>
+
+        {/* ── WEBHOOKS ── */}
+        <section>
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">
+            Your webhooks
+          </h2>
+          {webhooks.length === 0 ? (
+            <p className="text-gray-400 text-sm">No webhooks yet</p>
+          ) : (
+            <ul className="space-y-3">
+              {webhooks.map((webhook) => {
+                const test = tests[webhook.id];
+                const space = webhook.workspace_id
+                  ? workspacesById[webhook.workspace_id]?.name ?? "a workspace you left"
+                  : "private bookmarks";
+
+                return (
+                  <li
+                    key={webhook.id}
+                    className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 space-y-2"
+                  >
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="min-w-0">
+                        <h3 className="font-medium text-gray-900 truncate">
+                          {webhook.name}{" "}
+                          {!webhook.active && (
+                            <span className="text-xs font-normal px-2 py-0.5 rounded-full bg-gray-100 text-gray-500">
+                              Paused
+                            </span>
+                          )}
+                        </h3>
+                        <p className="text-sm text-gray-500 truncate font-mono">
+                          {webhook.url}
+                        </p>
+                        <p className="text-xs text-gray-400 mt-1">
+                          {webhook.format === "slack" ? "Slack" : "JSON"} · {space} ·{" "}
+                          {webhook.events.join(", ")}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-3 text-sm flex-shrink-0">
+                        <button
+                          onClick={() => sendTest(webhook)}
+                          disabled={test === "sending"}
+                          className="text-blue-600 hover:text-blue-800 cursor-pointer disabled:opacity-50"
+                        >
+                          {test === "sending" ? "Sending..." : "Send test"}
+                        </button>
+                        <button
+                          onClick={() => setActive(webhook, !webhook.active)}
+                          className="text-gray-600 hover:text-gray-900 cursor-pointer"
+                        >
+                          {webhook.active ? "Pause" : "Resume"}
+                        </button>
+                        <button
+                          onClick={() => deleteWebhook(webhook)}
+                          className="text-red-600 hover:text-red-800 cursor-pointer"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+
+                    {test && test !== "sending" && (
+                      <p
+                        className={`text-xs ${test.ok ? "text-green-700" : "text-red-600"}`}
+                      >
+                        {test.ok
+                          ? `Test delivered (HTTP ${test.status})`
+                          : `Test failed: ${test.error}`}
+                      </p>
+                    )}
+
+                    {webhook.format === "json" && (
+                      <div className="flex items-center gap-2 text-xs text-gray-500">
+                        <span>Signing secret:</span>
+                        {revealed.includes(webhook.id) ? (
+                          <>
+                            <code className="font-mono bg-gray-100 rounded px-1 truncate">
+                              {webhook.secret}
+                            </code>
+                            <button
+                              onClick={() => copySecret(webhook.secret)}
+                              className="text-blue-600 hover:text-blue-800 cursor-pointer"
+                            >
+                              Copy
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            onClick={() => setRevealed((prev) => [...prev, webhook.id])}
+                            className="text-blue-600 hover:text-blue-800 cursor-pointer"
+                          >
+                            Show
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </section>
+
+        {/* ── DELIVERY LOG ── */}
+        <section>
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-semibold text-gray-900">Recent deliveries</h2>
+            <button
+              onClick={loadDeliveries}
+              className="text-sm text-gray-600 hover:text-gray-900 cursor-pointer"
+            >
+              Refresh
+            </button>
+          </div>
+          {deliveries.length === 0 ? (
+            <p className="text-gray-400 text-sm">Nothing sent yet</p>
+          ) : (
+            <ul className="bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+              {deliveries.map((delivery) => (
+                <li key={delivery.id} className="px-4 py-3 text-sm flex items-start gap-3">
+                  <span
+                    className={`text-xs px-2 py-0.5 rounded-full flex-shrink-0 ${DELIVERY_STATUS_STYLES[delivery.status]}`}
+                  >
+                    {delivery.status}
+                  </span>
+                  <div className="min-w-0 flex-1">
+                    <p className="text-gray-900">
+                      <span className="font-mono">{delivery.event}</span>
+                      <span className="text-gray-400">
+                        {" "}
+                        → {webhooksById[delivery.webhook_id]?.name ?? "deleted webhook"}
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-400 mt-0.5">
+                      {formatRelativeTime(delivery.created_at)} · attempt{" "}
+                      {delivery.attempts} of {MAX_ATTEMPTS}
+                      {delivery.response_status && ` · HTTP ${delivery.response_status}`}
+                      {delivery.status === "pending" &&
+                        delivery.attempts > 0 &&
+                        ` · next try ${formatRelativeTime(delivery.next_attempt_at)}`}
+                    </p>
+                    {delivery.last_error && delivery.status !== "delivered" && (
+                      <p className="text-xs text-red-600 mt-0.5 break-all">
+                        {delivery.last_error}
+                      </p>
+                    )}
+                  </div>
+                  {delivery.status === "failed" && (
+                    <button
+                      onClick={() => retryDelivery(delivery)}
+                      className="text-sm text-blue-600 hover:text-blue-800 cursor-pointer flex-shrink-0"
+                    >
+                      Retry
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        {/* ── VERIFYING ── */}
+        <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 text-sm text-gray-700 space-y-3">
+          <h2 className="text-lg font-semibold text-gray-900">Receiving webhooks</h2>
+          <p>
+            Each event is a <code>POST</code> with a JSON body. Failed
+            deliveries (no answer, or anything but a 2xx status) are retried
+            with growing gaps, up to {MAX_ATTEMPTS} attempts. To check a
+            delivery came from us, compute an HMAC-SHA256 of{" "}
+            <code>{"<X-Webhook-Timestamp>.<raw body>"}</code> with the
+            signing secret and compare it with{" "}
+            <code>X-Webhook-Signature</code>:
+          </p>
+          <pre className="bg-gray-900 text-gray-100 rounded-lg p-3 overflow-x-auto text-xs">
+            {`X-Webhook-Event: bookmark.created
+X-Webhook-Id: 6f1c…            (the same on every retry)
+X-Webhook-Timestamp: 1767225600
+X-Webhook-Signature: v1=5d41402abc4b2a76b9719d911017c592…
+
+{"id": "6f1c…", "event": "bookmark.created", "occurred_at": "…",
+ "actor": {"id": "…", "email": "…"}, "workspace": null,
+ "bookmark": {"id": "…", "url": "…", "title": "…", …}}`}
+          </pre>
+          <p>
+            For Slack, create an incoming webhook for your channel and paste
+            its URL with the Slack format; new bookmarks are posted as
+            messages.
+          </p>
+        </section>
+      </main>
+    </div>
+  );
+}
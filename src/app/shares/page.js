@@ -0,0 +1,181 @@
+// SHARE LINKS PAGE (/shares)
+// Every public share link the user has created (made by selecting
+// bookmarks on the dashboard and choosing "Share…"):
+// - open or copy the public /s/<token> link, or its feed
+// - see how many bookmarks are on it and when it expires
+// - revoke it, which deletes the link so /s/<token> stops working at once
+//
+// This is a Client Component because it uses useState, useEffect, and event handlers.
+
+"use client";
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import { sharePath } from "@/lib/share";
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+export default function SharesPage() {
+  const supabase = createClient();
+
+  const [links, setLinks] = useState([]);
+  const [copiedId, setCopiedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadLinks = async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+
+      if (user) {
+        // share_link_bookmarks(count) asks PostgREST for just the row count
+        const { data, error } = await supabase
+          .from("share_links")
+          .select("*, share_link_bookmarks(count)")
+          .eq("user_id", user.id)
+          .order("created_at", { ascending: false });
+
+        if (error) {
+          console.error("Failed to fetch share links:", error.message);
+        } else {
+          setLinks(data || []);
+        }
+      }
+      setLoading(false);
+    };
+    loadLinks();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fullUrl = (link) => `${window.location.origin}${sharePath(link.token)}`;
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(fullUrl(link));
+      setCopiedId(link.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error("Failed to copy link:", err.message);
+      prompt("Copy this link:", fullUrl(link));
+    }
+  };
+
+  const revokeLink = async (link) => {
+    if (!confirm(`Revoke "${link.title}"? The link will stop working for everyone.`)) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from("share_links")
+      .delete()
+      .eq("id", link.id);
+
+    if (error) {
+      console.error("Failed to revoke share link:", error.message);
+      alert("Failed to revoke share link: " + error.message);
+      return;
+    }
+    setLinks((prev) => prev.filter((l) => l.id !== link.id));
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-500">Loading...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900">🔗 Share Links</h1>
+          <Link
+            href="/"
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ← Back to bookmarks
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8">
+        {links.length === 0 ? (
+          <div className="text-center py-16">
+            <p className="text-gray-400 text-lg">No share links yet</p>
+            <p className="text-gray-400 text-sm mt-1">
+              Select bookmarks on the dashboard and choose &ldquo;Share…&rdquo;
+            </p>
+          </div>
+        ) : (
+          <ul className="space-y-3">
+            {links.map((link) => {
+              const count = link.share_link_bookmarks?.[0]?.count ?? 0;
+              const expired =
+                link.expires_at && new Date(link.expires_at) < new Date();
+
+              return (
+                <li
+                  key={link.id}
+                  className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 flex items-center justify-between gap-4"
+                >
+                  <div className="min-w-0">
+                    <h2 className="font-medium text-gray-900 truncate">
+                      {link.title}
+                    </h2>
+                    <p className="text-xs text-gray-400 mt-1">
+                      {count} {count === 1 ? "bookmark" : "bookmarks"} ·
+                      created {formatDate(link.created_at)} ·{" "}
+                      {expired ? (
+                        <span className="text-red-600">expired</span>
+                      ) : link.expires_at ? (
+                        `expires ${formatDate(link.expires_at)}`
+                      ) : (
+                        "never expires"
+                      )}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-4 text-sm flex-shrink-0">
+                    {!expired && (
+                      <>
+                        <a
+                          href={sharePath(link.token)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-blue-600 hover:underline"
+                        >
+                          Open
+                        </a>
+                        <button
+                          onClick={() => copyLink(link)}
+                          className="text-blue-600 hover:underline cursor-pointer"
+                        >
+                          {copiedId === link.id ? "Copied!" : "Copy link"}
+                        </button>
+                      </>
+                    )}
+                    <button
+                      onClick={() => revokeLink(link)}
+                      className="text-red-600 hover:text-red-800 cursor-pointer"
+                    >
+                      {expired ? "Delete" : "Revoke"}
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </main>
+    </div>
+  );
+}
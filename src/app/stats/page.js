@@ -0,0 +1,209 @@
+// STATS PAGE (/stats)
+// Usage statistics over the bookmarks the user saved (see
+// bookmark_stats() in supabase-schema.sql):
+// 1. Totals: bookmarks saved, how many were ever opened, and opens overall
+// 2. Bookmarks added per week, for the last 12 weeks
+// 3. The sites with the most bookmarks, and how often they get opened
+// 4. Stale links: bookmarks nobody opened for 90 days, to revisit or clean up
+// Opens are counted when a bookmark is opened from the app (see
+// src/lib/visits.js), by whoever opens it: for bookmarks in a shared
+// workspace that includes the other members. RLS keeps the bookmarks to
+// the ones the signed-in user can see.
+//
+// This is a Server Component: the figures are worked out in Postgres and
+// rendered on the server with the user's session.
+
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/server";
+import { buildDashboardUrl } from "@/lib/filters";
+import { formatRelativeTime } from "@/lib/time";
+import { openPath } from "@/lib/visits";
+
+export const metadata = {
+  title: "Stats",
+};
+
+const WEEKS = 12;
+const STALE_DAYS = 90;
+
+// "Oct 12" for the Monday a week starts on (a plain date, so no time zone)
+function formatWeek(date) {
+  return new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+function StatCard({ label, value }) {
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <p className="text-2xl font-bold text-gray-900">{value.toLocaleString()}</p>
+      <p className="text-sm text-gray-500">{label}</p>
+    </div>
+  );
+}
+
+export default async function StatsPage() {
+  const supabase = await createClient();
+  let stats = null;
+  let loadError = null;
+
+  if (!supabase) {
+    loadError = "Supabase isn't configured.";
+  } else {
+    const { data, error } = await supabase.rpc("bookmark_stats", {
+      weeks: WEEKS,
+      stale_days: STALE_DAYS,
+    });
+    if (error) {
+      console.error("Failed to load stats:", error.message);
+      loadError = "Statistics couldn't be loaded. Please try again.";
+    } else {
+      stats = data;
+    }
+  }
+
+  const weeks = stats?.per_week ?? [];
+  const busiestWeek = Math.max(1, ...weeks.map((w) => w.added));
+  const topDomains = stats?.top_domains ?? [];
+  const mostBookmarks = Math.max(1, ...topDomains.map((d) => d.bookmarks));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4">
+          <Link href="/" className="text-sm text-gray-500 hover:text-gray-900">
+            ← Back to bookmarks
+          </Link>
+          <h1 className="text-xl font-bold text-gray-900 mt-1">Stats</h1>
+          <p className="text-sm text-gray-500">
+            The bookmarks you saved, and which ones get opened
+          </p>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-6 space-y-6">
+        {loadError ? (
+          <p className="text-center text-red-600 py-16">{loadError}</p>
+        ) : (
+          <>
+            {/* ── TOTALS ── */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <StatCard label="Bookmarks saved" value={stats.totals.bookmarks} />
+              <StatCard label="Ever opened" value={stats.totals.opened} />
+              <StatCard label="Opens in total" value={stats.totals.visits} />
+              <StatCard
+                label={`Not opened in ${STALE_DAYS} days`}
+                value={stats.totals.stale}
+              />
+            </div>
+
+            {/* ── ADDED PER WEEK ── */}
+            <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+              <h2 className="text-sm font-semibold text-gray-900 mb-4">
+                Added per week
+              </h2>
+              <div className="flex items-end gap-2 h-40">
+                {weeks.map((week) => (
+                  <div
+                    key={week.week}
+                    className="flex-1 h-full flex flex-col justify-end items-center gap-1"
+                    title={`${week.added} added in the week of ${formatWeek(week.week)}`}
+                  >
+                    <span className="text-xs text-gray-500">{week.added || ""}</span>
+                    <div
+                      className="w-full bg-blue-500 rounded-t"
+                      style={{ height: `${(week.added / busiestWeek) * 100}%` }}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-2 mt-1">
+                {weeks.map((week) => (
+                  <span
+                    key={week.week}
+                    className="flex-1 text-center text-[10px] text-gray-400 truncate"
+                  >
+                    {formatWeek(week.week)}
+                  </span>
+                ))}
+              </div>
+            </section>
+
+            <div className="grid md:grid-cols-2 gap-6">
+              {/* ── TOP SITES ── */}
+              <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+                <h2 className="text-sm font-semibold text-gray-900 mb-3">Top sites</h2>
+                {topDomains.length === 0 ? (
+                  <p className="text-sm text-gray-400">No bookmarks yet</p>
+                ) : (
+                  <ul className="space-y-2">
+                    {topDomains.map((site) => (
+                      <li key={site.domain} className="text-sm">
+                        <div className="flex justify-between gap-2">
+                          <span className="truncate text-gray-700">{site.domain}</span>
+                          <span className="text-gray-400 flex-shrink-0">
+                            {site.bookmarks} saved · {site.visits} opens
+                          </span>
+                        </div>
+                        <div className="h-1.5 bg-gray-100 rounded-full mt-1">
+                          <div
+                            className="h-full bg-blue-500 rounded-full"
+                            style={{
+                              width: `${(site.bookmarks / mostBookmarks) * 100}%`,
+                            }}
+                          />
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+
+              {/* ── STALE LINKS ── */}
+              <section className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <h2 className="text-sm font-semibold text-gray-900">Stale links</h2>
+                  <Link
+                    href={buildDashboardUrl({ usage: "never" })}
+                    className="text-sm text-gray-400 hover:text-blue-600"
+                  >
+                    Never opened →
+                  </Link>
+                </div>
+                {stats.stale.length === 0 ? (
+                  <p className="text-sm text-gray-400">
+                    Everything was opened in the last {STALE_DAYS} days
+                  </p>
+                ) : (
+                  <ul className="space-y-2">
+                    {stats.stale.map((bookmark) => (
+                      <li key={bookmark.id} className="text-sm">
+                        <a
+                          href={openPath(bookmark)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-blue-600 hover:underline truncate block"
+                        >
+                          {bookmark.title}
+                        </a>
+                        <p className="text-xs text-gray-400">
+                          {bookmark.last_visited_at
+                            ? `Last opened ${formatRelativeTime(bookmark.last_visited_at)}`
+                            : `Never opened, saved ${formatRelativeTime(bookmark.created_at)}`}
+                          {bookmark.domain && ` · ${bookmark.domain}`}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
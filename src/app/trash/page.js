@@ -0,0 +1,288 @@
+// TRASH PAGE (/trash, or /trash?workspace=<id> for a workspace's trash)
+// Bookmarks deleted on the dashboard land here (bookmarks.deleted_at is
+// set) and can be:
+// - restored, one at a time or several selected at once
+// - deleted forever, one at a time, selected, or all ("Empty trash")
+// Anything left here for TRASH_RETENTION_DAYS is purged automatically by
+// the daily /api/cron/purge-trash job.
+//
+// Changes show up immediately and are rolled back (with an alert) if the
+// database doesn't apply them.
+//
+// This is a Client Component because it uses useState, useEffect, and event handlers.
+
+"use client";
+
+import { useState, useEffect, use } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import { buildDashboardUrl } from "@/lib/filters";
+import { TRASH_RETENTION_DAYS, daysUntilPurge } from "@/lib/trash";
+import { formatRelativeTime } from "@/lib/time";
+import { sendQueuedWebhooks } from "@/lib/webhooks";
+
+// Newest deletions first
+function byDeletedAt(a, b) {
+  return b.deleted_at.localeCompare(a.deleted_at);
+}
+
+export default function TrashPage({ searchParams }) {
+  const supabase = createClient();
+  const { workspace } = use(searchParams);
+  const workspaceId = (Array.isArray(workspace) ? workspace[0] : workspace) || null;
+
+  const [bookmarks, setBookmarks] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  // The workspace being viewed ({ name, role }), if any
+  const [membership, setMembership] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadTrash = async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+
+      if (user) {
+        let query = supabase
+          .from("bookmarks")
+          .select("id, title, url, created_at, deleted_at")
+          .not("deleted_at", "is", null);
+        query = workspaceId
+          ? query.eq("workspace_id", workspaceId)
+          : query.is("workspace_id", null).eq("user_id", user.id);
+
+        const { data, error } = await query.order("deleted_at", {
+          ascending: false,
+        });
+
+        if (error) {
+          console.error("Failed to fetch trash:", error.message);
+        } else {
+          setBookmarks(data || []);
+        }
+
+        if (workspaceId) {
+          const { data: member, error: memberError } = await supabase
+            .from("workspace_members")
+            .select("role, workspaces(name)")
+            .eq("workspace_id", workspaceId)
+            .eq("user_id", user.id)
+            .maybeSingle();
+
+          if (memberError) {
+            console.error("Failed to fetch workspace:", memberError.message);
+          } else if (member) {
+            setMembership({ name: member.workspaces?.name, role: member.role });
+          }
+        }
+      }
+      setLoading(false);
+    };
+    loadTrash();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Viewers can look at a workspace's trash but not change it
+  const readOnly = workspaceId && membership?.role === "viewer";
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]
+    );
+  };
+
+  // Take bookmarks out of the list, run the change, and put back any the
+  // database didn't apply it to. `change` resolves to { data, error },
+  // where data holds the rows that were changed.
+  const applyChange = async (targets, change, failureMessage) => {
+    const ids = targets.map((b) => b.id);
+    setBusy(true);
+    setBookmarks((prev) => prev.filter((b) => !ids.includes(b.id)));
+    setSelectedIds((prev) => prev.filter((id) => !ids.includes(id)));
+
+    const { data, error } = await change(ids);
+    setBusy(false);
+
+    const changed = new Set((data || []).map((row) => row.id));
+    // Restored bookmarks are "created" again for webhooks
+    if (changed.size > 0) sendQueuedWebhooks();
+    const failed = targets.filter((b) => !changed.has(b.id));
+    if (failed.length > 0) {
+      setBookmarks((prev) => [...prev, ...failed].sort(byDeletedAt));
+      const message = error?.message || "You can't change some of these bookmarks";
+      console.error(`${failureMessage}:`, message);
+      alert(`${failureMessage}: ${message}`);
+    }
+  };
+
+  const restore = (targets) =>
+    applyChange(
+      targets,
+      (ids) =>
+        supabase
+          .from("bookmarks")
+          .update({ deleted_at: null })
+          .in("id", ids)
+          .select("id"),
+      "Failed to restore bookmarks"
+    );
+
+  const deleteForever = (targets) => {
+    const label =
+      targets.length === 1 ? `"${targets[0].title}"` : `${targets.length} bookmarks`;
+    if (!confirm(`Delete ${label} forever? This can't be undone.`)) return;
+
+    return applyChange(
+      targets,
+      (ids) => supabase.from("bookmarks").delete().in("id", ids).select("id"),
+      "Failed to delete bookmarks"
+    );
+  };
+
+  const selected = bookmarks.filter((b) => selectedIds.includes(b.id));
+  const backUrl = buildDashboardUrl({ workspace: workspaceId });
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-500">Loading...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900">
+            🗑️ Trash{membership?.name && ` · ${membership.name}`}
+          </h1>
+          <Link
+            href={backUrl}
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ← Back to bookmarks
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8">
+        <p className="text-sm text-gray-500 mb-4">
+          Bookmarks in the trash are deleted forever after{" "}
+          {TRASH_RETENTION_DAYS} days.
+        </p>
+
+        {bookmarks.length === 0 ? (
+          <div className="text-center py-16">
+            <p className="text-gray-400 text-lg">The trash is empty</p>
+          </div>
+        ) : (
+          <>
+            {/* ── TOOLBAR ── */}
+            {!readOnly && (
+              <div className="flex items-center justify-end gap-4 mb-3 text-sm">
+                <span className="text-gray-500 mr-auto">
+                  {selected.length > 0
+                    ? `${selected.length} selected`
+                    : `${bookmarks.length} in the trash`}
+                </span>
+                <button
+                  onClick={() =>
+                    setSelectedIds(
+                      selected.length === bookmarks.length
+                        ? []
+                        : bookmarks.map((b) => b.id)
+                    )
+                  }
+                  className="text-gray-600 hover:text-gray-900 cursor-pointer"
+                >
+                  {selected.length === bookmarks.length ? "Select none" : "Select all"}
+                </button>
+                <button
+                  onClick={() => restore(selected)}
+                  disabled={busy || selected.length === 0}
+                  className="text-blue-600 hover:text-blue-800 font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => deleteForever(selected)}
+                  disabled={busy || selected.length === 0}
+                  className="text-red-600 hover:text-red-800 font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Delete forever
+                </button>
+                <button
+                  onClick={() => deleteForever(bookmarks)}
+                  disabled={busy}
+                  className="text-red-600 hover:text-red-800 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Empty trash
+                </button>
+              </div>
+            )}
+
+            {/* ── TRASHED BOOKMARKS ── */}
+            <ul className="space-y-3">
+              {bookmarks.map((bookmark) => {
+                const daysLeft = daysUntilPurge(bookmark.deleted_at);
+
+                return (
+                  <li
+                    key={bookmark.id}
+                    className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 flex items-center gap-4"
+                  >
+                    {!readOnly && (
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(bookmark.id)}
+                        onChange={() => toggleSelected(bookmark.id)}
+                        aria-label={`Select ${bookmark.title}`}
+                      />
+                    )}
+                    <div className="min-w-0 flex-1">
+                      <h2 className="font-medium text-gray-900 truncate">
+                        {bookmark.title}
+                      </h2>
+                      <p className="text-sm text-gray-500 truncate">
+                        {bookmark.url}
+                      </p>
+                      <p className="text-xs text-gray-400 mt-1">
+                        Deleted {formatRelativeTime(bookmark.deleted_at)} ·{" "}
+                        {daysLeft === 0
+                          ? "deleted forever today"
+                          : `deleted forever in ${daysLeft} ${
+                              daysLeft === 1 ? "day" : "days"
+                            }`}
+                      </p>
+                    </div>
+                    {!readOnly && (
+                      <div className="flex items-center gap-4 text-sm flex-shrink-0">
+                        <button
+                          onClick={() => restore([bookmark])}
+                          disabled={busy}
+                          className="text-blue-600 hover:underline cursor-pointer disabled:opacity-50"
+                        >
+                          Restore
+                        </button>
+                        <button
+                          onClick={() => deleteForever([bookmark])}
+                          disabled={busy}
+                          className="text-red-600 hover:text-red-800 cursor-pointer disabled:opacity-50"
+                        >
+                          Delete forever
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
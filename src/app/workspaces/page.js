@@ -0,0 +1,593 @@
+// WORKSPACES PAGE (/workspaces)
+// Shared team spaces with their own bookmarks and collections.
+// 1. Lists the workspaces the user belongs to, and creates new ones
+//    (the creator becomes the owner)
+// 2. Owners invite people by email with a role (editor or viewer). The
+//    invite is an accept link (/invite/accept?token=...) that can be copied
+//    or sent straight from the user's mail app
+// 3. Owners change roles, remove members, revoke invitations, rename and
+//    delete the workspace; anyone can leave
+//
+// Who may do what is enforced by the RLS policies in supabase-schema.sql;
+// this page only hides the buttons a role can't use.
+//
+// This is a Client Component because it uses useState, useEffect, and event handlers.
+
+"use client";
+
+import { useState, useEffect, use } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import { buildDashboardUrl } from "@/lib/filters";
+
+const ROLES = ["owner", "editor", "viewer"];
+const ROLE_LABELS = { owner: "Owner", editor: "Editor", viewer: "Viewer" };
+
+const inputClass =
+  "px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+function inviteLink(token) {
+  return `${window.location.origin}/invite/accept?token=${token}`;
+}
+
+// Opens the user's mail app with the invitation ready to send
+function inviteMailto(invite, workspaceName) {
+  const subject = `Join "${workspaceName}" on Smart Bookmark App`;
+  const body = `You've been invited to the "${workspaceName}" workspace as ${
+    ROLE_LABELS[invite.role]
+  }.\n\nAccept the invitation here:\n${inviteLink(invite.token)}\n`;
+  return `mailto:${encodeURIComponent(invite.email)}?subject=${encodeURIComponent(
+    subject
+  )}&body=${encodeURIComponent(body)}`;
+}
+
+export default function WorkspacesPage({ searchParams }) {
+  const supabase = createClient();
+
+  // Set by /invite/accept when an invitation couldn't be accepted
+  const { error: acceptError } = use(searchParams);
+
+  const [user, setUser] = useState(null);
+  // [{ id, name, role }] — the user's own role in each
+  const [workspaces, setWorkspaces] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [newName, setNewName] = useState("");
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("editor");
+  const [copiedId, setCopiedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const selected = workspaces.find((w) => w.id === selectedId) || null;
+  const isOwner = selected?.role === "owner";
+
+  // ───────────────────────────────────────────────
+  // LOADING
+  // ───────────────────────────────────────────────
+  const loadWorkspaces = async (userId) => {
+    const { data, error } = await supabase
+      .from("workspace_members")
+      .select("role, workspaces(id, name, created_at)")
+      .eq("user_id", userId);
+
+    if (error) {
+      console.error("Failed to fetch workspaces:", error.message);
+      return;
+    }
+    setWorkspaces(
+      data
+        .filter((m) => m.workspaces)
+        .map((m) => ({ ...m.workspaces, role: m.role }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    );
+  };
+
+  const loadDetails = async (workspaceId) => {
+    const { data: memberData, error: memberError } = await supabase
+      .from("workspace_members")
+      .select("*")
+      .eq("workspace_id", workspaceId)
+      .order("created_at");
+
+    if (memberError) {
+      console.error("Failed to fetch members:", memberError.message);
+    } else {
+      setMembers(memberData);
+    }
+
+    // Only owners can see invitations; for everyone else RLS returns none
+    const { data: inviteData, error: inviteError } = await supabase
+      .from("workspace_invites")
+      .select("*")
+      .eq("workspace_id", workspaceId)
+      .is("accepted_at", null)
+      .order("created_at", { ascending: false });
+
+    if (inviteError) {
+      console.error("Failed to fetch invitations:", inviteError.message);
+    } else {
+      setInvites(inviteData);
+    }
+  };
+
+  useEffect(() => {
+    const init = async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+      setUser(user);
+      if (user) await loadWorkspaces(user.id);
+      setLoading(false);
+    };
+    init();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Open (or close) a workspace's members panel
+  const selectWorkspace = (id) => {
+    setMembers([]);
+    setInvites([]);
+    if (id === selectedId) {
+      setSelectedId(null);
+    } else {
+      setSelectedId(id);
+      loadDetails(id);
+    }
+  };
+
+  // ───────────────────────────────────────────────
+  // WORKSPACES
+  // ───────────────────────────────────────────────
+  const createWorkspace = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    // A database trigger adds us as the owner
+    const { data, error } = await supabase
+      .from("workspaces")
+      .insert({ name: newName.trim(), created_by: user.id })
+      .select();
+
+    if (error) {
+      console.error("Failed to create workspace:", error.message);
+      alert("Failed to create workspace: " + error.message);
+      return;
+    }
+    setNewName("");
+    await loadWorkspaces(user.id);
+    if (data?.[0]) selectWorkspace(data[0].id);
+  };
+
+  const renameWorkspace = async () => {
+    const name = prompt("Rename workspace:", selected.name);
+    if (!name?.trim() || name.trim() === selected.name) return;
+
+    const { error } = await supabase
+      .from("workspaces")
+      .update({ name: name.trim() })
+      .eq("id", selected.id);
+
+    if (error) {
+      console.error("Failed to rename workspace:", error.message);
+      alert("Failed to rename workspace: " + error.message);
+      return;
+    }
+    setWorkspaces((prev) =>
+      prev.map((w) => (w.id === selected.id ? { ...w, name: name.trim() } : w))
+    );
+  };
+
+  const deleteWorkspace = async () => {
+    if (
+      !confirm(
+        `Delete "${selected.name}"? All of its bookmarks and collections are deleted for every member.`
+      )
+    ) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from("workspaces")
+      .delete()
+      .eq("id", selected.id);
+
+    if (error) {
+      console.error("Failed to delete workspace:", error.message);
+      alert("Failed to delete workspace: " + error.message);
+      return;
+    }
+    setWorkspaces((prev) => prev.filter((w) => w.id !== selected.id));
+    setSelectedId(null);
+  };
+
+  const leaveWorkspace = async () => {
+    if (!confirm(`Leave "${selected.name}"?`)) return;
+
+    const { error } = await supabase
+      .from("workspace_members")
+      .delete()
+      .eq("workspace_id", selected.id)
+      .eq("user_id", user.id);
+
+    if (error) {
+      console.error("Failed to leave workspace:", error.message);
+      alert("Failed to leave workspace: " + error.message);
+      return;
+    }
+    setWorkspaces((prev) => prev.filter((w) => w.id !== selected.id));
+    setSelectedId(null);
+  };
+
+  // ───────────────────────────────────────────────
+  // MEMBERS
+  // ───────────────────────────────────────────────
+  const changeRole = async (member, role) => {
+    const { error } = await supabase
+      .from("workspace_members")
+      .update({ role })
+      .eq("workspace_id", member.workspace_id)
+      .eq("user_id", member.user_id);
+
+    if (error) {
+      console.error("Failed to change role:", error.message);
+      alert("Failed to change role: " + error.message);
+      return;
+    }
+    setMembers((prev) =>
+      prev.map((m) => (m.user_id === member.user_id ? { ...m, role } : m))
+    );
+    if (member.user_id === user.id) {
+      setWorkspaces((prev) =>
+        prev.map((w) => (w.id === member.workspace_id ? { ...w, role } : w))
+      );
+    }
+  };
+
+  const removeMember = async (member) => {
+    if (!confirm(`Remove ${member.email || "this member"} from the workspace?`)) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from("workspace_members")
+      .delete()
+      .eq("workspace_id", member.workspace_id)
+      .eq("user_id", member.user_id);
+
+    if (error) {
+      console.error("Failed to remove member:", error.message);
+      alert("Failed to remove member: " + error.message);
+      return;
+    }
+    setMembers((prev) => prev.filter((m) => m.user_id !== member.user_id));
+  };
+
+  // ───────────────────────────────────────────────
+  // INVITATIONS
+  // ───────────────────────────────────────────────
+  const inviteMember = async (e) => {
+    e.preventDefault();
+    const email = inviteEmail.trim().toLowerCase();
+    if (!email) return;
+
+    const { data, error } = await supabase
+      .from("workspace_invites")
+      .insert({
+        workspace_id: selected.id,
+        email,
+        role: inviteRole,
+        invited_by: user.id,
+      })
+      .select();
+
+    if (error) {
+      console.error("Failed to create invitation:", error.message);
+      alert("Failed to create invitation: " + error.message);
+      return;
+    }
+    setInviteEmail("");
+    if (data?.[0]) {
+      setInvites((prev) => [data[0], ...prev]);
+      // Hand the invitation to the user's mail app right away
+      window.location.href = inviteMailto(data[0], selected.name);
+    }
+  };
+
+  const revokeInvite = async (invite) => {
+    const { error } = await supabase
+      .from("workspace_invites")
+      .delete()
+      .eq("id", invite.id);
+
+    if (error) {
+      console.error("Failed to revoke invitation:", error.message);
+      alert("Failed to revoke invitation: " + error.message);
+      return;
+    }
+    setInvites((prev) => prev.filter((i) => i.id !== invite.id));
+  };
+
+  const copyInviteLink = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(inviteLink(invite.token));
+      setCopiedId(invite.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error("Failed to copy invitation link:", err.message);
+      prompt("Copy this invitation link:", inviteLink(invite.token));
+    }
+  };
+
+  // ───────────────────────────────────────────────
+  // RENDER
+  // ───────────────────────────────────────────────
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-500">Loading...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900">👥 Workspaces</h1>
+          <Link
+            href="/"
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+          >
+            ← Back to bookmarks
+          </Link>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-6">
+        {acceptError && (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-xl px-4 py-3 text-sm">
+            Couldn&rsquo;t accept the invitation: {acceptError}
+          </div>
+        )}
+
+        {/* ── CREATE ── */}
+        <form
+          onSubmit={createWorkspace}
+          className="bg-white rounded-xl shadow-sm border border-gray-200 p-6"
+        >
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">
+            New workspace
+          </h2>
+          <p className="text-sm text-gray-500 mb-4">
+            A shared set of bookmarks and collections for your team.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              type="text"
+              placeholder="Name (e.g. Design team)"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className={`flex-1 ${inputClass}`}
+              required
+            />
+            <button
+              type="submit"
+              className="px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer"
+            >
+              Create
+            </button>
+          </div>
+        </form>
+
+        {/* ── LIST ── */}
+        {workspaces.length === 0 ? (
+          <p className="text-center text-gray-400 py-8">
+            You&rsquo;re not in any workspaces yet
+          </p>
+        ) : (
+          <ul className="space-y-3">
+            {workspaces.map((ws) => (
+              <li
+                key={ws.id}
+                className="bg-white rounded-xl shadow-sm border border-gray-200"
+              >
+                <div className="flex items-center justify-between gap-4 p-4">
+                  <div className="min-w-0">
+                    <h3 className="font-medium text-gray-900 truncate">
+                      {ws.name}
+                    </h3>
+                    <p className="text-xs text-gray-400">
+                      {ROLE_LABELS[ws.role]}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-4 text-sm flex-shrink-0">
+                    <Link
+                      href={buildDashboardUrl({ workspace: ws.id })}
+                      className="text-blue-600 hover:underline"
+                    >
+                      Open
+                    </Link>
+                    <button
+                      onClick={() => selectWorkspace(ws.id)}
+                      className="text-gray-600 hover:text-gray-900 cursor-pointer"
+                    >
+                      {selectedId === ws.id ? "Close" : "Members"}
+                    </button>
+                  </div>
+                </div>
+
+                {selectedId === ws.id && (
+                  <div className="border-t border-gray-100 p-4 space-y-6">
+                    {/* ── MEMBERS ── */}
+                    <section>
+                      <h4 className="text-sm font-semibold text-gray-900 mb-2">
+                        Members
+                      </h4>
+                      <ul className="divide-y divide-gray-100">
+                        {members.map((member) => (
+                          <li
+                            key={member.user_id}
+                            className="flex items-center justify-between gap-4 py-2 text-sm"
+                          >
+                            <span className="truncate text-gray-700">
+                              {member.email || "Unknown"}
+                              {member.user_id === user.id && (
+                                <span className="text-gray-400"> (you)</span>
+                              )}
+                            </span>
+                            {isOwner ? (
+                              <span className="flex items-center gap-3 flex-shrink-0">
+                                <select
+                                  value={member.role}
+                                  onChange={(e) =>
+                                    changeRole(member, e.target.value)
+                                  }
+                                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                                  aria-label="Role"
+                                >
+                                  {ROLES.map((role) => (
+                                    <option key={role} value={role}>
+                                      {ROLE_LABELS[role]}
+                                    </option>
+                                  ))}
+                                </select>
+                                {member.user_id !== user.id && (
+                                  <button
+                                    onClick={() => removeMember(member)}
+                                    className="text-gray-400 hover:text-red-600 cursor-pointer"
+                                    title="Remove member"
+                                  >
+                                    ×
+                                  </button>
+                                )}
+                              </span>
+                            ) : (
+                              <span className="text-gray-400 flex-shrink-0">
+                                {ROLE_LABELS[member.role]}
+                              </span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </section>
+
+                    {/* ── INVITATIONS (owners only) ── */}
+                    {isOwner && (
+                      <section>
+                        <h4 className="text-sm font-semibold text-gray-900 mb-2">
+                          Invite someone
+                        </h4>
+                        <form
+                          onSubmit={inviteMember}
+                          className="flex flex-col sm:flex-row gap-3"
+                        >
+                          <input
+                            type="email"
+                            placeholder="Email address"
+                            value={inviteEmail}
+                            onChange={(e) => setInviteEmail(e.target.value)}
+                            className={`flex-1 ${inputClass}`}
+                            required
+                          />
+                          <select
+                            value={inviteRole}
+                            onChange={(e) => setInviteRole(e.target.value)}
+                            className={inputClass}
+                            aria-label="Role"
+                          >
+                            <option value="editor">Editor</option>
+                            <option value="viewer">Viewer</option>
+                          </select>
+                          <button
+                            type="submit"
+                            className="px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer"
+                          >
+                            Invite
+                          </button>
+                        </form>
+                        <p className="text-xs text-gray-400 mt-2">
+                          They must sign in with this email address to accept.
+                          Invitations expire after 14 days.
+                        </p>
+
+                        {invites.length > 0 && (
+                          <ul className="divide-y divide-gray-100 mt-3">
+                            {invites.map((invite) => (
+                              <li
+                                key={invite.id}
+                                className="flex items-center justify-between gap-4 py-2 text-sm"
+                              >
+                                <span className="truncate text-gray-700">
+                                  {invite.email}{" "}
+                                  <span className="text-gray-400">
+                                    · {ROLE_LABELS[invite.role]}
+                                    {new Date(invite.expires_at) < new Date() &&
+                                      " · expired"}
+                                  </span>
+                                </span>
+                                <span className="flex items-center gap-3 flex-shrink-0">
+                                  <button
+                                    onClick={() => copyInviteLink(invite)}
+                                    className="text-blue-600 hover:underline cursor-pointer"
+                                  >
+                                    {copiedId === invite.id
+                                      ? "Copied!"
+                                      : "Copy link"}
+                                  </button>
+                                  <a
+                                    href={inviteMailto(invite, ws.name)}
+                                    className="text-blue-600 hover:underline"
+                                  >
+                                    Email
+                                  </a>
+                                  <button
+                                    onClick={() => revokeInvite(invite)}
+                                    className="text-gray-400 hover:text-red-600 cursor-pointer"
+                                    title="Revoke invitation"
+                                  >
+                                    ×
+                                  </button>
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </section>
+                    )}
+
+                    {/* ── DANGER ZONE ── */}
+                    <section className="flex flex-wrap gap-4 text-sm">
+                      {isOwner && (
+                        <button
+                          onClick={renameWorkspace}
+                          className="text-gray-600 hover:text-gray-900 cursor-pointer"
+                        >
+                          Rename
+                        </button>
+                      )}
+                      <button
+                        onClick={leaveWorkspace}
+                        className="text-red-600 hover:text-red-800 cursor-pointer"
+                      >
+                        Leave workspace
+                      </button>
+                      {isOwner && (
+                        <button
+                          onClick={deleteWorkspace}
+                          className="text-red-600 hover:text-red-800 cursor-pointer"
+                        >
+                          Delete workspace
+                        </button>
+                      )}
+                    </section>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+// ACTIVITY FEED
+// Who added or removed which bookmark in a shared workspace, newest first.
+// The rows come from the bookmark_activity table, which a database trigger
+// fills in; the dashboard prepends new ones as they arrive over Realtime.
+
+"use client";
+
+import { formatRelativeTime } from "@/lib/time";
+
+export default function ActivityFeed({ activity, currentUserId }) {
+  return (
+    <aside className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <h2 className="text-sm font-semibold text-gray-900 mb-3">
+        Recent activity
+      </h2>
+
+      {activity.length === 0 ? (
+        <p className="text-xs text-gray-400">Nothing yet</p>
+      ) : (
+        <ul className="space-y-2">
+          {activity.map((item) => (
+            <li key={item.id} className="text-xs text-gray-600">
+              <span className="font-medium text-gray-800">
+                {item.actor_id === currentUserId
+                  ? "You"
+                  : item.actor_email || "Someone"}
+              </span>{" "}
+              {item.action}{" "}
+              {item.action === "removed" ? (
+                <span className="line-through">{item.title}</span>
+              ) : (
+                <a
+                  href={item.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 hover:underline"
+                >
+                  {item.title}
+                </a>
+              )}
+              <span className="block text-gray-400">
+                {formatRelativeTime(item.created_at)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
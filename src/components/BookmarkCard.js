@@ -0,0 +1,502 @@
+// BOOKMARK CARD
+// One bookmark in the dashboard list: favicon, title, link, description,
+// notes, preview image, tag chips and edit/delete buttons. When the list is showing search results, the
+// matching words are highlighted.
+//
+// In a shared workspace the card also says which member added the bookmark,
+// and viewers (readOnly) get no edit/delete buttons.
+//
+// A badge flags links the dead-link checker found broken or redirected;
+// redirected ones can be switched to their new address with "Fix".
+//
+// Read-later: buttons mark the bookmark read/unread and archive it; read
+// ones are dimmed, and an optional "remind me" date (set while editing) is
+// shown as a chip that turns red once it's due. `focused` outlines the card
+// picked with the keyboard (j/k on the dashboard).
+//
+// "Saved copy" opens the page snapshot taken when the bookmark was added
+// (/bookmarks/<id>/archive). The link itself goes through
+// /bookmarks/<id>/open, which counts the visit; the card says how often
+// and when it was last opened.
+//
+// Editing happens in place. The card remembers which version of the row
+// (updated_at) the edit started from, so it can tell when another tab
+// saves the same bookmark in the meantime.
+
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { buildDashboardUrl } from "@/lib/filters";
+import Highlight from "@/components/Highlight";
+import { formatRelativeTime } from "@/lib/time";
+import { openPath } from "@/lib/visits";
+import { getLinkHealth, LINK_HEALTH_LABELS } from "@/lib/link-health";
+import {
+  isUnread,
+  isReminderDue,
+  reminderDateValue,
+  reminderFromDateValue,
+} from "@/lib/reading";
+
+const HEALTH_BADGE_STYLES = {
+  broken: "bg-red-50 text-red-700",
+  redirected: "bg-amber-50 text-amber-700",
+  unknown: "bg-gray-100 text-gray-500",
+};
+
+export default function BookmarkCard({
+  bookmark,
+  tagsById,
+  collectionOptions = [],
+  onUpdate,
+  onDelete,
+  onFixRedirect,
+  onSetReadingState,
+  focused = false,
+  highlightTerms = [],
+  readOnly = false,
+  // Shared workspaces only: user_id -> email of each member
+  membersById = null,
+  currentUserId = null,
+  workspaceId = null,
+}) {
+  // null when not editing, otherwise the draft being edited
+  const [draft, setDraft] = useState(null);
+  // updated_at of the row when editing started (or was last reconciled)
+  const [baseUpdatedAt, setBaseUpdatedAt] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [conflict, setConflict] = useState(false);
+
+  // Another tab saved this bookmark while we were editing it
+  const changedElsewhere =
+    draft !== null && bookmark.updated_at !== baseUpdatedAt;
+
+  const health = getLinkHealth(bookmark);
+  // Tooltip on the badge, e.g. "HTTP 404 · checked 3/2/2025, 10:00:00 AM"
+  let healthDetails = null;
+  if (bookmark.link_checked_at) {
+    const result = bookmark.link_status
+      ? `HTTP ${bookmark.link_status}`
+      : bookmark.link_error;
+    healthDetails = `${result} · checked ${new Date(
+      bookmark.link_checked_at
+    ).toLocaleString()}`;
+  }
+
+  // "Added by ..." for bookmarks other members saved to the workspace
+  const addedBy =
+    membersById && bookmark.user_id !== currentUserId
+      ? membersById[bookmark.user_id] || "a former member"
+      : null;
+
+  const startEditing = () => {
+    setDraft({
+      title: bookmark.title,
+      url: bookmark.url,
+      notes: bookmark.notes || "",
+      collection_id: bookmark.collection_id || "",
+      remind_on: reminderDateValue(bookmark.remind_at),
+    });
+    setBaseUpdatedAt(bookmark.updated_at);
+    setSaveError(null);
+    setConflict(false);
+  };
+
+  const stopEditing = () => {
+    setDraft(null);
+    setSaveError(null);
+    setConflict(false);
+  };
+
+  // Throw away our draft and start again from the latest saved version
+  const loadLatest = () => startEditing();
+
+  // Keep our draft and make the latest saved version the new base,
+  // so the next save overwrites the other tab's change on purpose
+  const keepMine = () => {
+    setBaseUpdatedAt(bookmark.updated_at);
+    setConflict(false);
+  };
+
+  const saveEdit = async (e) => {
+    e.preventDefault();
+    if (!draft.title.trim() || !draft.url.trim()) return;
+
+    setSaving(true);
+    const result = await onUpdate(
+      bookmark.id,
+      {
+        title: draft.title.trim(),
+        url: draft.url.trim(),
+        notes: draft.notes.trim() || null,
+        collection_id: draft.collection_id || null,
+        // Keep the exact time unless a different day was picked
+        remind_at:
+          draft.remind_on === reminderDateValue(bookmark.remind_at)
+            ? bookmark.remind_at ?? null
+            : reminderFromDateValue(draft.remind_on),
+      },
+      baseUpdatedAt
+    );
+    setSaving(false);
+
+    if (result.conflict) {
+      setConflict(true);
+    } else if (result.error) {
+      setSaveError(result.error);
+    } else {
+      stopEditing();
+    }
+  };
+
+  if (draft) {
+    const inputClass =
+      "w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+    return (
+      <form
+        onSubmit={saveEdit}
+        className="bg-white rounded-xl shadow-sm border border-blue-300 p-4 space-y-2"
+      >
+        {(changedElsewhere || conflict) && (
+          <div className="text-sm bg-amber-50 border border-amber-200 text-amber-800 rounded-lg px-3 py-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+            <span className="flex-1">
+              This bookmark was changed in another tab while you were editing.
+            </span>
+            <button
+              type="button"
+              onClick={loadLatest}
+              className="font-medium hover:underline cursor-pointer"
+            >
+              Load latest
+            </button>
+            <button
+              type="button"
+              onClick={keepMine}
+              className="font-medium hover:underline cursor-pointer"
+            >
+              Keep mine
+            </button>
+          </div>
+        )}
+        <input
+          type="text"
+          value={draft.title}
+          onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+          className={inputClass}
+          aria-label="Title"
+          required
+          autoFocus
+        />
+        <input
+          type="url"
+          value={draft.url}
+          onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+          className={inputClass}
+          aria-label="URL"
+          required
+        />
+        <textarea
+          value={draft.notes}
+          onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+          className={inputClass}
+          placeholder="Notes (optional)"
+          aria-label="Notes"
+          rows={2}
+        />
+        <select
+          value={draft.collection_id}
+          onChange={(e) => setDraft({ ...draft, collection_id: e.target.value })}
+          className={inputClass}
+          aria-label="Collection"
+        >
+          <option value="">No collection</option>
+          {collectionOptions.map(({ collection, depth }) => (
+            <option key={collection.id} value={collection.id}>
+              {`${"\u00a0\u00a0".repeat(depth)}${collection.name}`}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Remind me on
+          <input
+            type="date"
+            value={draft.remind_on}
+            onChange={(e) => setDraft({ ...draft, remind_on: e.target.value })}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+        {saveError && <p className="text-sm text-red-600">{saveError}</p>}
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={stopEditing}
+            className="px-4 py-1.5 text-sm text-gray-600 hover:text-gray-900 cursor-pointer"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || changedElsewhere || conflict}
+            className="px-4 py-1.5 text-sm bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  const reminderDue = isReminderDue(bookmark);
+  const now = () => new Date().toISOString();
+
+  return (
+    <div
+      className={`bg-white rounded-xl shadow-sm border p-4 flex items-center justify-between gap-4 hover:shadow-md transition-shadow ${
+        focused ? "border-blue-400 ring-2 ring-blue-200" : "border-gray-200"
+      }`}
+    >
+      <div className="min-w-0 flex-1">
+        <h3
+          className={`font-medium truncate flex items-center gap-2 ${
+            bookmark.read_at ? "text-gray-500" : "text-gray-900"
+          }`}
+        >
+          {bookmark.favicon_url && (
+            // eslint-disable-next-line @next/next/no-img-element -- icons come from arbitrary sites
+            <img
+              src={bookmark.favicon_url}
+              alt=""
+              width={16}
+              height={16}
+              className="w-4 h-4 flex-shrink-0"
+              onError={(e) => (e.currentTarget.style.display = "none")}
+            />
+          )}
+          <span className="truncate">
+            <Highlight text={bookmark.title} terms={highlightTerms} />
+          </span>
+          {HEALTH_BADGE_STYLES[health] && (
+            <span
+              className={`text-xs font-normal px-2 py-0.5 rounded-full flex-shrink-0 ${HEALTH_BADGE_STYLES[health]}`}
+              title={healthDetails}
+              // Dates are formatted in the browser's locale and time zone,
+              // which the server (rendering the dashboard first) doesn't know
+              suppressHydrationWarning
+            >
+              {LINK_HEALTH_LABELS[health]}
+            </span>
+          )}
+          {isUnread(bookmark) && bookmark.remind_at && (
+            <span
+              className={`text-xs font-normal px-2 py-0.5 rounded-full flex-shrink-0 ${
+                reminderDue ? "bg-red-50 text-red-700" : "bg-gray-100 text-gray-500"
+              }`}
+              title="Remind me date"
+              suppressHydrationWarning
+            >
+              ⏰ {new Date(bookmark.remind_at).toLocaleDateString()}
+            </span>
+          )}
+          {bookmark.archived_at && (
+            <span className="text-xs font-normal px-2 py-0.5 rounded-full flex-shrink-0 bg-gray-100 text-gray-500">
+              Archived
+            </span>
+          )}
+          {/* Changed offline and not sent to the server yet */}
+          {bookmark.pending && (
+            <span className="text-xs font-normal px-2 py-0.5 rounded-full flex-shrink-0 bg-amber-100 text-amber-800">
+              Not synced
+            </span>
+          )}
+        </h3>
+        <a
+          href={openPath(bookmark)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-sm text-blue-600 hover:underline truncate block"
+        >
+          <Highlight text={bookmark.url} terms={highlightTerms} />
+        </a>
+        {health === "redirected" && (
+          <p className="text-xs text-amber-700 mt-1 truncate">
+            → now at{" "}
+            <a
+              href={bookmark.link_final_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="hover:underline"
+            >
+              {bookmark.link_final_url}
+            </a>
+            {!readOnly && onFixRedirect && (
+              <>
+                {" · "}
+                <button
+                  onClick={() => onFixRedirect(bookmark)}
+                  className="font-medium hover:underline cursor-pointer"
+                  title="Replace the saved URL with the one it redirects to"
+                >
+                  Fix
+                </button>
+              </>
+            )}
+          </p>
+        )}
+        {bookmark.description && (
+          <p className="text-sm text-gray-500 mt-1 line-clamp-2">
+            {bookmark.description}
+          </p>
+        )}
+        {bookmark.notes && (
+          <p className="text-sm text-gray-700 mt-1 line-clamp-2">
+            <Highlight text={bookmark.notes} terms={highlightTerms} />
+          </p>
+        )}
+        {bookmark.folder_path && (
+          <p className="text-xs text-gray-400 mt-1 truncate">
+            📁 {bookmark.folder_path}
+          </p>
+        )}
+        {addedBy && (
+          <p className="text-xs text-gray-400 mt-1 truncate">
+            Added by {addedBy}
+          </p>
+        )}
+        {bookmark.visit_count > 0 && bookmark.last_visited_at && (
+          <p className="text-xs text-gray-400 mt-1" suppressHydrationWarning>
+            Opened{" "}
+            {bookmark.visit_count === 1 ? "once" : `${bookmark.visit_count} times`},
+            last {formatRelativeTime(bookmark.last_visited_at)}
+          </p>
+        )}
+        {!bookmark.pending && (
+          <Link
+            href={`/bookmarks/${bookmark.id}/archive`}
+            className="text-xs text-gray-400 hover:text-blue-600 mt-1 inline-block"
+            title="The copy of this page saved when it was bookmarked"
+          >
+            📄 Saved copy
+          </Link>
+        )}
+        {bookmark.tag_ids.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-2">
+            {bookmark.tag_ids
+              .map((id) => tagsById[id])
+              .filter(Boolean)
+              .map((tag) => (
+                <Link
+                  key={tag.id}
+                  href={buildDashboardUrl({
+                    workspace: workspaceId,
+                    tags: [tag.name],
+                  })}
+                  scroll={false}
+                  className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 hover:bg-blue-50 hover:text-blue-700"
+                >
+                  #{tag.name}
+                </Link>
+              ))}
+          </div>
+        )}
+      </div>
+      {bookmark.image_url && (
+        // eslint-disable-next-line @next/next/no-img-element -- previews come from arbitrary sites
+        <img
+          src={bookmark.image_url}
+          alt=""
+          loading="lazy"
+          className="hidden sm:block w-24 h-16 object-cover rounded-lg border border-gray-100 flex-shrink-0"
+          onError={(e) => (e.currentTarget.style.display = "none")}
+        />
+      )}
+      {!readOnly && (
+        <>
+          <button
+            onClick={() =>
+              onSetReadingState([bookmark], {
+                read_at: bookmark.read_at ? null : now(),
+              })
+            }
+            className={`transition-colors flex-shrink-0 cursor-pointer ${
+              bookmark.read_at
+                ? "text-green-600 hover:text-gray-400"
+                : "text-gray-400 hover:text-green-600"
+            }`}
+            title={bookmark.read_at ? "Mark unread (m)" : "Mark read (m)"}
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="h-5 w-5"
+              viewBox="0 0 20 20"
+              fill="currentColor"
+            >
+              <path
+                fillRule="evenodd"
+                d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z"
+                clipRule="evenodd"
+              />
+            </svg>
+          </button>
+          <button
+            onClick={() =>
+              onSetReadingState([bookmark], {
+                archived_at: bookmark.archived_at ? null : now(),
+              })
+            }
+            className="text-gray-400 hover:text-blue-600 transition-colors flex-shrink-0 cursor-pointer"
+            title={bookmark.archived_at ? "Unarchive (e)" : "Archive (e)"}
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="h-5 w-5"
+              viewBox="0 0 20 20"
+              fill="currentColor"
+            >
+              <path d="M4 3a2 2 0 100 4h12a2 2 0 100-4H4z" />
+              <path
+                fillRule="evenodd"
+                d="M3 8h14v7a2 2 0 01-2 2H5a2 2 0 01-2-2V8zm5 3a1 1 0 011-1h2a1 1 0 110 2H9a1 1 0 01-1-1z"
+                clipRule="evenodd"
+              />
+            </svg>
+          </button>
+          <button
+            onClick={startEditing}
+            className="text-gray-400 hover:text-blue-600 transition-colors flex-shrink-0 cursor-pointer"
+            title="Edit bookmark"
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="h-5 w-5"
+              viewBox="0 0 20 20"
+              fill="currentColor"
+            >
+              <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+            </svg>
+          </button>
+          <button
+            onClick={() => onDelete(bookmark.id)}
+            className="text-gray-400 hover:text-red-600 transition-colors flex-shrink-0 cursor-pointer"
+            title="Delete bookmark"
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="h-5 w-5"
+              viewBox="0 0 20 20"
+              fill="currentColor"
+            >
+              <path
+                fillRule="evenodd"
+                d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z"
+                clipRule="evenodd"
+              />
+            </svg>
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
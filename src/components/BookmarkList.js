@@ -0,0 +1,123 @@
+// BOOKMARK LIST
+// Renders the bookmark cards. Every card has a drag handle, so it can be
+// dragged onto a collection in the sidebar. When `sortable` is set (we're
+// looking at a single collection) cards can also be dragged up and down
+// the list to change their manual order; onReorder(id, index) is called
+// with the bookmark's new index in the list. With `readOnly` (a viewer in
+// a shared workspace) there are no drag handles at all.
+//
+// When `selectedIds` is given (selection mode) each card gets a checkbox;
+// onToggleSelect(id) flips it.
+//
+// `focusedId` is the card picked with the keyboard; each card's wrapper
+// carries data-bookmark-id so the dashboard can scroll it into view.
+//
+// Uses the browser's native HTML5 drag and drop — no library needed.
+
+"use client";
+
+import { useState } from "react";
+import BookmarkCard from "@/components/BookmarkCard";
+
+// dataTransfer type for a dragged bookmark (value: the bookmark id)
+export const BOOKMARK_DRAG_TYPE = "application/x-bookmark-id";
+
+function DropIndicator() {
+  return <div className="h-1 -my-2 rounded-full bg-blue-500" />;
+}
+
+export default function BookmarkList({
+  bookmarks,
+  sortable = false,
+  onReorder,
+  readOnly = false,
+  selectedIds = null,
+  onToggleSelect,
+  focusedId = null,
+  ...cardProps
+}) {
+  const [dragId, setDragId] = useState(null);
+  // Where the dragged card would land: 0 = before the first card,
+  // bookmarks.length = after the last one
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const resetDrag = () => {
+    setDragId(null);
+    setDropIndex(null);
+  };
+
+  const handleDragStart = (e, id) => {
+    e.dataTransfer.setData(BOOKMARK_DRAG_TYPE, id);
+    e.dataTransfer.effectAllowed = "move";
+    setDragId(id);
+  };
+
+  // Top half of a card = drop before it, bottom half = drop after it
+  const handleDragOver = (e, index) => {
+    if (!sortable || !dragId) return;
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    setDropIndex(after ? index + 1 : index);
+  };
+
+  const handleDrop = (e) => {
+    if (!sortable || !dragId || dropIndex === null) return;
+    e.preventDefault();
+
+    const from = bookmarks.findIndex((b) => b.id === dragId);
+    // Removing the card from its old slot shifts everything after it up one
+    const to = dropIndex > from ? dropIndex - 1 : dropIndex;
+    if (from !== -1 && to !== from) onReorder(dragId, to);
+    resetDrag();
+  };
+
+  return (
+    <div className="space-y-3" onDrop={handleDrop}>
+      {bookmarks.map((bookmark, index) => (
+        <div key={bookmark.id} className="space-y-3">
+          {dropIndex === index && <DropIndicator />}
+          <div
+            data-bookmark-id={bookmark.id}
+            onDragOver={(e) => handleDragOver(e, index)}
+            className={`flex items-stretch gap-2 ${
+              dragId === bookmark.id ? "opacity-50" : ""
+            }`}
+          >
+            {selectedIds && (
+              <label className="flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(bookmark.id)}
+                  onChange={() => onToggleSelect(bookmark.id)}
+                  className="w-4 h-4 accent-blue-600 cursor-pointer"
+                  aria-label={`Select ${bookmark.title}`}
+                />
+              </label>
+            )}
+            {!readOnly && (
+              <div
+                draggable
+                onDragStart={(e) => handleDragStart(e, bookmark.id)}
+                onDragEnd={resetDrag}
+                className="flex items-center text-gray-300 hover:text-gray-500 cursor-grab active:cursor-grabbing select-none"
+                title={sortable ? "Drag to reorder or move" : "Drag onto a collection"}
+              >
+                ⋮⋮
+              </div>
+            )}
+            <div className="flex-1 min-w-0">
+              <BookmarkCard
+                bookmark={bookmark}
+                readOnly={readOnly}
+                focused={bookmark.id === focusedId}
+                {...cardProps}
+              />
+            </div>
+          </div>
+        </div>
+      ))}
+      {dropIndex === bookmarks.length && <DropIndicator />}
+    </div>
+  );
+}
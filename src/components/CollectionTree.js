@@ -0,0 +1,162 @@
+// COLLECTION TREE
+// The user's collections as a nested, clickable tree in the sidebar.
+// - Clicking a collection shows only its bookmarks (?collection=<id>)
+// - "+" adds a sub-collection, the pencil renames, "×" deletes
+// - Bookmark cards can be dragged onto a collection to move them there
+// With `readOnly` (a viewer in a shared workspace) it's only for browsing.
+
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { buildDashboardUrl } from "@/lib/filters";
+import { BOOKMARK_DRAG_TYPE } from "@/components/BookmarkList";
+
+function CollectionNode({ node, depth, filters, counts, actions }) {
+  const [dropping, setDropping] = useState(false);
+  const active = filters.collection === node.id;
+
+  const handleDragOver = (e) => {
+    if (actions.readOnly) return;
+    if (!e.dataTransfer.types.includes(BOOKMARK_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    setDropping(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDropping(false);
+    const bookmarkId = e.dataTransfer.getData(BOOKMARK_DRAG_TYPE);
+    if (bookmarkId) actions.onDropBookmark(bookmarkId, node.id);
+  };
+
+  return (
+    <li>
+      <div
+        onDragOver={handleDragOver}
+        onDragLeave={() => setDropping(false)}
+        onDrop={handleDrop}
+        className={`group flex items-center rounded-md text-sm ${
+          dropping
+            ? "bg-blue-100 ring-2 ring-blue-400"
+            : active
+              ? "bg-blue-50 text-blue-700 font-medium"
+              : "text-gray-600 hover:bg-gray-50"
+        }`}
+        style={{ paddingLeft: `${depth * 12}px` }}
+      >
+        <Link
+          href={buildDashboardUrl({ ...filters, collection: node.id })}
+          scroll={false}
+          className="flex-1 min-w-0 flex items-center justify-between px-2 py-1"
+        >
+          <span className="truncate">📁 {node.name}</span>
+          <span
+            className={`text-xs text-gray-400 ${actions.readOnly ? "" : "group-hover:hidden"}`}
+          >
+            {counts[node.id] || 0}
+          </span>
+        </Link>
+        {!actions.readOnly && (
+          <span className="hidden group-hover:flex items-center gap-1 pr-1 text-gray-400">
+            <button
+              onClick={() => actions.onCreate(node.id)}
+              className="hover:text-blue-600 cursor-pointer"
+              title="Add sub-collection"
+            >
+              +
+            </button>
+            <button
+              onClick={() => actions.onRename(node)}
+              className="hover:text-blue-600 cursor-pointer"
+              title="Rename collection"
+            >
+              ✎
+            </button>
+            <button
+              onClick={() => actions.onDelete(node)}
+              className="hover:text-red-600 cursor-pointer"
+              title="Delete collection"
+            >
+              ×
+            </button>
+          </span>
+        )}
+      </div>
+      {node.children.length > 0 && (
+        <ul className="space-y-1 mt-1">
+          {node.children.map((child) => (
+            <CollectionNode
+              key={child.id}
+              node={child}
+              depth={depth + 1}
+              filters={filters}
+              counts={counts}
+              actions={actions}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+export default function CollectionTree({
+  tree,
+  filters,
+  counts,
+  onCreate,
+  onRename,
+  onDelete,
+  onDropBookmark,
+  readOnly = false,
+}) {
+  const actions = { onCreate, onRename, onDelete, onDropBookmark, readOnly };
+
+  return (
+    <aside className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-gray-900">Collections</h2>
+        {!readOnly && (
+          <button
+            onClick={() => onCreate(null)}
+            className="text-sm text-gray-400 hover:text-blue-600 cursor-pointer"
+            title="New collection"
+          >
+            + New
+          </button>
+        )}
+      </div>
+
+      <Link
+        href={buildDashboardUrl({ ...filters, collection: null })}
+        scroll={false}
+        className={`block px-2 py-1 rounded-md text-sm mb-1 ${
+          !filters.collection
+            ? "bg-blue-50 text-blue-700 font-medium"
+            : "text-gray-600 hover:bg-gray-50"
+        }`}
+      >
+        All bookmarks
+      </Link>
+
+      {tree.length === 0 ? (
+        <p className="text-xs text-gray-400 px-2 mt-2">No collections yet</p>
+      ) : (
+        <ul className="space-y-1">
+          {tree.map((node) => (
+            <CollectionNode
+              key={node.id}
+              node={node}
+              depth={0}
+              filters={filters}
+              counts={counts}
+              actions={actions}
+            />
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,1436 @@
+// DASHBOARD
+// The main page logged-in users see (rendered by src/app/page.js, which
+// loads the first page of bookmarks and the rest of its data on the
+// server and passes it in as initialData): the bookmarks of one space —
+// the user's private ones or a shared workspace (?workspace=<id>) —
+// narrowed by the filters in the URL (see src/lib/filters.js), with the
+// sidebar's collections, tags, reading list, smart views and link health,
+// and the forms and actions to add, edit, move and delete bookmarks.
+//
+// This component holds the state and wires it together; each feature
+// lives in its own module next to it: the paged list
+// (src/lib/use-bookmark-pages.js), live updates
+// (src/lib/dashboard-realtime.js), search (use-dashboard-search.js),
+// offline support (use-offline-sync.js), smart views (use-smart-views.js),
+// reminders (use-reminder-digest.js), link health (use-link-health.js),
+// bulk actions (use-selection.js), keyboard shortcuts
+// (use-reading-shortcuts.js), and the filtered list and workspace role
+// (dashboard-view.js).
+//
+// This is a Client Component because it uses useState, useEffect, and event handlers.
+
+"use client";
+
+import { useState, useEffect, useRef, useSyncExternalStore } from "react";
+import Link from "next/link";
+import { createClient } from "@/lib/supabase/client";
+import { parseTagInput, saveBookmarkTags } from "@/lib/tags";
+import { normalizeUrl } from "@/lib/normalize-url";
+import { backfillCanonicalUrls } from "@/lib/duplicates";
+import { formatRelativeTime } from "@/lib/time";
+import {
+  buildCollectionTree,
+  flattenCollectionTree,
+  getCollectionPath,
+  positionBetween,
+  POSITION_STEP,
+} from "@/lib/collections";
+import { mergeBookmarkUpdate, insertBookmarks } from "@/lib/bookmarks";
+import TagSidebar from "@/components/TagSidebar";
+import CollectionTree from "@/components/CollectionTree";
+import BookmarkList from "@/components/BookmarkList";
+import ExportMenu from "@/components/ExportMenu";
+import WorkspaceSwitcher from "@/components/WorkspaceSwitcher";
+import ActivityFeed from "@/components/ActivityFeed";
+import ShareDialog from "@/components/ShareDialog";
+import LinkHealthPanel from "@/components/LinkHealthPanel";
+import UndoToast from "@/components/UndoToast";
+import ReadingListPanel from "@/components/ReadingListPanel";
+import ReminderDigest from "@/components/ReminderDigest";
+import LoadMoreTrigger from "@/components/LoadMoreTrigger";
+import ListOptions from "@/components/ListOptions";
+import SmartViewsPanel from "@/components/SmartViewsPanel";
+import UsagePanel from "@/components/UsagePanel";
+import SyncStatusBanner from "@/components/SyncStatusBanner";
+import SelectionToolbar from "@/components/SelectionToolbar";
+import EmptyList from "@/components/EmptyList";
+import { listSort, listGroup, groupBookmarks } from "@/lib/sorting";
+import { fetchProfile, displayName } from "@/lib/profile";
+import {
+  fetchDashboardCounts,
+  countBookmarks,
+  loadDashboard,
+} from "@/lib/dashboard-data";
+import { filterBookmarks, workspaceAccess } from "@/lib/dashboard-view";
+import { belongsToSpace, subscribeToDashboard } from "@/lib/dashboard-realtime";
+import { useBookmarkPages } from "@/lib/use-bookmark-pages";
+import { useDashboardSearch } from "@/lib/use-dashboard-search";
+import { useOfflineQueue, useOfflineSync } from "@/lib/use-offline-sync";
+import { useSmartViews } from "@/lib/use-smart-views";
+import { useReminderDigest } from "@/lib/use-reminder-digest";
+import { useLinkHealth } from "@/lib/use-link-health";
+import { useSelection } from "@/lib/use-selection";
+import { useReadingShortcuts } from "@/lib/use-reading-shortcuts";
+import { sendQueuedWebhooks } from "@/lib/webhooks";
+import {
+  spaceKey,
+  loadCachedSpace,
+  listMutations,
+  clearOfflineData,
+} from "@/lib/offline-store";
+import {
+  applyPendingMutations,
+  diffBookmark,
+  isNetworkError,
+  getCurrentUser,
+} from "@/lib/sync-queue";
+
+// How long to wait after the last keystroke before checking the URL
+// being typed for duplicates
+const DUPLICATE_CHECK_DEBOUNCE_MS = 250;
+// ...and before fetching page details for it
+const METADATA_DEBOUNCE_MS = 600;
+// ...and after the last change to a bookmark before re-counting the sidebar
+const COUNTS_REFRESH_MS = 1000;
+
+// For useSyncExternalStore: true once the page has hydrated
+const subscribeToNothing = () => () => {};
+
+export default function Dashboard({ filters, initialData }) {
+  const supabase = createClient();
+
+  // The space, tag and collection filters come from the URL (read by
+  // src/app/page.js) so filtered views can be bookmarked
+  const activeTags = filters.tags;
+  // null = the user's private bookmarks
+  const workspaceId = filters.workspace;
+
+  // Everything starts from what the server loaded (src/app/page.js)
+  const [user, setUser] = useState(initialData?.user ?? null);
+  // Display name and avatar for the header (src/lib/profile.js)
+  const [profile, setProfile] = useState(initialData?.profile ?? null);
+  // Sidebar counts for the whole space, not just the loaded pages;
+  // null when we only have the offline copy
+  const [counts, setCounts] = useState(initialData?.counts ?? null);
+  const [tags, setTags] = useState(initialData?.tags ?? []);
+  const [collections, setCollections] = useState(initialData?.collections ?? []);
+  // Workspaces the user belongs to ({ id, name, role }), and for the one
+  // being viewed: its members and recent activity
+  const [workspaces, setWorkspaces] = useState(initialData?.workspaces ?? []);
+  const [members, setMembers] = useState(initialData?.members ?? []);
+  const [activity, setActivity] = useState(initialData?.activity ?? []);
+  const [title, setTitle] = useState("");
+  const [url, setUrl] = useState("");
+  const [notes, setNotes] = useState("");
+  // Page details fetched for the URL in the add form ({ url, title, ... })
+  const [metadata, setMetadata] = useState(null);
+  const [fetchingMetadataFor, setFetchingMetadataFor] = useState(null);
+  // A bookmark already saved with the same canonical URL as the one in the
+  // add form ({ for: canonical_url, bookmark })
+  const [existingMatch, setExistingMatch] = useState(null);
+  const [tagInput, setTagInput] = useState("");
+  // Collection picked in the add form; null means "the one being viewed"
+  const [collectionChoice, setCollectionChoice] = useState(null);
+  const [loading, setLoading] = useState(!initialData);
+
+  // The last bookmarks moved to the trash, for the undo toast
+  // ({ message, bookmarks }), or null
+  const [undo, setUndo] = useState(null);
+
+  // Search: the input, and the ranked results from /api/search
+  const {
+    query,
+    setQuery,
+    search,
+    setSearch,
+    searchError,
+    searching,
+    searchPending,
+  } = useDashboardSearch(workspaceId);
+
+  // Smart views: saved filters in the sidebar (?smart=<id>)
+  const {
+    smartViews,
+    setSmartViews,
+    activeSmartView,
+    saveSmartView,
+    deleteSmartView,
+  } = useSmartViews(supabase, {
+    initialViews: initialData?.smartViews,
+    user,
+    filters,
+  });
+
+  // Offline support: whether the browser has a network, and the changes
+  // waiting to be synced (see src/lib/sync-queue.js)
+  const offlineQueue = useOfflineQueue({ userId: user?.id, workspaceId });
+  const { online, pending, setQueued, withPending, queueMutation } = offlineQueue;
+
+  // Ids of the bookmarks in the list, for realtime handlers (which only
+  // see the state from when they were subscribed)
+  const listedIdsRef = useRef(new Set());
+
+  // Bookmarks saved before duplicate detection existed have no
+  // canonical_url yet; fill in the user's own (as their pages load) so the
+  // "already saved" warning finds them
+  const fillInCanonicalUrls = async (rows, userId) => {
+    const missing = rows.filter((b) => !b.canonical_url && b.user_id === userId);
+    if (missing.length === 0) return;
+    const { error } = await backfillCanonicalUrls(supabase, missing);
+    if (error) {
+      console.error("Failed to fill in canonical URLs:", error.message);
+    }
+  };
+
+  // The bookmark list, loaded a page at a time as the user scrolls (see
+  // src/lib/use-bookmark-pages.js)
+  const {
+    bookmarks,
+    setBookmarks,
+    nextCursor,
+    loadingMore,
+    loadMoreError,
+    loadMore,
+    showFirstPage,
+    isInLoadedPages,
+  } = useBookmarkPages(supabase, {
+    filters,
+    initialData,
+    online,
+    withPending,
+    onPageLoaded: (rows) => fillInCanonicalUrls(rows, user.id),
+  });
+
+  // Following a link to other filters (or another space) renders the
+  // server page again, which passes in the first page of the new list:
+  // start over from that
+  const [shownData, setShownData] = useState(initialData);
+  if (initialData && initialData !== shownData) {
+    setShownData(initialData);
+    setProfile(initialData.profile);
+    showFirstPage(
+      applyPendingMutations(initialData.bookmarks, pending, (row) =>
+        belongsToSpace(row, workspaceId)
+      ),
+      initialData.next
+    );
+    setCounts(initialData.counts);
+    setTags(initialData.tags);
+    setCollections(initialData.collections);
+    setSmartViews(initialData.smartViews);
+    setWorkspaces(initialData.workspaces);
+    setMembers(initialData.members);
+    setActivity(initialData.activity);
+  }
+
+  useEffect(() => {
+    listedIdsRef.current = new Set(bookmarks.map((b) => b.id));
+  }, [bookmarks]);
+
+  // ───────────────────────────────────────────────
+  // ON MOUNT (and when switching space): Get user, fetch bookmarks if the
+  // server couldn't, subscribe to realtime
+  // ───────────────────────────────────────────────
+  useEffect(() => {
+    let currentUserId = null;
+    let countsTimer = null;
+
+    // Re-count the sidebar (see dashboard_counts()) once a burst of
+    // changes has settled, and have the webhook deliveries the changes
+    // queued sent (whichever tab asks first sends them)
+    const refreshCountsSoon = () => {
+      clearTimeout(countsTimer);
+      countsTimer = setTimeout(async () => {
+        sendQueuedWebhooks();
+        const { counts, error } = await fetchDashboardCounts(supabase, workspaceId);
+        if (error) {
+          console.error("Failed to fetch counts:", error.message);
+        } else {
+          setCounts(counts);
+        }
+      }, COUNTS_REFRESH_MS);
+    };
+
+    const showData = (data) => {
+      showFirstPage(withPending(data.bookmarks), data.next);
+      setCounts(data.counts ?? null);
+      setTags(data.tags);
+      setCollections(data.collections);
+      if (data.smartViews) setSmartViews(data.smartViews);
+      setWorkspaces(data.workspaces);
+      if (data.members) setMembers(data.members);
+      if (data.activity) setActivity(data.activity);
+    };
+
+    // 1. Get the currently logged-in user. The server page already did,
+    //    unless it couldn't (then initialData is null and we load
+    //    everything from here).
+    const getUser = async () => {
+      const user = initialData?.user ?? (await getCurrentUser(supabase));
+      setUser(user);
+      currentUserId = user?.id ?? null;
+
+      if (user) {
+        // Changes made offline and not synced yet stay on top of whatever
+        // the server sent
+        const queued = await listMutations(user.id);
+        setQueued(queued);
+        if (queued.length > 0) setBookmarks((prev) => withPending(prev));
+
+        // 0. Without a network (this page is then the service worker's
+        //    app shell, src/app/offline/page.js, with no data in it) or
+        //    without data from the server, show the offline copy: the
+        //    last bookmarks seen in this space.
+        if (!initialData || !navigator.onLine) {
+          const cached = await loadCachedSpace(spaceKey(user.id, workspaceId));
+          if (cached) {
+            showData({ ...cached, next: null, counts: null });
+            setLoading(false);
+          }
+        }
+
+        // 2. No data from the server, but we're online: fetch it here.
+        //    RLS ensures we only get bookmarks we're allowed to see.
+        if (!initialData && navigator.onLine) {
+          const [data, profile] = await Promise.all([
+            loadDashboard(supabase, user, filters),
+            fetchProfile(supabase, user.id),
+          ]);
+          setProfile(profile);
+          showData(data);
+          await fillInCanonicalUrls(data.bookmarks, user.id);
+        } else if (navigator.onLine) {
+          await fillInCanonicalUrls(initialData.bookmarks, user.id);
+        }
+      }
+      setLoading(false);
+    };
+
+    getUser();
+
+    // 3. Subscribe to real-time changes: bookmarks, tags, collections,
+    //    smart views, members and activity (see src/lib/dashboard-realtime.js)
+    const unsubscribe = subscribeToDashboard(supabase, {
+      workspaceId,
+      getUserId: () => currentUserId,
+      isListed: (id) => listedIdsRef.current.has(id),
+      withPending,
+      onBookmarksChange: refreshCountsSoon,
+      state: {
+        setBookmarks,
+        setSearch,
+        setTags,
+        setCollections,
+        setSmartViews,
+        setMembers,
+        setWorkspaces,
+        setActivity,
+      },
+    });
+
+    // 4. Cleanup: unsubscribe when the component unmounts (or the space changes)
+    return () => {
+      clearTimeout(countsTimer);
+      unsubscribe();
+    };
+  }, [workspaceId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ───────────────────────────────────────────────
+  // OFFLINE: keep a copy of this space in IndexedDB, and send changes made
+  // offline once the network is back (see src/lib/use-offline-sync.js)
+  // ───────────────────────────────────────────────
+  const { syncReport, dismissSyncReport } = useOfflineSync(supabase, {
+    user,
+    workspaceId,
+    filters,
+    ready: !loading,
+    queue: offlineQueue,
+    copy: { bookmarks, tags, collections, smartViews, workspaces },
+    showFirstPage,
+    setCounts,
+  });
+
+  // ───────────────────────────────────────────────
+  // PAGE DETAILS: once the URL stops changing, fetch its title etc.
+  // ───────────────────────────────────────────────
+  useEffect(() => {
+    const target = url.trim();
+    if (!/^https?:\/\/[^/\s]+\.[^/\s]+/i.test(target)) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setFetchingMetadataFor(target);
+      try {
+        const res = await fetch(
+          `/api/metadata?url=${encodeURIComponent(target)}`,
+          { signal: controller.signal }
+        );
+        // Failing to fetch details is fine — the user can still type a title
+        if (!res.ok) return;
+
+        const details = await res.json();
+        setMetadata({ ...details, for: target });
+        // Only pre-fill the title if the user hasn't typed one
+        if (details.title) {
+          setTitle((prev) => (prev.trim() ? prev : details.title));
+        }
+      } catch (err) {
+        if (err.name !== "AbortError") {
+          console.error("Failed to fetch page details:", err.message);
+        }
+      } finally {
+        setFetchingMetadataFor((prev) => (prev === target ? null : prev));
+      }
+    }, METADATA_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [url]);
+
+  // ───────────────────────────────────────────────
+  // DUPLICATE CHECK: has the user already saved this link (in this space)?
+  // ───────────────────────────────────────────────
+  useEffect(() => {
+    const canonicalUrl = normalizeUrl(url);
+    if (!canonicalUrl || !user) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      let query = supabase
+        .from("bookmarks")
+        .select("id, title, created_at")
+        .eq("user_id", user.id)
+        .eq("canonical_url", canonicalUrl)
+        .is("deleted_at", null);
+      query = workspaceId
+        ? query.eq("workspace_id", workspaceId)
+        : query.is("workspace_id", null);
+
+      const { data, error } = await query
+        .order("created_at", { ascending: true })
+        .limit(1);
+      if (cancelled) return;
+      if (error) {
+        console.error("Failed to check for duplicates:", error.message);
+        return;
+      }
+      setExistingMatch({ for: canonicalUrl, bookmark: data[0] || null });
+    }, DUPLICATE_CHECK_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [url, user, workspaceId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ───────────────────────────────────────────────
+  // ADD BOOKMARK
+  // ───────────────────────────────────────────────
+  const addBookmark = async (e) => {
+    e.preventDefault();
+    if (!title.trim() || !url.trim()) return;
+
+    // Saving the same link twice is allowed, but only on purpose
+    if (
+      duplicate &&
+      !confirm(
+        `You already saved this link ${formatRelativeTime(duplicate.created_at)} ("${duplicate.title}"). Save it again?`
+      )
+    ) {
+      return;
+    }
+
+    // Page details only apply if they were fetched for this exact URL
+    const details = metadata?.for === url.trim() ? metadata : null;
+    const collectionId = addToCollection || null;
+
+    // The id is picked here rather than by Postgres, so a bookmark saved
+    // offline keeps the same id once it's synced
+    const row = {
+      id: crypto.randomUUID(),
+      title: title.trim(),
+      url: url.trim(),
+      canonical_url: normalizeUrl(url),
+      notes: notes.trim() || null,
+      description: details?.description ?? null,
+      image_url: details?.image_url ?? null,
+      favicon_url: details?.favicon_url ?? null,
+      collection_id: collectionId,
+      position: collectionId ? await topPosition(collectionId) : null,
+      workspace_id: workspaceId,
+      user_id: user.id,
+    };
+
+    const resetForm = () => {
+      setTitle("");
+      setUrl("");
+      setNotes("");
+      setMetadata(null);
+      setTagInput("");
+      setCollectionChoice(null);
+    };
+
+    // Offline: save it in the queue and show it right away, marked as
+    // not synced yet
+    const queueInsert = async () => {
+      const queuedRow = { ...row, created_at: new Date().toISOString() };
+      await queueMutation({
+        type: "insert",
+        bookmarkId: row.id,
+        row: queuedRow,
+        tagNames: parseTagInput(tagInput),
+      });
+      setBookmarks((prev) => [
+        { ...queuedRow, tag_ids: [], pending: true },
+        ...prev,
+      ]);
+      resetForm();
+    };
+
+    if (!online) {
+      await queueInsert();
+      return;
+    }
+
+    // Insert into Supabase and get the inserted row back with .select().
+    // This way we update the UI immediately without relying on realtime.
+    const { data, error } = await supabase.from("bookmarks").insert(row).select();
+
+    if (error && isNetworkError(error)) {
+      await queueInsert();
+    } else if (error) {
+      console.error("Failed to add bookmark:", error.message);
+      alert("Failed to add bookmark: " + error.message);
+    } else {
+      if (data && data.length > 0) {
+        // Create any new tags and link them to the bookmark
+        const { data: savedTags, error: tagError } = await saveBookmarkTags(
+          supabase,
+          user.id,
+          data[0].id,
+          parseTagInput(tagInput)
+        );
+        if (tagError) {
+          console.error("Failed to save tags:", tagError.message);
+          alert("Bookmark saved, but its tags failed: " + tagError.message);
+        }
+
+        setTags((prev) =>
+          [
+            ...prev,
+            ...savedTags.filter((t) => !prev.some((p) => p.id === t.id)),
+          ].sort((a, b) => a.name.localeCompare(b.name))
+        );
+
+        // Add the new bookmark to the top of the list immediately
+        // (realtime may have beaten us to it, so merge the tag ids in)
+        const tagIds = savedTags.map((t) => t.id);
+        setBookmarks((prev) => {
+          if (prev.some((b) => b.id === data[0].id)) {
+            return prev.map((b) =>
+              b.id === data[0].id
+                ? { ...b, tag_ids: [...new Set([...b.tag_ids, ...tagIds])] }
+                : b
+            );
+          }
+          return [{ ...data[0], tag_ids: tagIds }, ...prev];
+        });
+
+        // Keep a readable copy of the page in the background, in case it
+        // disappears later (see src/lib/snapshot.js)
+        fetch(`/api/bookmarks/${data[0].id}/archive`, { method: "POST" }).catch(
+          (err) => console.error("Failed to save snapshot:", err.message)
+        );
+      }
+      resetForm();
+    }
+  };
+
+  // ───────────────────────────────────────────────
+  // EDIT BOOKMARK
+  // ───────────────────────────────────────────────
+  // Only updates the row if it still has the updated_at the editor started
+  // from. If another tab saved in between, nothing matches and we report a
+  // conflict instead of silently overwriting their change.
+  const updateBookmark = async (id, changes, expectedUpdatedAt) => {
+    // Keep the duplicate-detection key in step with the URL
+    if ("url" in changes) {
+      changes = { ...changes, canonical_url: normalizeUrl(changes.url) };
+    }
+
+    // Moving to another collection puts the bookmark at the top of it
+    const current = bookmarks.find((b) => b.id === id);
+    if (
+      "collection_id" in changes &&
+      changes.collection_id !== (current?.collection_id ?? null)
+    ) {
+      changes = {
+        ...changes,
+        position: changes.collection_id
+          ? await topPosition(changes.collection_id)
+          : null,
+      };
+    }
+
+    // Offline: queue just the fields that changed (with their old values,
+    // so the sync can merge them with edits made elsewhere meanwhile)
+    const queueUpdate = async () => {
+      const diff = diffBookmark(current, changes);
+      if (diff) {
+        await queueMutation({ type: "update", bookmarkId: id, ...diff });
+      }
+      const overlay = (list) =>
+        list.map((b) => (b.id === id ? { ...b, ...changes, pending: true } : b));
+      setBookmarks(overlay);
+      setSearch((prev) => ({ ...prev, results: overlay(prev.results) }));
+      return {};
+    };
+
+    if (!online) return queueUpdate();
+
+    const { data, error } = await supabase
+      .from("bookmarks")
+      .update(changes)
+      .eq("id", id)
+      .eq("updated_at", expectedUpdatedAt)
+      .select();
+
+    if (error && isNetworkError(error)) return queueUpdate();
+    if (error) {
+      console.error("Failed to update bookmark:", error.message);
+      return { error: error.message };
+    }
+    if (!data || data.length === 0) {
+      return { conflict: true };
+    }
+
+    setBookmarks((prev) => mergeBookmarkUpdate(prev, data[0]));
+    setSearch((prev) => ({
+      ...prev,
+      results: mergeBookmarkUpdate(prev.results, data[0]),
+    }));
+    return {};
+  };
+
+  // ───────────────────────────────────────────────
+  // MOVE / REORDER BOOKMARKS
+  // ───────────────────────────────────────────────
+  // A position just above everything currently in the collection. Only
+  // part of it may be loaded, so ask the server for its top position
+  // (offline, the loaded bookmarks will have to do).
+  const topPosition = async (collectionId) => {
+    let positions = bookmarks
+      .filter((b) => b.collection_id === collectionId && b.position != null)
+      .map((b) => b.position);
+
+    if (online) {
+      const { data, error } = await supabase
+        .from("bookmarks")
+        .select("position")
+        .eq("collection_id", collectionId)
+        .not("position", "is", null)
+        .is("deleted_at", null)
+        .order("position", { ascending: true })
+        .limit(1);
+      if (error) {
+        console.error("Failed to fetch collection order:", error.message);
+      } else if (data.length > 0) {
+        positions = [...positions, data[0].position];
+      }
+    }
+    return positions.length > 0 ? Math.min(...positions) - POSITION_STEP : 0;
+  };
+
+  // Apply { id, collection_id?, position } changes optimistically, then save
+  // them. If any save fails, every change is rolled back in the UI.
+  // Other tabs pick the new order up through the realtime UPDATE handler.
+  const saveMoves = async (moves) => {
+    const previous = bookmarks.filter((b) => moves.some((m) => m.id === b.id));
+    const apply = (list, rows) =>
+      list.map((b) => {
+        const row = rows.find((r) => r.id === b.id);
+        return row ? { ...b, ...row } : b;
+      });
+
+    setBookmarks((prev) => apply(prev, moves));
+
+    const results = await Promise.all(
+      moves.map(({ id, ...changes }) =>
+        supabase.from("bookmarks").update(changes).eq("id", id)
+      )
+    );
+    const failed = results.find((r) => r.error);
+    if (failed) {
+      console.error("Failed to move bookmark:", failed.error.message);
+      setBookmarks((prev) => apply(prev, previous));
+      alert("Failed to move bookmark: " + failed.error.message);
+    }
+  };
+
+  // Drag and drop inside a collection: bookmarkId now sits at index `to`
+  const reorderBookmark = (bookmarkId, to) => {
+    const others = visibleBookmarks.filter((b) => b.id !== bookmarkId);
+    const before = others[to - 1];
+    const after = others[to];
+
+    // Usually only the dragged bookmark needs a new position...
+    const allPlaced = others.every((b) => b.position != null);
+    const position = allPlaced
+      ? positionBetween(before?.position, after?.position)
+      : null;
+    if (position !== null) {
+      return saveMoves([{ id: bookmarkId, position }]);
+    }
+
+    // ...but if some bookmarks were never placed, or the gap got too small
+    // to split, renumber the whole collection in its new order
+    const ordered = [...others];
+    ordered.splice(to, 0, { id: bookmarkId });
+    return saveMoves(
+      ordered.map((b, i) => ({ id: b.id, position: (i + 1) * POSITION_STEP }))
+    );
+  };
+
+  // Dropped onto a collection in the sidebar: move it to the top of it
+  const moveToCollection = async (bookmarkId, collectionId) => {
+    const bookmark = bookmarks.find((b) => b.id === bookmarkId);
+    if (!bookmark || bookmark.collection_id === collectionId) return;
+    return saveMoves([
+      {
+        id: bookmarkId,
+        collection_id: collectionId,
+        position: await topPosition(collectionId),
+      },
+    ]);
+  };
+
+  // ───────────────────────────────────────────────
+  // COLLECTIONS
+  // ───────────────────────────────────────────────
+  const createCollection = async (parentId) => {
+    const name = prompt(parentId ? "Sub-collection name:" : "Collection name:");
+    if (!name?.trim()) return;
+
+    // New collections go after their siblings
+    const siblings = collections.filter(
+      (c) => (c.parent_id ?? null) === parentId
+    );
+    const position =
+      siblings.length > 0
+        ? Math.max(...siblings.map((c) => c.position)) + POSITION_STEP
+        : 0;
+
+    const { data, error } = await supabase
+      .from("collections")
+      .insert({
+        name: name.trim(),
+        parent_id: parentId,
+        position,
+        workspace_id: workspaceId,
+        user_id: user.id,
+      })
+      .select();
+
+    if (error) {
+      console.error("Failed to create collection:", error.message);
+      alert("Failed to create collection: " + error.message);
+    } else if (data?.[0]) {
+      setCollections((prev) => [
+        ...prev.filter((c) => c.id !== data[0].id),
+        data[0],
+      ]);
+    }
+  };
+
+  const renameCollection = async (collection) => {
+    const name = prompt("Rename collection:", collection.name);
+    if (!name?.trim() || name.trim() === collection.name) return;
+
+    const { data, error } = await supabase
+      .from("collections")
+      .update({ name: name.trim() })
+      .eq("id", collection.id)
+      .select();
+
+    if (error) {
+      console.error("Failed to rename collection:", error.message);
+      alert("Failed to rename collection: " + error.message);
+    } else if (data?.[0]) {
+      setCollections((prev) =>
+        prev.map((c) => (c.id === data[0].id ? data[0] : c))
+      );
+    }
+  };
+
+  const deleteCollection = async (collection) => {
+    if (
+      !confirm(
+        `Delete "${collection.name}" and its sub-collections? Their bookmarks are kept.`
+      )
+    ) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from("collections")
+      .delete()
+      .eq("id", collection.id);
+
+    if (error) {
+      console.error("Failed to delete collection:", error.message);
+      alert("Failed to delete collection: " + error.message);
+      return;
+    }
+
+    // Sub-collections are deleted by the database (on delete cascade) and
+    // bookmarks moved out of them (on delete set null); mirror that here
+    // instead of waiting for the realtime events.
+    const removed = new Set([collection.id]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      collections.forEach((c) => {
+        if (c.parent_id && removed.has(c.parent_id) && !removed.has(c.id)) {
+          removed.add(c.id);
+          grew = true;
+        }
+      });
+    }
+    setCollections((prev) => prev.filter((c) => !removed.has(c.id)));
+    setBookmarks((prev) =>
+      prev.map((b) =>
+        removed.has(b.collection_id)
+          ? { ...b, collection_id: null, position: null }
+          : b
+      )
+    );
+  };
+
+  // ───────────────────────────────────────────────
+  // DELETE (TRASH) + UNDO
+  // ───────────────────────────────────────────────
+  // Deleting only moves bookmarks to the trash (sets deleted_at), so it can
+  // be undone from the toast, or later from /trash.
+  // The list updates immediately; any bookmark the database didn't trash
+  // (an error, or RLS not letting us) is put back and reported.
+  // Offline, the deletes are queued and count as done.
+  const trashBookmarks = async (targets) => {
+    if (targets.length === 0) return;
+    const ids = new Set(targets.map((b) => b.id));
+    const deletedAt = new Date().toISOString();
+
+    setBookmarks((prev) => prev.filter((b) => !ids.has(b.id)));
+    setSearch((prev) => ({
+      ...prev,
+      results: prev.results.filter((b) => !ids.has(b.id)),
+    }));
+
+    let { data, error } = online
+      ? await supabase
+          .from("bookmarks")
+          .update({ deleted_at: deletedAt })
+          .in("id", [...ids])
+          .select("id")
+      : { data: null, error: null };
+
+    if (!online || isNetworkError(error)) {
+      for (const b of targets) {
+        await queueMutation({ type: "trash", bookmarkId: b.id, deletedAt });
+      }
+      data = targets.map((b) => ({ id: b.id }));
+      error = null;
+    }
+
+    const trashed = new Set((data || []).map((row) => row.id));
+    const failed = targets.filter((b) => !trashed.has(b.id));
+    if (failed.length > 0) {
+      setBookmarks((prev) => insertBookmarks(prev, failed));
+      const message = error?.message || "You can't delete some of these bookmarks";
+      console.error("Failed to delete bookmarks:", message);
+      alert("Failed to delete bookmarks: " + message);
+    }
+
+    const done = targets.filter((b) => trashed.has(b.id));
+    if (done.length > 0) {
+      setUndo({
+        message:
+          done.length === 1
+            ? "Moved to trash"
+            : `Moved ${done.length} bookmarks to trash`,
+        bookmarks: done,
+      });
+    }
+  };
+
+  const deleteBookmark = (id) =>
+    trashBookmarks(bookmarks.filter((b) => b.id === id));
+
+  // Take bookmarks back out of the trash (the toast's Undo button)
+  const undoTrash = async () => {
+    const targets = undo.bookmarks;
+    const ids = targets.map((b) => b.id);
+    setUndo(null);
+    setBookmarks((prev) => insertBookmarks(prev, targets));
+
+    let { data, error } = online
+      ? await supabase
+          .from("bookmarks")
+          .update({ deleted_at: null })
+          .in("id", ids)
+          .select("id")
+      : { data: null, error: null };
+
+    if (!online || isNetworkError(error)) {
+      for (const { pending, ...row } of targets) {
+        await queueMutation({ type: "restore", bookmarkId: row.id, row });
+      }
+      return;
+    }
+
+    const restored = new Set((data || []).map((row) => row.id));
+    if (restored.size < ids.length) {
+      setBookmarks((prev) =>
+        prev.filter((b) => !ids.includes(b.id) || restored.has(b.id))
+      );
+      const message = error?.message || "Some bookmarks couldn't be restored";
+      console.error("Failed to restore bookmarks:", message);
+      alert("Failed to restore bookmarks: " + message);
+    }
+  };
+
+  // ───────────────────────────────────────────────
+  // READING LIST
+  // ───────────────────────────────────────────────
+  // Mark bookmarks read/unread, archive them or set their reminder:
+  // changes is some of { read_at, archived_at, remind_at }. Applied to the
+  // list immediately; bookmarks the database didn't update are rolled
+  // back. Unlike edits, these don't check updated_at — the last click wins.
+  const setReadingState = async (targets, changes) => {
+    if (targets.length === 0) return;
+    const ids = new Set(targets.map((b) => b.id));
+    const apply = (list, extra = {}) =>
+      list.map((b) => (ids.has(b.id) ? { ...b, ...changes, ...extra } : b));
+
+    setBookmarks((prev) => apply(prev));
+    setSearch((prev) => ({ ...prev, results: apply(prev.results) }));
+
+    const queueAll = async () => {
+      for (const b of targets) {
+        const diff = diffBookmark(b, changes);
+        if (diff) {
+          await queueMutation({ type: "update", bookmarkId: b.id, ...diff });
+        }
+      }
+      setBookmarks((prev) => apply(prev, { pending: true }));
+    };
+
+    if (!online) return queueAll();
+
+    const { data, error } = await supabase
+      .from("bookmarks")
+      .update(changes)
+      .in("id", [...ids])
+      .select("id");
+
+    if (error && isNetworkError(error)) return queueAll();
+
+    const saved = new Set((data || []).map((row) => row.id));
+    const failed = targets.filter((b) => !saved.has(b.id));
+    if (failed.length > 0) {
+      const rollback = (list) =>
+        list.map((b) => {
+          const before = failed.find((f) => f.id === b.id);
+          if (!before) return b;
+          const restored = { ...b };
+          Object.keys(changes).forEach((key) => {
+            restored[key] = before[key] ?? null;
+          });
+          return restored;
+        });
+      setBookmarks(rollback);
+      setSearch((prev) => ({ ...prev, results: rollback(prev.results) }));
+      const message = error?.message || "You can't change some of these bookmarks";
+      console.error("Failed to update reading state:", message);
+      alert("Failed to update bookmarks: " + message);
+    }
+  };
+
+  // ───────────────────────────────────────────────
+  // READING SHORTCUTS, REMINDERS, LINK HEALTH, SELECT + SHARE
+  // ───────────────────────────────────────────────
+  // Defined by hooks of their own (src/lib/use-*.js); set up here as they
+  // build on the actions above
+  const { dueBookmarks, showDigest, dismissDigest } = useReminderDigest(
+    user,
+    bookmarks
+  );
+
+  // The sidebar's counts cover the whole space (see dashboard_counts());
+  // offline, only what's in the offline copy can be counted
+  const sidebarCounts = counts ?? countBookmarks(bookmarks);
+
+  const {
+    linkCheck,
+    checkLinks,
+    fixRedirects,
+    fixAllRedirects,
+    deleteBrokenLinks,
+  } = useLinkHealth(supabase, {
+    workspaceId,
+    total: sidebarCounts.all + sidebarCounts.archived,
+    setBookmarks,
+    trashBookmarks,
+  });
+
+  const selection = useSelection(supabase, {
+    user,
+    bookmarks,
+    trashBookmarks,
+    setReadingState,
+  });
+  const { selectedIds, sharing } = selection;
+
+  // ───────────────────────────────────────────────
+  // SIGN OUT
+  // ───────────────────────────────────────────────
+  const handleSignOut = async () => {
+    // Signing out forgets the offline copy, including unsynced changes
+    if (
+      pending.length > 0 &&
+      !confirm(
+        `${pending.length} change(s) made offline haven't been synced yet and will be lost. Sign out anyway?`
+      )
+    ) {
+      return;
+    }
+    await clearOfflineData();
+    await supabase.auth.signOut();
+    window.location.href = "/login";
+  };
+
+  // ───────────────────────────────────────────────
+  // THE LIST: what passes the filters (see src/lib/dashboard-view.js)
+  // ───────────────────────────────────────────────
+  const tagsById = Object.fromEntries(tags.map((t) => [t.id, t]));
+
+  // While searching, the list shows the ranked search results instead
+  // (only once the results for the current input have arrived)
+  const visibleBookmarks = filterBookmarks(
+    searching ? search.results : bookmarks,
+    { filters, tagsById, smartView: activeSmartView, searching, isInLoadedPages }
+  );
+
+  // Headings to split the list under (?group=). Date headings ("Today",
+  // "Last 7 days"...) depend on the browser's clock and time zone, so the
+  // server renders the list without them and they appear once hydrated.
+  const hydrated = useSyncExternalStore(subscribeToNothing, () => true, () => false);
+  const group = searching ? null : listGroup(filters);
+  const bookmarkGroups =
+    group && (group !== "date" || hydrated)
+      ? groupBookmarks(visibleBookmarks, group, listSort(filters))
+      : [{ key: "all", label: null, bookmarks: visibleBookmarks }];
+
+  // How many bookmarks are in each reading view (for the sidebar panel)
+  const readingCounts = {
+    all: sidebarCounts.all,
+    unread: sidebarCounts.unread,
+    archived: sidebarCounts.archived,
+  };
+
+  // Viewers of a workspace get a read-only list
+  const { currentWorkspace, readOnly, membersById } = workspaceAccess({
+    workspaceId,
+    workspaces,
+    members,
+    userId: user?.id,
+  });
+
+  // ───────────────────────────────────────────────
+  // COLLECTION TREE
+  // ───────────────────────────────────────────────
+  const collectionsById = Object.fromEntries(collections.map((c) => [c.id, c]));
+  const collectionTree = buildCollectionTree(collections);
+  const collectionOptions = flattenCollectionTree(collectionTree);
+  const collectionPath = filters.collection
+    ? getCollectionPath(collectionsById, filters.collection)
+    : [];
+
+  // How many bookmarks sit directly in each collection
+  const collectionCounts = sidebarCounts.collections;
+
+  // Dragging to reorder only makes sense when the whole collection is shown,
+  // in its manual order
+  const sortable =
+    listSort(filters) === "manual" &&
+    !filters.view &&
+    !searching &&
+    activeTags.length === 0 &&
+    !readOnly;
+
+  // The add form defaults to the collection being viewed
+  const addToCollection =
+    collectionChoice ??
+    (collectionsById[filters.collection] ? filters.collection : "");
+
+  // The already-saved bookmark for the URL being typed, if the check for
+  // this exact URL has come back
+  const duplicate =
+    existingMatch && existingMatch.for === normalizeUrl(url)
+      ? existingMatch.bookmark
+      : null;
+
+  // ───────────────────────────────────────────────
+  // KEYBOARD SHORTCUTS (listed in the Reading panel)
+  // ───────────────────────────────────────────────
+  const focusedId = useReadingShortcuts({
+    visibleBookmarks,
+    readOnly,
+    readingList: filters.view === "reading" && !searching,
+    setReadingState,
+  });
+
+  // ───────────────────────────────────────────────
+  // RENDER
+  // ───────────────────────────────────────────────
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-500">Loading...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* ── HEADER ── */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <h1 className="text-xl font-bold text-gray-900 truncate">
+            {currentWorkspace ? `👥 ${currentWorkspace.name}` : "📑 My Bookmarks"}
+          </h1>
+          <div className="flex items-center gap-4">
+            <Link
+              href="/import"
+              className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+            >
+              Import
+            </Link>
+            <Link
+              href="/shares"
+              className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+            >
+              Shared
+            </Link>
+            <Link
+              href="/duplicates"
+              className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+            >
+              Duplicates
+            </Link>
+            <Link
+              href={workspaceId ? `/trash?workspace=${workspaceId}` : "/trash"}
+              className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+            >
+              Trash
+            </Link>
+            <Link
+              href="/settings/tokens"
+              className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+            >
+              API
+            </Link>
+            <Link
+              href="/settings/webhooks"
+              className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+            >
+              Webhooks
+            </Link>
+            <Link
+              href="/save"
+              className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+            >
+              Bookmarklet
+            </Link>
+            <ExportMenu />
+            <Link
+              href="/settings"
+              className="text-sm text-gray-500 hover:text-gray-900 hidden sm:flex items-center gap-2"
+              title="Account settings"
+            >
+              {profile?.avatar_url && (
+                // eslint-disable-next-line @next/next/no-img-element -- avatars come from Supabase Storage
+                <img
+                  src={profile.avatar_url}
+                  alt=""
+                  className="w-6 h-6 rounded-full object-cover"
+                />
+              )}
+              {displayName(profile, user)}
+            </Link>
+            <button
+              onClick={handleSignOut}
+              className="text-sm text-red-600 hover:text-red-800 font-medium cursor-pointer"
+            >
+              Sign Out
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {/* ── OFFLINE / SYNC STATUS ── */}
+      <SyncStatusBanner
+        online={online}
+        pending={pending}
+        report={syncReport}
+        onDismiss={dismissSyncReport}
+      />
+
+      <div className="max-w-5xl mx-auto px-4 py-8 flex flex-col md:flex-row gap-6">
+        {/* ── SIDEBAR: SPACES + COLLECTIONS + TAGS (+ ACTIVITY) ── */}
+        <div className="md:w-56 flex-shrink-0 space-y-4">
+          <WorkspaceSwitcher workspaces={workspaces} filters={filters} />
+          <CollectionTree
+            tree={collectionTree}
+            filters={filters}
+            counts={collectionCounts}
+            onCreate={createCollection}
+            onRename={renameCollection}
+            onDelete={deleteCollection}
+            onDropBookmark={moveToCollection}
+            readOnly={readOnly}
+          />
+          <ReadingListPanel counts={readingCounts} filters={filters} />
+          <UsagePanel counts={sidebarCounts.usage ?? {}} filters={filters} />
+          <SmartViewsPanel
+            smartViews={smartViews}
+            filters={filters}
+            onSave={saveSmartView}
+            onDelete={deleteSmartView}
+          />
+          <TagSidebar tags={tags} counts={sidebarCounts.tags} filters={filters} />
+          <LinkHealthPanel
+            counts={sidebarCounts.health}
+            filters={filters}
+            progress={linkCheck}
+            readOnly={readOnly}
+            onCheck={checkLinks}
+            onFixRedirects={fixAllRedirects}
+            onDeleteBroken={deleteBrokenLinks}
+          />
+          {currentWorkspace && (
+            <ActivityFeed activity={activity} currentUserId={user?.id} />
+          )}
+        </div>
+
+        <main className="flex-1 min-w-0">
+          {workspaceId && !currentWorkspace && (
+            <div className="bg-amber-50 border border-amber-200 text-amber-800 rounded-xl px-4 py-3 mb-8 text-sm">
+              This workspace doesn&rsquo;t exist or you&rsquo;re not a member
+              of it.{" "}
+              <Link href="/" className="font-medium hover:underline">
+                Back to your bookmarks
+              </Link>
+            </div>
+          )}
+          {currentWorkspace && readOnly && (
+            <div className="bg-gray-100 text-gray-600 rounded-xl px-4 py-3 mb-8 text-sm">
+              You have view-only access to this workspace.
+            </div>
+          )}
+
+          {/* ── REMINDER DIGEST ── */}
+          {showDigest && (
+            <ReminderDigest
+              bookmarks={dueBookmarks}
+              readOnly={readOnly}
+              onSetReadingState={setReadingState}
+              onDismiss={dismissDigest}
+            />
+          )}
+
+          {/* ── ADD BOOKMARK FORM ── */}
+          {!readOnly && (
+            <form
+              onSubmit={addBookmark}
+              className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8"
+            >
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                Add a Bookmark
+              </h2>
+              <div className="flex flex-col sm:flex-row gap-3">
+                <input
+                  type="url"
+                  placeholder="URL (e.g. https://react.dev)"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  required
+                />
+                <input
+                  type="text"
+                  placeholder={
+                    fetchingMetadataFor === url.trim()
+                      ? "Fetching title..."
+                      : "Title (e.g. React Docs)"
+                  }
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  required
+                />
+                <input
+                  type="text"
+                  placeholder="Tags (comma separated)"
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  className="sm:w-48 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <button
+                  type="submit"
+                  className="px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer"
+                >
+                  Add
+                </button>
+              </div>
+              {duplicate && (
+                <p className="text-sm text-amber-700 mt-2">
+                  Already saved {formatRelativeTime(duplicate.created_at)} as
+                  &ldquo;{duplicate.title}&rdquo;
+                </p>
+              )}
+              <textarea
+                placeholder="Notes (optional)"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                rows={2}
+                className="w-full mt-3 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              {collectionOptions.length > 0 && (
+                <select
+                  value={addToCollection}
+                  onChange={(e) => setCollectionChoice(e.target.value)}
+                  className="mt-3 px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  aria-label="Collection"
+                >
+                  <option value="">No collection</option>
+                  {collectionOptions.map(({ collection, depth }) => (
+                    <option key={collection.id} value={collection.id}>
+                      {`${"\u00a0\u00a0".repeat(depth)}${collection.name}`}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </form>
+          )}
+
+          {/* ── SEARCH BOX ── */}
+          <div className="mb-4">
+            <input
+              type="search"
+              placeholder="Search titles, URLs, notes and saved pages..."
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="w-full px-4 py-2 bg-white border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            {searchError && (
+              <p className="text-sm text-red-600 mt-2">{searchError}</p>
+            )}
+          </div>
+
+          {/* ── SORT / GROUP + SELECTION TOOLBAR ── */}
+          <div className="flex items-center justify-end gap-4 mb-3 text-sm">
+            {!selectedIds && !searching && filters.view !== "reading" && (
+              <div className="mr-auto">
+                <ListOptions filters={filters} />
+              </div>
+            )}
+            <SelectionToolbar
+              selection={selection}
+              visibleIds={visibleBookmarks.map((b) => b.id)}
+              archiveView={filters.view === "archived"}
+              readOnly={readOnly}
+            />
+          </div>
+          {sharing && selectedIds?.length > 0 && (
+            <ShareDialog
+              count={selectedIds.length}
+              onCreate={selection.createShareLink}
+              onClose={selection.stopSelecting}
+            />
+          )}
+
+          {/* ── BOOKMARK LIST ── */}
+          {collectionPath.length > 0 && (
+            <h2 className="text-sm font-medium text-gray-500 mb-3">
+              📁 {collectionPath.join(" / ")}
+              {sortable && visibleBookmarks.length > 1 && (
+                <span className="text-gray-400 font-normal">
+                  {" "}
+                  · drag ⋮⋮ to reorder
+                </span>
+              )}
+            </h2>
+          )}
+          {searchPending ? (
+            <p className="text-center text-gray-400 py-16">Searching...</p>
+          ) : visibleBookmarks.length === 0 ? (
+            <EmptyList
+              filters={filters}
+              query={searching ? query.trim() : null}
+              smartView={activeSmartView}
+              hasBookmarks={bookmarks.length > 0}
+              readOnly={readOnly}
+            />
+          ) : (
+            bookmarkGroups.map(({ key, label, bookmarks: rows }) => (
+              <section key={key} className="mb-4">
+                {label && (
+                  <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">
+                    {label}
+                  </h3>
+                )}
+                <BookmarkList
+                  bookmarks={rows}
+                  sortable={sortable}
+                  onReorder={reorderBookmark}
+                  tagsById={tagsById}
+                  collectionOptions={collectionOptions}
+                  onUpdate={updateBookmark}
+                  onDelete={deleteBookmark}
+                  onFixRedirect={(bookmark) => fixRedirects([bookmark])}
+                  onSetReadingState={setReadingState}
+                  focusedId={focusedId}
+                  highlightTerms={searching ? search.terms : []}
+                  readOnly={readOnly}
+                  membersById={membersById}
+                  currentUserId={user?.id}
+                  workspaceId={workspaceId}
+                  selectedIds={selectedIds}
+                  onToggleSelect={selection.toggleSelected}
+                />
+              </section>
+            ))
+          )}
+          {!searching && nextCursor && (
+            <LoadMoreTrigger
+              onLoadMore={loadMore}
+              loading={loadingMore}
+              error={loadMoreError}
+              disabled={!online}
+            />
+          )}
+        </main>
+      </div>
+
+      {undo && (
+        <UndoToast
+          toast={undo}
+          onUndo={undoTrash}
+          onDismiss={() => setUndo(null)}
+        />
+      )}
+    </div>
+  );
+}
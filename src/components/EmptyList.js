@@ -0,0 +1,69 @@
+// EMPTY LIST
+// What the dashboard says when nothing is left to list: why depends on
+// what's narrowing the list — a search, the archive or reading list, a
+// usage list, a smart view, a link health state, a collection or tags —
+// or that there are no bookmarks yet. `smartView` is the one being shown
+// (null when it no longer exists); hasBookmarks tells "all caught up" in
+// the reading list from an empty space.
+
+"use client";
+
+import { LINK_HEALTH_LABELS } from "@/lib/link-health";
+
+export default function EmptyList({
+  filters,
+  query,
+  smartView,
+  hasBookmarks,
+  readOnly = false,
+}) {
+  const tagged = filters.tags.map((t) => `#${t}`).join(" + ");
+  const say = (message) => <p className="text-gray-400 text-lg">{message}</p>;
+
+  let message;
+  if (query) {
+    message = say(<>No bookmarks match &ldquo;{query}&rdquo;</>);
+  } else if (filters.view === "archived") {
+    message = say("Nothing archived yet");
+  } else if (filters.view === "reading" && hasBookmarks) {
+    message = say("All caught up — nothing left to read here");
+  } else if (filters.usage) {
+    message = say(
+      filters.usage === "most"
+        ? "Nothing opened from here yet"
+        : "Every bookmark here has been opened"
+    );
+  } else if (filters.smart) {
+    message = say(
+      smartView
+        ? `Nothing matches “${smartView.name}”`
+        : "This smart view no longer exists"
+    );
+  } else if (filters.health) {
+    message = say(
+      <>
+        No links here are marked &ldquo;
+        {LINK_HEALTH_LABELS[filters.health] || filters.health}&rdquo;
+      </>
+    );
+  } else if (filters.collection) {
+    message = say(
+      `No bookmarks in this collection${tagged ? ` tagged ${tagged}` : ""}`
+    );
+  } else if (tagged) {
+    message = say(`No bookmarks tagged ${tagged}`);
+  } else {
+    message = (
+      <>
+        {say("No bookmarks yet")}
+        {!readOnly && (
+          <p className="text-gray-400 text-sm mt-1">
+            Add your first bookmark above!
+          </p>
+        )}
+      </>
+    );
+  }
+
+  return <div className="text-center py-16">{message}</div>;
+}
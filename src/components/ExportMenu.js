@@ -0,0 +1,60 @@
+// EXPORT MENU
+// A small dropdown in the dashboard header for downloading bookmarks.
+// It's a plain GET form pointing at /api/export, so the browser handles
+// the download itself (and it works even before the page's JS has loaded).
+
+import { EXPORT_FORMATS } from "@/lib/export";
+
+export default function ExportMenu() {
+  const inputClass =
+    "w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+  return (
+    <details className="relative">
+      <summary className="text-sm text-gray-600 hover:text-gray-900 font-medium cursor-pointer list-none">
+        Export
+      </summary>
+      <form
+        action="/api/export"
+        method="get"
+        className="absolute right-0 mt-2 w-64 bg-white rounded-xl shadow-lg border border-gray-200 p-4 space-y-3 z-10"
+      >
+        <label className="block text-xs font-medium text-gray-600">
+          Format
+          <select name="format" defaultValue="html" className={`${inputClass} mt-1`}>
+            {Object.entries(EXPORT_FORMATS).map(([key, spec]) => (
+              <option key={key} value={key}>
+                {spec.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="grid grid-cols-2 gap-2">
+          <label className="block text-xs font-medium text-gray-600">
+            From
+            <input type="date" name="from" className={`${inputClass} mt-1`} />
+          </label>
+          <label className="block text-xs font-medium text-gray-600">
+            To
+            <input type="date" name="to" className={`${inputClass} mt-1`} />
+          </label>
+        </div>
+        <label className="block text-xs font-medium text-gray-600">
+          Only this site
+          <input
+            type="text"
+            name="domain"
+            placeholder="e.g. github.com"
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <button
+          type="submit"
+          className="w-full px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer"
+        >
+          Download
+        </button>
+      </form>
+    </details>
+  );
+}
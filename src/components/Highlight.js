@@ -0,0 +1,25 @@
+// HIGHLIGHT
+// Wraps every word that starts with one of the search terms in a <mark>.
+// Done on the client with plain text nodes (no dangerouslySetInnerHTML),
+// so titles and notes can never inject markup.
+
+export default function Highlight({ text, terms }) {
+  if (!text || !terms || terms.length === 0) return text || null;
+
+  // Terms are already letters/digits only (see parseSearchTerms)
+  const pattern = new RegExp(
+    `((?<![\\p{L}\\p{N}])(?:${terms.join("|")})[\\p{L}\\p{N}]*)`,
+    "giu"
+  );
+
+  return text.split(pattern).map((part, i) =>
+    // split() with a capture group puts the matches at the odd indexes
+    i % 2 === 1 ? (
+      <mark key={i} className="bg-yellow-100 text-inherit rounded-sm">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+}
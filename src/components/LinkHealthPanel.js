@@ -0,0 +1,108 @@
+// LINK HEALTH PANEL
+// Sidebar summary of the dead-link checker's findings for the current space:
+// how many links are broken, redirected or couldn't be verified, with
+// links to show just those (?health=...). From here the user can re-check
+// every link, point all redirected bookmarks at their new address, or
+// delete the broken ones in one go (not a workspace's viewers: readOnly).
+
+"use client";
+
+import Link from "next/link";
+import { buildDashboardUrl } from "@/lib/filters";
+import { LINK_HEALTH_LABELS } from "@/lib/link-health";
+
+const ROWS = ["broken", "redirected", "unknown"];
+
+export default function LinkHealthPanel({
+  counts,
+  filters,
+  progress,
+  readOnly = false,
+  onCheck,
+  onFixRedirects,
+  onDeleteBroken,
+}) {
+  const checking = progress !== null;
+
+  return (
+    <aside className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-gray-900">Link health</h2>
+        {!readOnly && (
+          <button
+            onClick={onCheck}
+            disabled={checking}
+            className="text-sm text-gray-400 hover:text-blue-600 cursor-pointer disabled:cursor-default disabled:hover:text-gray-400"
+            title="Check whether every link still works"
+          >
+            {checking ? "Checking..." : "Check"}
+          </button>
+        )}
+      </div>
+
+      {checking && (
+        <div className="mb-3">
+          <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-blue-500 transition-all"
+              style={{
+                width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%`,
+              }}
+            />
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            {progress.done} of {progress.total} checked
+          </p>
+        </div>
+      )}
+
+      <ul className="space-y-1">
+        {ROWS.map((health) => (
+          <li key={health}>
+            <Link
+              href={buildDashboardUrl({
+                ...filters,
+                health: filters.health === health ? null : health,
+              })}
+              scroll={false}
+              className={`flex items-center justify-between px-2 py-1 rounded-md text-sm ${
+                filters.health === health
+                  ? "bg-blue-50 text-blue-700 font-medium"
+                  : "text-gray-600 hover:bg-gray-50"
+              }`}
+            >
+              <span>{LINK_HEALTH_LABELS[health]}</span>
+              <span className="text-xs text-gray-400">{counts[health] || 0}</span>
+            </Link>
+          </li>
+        ))}
+      </ul>
+      {counts.unchecked > 0 && (
+        <p className="text-xs text-gray-400 px-2 mt-2">
+          {counts.unchecked} not checked yet
+        </p>
+      )}
+
+      {!readOnly && (counts.redirected > 0 || counts.broken > 0) && (
+        <div className="mt-3 pt-3 border-t border-gray-100 space-y-1 text-sm">
+          {counts.redirected > 0 && (
+            <button
+              onClick={onFixRedirects}
+              className="block text-amber-700 hover:underline cursor-pointer"
+            >
+              Fix {counts.redirected} redirect{counts.redirected === 1 ? "" : "s"}
+            </button>
+          )}
+          {counts.broken > 0 && (
+            <button
+              onClick={onDeleteBroken}
+              className="block text-red-600 hover:underline cursor-pointer"
+            >
+              Delete {counts.broken} dead link{counts.broken === 1 ? "" : "s"}
+            </button>
+          )}
+        </div>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,86 @@
+// LIST OPTIONS
+// The "Sort by" and "Group by" pickers above the bookmark list. Both live
+// in the URL (?sort=... and ?group=...) alongside the other filters, so
+// picking one loads that order from the server (see src/lib/sorting.js).
+// Grouping needs a matching order — by site needs the site order, by date
+// one of the date orders — so picking a grouping switches the sort if it
+// has to, and picking a sort that doesn't fit drops the grouping.
+
+"use client";
+
+import { useRouter } from "next/navigation";
+import { buildDashboardUrl } from "@/lib/filters";
+import {
+  SORT_OPTIONS,
+  GROUP_OPTIONS,
+  listSort,
+  listGroup,
+  sortForGroup,
+} from "@/lib/sorting";
+
+export default function ListOptions({ filters }) {
+  const router = useRouter();
+  const sort = listSort(filters);
+  const group = listGroup(filters);
+
+  // What the list is in with no ?sort=: newest first, or a collection's
+  // manual order, or most opened first for the most used list
+  const defaultSort = listSort({ ...filters, sort: null });
+
+  const go = (nextSort, nextGroup) => {
+    router.push(
+      buildDashboardUrl({
+        ...filters,
+        sort: nextSort === defaultSort ? null : nextSort,
+        group: nextGroup,
+      }),
+      { scroll: false }
+    );
+  };
+
+  const pickSort = (nextSort) => {
+    go(nextSort, sortForGroup(group, nextSort) === nextSort ? group : null);
+  };
+
+  const pickGroup = (nextGroup) => {
+    go(nextGroup ? sortForGroup(nextGroup, sort) : sort, nextGroup);
+  };
+
+  const selectClass =
+    "px-2 py-1 bg-white border border-gray-300 rounded-md text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="flex items-center gap-3 text-sm text-gray-500">
+      <label className="flex items-center gap-1">
+        Sort by
+        <select
+          value={sort}
+          onChange={(e) => pickSort(e.target.value)}
+          className={selectClass}
+        >
+          {defaultSort === "manual" && <option value="manual">Manual order</option>}
+          {Object.entries(SORT_OPTIONS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        Group by
+        <select
+          value={group ?? ""}
+          onChange={(e) => pickGroup(e.target.value || null)}
+          className={selectClass}
+        >
+          <option value="">None</option>
+          {Object.entries(GROUP_OPTIONS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
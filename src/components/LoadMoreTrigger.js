@@ -0,0 +1,73 @@
+// LOAD MORE TRIGGER
+// Sits at the end of a paged list and calls onLoadMore() when it scrolls
+// into view (a little before, so the next page is usually there by the
+// time the user reaches it). While the trigger stays in view — e.g. the
+// page that came in was short, or a filter hid most of it — it asks for
+// the next one too. A failed load shows a "Try again" button instead of
+// retrying on its own. There's also a plain button, for when the browser
+// has no IntersectionObserver or the user prefers clicking.
+
+"use client";
+
+import { useEffect, useRef } from "react";
+
+// How far below the viewport the trigger starts loading
+const ROOT_MARGIN = "600px";
+
+export default function LoadMoreTrigger({
+  onLoadMore,
+  loading = false,
+  error = null,
+  disabled = false,
+}) {
+  const ref = useRef(null);
+  // The latest callback, without re-creating the observer on every render
+  const onLoadMoreRef = useRef(onLoadMore);
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  });
+
+  // A new observer after every load reports straight away whether the
+  // trigger is still in view, which is what keeps short pages coming
+  useEffect(() => {
+    if (loading || error || disabled || !ref.current) return;
+    if (typeof IntersectionObserver === "undefined") return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          onLoadMoreRef.current();
+        }
+      },
+      { rootMargin: ROOT_MARGIN }
+    );
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [loading, error, disabled]);
+
+  return (
+    <div ref={ref} className="text-center py-6 text-sm">
+      {loading ? (
+        <p className="text-gray-400">Loading more...</p>
+      ) : error ? (
+        <p className="text-red-600">
+          Couldn&apos;t load more bookmarks.{" "}
+          <button
+            onClick={onLoadMore}
+            className="underline hover:text-red-800 cursor-pointer"
+          >
+            Try again
+          </button>
+        </p>
+      ) : (
+        <button
+          onClick={onLoadMore}
+          disabled={disabled}
+          className="text-gray-500 hover:text-gray-800 cursor-pointer disabled:cursor-default disabled:text-gray-300"
+        >
+          {disabled ? "Go online to load more" : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+// READING LIST PANEL
+// Sidebar links between the everyday list, the reading list (unread
+// bookmarks first, oldest first) and the archive, with counts. The view
+// lives in the URL (?view=reading / ?view=archived) and keeps the other
+// filters. Also lists the keyboard shortcuts the dashboard understands.
+
+"use client";
+
+import Link from "next/link";
+import { buildDashboardUrl } from "@/lib/filters";
+import { READING_VIEWS } from "@/lib/reading";
+
+export const SHORTCUTS = [
+  ["j / k", "Next / previous bookmark"],
+  ["o", "Open and mark read"],
+  ["m", "Mark read / unread"],
+  ["e", "Archive / unarchive"],
+];
+
+export default function ReadingListPanel({ counts, filters }) {
+  const rows = [
+    [null, "All bookmarks", counts.all],
+    ["reading", READING_VIEWS.reading, counts.unread],
+    ["archived", READING_VIEWS.archived, counts.archived],
+  ];
+
+  return (
+    <aside className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <h2 className="text-sm font-semibold text-gray-900 mb-3">Reading</h2>
+
+      <ul className="space-y-1">
+        {rows.map(([view, label, count]) => (
+          <li key={label}>
+            <Link
+              href={buildDashboardUrl({ ...filters, view })}
+              scroll={false}
+              className={`flex items-center justify-between px-2 py-1 rounded-md text-sm ${
+                filters.view === view
+                  ? "bg-blue-50 text-blue-700 font-medium"
+                  : "text-gray-600 hover:bg-gray-50"
+              }`}
+            >
+              <span>{label}</span>
+              <span className="text-xs text-gray-400">{count}</span>
+            </Link>
+          </li>
+        ))}
+      </ul>
+
+      <details className="mt-3 pt-3 border-t border-gray-100 text-xs text-gray-500">
+        <summary className="cursor-pointer hover:text-gray-700">
+          Keyboard shortcuts
+        </summary>
+        <dl className="mt-2 space-y-1">
+          {SHORTCUTS.map(([keys, action]) => (
+            <div key={keys} className="flex justify-between gap-2">
+              <dt>
+                <kbd className="font-mono bg-gray-100 rounded px-1">{keys}</kbd>
+              </dt>
+              <dd>{action}</dd>
+            </div>
+          ))}
+        </dl>
+      </details>
+    </aside>
+  );
+}
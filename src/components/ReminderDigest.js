@@ -0,0 +1,92 @@
+// REMINDER DIGEST
+// Shown at the top of the dashboard after signing in when some unread
+// bookmarks' "remind me" dates have come up: a short list of them with
+// quick actions. Dismissing it hides it until the next sign-in (the
+// dashboard decides that); bookmarks leave it as soon as they're read,
+// archived or snoozed — in every open tab, through realtime.
+
+"use client";
+
+import { formatRelativeTime } from "@/lib/time";
+import { snoozeUntil } from "@/lib/reading";
+import { openPath } from "@/lib/visits";
+
+// More than this and the rest are summed up as "and N more"
+const MAX_ITEMS = 5;
+
+export default function ReminderDigest({
+  bookmarks,
+  readOnly = false,
+  onSetReadingState,
+  onDismiss,
+}) {
+  const shown = bookmarks.slice(0, MAX_ITEMS);
+  const more = bookmarks.length - shown.length;
+
+  return (
+    <section className="bg-white rounded-xl shadow-sm border border-amber-200 p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-gray-900">
+          ⏰ {bookmarks.length} bookmark{bookmarks.length === 1 ? "" : "s"} to
+          read
+        </h2>
+        <button
+          onClick={onDismiss}
+          className="text-sm text-gray-400 hover:text-gray-600 cursor-pointer"
+        >
+          Dismiss
+        </button>
+      </div>
+
+      <ul className="space-y-2">
+        {shown.map((bookmark) => (
+          <li key={bookmark.id} className="flex items-center gap-3 text-sm">
+            <a
+              href={openPath(bookmark)}
+              target="_blank"
+              rel="noopener noreferrer"
+              onClick={() =>
+                !readOnly &&
+                onSetReadingState([bookmark], {
+                  read_at: new Date().toISOString(),
+                })
+              }
+              className="flex-1 min-w-0 truncate text-blue-600 hover:underline"
+            >
+              {bookmark.title}
+            </a>
+            <span className="text-xs text-gray-400 flex-shrink-0">
+              {formatRelativeTime(bookmark.remind_at)}
+            </span>
+            {!readOnly && (
+              <>
+                <button
+                  onClick={() =>
+                    onSetReadingState([bookmark], { remind_at: snoozeUntil() })
+                  }
+                  className="text-xs text-gray-500 hover:text-gray-800 cursor-pointer flex-shrink-0"
+                  title="Remind me again tomorrow"
+                >
+                  Tomorrow
+                </button>
+                <button
+                  onClick={() =>
+                    onSetReadingState([bookmark], {
+                      archived_at: new Date().toISOString(),
+                    })
+                  }
+                  className="text-xs text-gray-500 hover:text-gray-800 cursor-pointer flex-shrink-0"
+                >
+                  Archive
+                </button>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+      {more > 0 && (
+        <p className="text-xs text-gray-400 mt-2">and {more} more</p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,90 @@
+// SELECTION TOOLBAR
+// The buttons above the bookmark list for acting on several bookmarks at
+// once: "Select" turns selection mode on, then the picked bookmarks can be
+// shared, marked read, (un)archived or deleted. `selection` comes from
+// useSelection() (src/lib/use-selection.js); visibleIds are the bookmarks
+// "Select all" picks. Viewers of a workspace can only share.
+
+"use client";
+
+export default function SelectionToolbar({
+  selection,
+  visibleIds,
+  archiveView = false,
+  readOnly = false,
+}) {
+  const { selectedIds } = selection;
+
+  if (!selectedIds) {
+    return (
+      <button
+        onClick={selection.startSelecting}
+        className="text-gray-600 hover:text-gray-900 cursor-pointer"
+      >
+        Select
+      </button>
+    );
+  }
+
+  const nothingSelected = selectedIds.length === 0;
+
+  return (
+    <>
+      <span className="text-gray-500 mr-auto">
+        {selectedIds.length} selected
+      </span>
+      <button
+        onClick={() => selection.selectAll(visibleIds)}
+        className="text-gray-600 hover:text-gray-900 cursor-pointer"
+      >
+        Select all
+      </button>
+      <button
+        onClick={() => selection.setSharing(true)}
+        disabled={nothingSelected}
+        className="text-blue-600 hover:text-blue-800 font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Share…
+      </button>
+      {!readOnly && (
+        <>
+          <button
+            onClick={() =>
+              selection.setSelectedReadingState({
+                read_at: new Date().toISOString(),
+              })
+            }
+            disabled={nothingSelected}
+            className="text-gray-600 hover:text-gray-900 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Mark read
+          </button>
+          <button
+            onClick={() =>
+              selection.setSelectedReadingState({
+                archived_at: archiveView ? null : new Date().toISOString(),
+              })
+            }
+            disabled={nothingSelected}
+            className="text-gray-600 hover:text-gray-900 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {archiveView ? "Unarchive" : "Archive"}
+          </button>
+          <button
+            onClick={selection.deleteSelected}
+            disabled={nothingSelected}
+            className="text-red-600 hover:text-red-800 font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Delete
+          </button>
+        </>
+      )}
+      <button
+        onClick={selection.stopSelecting}
+        className="text-gray-600 hover:text-gray-900 cursor-pointer"
+      >
+        Cancel
+      </button>
+    </>
+  );
+}
@@ -0,0 +1,37 @@
+// SERVICE WORKER REGISTRATION
+// Registers public/sw.js, which caches the app shell so the dashboard can
+// open offline. Only in production builds: in `next dev` a service worker
+// would serve stale code between edits.
+// Also forgets the offline copy (src/lib/offline-store.js) whenever the
+// user ends up signed out — from the Sign Out button, another tab, or an
+// expired session alike — so it never outlives the session it came from.
+// Rendered by the root layout, so it's on every page.
+
+"use client";
+
+import { useEffect } from "react";
+import { createClient } from "@/lib/supabase/client";
+import { clearOfflineData } from "@/lib/offline-store";
+
+export default function ServiceWorkerRegistration() {
+  useEffect(() => {
+    if (process.env.NODE_ENV !== "production") return;
+    if (!("serviceWorker" in navigator)) return;
+
+    navigator.serviceWorker.register("/sw.js").catch((err) => {
+      console.error("Failed to register service worker:", err.message);
+    });
+  }, []);
+
+  useEffect(() => {
+    const supabase = createClient();
+    const {
+      data: { subscription },
+    } = supabase.auth.onAuthStateChange((event) => {
+      if (event === "SIGNED_OUT") clearOfflineData();
+    });
+    return () => subscription.unsubscribe();
+  }, []);
+
+  return null;
+}
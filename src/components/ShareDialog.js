@@ -0,0 +1,139 @@
+// SHARE DIALOG
+// Turns the bookmarks selected on the dashboard into a public, read-only
+// list at /s/<token>. The user names the list, optionally describes it and
+// picks when the link expires; onCreate saves it and returns { url } (or
+// { error }), which we then show with a copy button.
+
+"use client";
+
+import { useState } from "react";
+import { SHARE_EXPIRY_OPTIONS } from "@/lib/share";
+
+export default function ShareDialog({ count, onCreate, onClose }) {
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [expiry, setExpiry] = useState(0); // index into SHARE_EXPIRY_OPTIONS
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [url, setUrl] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const inputClass =
+    "w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+
+    setSaving(true);
+    const result = await onCreate({
+      title: title.trim(),
+      description: description.trim() || null,
+      expiresInDays: SHARE_EXPIRY_OPTIONS[expiry].days,
+    });
+    setSaving(false);
+
+    if (result.error) setError(result.error);
+    else setUrl(result.url);
+  };
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error("Failed to copy link:", err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-blue-300 p-4 mb-4">
+      {url ? (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-700">
+            Anyone with this link can see the {count} selected{" "}
+            {count === 1 ? "bookmark" : "bookmarks"}:
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={url}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              className={`${inputClass} text-sm`}
+              aria-label="Share link"
+            />
+            <button
+              type="button"
+              onClick={copyUrl}
+              className="px-4 py-2 text-sm bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer flex-shrink-0"
+            >
+              {copied ? "Copied!" : "Copy"}
+            </button>
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-1.5 text-sm text-gray-600 hover:text-gray-900 cursor-pointer"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <h3 className="text-sm font-semibold text-gray-900">
+            Share {count} {count === 1 ? "bookmark" : "bookmarks"} with a public link
+          </h3>
+          <input
+            type="text"
+            placeholder="List title (e.g. Onboarding reading)"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            className={inputClass}
+            required
+            autoFocus
+          />
+          <textarea
+            placeholder="Description (optional)"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            className={inputClass}
+            rows={2}
+          />
+          <select
+            value={expiry}
+            onChange={(e) => setExpiry(Number(e.target.value))}
+            className={inputClass}
+            aria-label="Expiry"
+          >
+            {SHARE_EXPIRY_OPTIONS.map((option, i) => (
+              <option key={option.label} value={i}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-1.5 text-sm text-gray-600 hover:text-gray-900 cursor-pointer"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-1.5 text-sm bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? "Creating..." : "Create link"}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+// SMART VIEWS PANEL
+// The user's saved smart views in the sidebar (see src/lib/smart-views.js).
+// - Clicking one toggles it as a filter (?smart=<id>); the server picks
+//   the bookmarks that match its rules, on top of any other filters
+// - "+ New" and the pencil open an editor for the name and the rules
+//   (every rule has to hold), "×" deletes
+// Smart views belong to the user, so they follow them into every space.
+
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { buildDashboardUrl } from "@/lib/filters";
+import { SMART_VIEW_FIELDS, describeRule } from "@/lib/smart-views";
+
+const FIELD_KEYS = Object.keys(SMART_VIEW_FIELDS);
+
+function SmartViewEditor({ view, onSave, onCancel }) {
+  const [name, setName] = useState(view.name ?? "");
+  const [rules, setRules] = useState(
+    view.rules?.length > 0 ? view.rules : [{ field: "domain", value: "" }]
+  );
+  const [saving, setSaving] = useState(false);
+
+  const updateRule = (index, changes) => {
+    setRules((prev) =>
+      prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const saved = await onSave({ id: view.id, name, rules });
+    setSaving(false);
+    if (saved) onCancel();
+  };
+
+  const inputClass =
+    "w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 mt-2">
+      <input
+        type="text"
+        placeholder="Name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        className={inputClass}
+        autoFocus
+      />
+      {rules.map((rule, index) => {
+        const field = SMART_VIEW_FIELDS[rule.field];
+        return (
+          <div key={index} className="space-y-1 border-t border-gray-100 pt-2">
+            <div className="flex items-center gap-1">
+              <select
+                value={rule.field}
+                onChange={(e) =>
+                  updateRule(index, { field: e.target.value, value: "" })
+                }
+                className={inputClass}
+              >
+                {FIELD_KEYS.map((key) => (
+                  <option key={key} value={key}>
+                    {SMART_VIEW_FIELDS[key].label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => setRules((prev) => prev.filter((_, i) => i !== index))}
+                className="text-gray-400 hover:text-red-600 cursor-pointer px-1"
+                title="Remove condition"
+              >
+                ×
+              </button>
+            </div>
+            {field.input && (
+              <div className="flex items-center gap-1">
+                <input
+                  type={field.input}
+                  min={field.input === "number" ? 1 : undefined}
+                  max={field.max}
+                  placeholder={field.placeholder}
+                  value={rule.value ?? ""}
+                  onChange={(e) => updateRule(index, { value: e.target.value })}
+                  className={inputClass}
+                />
+                {field.unit && (
+                  <span className="text-xs text-gray-500">{field.unit}</span>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <button
+        type="button"
+        onClick={() => setRules((prev) => [...prev, { field: "title", value: "" }])}
+        className="text-xs text-gray-500 hover:text-blue-600 cursor-pointer"
+      >
+        + Add condition
+      </button>
+      <div className="flex gap-2 pt-1">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50 cursor-pointer"
+        >
+          {saving ? "Saving..." : "Save"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1 text-sm text-gray-600 hover:text-gray-900 cursor-pointer"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function SmartViewsPanel({ smartViews, filters, onSave, onDelete }) {
+  // The view being edited ({} for a new one), or null
+  const [editing, setEditing] = useState(null);
+
+  return (
+    <aside className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-gray-900">Smart views</h2>
+        {!editing && (
+          <button
+            onClick={() => setEditing({})}
+            className="text-sm text-gray-400 hover:text-blue-600 cursor-pointer"
+            title="New smart view"
+          >
+            + New
+          </button>
+        )}
+      </div>
+
+      {smartViews.length === 0 && !editing ? (
+        <p className="text-xs text-gray-400 px-2">
+          Save a filter like &ldquo;github.com, title contains rfc, added in
+          the last 30 days&rdquo;
+        </p>
+      ) : (
+        <ul className="space-y-1">
+          {smartViews.map((view) => {
+            const active = filters.smart === view.id;
+            return (
+              <li
+                key={view.id}
+                className={`group flex items-center rounded-md text-sm ${
+                  active
+                    ? "bg-blue-50 text-blue-700 font-medium"
+                    : "text-gray-600 hover:bg-gray-50"
+                }`}
+              >
+                <Link
+                  href={buildDashboardUrl({
+                    ...filters,
+                    smart: active ? null : view.id,
+                  })}
+                  scroll={false}
+                  title={view.rules.map(describeRule).join(" · ")}
+                  className="flex-1 min-w-0 px-2 py-1 truncate"
+                >
+                  ✨ {view.name}
+                </Link>
+                <span className="hidden group-hover:flex items-center gap-1 pr-1 text-gray-400">
+                  <button
+                    onClick={() => setEditing(view)}
+                    className="hover:text-blue-600 cursor-pointer"
+                    title="Edit smart view"
+                  >
+                    ✎
+                  </button>
+                  <button
+                    onClick={() => onDelete(view)}
+                    className="hover:text-red-600 cursor-pointer"
+                    title="Delete smart view"
+                  >
+                    ×
+                  </button>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {editing && (
+        <SmartViewEditor
+          key={editing.id ?? "new"}
+          view={editing}
+          onSave={onSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,46 @@
+// SNAPSHOT ACTIONS
+// The "Save a copy" / "Save again" button on a bookmark's snapshot page.
+// Asks /api/bookmarks/[id]/archive to fetch the page again, then refreshes
+// the (server-rendered) page to show the new copy.
+
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+
+export default function SnapshotActions({ bookmarkId, hasSnapshot }) {
+  const router = useRouter();
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const saveSnapshot = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/bookmarks/${bookmarkId}/archive`, {
+        method: "POST",
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || "Couldn't save the page");
+      router.refresh();
+    } catch (err) {
+      console.error("Failed to save snapshot:", err.message);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-3">
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <button
+        onClick={saveSnapshot}
+        disabled={saving}
+        className="px-4 py-1.5 text-sm bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {saving ? "Saving..." : hasSnapshot ? "Save again" : "Save a copy now"}
+      </button>
+    </div>
+  );
+}
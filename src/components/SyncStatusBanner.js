@@ -0,0 +1,47 @@
+// SYNC STATUS BANNER
+// The strip under the dashboard's header that says the app is offline or
+// still syncing changes made offline (pending, see src/lib/sync-queue.js),
+// then how the last sync went (report: { synced, conflicts, failed })
+// until it's dismissed.
+
+"use client";
+
+export default function SyncStatusBanner({ online, pending, report, onDismiss }) {
+  if (!online || pending.length > 0) {
+    return (
+      <div className="bg-amber-50 border-b border-amber-200">
+        <p className="max-w-5xl mx-auto px-4 py-2 text-sm text-amber-800">
+          {online
+            ? `Syncing ${pending.length} change(s) made offline…`
+            : `You're offline — showing your saved copy. ${
+                pending.length > 0
+                  ? `${pending.length} change(s) will sync when you're back online.`
+                  : "Changes you make will sync when you're back online."
+              }`}
+        </p>
+      </div>
+    );
+  }
+
+  if (!report) return null;
+
+  return (
+    <div className="bg-blue-50 border-b border-blue-200">
+      <div className="max-w-5xl mx-auto px-4 py-2 flex items-center justify-between gap-4 text-sm text-blue-800">
+        <p>
+          Synced {report.synced} offline change(s).
+          {report.conflicts.length > 0 &&
+            ` Some edits clashed with changes made elsewhere, which were kept (${report.conflicts.join(", ")}).`}
+          {report.failed > 0 &&
+            ` ${report.failed} change(s) couldn't be saved and were dropped.`}
+        </p>
+        <button
+          onClick={onDismiss}
+          className="text-blue-600 hover:text-blue-800 font-medium cursor-pointer"
+        >
+          Dismiss
+        </button>
+      </div>
+    </div>
+  );
+}
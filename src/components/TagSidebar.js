@@ -0,0 +1,69 @@
+// TAG SIDEBAR
+// Lists every tag the user has, with how many bookmarks carry it.
+// Clicking a tag toggles it in the active filter; the filter itself lives
+// in the URL (?tag=...) so a filtered view can be bookmarked or shared.
+// Any collection filter in the URL is kept as is.
+
+"use client";
+
+import Link from "next/link";
+import { buildDashboardUrl } from "@/lib/filters";
+
+export default function TagSidebar({ tags, counts, filters }) {
+  const activeTags = filters.tags;
+
+  // Toggle a tag on/off and return the resulting URL
+  const hrefFor = (name) =>
+    buildDashboardUrl({
+      ...filters,
+      tags: activeTags.includes(name)
+        ? activeTags.filter((t) => t !== name)
+        : [...activeTags, name],
+    });
+
+  return (
+    <aside className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <h2 className="text-sm font-semibold text-gray-900 mb-3">Tags</h2>
+
+      <Link
+        href={buildDashboardUrl({ ...filters, tags: [] })}
+        scroll={false}
+        className={`block px-2 py-1 rounded-md text-sm mb-1 ${
+          activeTags.length === 0
+            ? "bg-blue-50 text-blue-700 font-medium"
+            : "text-gray-600 hover:bg-gray-50"
+        }`}
+      >
+        Any tag
+      </Link>
+
+      {tags.length === 0 ? (
+        <p className="text-xs text-gray-400 px-2 mt-2">No tags yet</p>
+      ) : (
+        <ul className="space-y-1">
+          {tags.map((tag) => {
+            const active = activeTags.includes(tag.name);
+            return (
+              <li key={tag.id}>
+                <Link
+                  href={hrefFor(tag.name)}
+                  scroll={false}
+                  className={`flex items-center justify-between px-2 py-1 rounded-md text-sm ${
+                    active
+                      ? "bg-blue-50 text-blue-700 font-medium"
+                      : "text-gray-600 hover:bg-gray-50"
+                  }`}
+                >
+                  <span className="truncate">#{tag.name}</span>
+                  <span className="text-xs text-gray-400">
+                    {counts[tag.id] || 0}
+                  </span>
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,39 @@
+// UNDO TOAST
+// The "Moved to trash · Undo" message shown at the bottom of the screen
+// after bookmarks are deleted. It goes away on its own after
+// UNDO_TIMEOUT_MS (the bookmarks stay restorable from /trash after that).
+// A new toast (a different `toast` object) restarts the timer.
+
+"use client";
+
+import { useEffect } from "react";
+import { UNDO_TIMEOUT_MS } from "@/lib/trash";
+
+export default function UndoToast({ toast, onUndo, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [toast]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 bg-gray-900 text-gray-50 text-sm rounded-lg shadow-lg px-4 py-3 flex items-center gap-4"
+    >
+      <span>{toast.message}</span>
+      <button
+        onClick={onUndo}
+        className="font-semibold text-blue-300 hover:text-blue-200 cursor-pointer"
+      >
+        Undo
+      </button>
+      <button
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-gray-50 cursor-pointer"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// USAGE PANEL
+// Sidebar links to the bookmarks that get opened the most and the ones
+// never opened since they were saved (?usage=most / ?usage=never), with
+// counts, and to the /stats page. Opens are counted when a bookmark is
+// opened from the app, by anyone who can see it (see src/lib/visits.js).
+// Clicking the active list
+// again goes back to all bookmarks.
+
+"use client";
+
+import Link from "next/link";
+import { buildDashboardUrl } from "@/lib/filters";
+import { USAGE_VIEWS } from "@/lib/visits";
+
+export default function UsagePanel({ counts, filters }) {
+  return (
+    <aside className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-gray-900">Usage</h2>
+        <Link
+          href="/stats"
+          className="text-sm text-gray-400 hover:text-blue-600"
+          title="Statistics"
+        >
+          Stats →
+        </Link>
+      </div>
+
+      <ul className="space-y-1">
+        {Object.entries(USAGE_VIEWS).map(([usage, label]) => {
+          const active = filters.usage === usage;
+          return (
+            <li key={usage}>
+              <Link
+                href={buildDashboardUrl({
+                  ...filters,
+                  usage: active ? null : usage,
+                })}
+                scroll={false}
+                className={`flex items-center justify-between px-2 py-1 rounded-md text-sm ${
+                  active
+                    ? "bg-blue-50 text-blue-700 font-medium"
+                    : "text-gray-600 hover:bg-gray-50"
+                }`}
+              >
+                <span>{label}</span>
+                <span className="text-xs text-gray-400">{counts[usage] ?? 0}</span>
+              </Link>
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+}
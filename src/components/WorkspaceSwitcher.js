@@ -0,0 +1,66 @@
+// WORKSPACE SWITCHER
+// Sidebar list of the spaces the user can look at: their private
+// bookmarks ("Personal") plus every shared workspace they belong to.
+// The chosen space lives in the URL (?workspace=<id>); switching spaces
+// drops the collection and tag filters, since those belong to a space.
+
+"use client";
+
+import Link from "next/link";
+import { buildDashboardUrl } from "@/lib/filters";
+
+const ROLE_LABELS = { owner: "Owner", editor: "Editor", viewer: "Viewer" };
+
+function SpaceLink({ href, active, children }) {
+  return (
+    <Link
+      href={href}
+      scroll={false}
+      className={`flex items-center justify-between gap-2 px-2 py-1 rounded-md text-sm ${
+        active
+          ? "bg-blue-50 text-blue-700 font-medium"
+          : "text-gray-600 hover:bg-gray-50"
+      }`}
+    >
+      {children}
+    </Link>
+  );
+}
+
+export default function WorkspaceSwitcher({ workspaces, filters }) {
+  return (
+    <aside className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-sm font-semibold text-gray-900">Spaces</h2>
+        <Link
+          href="/workspaces"
+          className="text-sm text-gray-400 hover:text-blue-600"
+          title="Create and manage workspaces"
+        >
+          Manage
+        </Link>
+      </div>
+
+      <ul className="space-y-1">
+        <li>
+          <SpaceLink href={buildDashboardUrl()} active={!filters.workspace}>
+            <span className="truncate">🔒 Personal</span>
+          </SpaceLink>
+        </li>
+        {workspaces.map((ws) => (
+          <li key={ws.id}>
+            <SpaceLink
+              href={buildDashboardUrl({ workspace: ws.id })}
+              active={filters.workspace === ws.id}
+            >
+              <span className="truncate">👥 {ws.name}</span>
+              <span className="text-xs text-gray-400 font-normal">
+                {ROLE_LABELS[ws.role]}
+              </span>
+            </SpaceLink>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,61 @@
+// Personal access tokens for the REST API (/api/v1/...).
+// A token looks like "sbk_" + 43 random base64url characters (256 bits).
+// Only its SHA-256 hash is stored (api_tokens.token_hash), so a leaked
+// database doesn't leak working tokens; the token itself is shown to the
+// user once, right after it's created.
+//
+// Uses the Web Crypto API, so it works in the browser (creating tokens on
+// /settings/tokens) and on the server (checking them in the API).
+
+export const TOKEN_PREFIX = "sbk_";
+
+// What a token may do. "write" doesn't imply "read": pick both for full access.
+export const API_SCOPES = {
+  read: "List and read bookmarks",
+  write: "Create, update and delete bookmarks",
+};
+
+// Requests allowed per token per window (enforced in src/lib/api-v1.js)
+export const RATE_LIMIT = 120;
+export const RATE_LIMIT_WINDOW_SECONDS = 60;
+
+export const TOKEN_EXPIRY_OPTIONS = [
+  { label: "Never expires", days: null },
+  { label: "Expires in 30 days", days: 30 },
+  { label: "Expires in 90 days", days: 90 },
+  { label: "Expires in 1 year", days: 365 },
+];
+
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function generateApiToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return TOKEN_PREFIX + toBase64Url(bytes);
+}
+
+// Hex-encoded SHA-256 of the token
+export async function hashApiToken(token) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(token)
+  );
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Shown next to each token in the list, e.g. "sbk_Ab3dE…"
+export function tokenDisplayPrefix(token) {
+  return token.slice(0, TOKEN_PREFIX.length + 6);
+}
+
+// Pull the token out of an "Authorization: Bearer sbk_..." header
+export function getBearerToken(request) {
+  const header = request.headers.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match && match[1].startsWith(TOKEN_PREFIX) ? match[1] : null;
+}
@@ -0,0 +1,315 @@
+// Shared plumbing for the versioned REST API (/api/v1/...).
+// Every v1 route handler is wrapped in apiHandler(), which:
+// 1. Authenticates the "Authorization: Bearer sbk_..." personal access token
+// 2. Checks the token has the scope the route needs ("read" or "write")
+// 3. Counts the request against the token's rate limit
+// 4. Turns thrown ApiErrors (and unexpected errors) into JSON responses
+// 5. After a successful write, sends the webhook deliveries it queued once
+//    the response is out (see src/lib/webhook-delivery.js)
+//
+// Every error has the same shape, so scripts can rely on it:
+//   { "error": { "code": "not_found", "message": "Bookmark not found" } }
+//
+// Server-only: uses the service role client, which bypasses RLS — route
+// handlers must filter every query by the user id they're given.
+
+import { NextResponse, after } from "next/server";
+import { createAdminClient } from "@/lib/supabase/admin";
+import { deliverDueWebhooks } from "@/lib/webhook-delivery";
+import {
+  getBearerToken,
+  hashApiToken,
+  RATE_LIMIT,
+  RATE_LIMIT_WINDOW_SECONDS,
+} from "@/lib/api-tokens";
+import { POSITION_STEP } from "@/lib/collections";
+
+// Thrown by route handlers for anything the caller did wrong.
+// `code` is a stable, machine-readable string; `message` is for humans.
+export class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export function apiError(status, code, message, headers) {
+  return NextResponse.json({ error: { code, message } }, { status, headers });
+}
+
+// Parse a JSON request body, or fail with a 400
+export async function readJsonBody(request) {
+  try {
+    const body = await request.json();
+    if (body && typeof body === "object" && !Array.isArray(body)) return body;
+  } catch {
+    // fall through
+  }
+  throw new ApiError(400, "invalid_json", "Request body must be a JSON object");
+}
+
+// Check the token and count this request. Returns { userId, headers } or
+// { response } with the error to send back.
+async function authenticate(request, scope) {
+  const token = getBearerToken(request);
+  if (!token) {
+    return {
+      response: apiError(
+        401,
+        "unauthorized",
+        "Send a personal access token as 'Authorization: Bearer sbk_...'"
+      ),
+    };
+  }
+
+  const supabase = createAdminClient();
+  if (!supabase) {
+    return {
+      response: apiError(500, "not_configured", "The API is not configured on this server"),
+    };
+  }
+
+  const { data, error } = await supabase.rpc("use_api_token", {
+    token_hash_input: await hashApiToken(token),
+    max_requests: RATE_LIMIT,
+    window_seconds: RATE_LIMIT_WINDOW_SECONDS,
+  });
+
+  if (error) {
+    console.error("API token check failed:", error.message);
+    return { response: apiError(500, "internal_error", "Could not check the token") };
+  }
+
+  const match = data?.[0];
+  if (!match) {
+    return {
+      response: apiError(401, "unauthorized", "Invalid, revoked or expired token"),
+    };
+  }
+
+  const resetSeconds = Math.ceil(new Date(match.reset_at).getTime() / 1000);
+  const headers = {
+    "X-RateLimit-Limit": String(RATE_LIMIT),
+    "X-RateLimit-Remaining": String(match.remaining),
+    "X-RateLimit-Reset": String(resetSeconds),
+  };
+
+  if (!match.allowed) {
+    const retryAfter = Math.max(resetSeconds - Math.floor(Date.now() / 1000), 1);
+    return {
+      response: apiError(
+        429,
+        "rate_limited",
+        `Rate limit of ${RATE_LIMIT} requests per ${RATE_LIMIT_WINDOW_SECONDS} seconds exceeded`,
+        { ...headers, "Retry-After": String(retryAfter) }
+      ),
+    };
+  }
+
+  if (!match.scopes.includes(scope)) {
+    return {
+      response: apiError(
+        403,
+        "insufficient_scope",
+        `This token doesn't have the "${scope}" scope`,
+        headers
+      ),
+    };
+  }
+
+  return { supabase, userId: match.user_id, headers };
+}
+
+// Wrap a route handler: handler(request, { params, supabase, userId })
+export function apiHandler(scope, handler) {
+  return async (request, context) => {
+    const auth = await authenticate(request, scope);
+    if (auth.response) return auth.response;
+
+    let response;
+    try {
+      response = await handler(request, {
+        params: context?.params ? await context.params : {},
+        supabase: auth.supabase,
+        userId: auth.userId,
+      });
+    } catch (err) {
+      if (err instanceof ApiError) {
+        response = apiError(err.status, err.code, err.message);
+      } else {
+        console.error("API request failed:", err);
+        response = apiError(500, "internal_error", "Something went wrong");
+      }
+    }
+
+    Object.entries(auth.headers).forEach(([name, value]) =>
+      response.headers.set(name, value)
+    );
+
+    if (scope === "write" && response.ok) {
+      after(() =>
+        deliverDueWebhooks(auth.supabase, { batchSize: 20 }).catch((err) =>
+          console.error("Webhook delivery failed:", err.message)
+        )
+      );
+    }
+    return response;
+  };
+}
+
+// The public shape of a bookmark in API responses.
+// `row` comes from select(BOOKMARK_COLUMNS) below.
+export const BOOKMARK_COLUMNS =
+  "id, url, title, notes, description, image_url, favicon_url, collection_id, created_at, updated_at, link_status, link_final_url, link_checked_at, tags(name)";
+
+export function serializeBookmark(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    title: row.title,
+    notes: row.notes,
+    description: row.description,
+    image_url: row.image_url,
+    favicon_url: row.favicon_url,
+    collection_id: row.collection_id,
+    tags: (row.tags || []).map((t) => t.name).sort(),
+    link: {
+      status: row.link_status,
+      final_url: row.link_final_url,
+      checked_at: row.link_checked_at,
+    },
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+// ───────────────────────────────────────────────
+// BOOKMARK INPUT
+// ───────────────────────────────────────────────
+const MAX_URL_LENGTH = 2048;
+const MAX_TITLE_LENGTH = 500;
+const MAX_NOTES_LENGTH = 10000;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isUuid(value) {
+  return typeof value === "string" && UUID_PATTERN.test(value);
+}
+
+function validationError(message) {
+  return new ApiError(422, "validation_error", message);
+}
+
+// Check the writable fields of a create (POST) or update (PATCH) body and
+// return just those, cleaned up. Unknown fields are ignored.
+// For POST, `url` is required; everything else is optional.
+export function parseBookmarkInput(body, { partial = false } = {}) {
+  const input = {};
+
+  if ("url" in body || !partial) {
+    if (typeof body.url !== "string" || !body.url.trim()) {
+      throw validationError("url is required");
+    }
+    const url = body.url.trim();
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw validationError("url must be a valid URL");
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      throw validationError("url must start with http:// or https://");
+    }
+    if (url.length > MAX_URL_LENGTH) {
+      throw validationError(`url must be at most ${MAX_URL_LENGTH} characters`);
+    }
+    input.url = url;
+  }
+
+  if ("title" in body) {
+    if (typeof body.title !== "string" || !body.title.trim()) {
+      throw validationError("title must be a non-empty string");
+    }
+    if (body.title.length > MAX_TITLE_LENGTH) {
+      throw validationError(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    input.title = body.title.trim();
+  }
+
+  if ("notes" in body) {
+    if (body.notes !== null && typeof body.notes !== "string") {
+      throw validationError("notes must be a string or null");
+    }
+    if (body.notes && body.notes.length > MAX_NOTES_LENGTH) {
+      throw validationError(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+    }
+    input.notes = body.notes?.trim() || null;
+  }
+
+  if ("collection_id" in body) {
+    if (body.collection_id !== null && !isUuid(body.collection_id)) {
+      throw validationError("collection_id must be a collection id or null");
+    }
+    input.collection_id = body.collection_id;
+  }
+
+  if ("tags" in body) {
+    if (
+      !Array.isArray(body.tags) ||
+      body.tags.some((tag) => typeof tag !== "string")
+    ) {
+      throw validationError("tags must be an array of strings");
+    }
+    input.tags = body.tags;
+  }
+
+  return input;
+}
+
+// ───────────────────────────────────────────────
+// LOOKUPS
+// ───────────────────────────────────────────────
+
+// One of the user's personal bookmarks, or a 404
+export async function loadBookmark(supabase, userId, id) {
+  if (!isUuid(id)) throw new ApiError(404, "not_found", "Bookmark not found");
+
+  const { data, error } = await supabase
+    .from("bookmarks")
+    .select(BOOKMARK_COLUMNS)
+    .eq("id", id)
+    .eq("user_id", userId)
+    .is("workspace_id", null)
+    .is("deleted_at", null)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new ApiError(404, "not_found", "Bookmark not found");
+  return data;
+}
+
+// Where a bookmark moved into a collection goes: above everything already
+// in it (same as adding one on the dashboard). Fails with a 422 if the
+// collection isn't one of the user's personal collections.
+export async function topPositionIn(supabase, userId, collectionId) {
+  const { data: collection, error } = await supabase
+    .from("collections")
+    .select("id")
+    .eq("id", collectionId)
+    .eq("user_id", userId)
+    .is("workspace_id", null)
+    .maybeSingle();
+  if (error) throw error;
+  if (!collection) throw validationError("collection_id doesn't match any of your collections");
+
+  const { data: top, error: topError } = await supabase
+    .from("bookmarks")
+    .select("position")
+    .eq("collection_id", collectionId)
+    .not("position", "is", null)
+    .order("position", { ascending: true })
+    .limit(1);
+  if (topError) throw topError;
+  return top.length > 0 ? top[0].position - POSITION_STEP : 0;
+}
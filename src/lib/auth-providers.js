@@ -0,0 +1,68 @@
+// The ways to sign in, shared by the login page and the sign-in methods
+// settings page (/settings/sign-in).
+// - OAuth providers: Google and GitHub (enable both in Supabase →
+//   Authentication → Providers)
+// - Email: a one-time "magic link" sent to the address (Supabase's Email
+//   provider)
+// Supabase links them automatically when they share a verified email
+// address, so one person ends up with one account however they sign in.
+// More can be connected by hand from /settings/sign-in.
+
+export const OAUTH_PROVIDERS = [
+  { id: "google", label: "Google" },
+  { id: "github", label: "GitHub" },
+];
+
+// Supabase identity.provider -> name shown to users
+export const PROVIDER_LABELS = {
+  google: "Google",
+  github: "GitHub",
+  email: "Email link",
+};
+
+// What /auth/callback's ?error= values mean
+export const AUTH_ERROR_MESSAGES = {
+  auth: "Sign-in didn't work. The link may have expired or already been used — please try again.",
+  config: "Sign-in isn't set up on this server yet (Supabase environment variables are missing).",
+};
+
+// What went wrong, when /auth/callback can tell: its ?reason= values.
+// Only these keys are ever passed, never the provider's own wording —
+// anyone can put text in a link, and the login page would show it as ours.
+export const AUTH_ERROR_REASONS = {
+  cancelled: "Sign-in was cancelled before it finished.",
+  expired: "The link has expired or was already used.",
+  identity_taken: "That account is already connected to a different user.",
+};
+
+// Supabase / provider error codes -> AUTH_ERROR_REASONS keys
+const ERROR_CODE_REASONS = {
+  access_denied: "cancelled",
+  otp_expired: "expired",
+  flow_state_expired: "expired",
+  flow_state_not_found: "expired",
+  identity_already_exists: "identity_taken",
+};
+
+// The ?reason= key for an error code (undefined for anything else)
+export function authErrorReason(code) {
+  return code && Object.hasOwn(ERROR_CODE_REASONS, code)
+    ? ERROR_CODE_REASONS[code]
+    : undefined;
+}
+
+// The text for a ?reason= value, or null when it isn't one of ours
+export function authErrorDetail(reason) {
+  return typeof reason === "string" && Object.hasOwn(AUTH_ERROR_REASONS, reason)
+    ? AUTH_ERROR_REASONS[reason]
+    : null;
+}
+
+// Where providers and magic links send the user back to. `next` is the
+// page to continue to afterwards (see src/lib/auth-redirect.js).
+// Browser-only: uses the current origin.
+export function authCallbackUrl(next) {
+  const url = new URL("/auth/callback", window.location.origin);
+  if (next) url.searchParams.set("next", next);
+  return url.toString();
+}
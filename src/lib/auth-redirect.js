@@ -0,0 +1,28 @@
+// Where to send the user after they sign in.
+// Protected pages redirect to /login?next=<where they were going>; the
+// login page passes that through the OAuth round trip to /auth/callback,
+// which finally redirects there.
+//
+// Only same-site paths are allowed, so a crafted link can't use our login
+// to bounce people to another site ("open redirect").
+
+// Any origin will do: it's only there to see whether the value stays on it
+const BASE = "http://localhost";
+
+export function safeNextPath(value) {
+  if (!value || typeof value !== "string") return "/";
+  // Must be a path on this site: "/x" but not "//evil.com" or "/\evil.com".
+  // URL parsing drops tabs and newlines and treats "\" like "/", so
+  // "/\t/evil.com" would become "//evil.com": refuse those outright.
+  if (!value.startsWith("/") || /[\x00-\x1f\x7f\\]/.test(value)) return "/";
+
+  let url;
+  try {
+    url = new URL(value, BASE);
+  } catch {
+    return "/";
+  }
+  if (url.origin !== BASE || url.pathname.startsWith("//")) return "/";
+  // Rebuilt from the parsed parts, so what we redirect to is what we checked
+  return url.pathname + url.search + url.hash;
+}
@@ -0,0 +1,27 @@
+// Helpers for keeping the in-memory bookmark list in sync.
+// The dashboard receives the same row from several places (its own
+// insert/update responses and realtime events from other tabs), so these
+// make sure applying a row twice, or out of order, is harmless.
+
+// Replace a bookmark in a list with a newer version of the same row.
+// Realtime payloads don't carry our client-side tag_ids, so those are kept.
+// A row older than the one we already have (by updated_at) is ignored.
+export function mergeBookmarkUpdate(list, row) {
+  return list.map((b) => {
+    if (b.id !== row.id) return b;
+    if (b.updated_at && row.updated_at && row.updated_at < b.updated_at) {
+      return b;
+    }
+    return { ...b, ...row, tag_ids: b.tag_ids };
+  });
+}
+
+// Put bookmarks back into a list that's ordered newest first (e.g. after
+// an undo, or when a delete fails). Rows already in the list are skipped.
+export function insertBookmarks(list, rows) {
+  const missing = rows.filter((row) => !list.some((b) => b.id === row.id));
+  if (missing.length === 0) return list;
+  return [...list, ...missing].sort((a, b) =>
+    b.created_at.localeCompare(a.created_at)
+  );
+}
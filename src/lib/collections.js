@@ -0,0 +1,78 @@
+// Helpers for collections (nested folders) and manual bookmark ordering.
+// Collections are stored flat with a parent_id; the sidebar needs them as a
+// tree. Bookmark order inside a collection is a float "position" column, so
+// moving one bookmark only has to update that one row.
+
+// Siblings are ordered by position, then name
+function compareCollections(a, b) {
+  return a.position - b.position || a.name.localeCompare(b.name);
+}
+
+// Turn the flat list into a tree: [{ ...collection, children: [...] }]
+// Collections whose parent is missing (e.g. just deleted) become roots.
+export function buildCollectionTree(collections) {
+  const nodes = Object.fromEntries(
+    collections.map((c) => [c.id, { ...c, children: [] }])
+  );
+  const roots = [];
+
+  Object.values(nodes).forEach((node) => {
+    const parent = node.parent_id && nodes[node.parent_id];
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+
+  const sortTree = (list) => {
+    list.sort(compareCollections);
+    list.forEach((node) => sortTree(node.children));
+    return list;
+  };
+  return sortTree(roots);
+}
+
+// Depth-first list of { collection, depth }, e.g. for an indented <select>
+export function flattenCollectionTree(tree, depth = 0) {
+  return tree.flatMap((node) => [
+    { collection: node, depth },
+    ...flattenCollectionTree(node.children, depth + 1),
+  ]);
+}
+
+// Names from the root down to this collection, for a breadcrumb
+export function getCollectionPath(collectionsById, id) {
+  const path = [];
+  const seen = new Set();
+  let current = collectionsById[id];
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.unshift(current.name);
+    current = collectionsById[current.parent_id];
+  }
+  return path;
+}
+
+// Order for bookmarks inside a collection: by position, with bookmarks that
+// were never placed (position null) after them, newest first
+export function compareByPosition(a, b) {
+  if (a.position != null && b.position != null) return a.position - b.position;
+  if (a.position != null) return -1;
+  if (b.position != null) return 1;
+  return b.created_at.localeCompare(a.created_at);
+}
+
+// Gap between positions when (re)numbering a whole collection
+export const POSITION_STEP = 1024;
+
+// A position between two neighbours (either may be missing at the ends).
+// Returns null when the gap has become too small to split again, which
+// means the collection needs renumbering first.
+export function positionBetween(before, after) {
+  if (before == null && after == null) return 0;
+  if (before == null) return after - POSITION_STEP;
+  if (after == null) return before + POSITION_STEP;
+
+  const middle = (before + after) / 2;
+  return middle > before && middle < after && after - before > 1e-9
+    ? middle
+    : null;
+}
@@ -0,0 +1,271 @@
+// Loading the dashboard's data. The bookmark list comes a page at a time
+// (see dashboard_bookmarks() in supabase-schema.sql): the server renders
+// the first page (src/app/page.js) and the Dashboard component loads the
+// rest as the user scrolls. Works with the browser or the server client.
+//
+// A page is fetched with a cursor — the sort key of the last row already
+// loaded — rather than an offset, so rows added or removed in the meantime
+// don't make the next page skip or repeat bookmarks. The same cursor tells
+// the dashboard which rows it has loaded "up to": a row arriving through
+// realtime that sorts after it belongs to a page not fetched yet, and
+// stays hidden until that page comes (see isLoaded()).
+
+import { withTagIds } from "@/lib/tags";
+import { compareForReading, isUnread } from "@/lib/reading";
+import { compareByPosition } from "@/lib/collections";
+import { getLinkHealth } from "@/lib/link-health";
+import { SORT_OPTIONS, listSort, sortComparator } from "@/lib/sorting";
+import { matchesUsage } from "@/lib/visits";
+
+export const PAGE_SIZE = 50;
+// How many activity feed entries to show for a workspace
+export const ACTIVITY_LIMIT = 20;
+// Due reminders loaded for the digest, whatever page they're on
+const REMINDER_LIMIT = 50;
+
+// The order the list is shown (and paged) in for a set of filters: the
+// reading list's own order, a collection's manual order unless another
+// sort was picked, or the picked (or the user's default) sort (see
+// src/lib/sorting.js)
+export function listComparator(filters) {
+  const sort = listSort(filters);
+  if (sort === "reading") return compareForReading;
+  if (sort === "manual") return compareByPosition;
+  return sortComparator(sort);
+}
+
+// A collection in its manual order is loaded whole: dragging to reorder
+// needs every bookmark in it. Everything else comes a page at a time.
+function pageSizeFor(filters) {
+  return listSort(filters) === "manual" ? null : PAGE_SIZE;
+}
+
+// Whether a row is within what's been loaded so far. cursor is the last
+// loaded row's sort key, or null once every page is in.
+export function isLoaded(row, cursor, compare) {
+  return !cursor || compare(row, cursor) <= 0;
+}
+
+// Everything any of the orders sorts by
+function pageCursor(row) {
+  return {
+    id: row.id,
+    created_at: row.created_at,
+    read_at: row.read_at,
+    title: row.title,
+    domain: row.domain,
+    last_visited_at: row.last_visited_at,
+    visit_count: row.visit_count,
+  };
+}
+
+// Fetch the page after `after` (null = the first page).
+// Returns { bookmarks, next, error }: next is the cursor for the page after
+// this one, or null when there are no more.
+export async function fetchBookmarkPage(
+  supabase,
+  { workspaceId, filters, after = null, pageSize = pageSizeFor(filters) }
+) {
+  const sort = listSort(filters);
+  const { data, error } = await supabase
+    .rpc("dashboard_bookmarks", {
+      in_workspace: workspaceId,
+      in_view: filters.view,
+      in_collection: filters.collection,
+      in_tags: [...new Set(filters.tags || [])],
+      in_health: filters.health,
+      in_smart_view: filters.smart ?? null,
+      in_usage: filters.usage ?? null,
+      // The picked sort, or the user's default one (see listSort())
+      in_sort: SORT_OPTIONS[sort] ? sort : null,
+      after_id: after?.id ?? null,
+      after_created_at: after?.created_at ?? null,
+      after_read_at: after?.read_at ?? null,
+      after_title: after?.title ?? null,
+      after_domain: after?.domain ?? null,
+      after_last_visited_at: after?.last_visited_at ?? null,
+      after_visit_count: after?.visit_count ?? null,
+      page_size: pageSize,
+    })
+    .select("*, bookmark_tags(tag_id)");
+
+  if (error) return { bookmarks: [], next: null, error };
+
+  const bookmarks = data.map(withTagIds);
+  const next =
+    pageSize && bookmarks.length === pageSize
+      ? pageCursor(bookmarks[bookmarks.length - 1])
+      : null;
+  return { bookmarks, next, error: null };
+}
+
+// Sidebar counts for the whole space (see dashboard_counts()):
+// { all, unread, archived, usage: { most, never }, tags: { id: n },
+//   collections: { id: n }, health: { state: n } }
+export async function fetchDashboardCounts(supabase, workspaceId) {
+  const { data, error } = await supabase.rpc("dashboard_counts", {
+    in_workspace: workspaceId,
+  });
+  return { counts: data, error };
+}
+
+// The same counts from the bookmarks at hand, for when the server can't
+// be asked (offline)
+export function countBookmarks(bookmarks) {
+  const counts = {
+    all: 0,
+    unread: 0,
+    archived: 0,
+    usage: { most: 0, never: 0 },
+    tags: {},
+    collections: {},
+    health: {},
+  };
+  bookmarks.forEach((b) => {
+    if (b.archived_at) counts.archived++;
+    else counts.all++;
+    if (isUnread(b)) counts.unread++;
+    if (!b.archived_at) {
+      if (matchesUsage(b, "most")) counts.usage.most++;
+      if (matchesUsage(b, "never")) counts.usage.never++;
+    }
+    b.tag_ids.forEach((id) => {
+      counts.tags[id] = (counts.tags[id] || 0) + 1;
+    });
+    if (b.collection_id) {
+      counts.collections[b.collection_id] =
+        (counts.collections[b.collection_id] || 0) + 1;
+    }
+    const health = getLinkHealth(b);
+    counts.health[health] = (counts.health[health] || 0) + 1;
+  });
+  return counts;
+}
+
+// Add a freshly loaded page to the rows we have. A row we already hold in
+// a newer version (by updated_at, e.g. from realtime) keeps that version.
+export function mergeBookmarkPage(list, rows) {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const merged = list.map((b) => {
+    const row = byId.get(b.id);
+    if (!row) return b;
+    byId.delete(b.id);
+    return b.updated_at && row.updated_at && row.updated_at < b.updated_at
+      ? b
+      : row;
+  });
+  return [...merged, ...byId.values()];
+}
+
+// Everything the dashboard shows for a space, for the signed-in user:
+// { user, bookmarks, next, counts, tags, collections, smartViews,
+//   workspaces, members, activity }. Failed queries are logged and come back
+// empty, so one of them failing doesn't take the whole page down.
+export async function loadDashboard(supabase, user, filters) {
+  const workspaceId = filters.workspace;
+
+  // Limit a query to the space being viewed: the user's private rows,
+  // or everything in the shared workspace
+  const inSpace = (query) =>
+    workspaceId
+      ? query.eq("workspace_id", workspaceId)
+      : query.is("workspace_id", null).eq("user_id", user.id);
+
+  const logged = (what) => ({ data, error }) => {
+    if (error) console.error(`Failed to fetch ${what}:`, error.message);
+    return error ? [] : data || [];
+  };
+
+  const [
+    page,
+    countsResult,
+    reminders,
+    tags,
+    collections,
+    smartViews,
+    memberships,
+    members,
+    activity,
+  ] = await Promise.all([
+    // The first page of bookmarks. Bookmarks in the trash (deleted_at
+    // set) aren't shown. Each comes with its tag links nested inside.
+    fetchBookmarkPage(supabase, { workspaceId, filters }),
+    fetchDashboardCounts(supabase, workspaceId),
+    // Unread bookmarks whose reminder has come up, for the digest —
+    // they may well be further down the list than the first page
+    inSpace(
+      supabase
+        .from("bookmarks")
+        .select("*, bookmark_tags(tag_id)")
+        .is("deleted_at", null)
+        .is("read_at", null)
+        .is("archived_at", null)
+        .lte("remind_at", new Date().toISOString())
+    )
+      .order("remind_at")
+      .limit(REMINDER_LIMIT)
+      .then(logged("reminders")),
+    // The user's tags for the sidebar and the chips on each card
+    supabase
+      .from("tags")
+      .select("id, name")
+      .eq("user_id", user.id)
+      .order("name")
+      .then(logged("tags")),
+    // This space's collections for the sidebar tree
+    inSpace(supabase.from("collections").select("*")).then(
+      logged("collections")
+    ),
+    // The user's smart views, for the sidebar
+    supabase
+      .from("smart_views")
+      .select("id, name, rules")
+      .eq("user_id", user.id)
+      .order("name")
+      .then(logged("smart views")),
+    // The workspaces the user belongs to, for the space switcher
+    supabase
+      .from("workspace_members")
+      .select("role, workspaces(id, name)")
+      .eq("user_id", user.id)
+      .then(logged("workspaces")),
+    // In a workspace: who its members are, and what they did lately
+    workspaceId
+      ? supabase
+          .from("workspace_members")
+          .select("user_id, email, role")
+          .eq("workspace_id", workspaceId)
+          .then(logged("members"))
+      : [],
+    workspaceId
+      ? supabase
+          .from("bookmark_activity")
+          .select("*")
+          .eq("workspace_id", workspaceId)
+          .order("created_at", { ascending: false })
+          .limit(ACTIVITY_LIMIT)
+          .then(logged("activity"))
+      : [],
+  ]);
+
+  if (page.error) console.error("Failed to fetch bookmarks:", page.error.message);
+  if (countsResult.error) {
+    console.error("Failed to fetch counts:", countsResult.error.message);
+  }
+
+  return {
+    user,
+    bookmarks: mergeBookmarkPage(page.bookmarks, reminders.map(withTagIds)),
+    next: page.next,
+    counts: countsResult.counts,
+    tags,
+    collections,
+    smartViews,
+    workspaces: memberships
+      .filter((m) => m.workspaces)
+      .map((m) => ({ ...m.workspaces, role: m.role }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    members,
+    activity,
+  };
+}
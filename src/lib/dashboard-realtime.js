@@ -0,0 +1,232 @@
+// Live updates for the dashboard. Supabase Realtime uses PostgreSQL's
+// logical replication under the hood: whenever a row is INSERTed, UPDATEd
+// or DELETEd, Supabase pushes the change to all connected clients via
+// WebSocket, and the handlers here fold it into the dashboard's state
+// (bookmarks, tags, collections, smart views, members, activity).
+// Browser-only.
+//
+// Changes come in from every space the user can see, so each handler
+// checks the row belongs to the one being viewed. A row past the end of
+// the loaded pages is still kept: the list hides it until its page comes
+// (see isLoaded() in src/lib/dashboard-data.js).
+
+import { withTagIds } from "@/lib/tags";
+import { mergeBookmarkUpdate, insertBookmarks } from "@/lib/bookmarks";
+import { ACTIVITY_LIMIT } from "@/lib/dashboard-data";
+
+// Whether a row is in the space being viewed (null = private bookmarks)
+export function belongsToSpace(row, workspaceId) {
+  return (row.workspace_id ?? null) === workspaceId;
+}
+
+// Subscribe to the changes that matter to the dashboard for a space.
+// The handlers only see what they were given when subscribing, so
+// anything that changes in the meantime is passed as a function:
+// - getUserId(): the signed-in user's id (null until it's known)
+// - isListed(id): whether a bookmark is in the list already
+// - withPending(rows): the rows with queued offline changes on top (see
+//   applyPendingMutations() in src/lib/sync-queue.js)
+// - onBookmarksChange(): a bookmark or its tags changed, so the sidebar
+//   counts may be off
+// `state` holds the dashboard's setters: setBookmarks, setSearch,
+// setTags, setCollections, setSmartViews, setMembers, setWorkspaces and
+// setActivity.
+// Returns a function that unsubscribes.
+export function subscribeToDashboard(
+  supabase,
+  { workspaceId, getUserId, isListed, withPending, onBookmarksChange, state }
+) {
+  const isInSpace = (row) => belongsToSpace(row, workspaceId);
+
+  const channel = supabase
+    .channel("bookmarks-realtime")
+    .on(
+      "postgres_changes",
+      { event: "INSERT", schema: "public", table: "bookmarks" },
+      (payload) => {
+        // Ignore bookmarks added to a different space
+        if (!isInSpace(payload.new)) return;
+        onBookmarksChange();
+        // A new bookmark was inserted — add it to our list. It's the
+        // newest, so it lands at the top; in the reading list (oldest
+        // first) it only shows once the last page is loaded.
+        state.setBookmarks((prev) => {
+          // Avoid duplicates (in case we already added it optimistically)
+          if (prev.some((b) => b.id === payload.new.id)) return prev;
+          return [{ ...payload.new, tag_ids: [] }, ...prev];
+        });
+      }
+    )
+    .on(
+      "postgres_changes",
+      { event: "UPDATE", schema: "public", table: "bookmarks" },
+      async (payload) => {
+        const row = payload.new;
+        if (isInSpace(row)) onBookmarksChange();
+
+        // Moved to the trash (maybe in another tab) — treat it as deleted
+        if (row.deleted_at) {
+          state.setBookmarks((prev) => prev.filter((b) => b.id !== row.id));
+          state.setSearch((prev) => ({
+            ...prev,
+            results: prev.results.filter((b) => b.id !== row.id),
+          }));
+          return;
+        }
+
+        // A bookmark was edited (maybe in another tab) — swap in the new row.
+        // If this tab is editing the same bookmark, its card notices the
+        // changed updated_at and warns about the conflict. Edits still
+        // queued offline stay on top until they're synced (and merged).
+        state.setBookmarks((prev) => withPending(mergeBookmarkUpdate(prev, row)));
+        state.setSearch((prev) => ({
+          ...prev,
+          results: mergeBookmarkUpdate(prev.results, row),
+        }));
+
+        // Restored from the trash (or otherwise new to this list): load it
+        // with its tags, which the realtime payload doesn't carry
+        if (isInSpace(row) && !isListed(row.id)) {
+          const { data } = await supabase
+            .from("bookmarks")
+            .select("*, bookmark_tags(tag_id)")
+            .eq("id", row.id)
+            .is("deleted_at", null);
+          if (data?.[0]) {
+            state.setBookmarks((prev) => insertBookmarks(prev, [withTagIds(data[0])]));
+          }
+        }
+      }
+    )
+    .on(
+      "postgres_changes",
+      { event: "DELETE", schema: "public", table: "bookmarks" },
+      (payload) => {
+        // A bookmark was deleted — remove it from our list
+        onBookmarksChange();
+        state.setBookmarks((prev) =>
+          prev.filter((b) => b.id !== payload.old.id)
+        );
+      }
+    )
+    .on(
+      "postgres_changes",
+      { event: "INSERT", schema: "public", table: "tags" },
+      (payload) => {
+        // A new tag was created (possibly in another tab) — keep the list sorted
+        state.setTags((prev) => {
+          if (prev.some((t) => t.id === payload.new.id)) return prev;
+          return [...prev, payload.new].sort((a, b) =>
+            a.name.localeCompare(b.name)
+          );
+        });
+      }
+    )
+    .on(
+      "postgres_changes",
+      { event: "INSERT", schema: "public", table: "bookmark_tags" },
+      (payload) => {
+        // A tag was attached to a bookmark
+        const { bookmark_id, tag_id } = payload.new;
+        onBookmarksChange();
+        state.setBookmarks((prev) =>
+          prev.map((b) =>
+            b.id === bookmark_id && !b.tag_ids.includes(tag_id)
+              ? { ...b, tag_ids: [...b.tag_ids, tag_id] }
+              : b
+          )
+        );
+      }
+    )
+    .on(
+      "postgres_changes",
+      { event: "DELETE", schema: "public", table: "bookmark_tags" },
+      (payload) => {
+        // A tag was removed from a bookmark
+        const { bookmark_id, tag_id } = payload.old;
+        onBookmarksChange();
+        state.setBookmarks((prev) =>
+          prev.map((b) =>
+            b.id === bookmark_id
+              ? { ...b, tag_ids: b.tag_ids.filter((id) => id !== tag_id) }
+              : b
+          )
+        );
+      }
+    )
+    .on(
+      "postgres_changes",
+      { event: "*", schema: "public", table: "collections" },
+      (payload) => {
+        // A collection was created, renamed/moved or deleted
+        if (payload.eventType === "DELETE") {
+          state.setCollections((prev) =>
+            prev.filter((c) => c.id !== payload.old.id)
+          );
+        } else if (isInSpace(payload.new)) {
+          state.setCollections((prev) => [
+            ...prev.filter((c) => c.id !== payload.new.id),
+            payload.new,
+          ]);
+        }
+      }
+    )
+    .on(
+      "postgres_changes",
+      { event: "*", schema: "public", table: "smart_views" },
+      (payload) => {
+        // A smart view was saved or deleted (maybe in another tab)
+        const id = payload.eventType === "DELETE" ? payload.old.id : payload.new.id;
+        state.setSmartViews((prev) =>
+          [
+            ...prev.filter((v) => v.id !== id),
+            ...(payload.eventType === "DELETE" ? [] : [payload.new]),
+          ].sort((a, b) => a.name.localeCompare(b.name))
+        );
+      }
+    )
+    .on(
+      "postgres_changes",
+      { event: "*", schema: "public", table: "workspace_members" },
+      (payload) => {
+        // Someone joined, left or had their role changed.
+        // (DELETE events only carry the primary key, which is enough here.)
+        const row = payload.eventType === "DELETE" ? payload.old : payload.new;
+
+        if (row.workspace_id === workspaceId) {
+          state.setMembers((prev) => [
+            ...prev.filter((m) => m.user_id !== row.user_id),
+            ...(payload.eventType === "DELETE" ? [] : [row]),
+          ]);
+        }
+        if (row.user_id === getUserId()) {
+          state.setWorkspaces((prev) =>
+            payload.eventType === "DELETE"
+              ? prev.filter((w) => w.id !== row.workspace_id)
+              : prev.map((w) =>
+                  w.id === row.workspace_id ? { ...w, role: row.role } : w
+                )
+          );
+        }
+      }
+    )
+    .on(
+      "postgres_changes",
+      { event: "INSERT", schema: "public", table: "bookmark_activity" },
+      (payload) => {
+        // A member added or removed a bookmark in this workspace
+        if (payload.new.workspace_id !== workspaceId) return;
+        state.setActivity((prev) =>
+          [payload.new, ...prev.filter((a) => a.id !== payload.new.id)].slice(
+            0,
+            ACTIVITY_LIMIT
+          )
+        );
+      }
+    )
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
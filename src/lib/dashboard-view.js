@@ -0,0 +1,73 @@
+// What the dashboard shows, worked out from its state on every render:
+// which of the bookmarks it has pass the filters in the URL (see
+// src/lib/filters.js), and what the user may do in the space being
+// viewed. Plain functions; the server applies the same filters to the
+// pages it sends (see dashboard_bookmarks() in supabase-schema.sql).
+
+import { getLinkHealth } from "@/lib/link-health";
+import { matchesSmartView } from "@/lib/smart-views";
+import { matchesUsage } from "@/lib/visits";
+import { inReadingView } from "@/lib/reading";
+import { listComparator } from "@/lib/dashboard-data";
+
+// The bookmarks to list, in order. A bookmark is shown only if it has
+// EVERY active tag (and, when viewing a collection, a link health state,
+// a smart view, a usage list or the archive, matches that). Archived
+// bookmarks only show up in the archive.
+// The server already filtered the pages it sent the same way; this
+// catches realtime changes, and the offline copy.
+// - smartView: the smart view being shown (null matches nothing)
+// - searching: rows are search results, which stay in rank order and
+//   aren't paged
+// - isInLoadedPages(row): rows past the end of the loaded pages (e.g. an
+//   old bookmark restored from the trash) wait until their page is
+//   loaded, so the list never has gaps in it
+export function filterBookmarks(
+  rows,
+  { filters, tagsById, smartView, searching, isInLoadedPages }
+) {
+  const visible = rows.filter(
+    (b) =>
+      (searching || isInLoadedPages(b)) &&
+      inReadingView(b, filters.view) &&
+      (!filters.collection || b.collection_id === filters.collection) &&
+      (!filters.health || getLinkHealth(b) === filters.health) &&
+      (!filters.smart ||
+        (smartView && matchesSmartView(b, smartView.rules, tagsById))) &&
+      matchesUsage(b, filters.usage) &&
+      filters.tags.every((name) =>
+        b.tag_ids.some((id) => tagsById[id]?.name === name)
+      )
+  );
+
+  // The reading list puts the oldest unread bookmark first; inside a
+  // collection, the manual order wins unless another sort was picked;
+  // otherwise the picked sort, newest first by default
+  if (!searching) visible.sort(listComparator(filters));
+  return visible;
+}
+
+// The user's access to the space being viewed (workspaceId null = their
+// private bookmarks). Returns { currentWorkspace, readOnly, membersById }:
+// - currentWorkspace: null for private bookmarks, or a workspace the user
+//   isn't in
+// - readOnly: viewers (and anyone looking at a workspace they're not in)
+//   can't change anything; RLS enforces the same rules in the database.
+//   Offline there's no member list, so the cached role is used.
+// - membersById: member emails by user id, for "added by" on the cards
+//   (null for private bookmarks)
+export function workspaceAccess({ workspaceId, workspaces, members, userId }) {
+  const currentWorkspace = workspaceId
+    ? workspaces.find((w) => w.id === workspaceId) ?? null
+    : null;
+  const role =
+    members.find((m) => m.user_id === userId)?.role ?? currentWorkspace?.role;
+
+  return {
+    currentWorkspace,
+    readOnly: Boolean(workspaceId) && role !== "owner" && role !== "editor",
+    membersById: workspaceId
+      ? Object.fromEntries(members.map((m) => [m.user_id, m.email]))
+      : null,
+  };
+}
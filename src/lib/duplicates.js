@@ -0,0 +1,74 @@
+// Helpers for finding and merging duplicate bookmarks (the /duplicates page
+// and the "already saved" warning in the add form). Two bookmarks are
+// duplicates when their URLs normalize to the same canonical_url — see
+// src/lib/normalize-url.js.
+
+import { normalizeUrl } from "@/lib/normalize-url";
+
+// Rows per set_canonical_urls() call
+const BACKFILL_BATCH_SIZE = 200;
+
+// Fill in canonical_url for bookmarks saved before the column existed (or
+// whose URL was changed by something that didn't set it). Returns the rows
+// with canonical_url set.
+export async function backfillCanonicalUrls(supabase, bookmarks) {
+  const updates = bookmarks
+    .map((b) => ({ id: b.id, canonical_url: normalizeUrl(b.url) }))
+    .filter((u, i) => u.canonical_url !== bookmarks[i].canonical_url);
+
+  for (let i = 0; i < updates.length; i += BACKFILL_BATCH_SIZE) {
+    const { error } = await supabase.rpc("set_canonical_urls", {
+      updates: updates.slice(i, i + BACKFILL_BATCH_SIZE),
+    });
+    if (error) return { data: bookmarks, error };
+  }
+
+  return {
+    data: bookmarks.map((b) => ({ ...b, canonical_url: normalizeUrl(b.url) })),
+    error: null,
+  };
+}
+
+// Group bookmarks by canonical_url, keeping only groups with more than one.
+// Each group is sorted oldest first (the one a merge keeps), and groups are
+// sorted by size, biggest first.
+export function findDuplicateGroups(bookmarks) {
+  const groups = {};
+  bookmarks.forEach((b) => {
+    if (!b.canonical_url) return;
+    (groups[b.canonical_url] ||= []).push(b);
+  });
+
+  return Object.entries(groups)
+    .filter(([, group]) => group.length > 1)
+    .map(([canonicalUrl, group]) => ({
+      canonicalUrl,
+      bookmarks: group.sort((a, b) => a.created_at.localeCompare(b.created_at)),
+    }))
+    .sort((a, b) => b.bookmarks.length - a.bookmarks.length);
+}
+
+// A title that's just the URL or the site's host name (what imports and
+// pages without a <title> fall back to) isn't a real title
+function isPlaceholderTitle(title, url) {
+  const text = (title || "").trim().toLowerCase();
+  if (!text) return true;
+  if (text === (url || "").trim().toLowerCase()) return true;
+  try {
+    const { hostname } = new URL(url);
+    return text === hostname || text === hostname.replace(/^www\./, "");
+  } catch {
+    return /^https?:\/\//.test(text);
+  }
+}
+
+// The title a merged bookmark should keep: the longest real title, or the
+// oldest bookmark's if none of them has one. Longer titles usually carry
+// more (e.g. "Hooks – React docs" over "React").
+export function pickBestTitle(bookmarks) {
+  const real = bookmarks.filter((b) => !isPlaceholderTitle(b.title, b.url));
+  if (real.length === 0) return (bookmarks[0]?.title || "").trim();
+  return real.reduce((best, b) =>
+    b.title.trim().length > best.title.trim().length ? b : best
+  ).title.trim();
+}
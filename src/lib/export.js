@@ -0,0 +1,219 @@
+// Bookmark export formats.
+// Each format is a small "writer" with a header, one chunk per bookmark and
+// a footer, so /api/export can stream rows out page by page instead of
+// building the whole file in memory.
+//
+// Bookmarks passed in are rows with a `tags` array of names.
+// HTML, JSON and CSV output can be re-imported on the /import page
+// (and the HTML by any browser).
+
+import { escapeHtml } from "@/lib/html";
+
+// Seconds since the epoch, which is what browsers use for ADD_DATE
+function unixSeconds(iso) {
+  return Math.floor(new Date(iso).getTime() / 1000);
+}
+
+function splitFolderPath(folderPath) {
+  return folderPath ? folderPath.split("/").filter(Boolean) : [];
+}
+
+// ───────────────────────────────────────────────
+// NETSCAPE HTML
+// ───────────────────────────────────────────────
+// Rows should arrive sorted by folder_path so each folder is written once
+// (if a folder does show up twice, browsers simply merge it on import).
+// We keep the currently open folders and close/open <DL>s as the path changes.
+function createNetscapeWriter() {
+  let open = []; // folder names currently open
+  const indent = (depth) => "    ".repeat(depth + 1);
+
+  return {
+    header: () =>
+      [
+        "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+        "<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->",
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        "<TITLE>Bookmarks</TITLE>",
+        "<H1>Bookmarks</H1>",
+        "<DL><p>",
+        "",
+      ].join("\n"),
+
+    row: (b) => {
+      const path = splitFolderPath(b.folder_path);
+      let out = "";
+
+      // How many of the open folders does this row share?
+      let shared = 0;
+      while (shared < open.length && open[shared] === path[shared]) shared++;
+
+      // Close the folders we're leaving...
+      for (let depth = open.length - 1; depth >= shared; depth--) {
+        out += `${indent(depth)}</DL><p>\n`;
+      }
+      // ...and open the ones we're entering
+      for (let depth = shared; depth < path.length; depth++) {
+        out += `${indent(depth)}<DT><H3>${escapeHtml(path[depth])}</H3>\n`;
+        out += `${indent(depth)}<DL><p>\n`;
+      }
+      open = path;
+
+      const attrs = [
+        `HREF="${escapeHtml(b.url)}"`,
+        `ADD_DATE="${unixSeconds(b.created_at)}"`,
+      ];
+      if (b.updated_at) attrs.push(`LAST_MODIFIED="${unixSeconds(b.updated_at)}"`);
+      if (b.tags.length > 0) attrs.push(`TAGS="${escapeHtml(b.tags.join(","))}"`);
+
+      out += `${indent(path.length)}<DT><A ${attrs.join(" ")}>${escapeHtml(b.title)}</A>\n`;
+      const description = b.notes || b.description;
+      if (description) out += `${indent(path.length)}<DD>${escapeHtml(description)}\n`;
+      return out;
+    },
+
+    footer: () => {
+      let out = "";
+      for (let depth = open.length - 1; depth >= 0; depth--) {
+        out += `${indent(depth)}</DL><p>\n`;
+      }
+      return out + "</DL><p>\n";
+    },
+  };
+}
+
+// ───────────────────────────────────────────────
+// JSON (full metadata)
+// ───────────────────────────────────────────────
+function createJsonWriter() {
+  let first = true;
+
+  return {
+    header: () =>
+      `{\n  "exported_at": ${JSON.stringify(new Date().toISOString())},\n  "bookmarks": [\n`,
+    row: (b) => {
+      const item = JSON.stringify({
+        id: b.id,
+        url: b.url,
+        title: b.title,
+        notes: b.notes,
+        description: b.description,
+        image_url: b.image_url,
+        favicon_url: b.favicon_url,
+        folder_path: b.folder_path,
+        tags: b.tags,
+        created_at: b.created_at,
+        updated_at: b.updated_at,
+      });
+      const out = `${first ? "" : ",\n"}    ${item}`;
+      first = false;
+      return out;
+    },
+    footer: () => `${first ? "" : "\n"}  ]\n}\n`,
+  };
+}
+
+// ───────────────────────────────────────────────
+// CSV
+// ───────────────────────────────────────────────
+const CSV_COLUMNS = [
+  "url",
+  "title",
+  "created_at",
+  "updated_at",
+  "folder",
+  "tags",
+  "notes",
+  "description",
+];
+
+export function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createCsvWriter() {
+  return {
+    header: () => CSV_COLUMNS.join(",") + "\r\n",
+    row: (b) =>
+      [
+        b.url,
+        b.title,
+        b.created_at,
+        b.updated_at,
+        b.folder_path,
+        b.tags.join(","),
+        b.notes,
+        b.description,
+      ]
+        .map(csvField)
+        .join(",") + "\r\n",
+    footer: () => "",
+  };
+}
+
+// ───────────────────────────────────────────────
+// MARKDOWN link list
+// ───────────────────────────────────────────────
+function markdownText(text) {
+  return String(text ?? "").replace(/([\\[\]*_`])/g, "\\$1");
+}
+
+// Parentheses and spaces would end the (url) part early
+function markdownUrl(url) {
+  return url
+    .replace(/\(/g, "%28")
+    .replace(/\)/g, "%29")
+    .replace(/\s/g, "%20");
+}
+
+function createMarkdownWriter() {
+  return {
+    header: () => `# Bookmarks\n\n_Exported ${new Date().toISOString().slice(0, 10)}_\n\n`,
+    row: (b) => {
+      const tags = b.tags.length > 0 ? ` ${b.tags.map((t) => `#${t}`).join(" ")}` : "";
+      const notes = b.notes ? ` — ${markdownText(b.notes.replace(/\s+/g, " "))}` : "";
+      return `- [${markdownText(b.title)}](${markdownUrl(b.url)})${notes}${tags}\n`;
+    },
+    footer: () => "",
+  };
+}
+
+export const EXPORT_FORMATS = {
+  html: {
+    label: "Browser (HTML)",
+    extension: "html",
+    contentType: "text/html; charset=utf-8",
+    createWriter: createNetscapeWriter,
+  },
+  json: {
+    label: "JSON",
+    extension: "json",
+    contentType: "application/json; charset=utf-8",
+    createWriter: createJsonWriter,
+  },
+  csv: {
+    label: "CSV",
+    extension: "csv",
+    contentType: "text/csv; charset=utf-8",
+    createWriter: createCsvWriter,
+  },
+  md: {
+    label: "Markdown",
+    extension: "md",
+    contentType: "text/markdown; charset=utf-8",
+    createWriter: createMarkdownWriter,
+  },
+};
+
+// Does this bookmark's host match the domain filter?
+// "github.com" matches github.com and any subdomain (gist.github.com).
+export function matchesDomain(url, domain) {
+  try {
+    const host = new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+    const wanted = domain.toLowerCase().replace(/^www\./, "");
+    return host === wanted || host.endsWith(`.${wanted}`);
+  } catch {
+    return false;
+  }
+}
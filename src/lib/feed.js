@@ -0,0 +1,76 @@
+// RSS 2.0 and Atom feed builders.
+// A feed is { title, description, link (HTML page), selfUrl (the feed
+// itself), updated, entries: [{ id, title, url, description, published }] }.
+
+import { escapeHtml } from "@/lib/html";
+
+// The escaping rules for XML text and attributes are the same as HTML's
+const xml = escapeHtml;
+
+export function buildAtomFeed(feed) {
+  const entries = feed.entries.map((entry) =>
+    [
+      "  <entry>",
+      `    <id>${xml(entry.id)}</id>`,
+      `    <title>${xml(entry.title)}</title>`,
+      `    <link rel="alternate" href="${xml(entry.url)}"/>`,
+      `    <published>${new Date(entry.published).toISOString()}</published>`,
+      `    <updated>${new Date(entry.published).toISOString()}</updated>`,
+      entry.description ? `    <summary>${xml(entry.description)}</summary>` : null,
+      "  </entry>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${xml(feed.link)}</id>`,
+    `  <title>${xml(feed.title)}</title>`,
+    feed.description ? `  <subtitle>${xml(feed.description)}</subtitle>` : null,
+    `  <link rel="alternate" type="text/html" href="${xml(feed.link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${xml(feed.selfUrl)}"/>`,
+    `  <updated>${new Date(feed.updated).toISOString()}</updated>`,
+    // Atom requires an author; the list's owner stays anonymous
+    "  <author><name>Smart Bookmark App</name></author>",
+    ...entries,
+    "</feed>",
+    "",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+export function buildRssFeed(feed) {
+  const items = feed.entries.map((entry) =>
+    [
+      "    <item>",
+      `      <title>${xml(entry.title)}</title>`,
+      `      <link>${xml(entry.url)}</link>`,
+      `      <guid isPermaLink="false">${xml(entry.id)}</guid>`,
+      `      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>`,
+      entry.description
+        ? `      <description>${xml(entry.description)}</description>`
+        : null,
+      "    </item>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${xml(feed.title)}</title>`,
+    `    <link>${xml(feed.link)}</link>`,
+    `    <description>${xml(feed.description || feed.title)}</description>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${xml(feed.selfUrl)}"/>`,
+    `    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,61 @@
+// The dashboard's filters live in the URL so any filtered view can be
+// bookmarked or shared:
+//   /?workspace=<id>&collection=<id>&tag=react&tag=docs&health=broken&view=reading
+//   /?smart=<id>&sort=title&group=domain
+//   /?usage=never
+// No workspace means the user's private bookmarks. health narrows the list
+// to one link health state (see src/lib/link-health.js), view switches
+// to the reading list or the archive (see src/lib/reading.js), and smart
+// to a saved smart view (see src/lib/smart-views.js). usage lists the most
+// used or never opened bookmarks (see src/lib/visits.js). sort and group
+// pick the list's order and headings (see src/lib/sorting.js).
+// These helpers read them from the page's search params and build links.
+// (The dashboard page adds defaultSort, the user's preferred order, from
+// their profile; it's never part of the URL.)
+
+// "?tag=react&tag=docs" arrives as an array, "?tag=react" as a string
+function asArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+export function getDashboardFilters(searchParams) {
+  return {
+    workspace: asArray(searchParams?.workspace)[0] || null,
+    tags: asArray(searchParams?.tag),
+    collection: asArray(searchParams?.collection)[0] || null,
+    health: asArray(searchParams?.health)[0] || null,
+    view: asArray(searchParams?.view)[0] || null,
+    smart: asArray(searchParams?.smart)[0] || null,
+    usage: asArray(searchParams?.usage)[0] || null,
+    sort: asArray(searchParams?.sort)[0] || null,
+    group: asArray(searchParams?.group)[0] || null,
+  };
+}
+
+// Build the dashboard URL for a set of filters
+export function buildDashboardUrl({
+  workspace = null,
+  tags = [],
+  collection = null,
+  health = null,
+  view = null,
+  smart = null,
+  usage = null,
+  sort = null,
+  group = null,
+} = {}) {
+  const params = new URLSearchParams();
+  if (workspace) params.set("workspace", workspace);
+  if (collection) params.set("collection", collection);
+  tags.forEach((tag) => params.append("tag", tag));
+  if (health) params.set("health", health);
+  if (view) params.set("view", view);
+  if (smart) params.set("smart", smart);
+  if (usage) params.set("usage", usage);
+  if (sort) params.set("sort", sort);
+  if (group) params.set("group", group);
+
+  const query = params.toString();
+  return query ? `/?${query}` : "/";
+}
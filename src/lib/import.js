@@ -0,0 +1,262 @@
+// Parsers for bookmark import files.
+// Every parser returns the same shape, one object per link:
+//   { url, title, created_at, folder_path, tags, notes, description }
+// (created_at is an ISO string or null, folder_path like "Bookmarks bar/Dev"
+// or null, tags an array of tag names). The import page then validates,
+// de-duplicates and inserts them.
+//
+// Pure string parsing — runs in the browser, no DOM needed.
+
+import { decodeEntities, parseAttributes } from "@/lib/html";
+import { parseTagInput } from "@/lib/tags";
+
+export const IMPORT_FORMATS = ["html", "json", "csv"];
+
+// Guess the format from the file name, falling back to sniffing the content
+export function detectFormat(fileName, text) {
+  const ext = (fileName || "").split(".").pop().toLowerCase();
+  if (ext === "html" || ext === "htm") return "html";
+  if (ext === "json") return "json";
+  if (ext === "csv") return "csv";
+
+  const start = text.trimStart().slice(0, 200).toUpperCase();
+  if (start.startsWith("<!DOCTYPE NETSCAPE") || start.startsWith("<")) return "html";
+  if (start.startsWith("[") || start.startsWith("{")) return "json";
+  return "csv";
+}
+
+export function parseImportFile(format, text) {
+  switch (format) {
+    case "html":
+      return parseNetscapeHtml(text);
+    case "json":
+      return parseJsonBookmarks(text);
+    case "csv":
+      return parseCsvBookmarks(text);
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+}
+
+// Browser exports store ADD_DATE as Unix seconds; some tools write
+// milliseconds or (Firefox JSON) microseconds. Accept all three, plus
+// anything Date can parse.
+export function parseImportDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  let date;
+  if (/^\d+$/.test(String(value).trim())) {
+    const n = Number(value);
+    if (n > 1e14) date = new Date(n / 1000); // microseconds
+    else if (n > 1e11) date = new Date(n); // milliseconds
+    else date = new Date(n * 1000); // seconds
+  } else {
+    date = new Date(value);
+  }
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function cleanText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/\s+/g, " ").trim();
+  return text || null;
+}
+
+// Tags may come as an array or as a comma separated string
+function cleanTags(value) {
+  if (Array.isArray(value)) return parseTagInput(value.join(","));
+  return parseTagInput(value || "");
+}
+
+function makeEntry({ url, title, created_at, folder_path, tags, notes, description }) {
+  return {
+    url: cleanText(url),
+    title: cleanText(title),
+    created_at: parseImportDate(created_at),
+    folder_path: cleanText(folder_path),
+    tags: cleanTags(tags),
+    notes: cleanText(notes),
+    description: cleanText(description),
+  };
+}
+
+// ───────────────────────────────────────────────
+// NETSCAPE BOOKMARK HTML (Chrome, Firefox, Safari, Edge exports)
+// ───────────────────────────────────────────────
+// The format is a nested list:
+//   <DT><H3 ADD_DATE="...">Folder</H3>
+//   <DL><p>
+//     <DT><A HREF="https://..." ADD_DATE="1700000000" TAGS="a,b">Title</A>
+//     <DD>Optional description
+//   </DL><p>
+// We walk the tags in order, keeping a stack of open folders.
+export function parseNetscapeHtml(text) {
+  const entries = [];
+  const folders = []; // names of the folders we're currently inside
+  let pendingFolder = null; // the last <H3>, waiting for its <DL>
+  let last = null; // the last link, so a following <DD> can attach to it
+
+  const token =
+    /<h3\b([^>]*)>([\s\S]*?)<\/h3\s*>|<a\b([^>]*)>([\s\S]*?)<\/a\s*>|<dl\b[^>]*>|<\/dl\s*>|<dd>([^<]*)/gi;
+
+  for (const match of text.matchAll(token)) {
+    const [raw, , folderName, linkAttrs, linkText, description] = match;
+    const tag = raw.slice(0, 3).toLowerCase();
+
+    if (folderName !== undefined) {
+      pendingFolder = decodeEntities(folderName).trim();
+      last = null;
+    } else if (linkAttrs !== undefined) {
+      const attrs = parseAttributes(linkAttrs);
+      last = makeEntry({
+        url: decodeEntities(attrs.href || ""),
+        title: decodeEntities(linkText.replace(/<[^>]*>/g, "")),
+        created_at: attrs.add_date,
+        folder_path: folders.filter(Boolean).join("/") || null,
+        tags: decodeEntities(attrs.tags || ""),
+      });
+      entries.push(last);
+    } else if (description !== undefined) {
+      if (last) last.description = cleanText(decodeEntities(description));
+    } else if (tag === "<dl") {
+      // The top-level <DL> has no heading; nested ones belong to the last <H3>
+      folders.push(pendingFolder);
+      pendingFolder = null;
+    } else {
+      folders.pop();
+      last = null;
+    }
+  }
+
+  return entries;
+}
+
+// ───────────────────────────────────────────────
+// JSON
+// ───────────────────────────────────────────────
+// Accepts a plain array of bookmark objects or { bookmarks: [...] }
+// (which is what this app's own JSON export produces). Common alternative
+// field names from other tools are understood too.
+export function parseJsonBookmarks(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+
+  const items = Array.isArray(data) ? data : data?.bookmarks;
+  if (!Array.isArray(items)) {
+    throw new Error("Expected a JSON array of bookmarks (or { bookmarks: [...] })");
+  }
+
+  return items
+    .filter((item) => item && typeof item === "object")
+    .map((item) =>
+      makeEntry({
+        url: item.url ?? item.href ?? item.uri,
+        title: item.title ?? item.name,
+        created_at: item.created_at ?? item.add_date ?? item.dateAdded ?? item.date,
+        folder_path: item.folder_path ?? item.folder ?? item.path,
+        tags: item.tags,
+        notes: item.notes ?? item.note,
+        description: item.description,
+      })
+    );
+}
+
+// ───────────────────────────────────────────────
+// CSV
+// ───────────────────────────────────────────────
+// Split CSV text into rows of fields (RFC 4180: quoted fields may contain
+// commas, newlines and "" escaped quotes).
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// The first row must be a header naming the columns. "url" is required;
+// title, created_at (or date), folder (or folder_path), tags, notes and
+// description are optional.
+export function parseCsvBookmarks(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const col = (...names) => columns.findIndex((c) => names.includes(c));
+
+  const urlCol = col("url", "href", "link");
+  if (urlCol === -1) {
+    throw new Error('CSV needs a header row with a "url" column');
+  }
+  const titleCol = col("title", "name");
+  const dateCol = col("created_at", "date", "add_date", "added");
+  const folderCol = col("folder_path", "folder", "path");
+  const tagsCol = col("tags");
+  const notesCol = col("notes", "note");
+  const descriptionCol = col("description");
+
+  const at = (row, index) => (index === -1 ? null : row[index]);
+
+  return rows.map((row) =>
+    makeEntry({
+      url: at(row, urlCol),
+      title: at(row, titleCol),
+      created_at: at(row, dateCol),
+      folder_path: at(row, folderCol),
+      tags: at(row, tagsCol),
+      notes: at(row, notesCol),
+      description: at(row, descriptionCol),
+    })
+  );
+}
+
+// Only http(s) links can be bookmarked (skips javascript:, place:, file: ...)
+export function isImportableUrl(url) {
+  if (!url) return false;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,118 @@
+// Dead-link checking: request a bookmark's URL and report what happened.
+// Used by /api/link-check (the "Check links" button) and the scheduled
+// /api/cron/link-check job. Requests go through safeFetch, so the SSRF
+// guard, redirect re-validation and timeouts all apply.
+//
+// Server-only (safeFetch uses Node's http/https/dns modules).
+
+import { safeFetch, SafeFetchError } from "@/lib/safe-fetch";
+import { sameUrl } from "@/lib/link-health";
+
+const CHECK_TIMEOUT_MS = 10000;
+// A GET fallback only needs the status line, not the page
+const GET_FALLBACK_BYTES = 16 * 1024;
+
+// Some servers answer HEAD wrongly (405 Method Not Allowed, 501, or even
+// 404/403 for pages that exist), so any error status gets a second try
+// with GET before we believe it.
+async function requestStatus(url) {
+  const options = { timeoutMs: CHECK_TIMEOUT_MS, accept: "*/*" };
+
+  let res;
+  try {
+    res = await safeFetch(url, { ...options, method: "HEAD" });
+  } catch (err) {
+    // A timeout or hang-up on HEAD is worth retrying with GET too;
+    // a URL we refuse to fetch at all is not
+    const retryable =
+      err instanceof SafeFetchError &&
+      err.code !== "blocked" &&
+      err.code !== "invalid_url";
+    if (!retryable) throw err;
+  }
+  if (res && res.status < 400) return res;
+
+  return safeFetch(url, {
+    ...options,
+    method: "GET",
+    maxBytes: GET_FALLBACK_BYTES,
+    truncate: true,
+  });
+}
+
+// Check one URL. Never throws: returns the columns to store on the bookmark
+// { link_status, link_final_url, link_error, link_checked_at }.
+// link_final_url is the URL itself, exactly as given, unless the request
+// ended up somewhere really different: the server and the browser then
+// only need to compare the two as text to tell a redirect (see
+// src/lib/link-health.js).
+export async function checkLink(url) {
+  const checkedAt = new Date().toISOString();
+
+  try {
+    const res = await requestStatus(url);
+    return {
+      link_status: res.status,
+      link_final_url: sameUrl(res.finalUrl, url) ? url : res.finalUrl,
+      link_error: null,
+      link_checked_at: checkedAt,
+    };
+  } catch (err) {
+    return {
+      link_status: null,
+      link_final_url: null,
+      link_error: err instanceof SafeFetchError ? err.code : "network",
+      link_checked_at: checkedAt,
+    };
+  }
+}
+
+// Run fn over items with at most `limit` calls in flight at once, so a big
+// batch doesn't open hundreds of connections (or hammer one site).
+// Results come back in the same order as items.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+// Check a batch of bookmarks ({ id, url }) and save each result with the
+// given Supabase client. Returns [{ id, ...columns }] for the ones saved:
+// a bookmark RLS doesn't let the client change (a workspace viewer's) is
+// left out, as the update then quietly changes no rows.
+export async function checkAndRecordLinks(
+  supabase,
+  bookmarks,
+  { concurrency = 5 } = {}
+) {
+  const results = await mapWithConcurrency(
+    bookmarks,
+    concurrency,
+    async (bookmark) => {
+      const columns = await checkLink(bookmark.url);
+      const { data, error } = await supabase
+        .from("bookmarks")
+        .update(columns)
+        .eq("id", bookmark.id)
+        .select("id");
+
+      if (error) {
+        console.error("Failed to save link check:", error.message);
+        return null;
+      }
+      return data.length > 0 ? { id: bookmark.id, ...columns } : null;
+    }
+  );
+  return results.filter(Boolean);
+}
@@ -0,0 +1,57 @@
+// Link health: what the last dead-link check says about a bookmark.
+// The check results live on the bookmark row (link_status, link_final_url,
+// link_error, link_checked_at — written by src/lib/link-check.js); this
+// turns them into one of:
+//   "unchecked"  never checked
+//   "ok"         the URL answers normally
+//   "redirected" it works, but only after redirecting somewhere else
+//   "broken"     gone (404/410), server errors, or the site doesn't resolve
+//   "unknown"    couldn't tell: timed out, or the site refuses bots (401/403/429)
+// Safe to use in the browser.
+
+// Statuses that usually mean "a bot isn't welcome", not "the page is gone"
+const INCONCLUSIVE_STATUSES = new Set([401, 403, 429]);
+
+// Errors (SafeFetchError codes) that mean the link can't work at all
+const BROKEN_ERRORS = new Set(["network", "invalid_url", "too_many_redirects"]);
+
+export const LINK_HEALTH_LABELS = {
+  broken: "Broken link",
+  redirected: "Redirects",
+  unknown: "Couldn't verify",
+};
+
+// Compare URLs the way a browser would (case of the host, default ports,
+// percent-encoding...). The link checker uses it when it stores the final
+// URL (see checkLink() in src/lib/link-check.js).
+export function sameUrl(a, b) {
+  try {
+    return new URL(a).toString() === new URL(b).toString();
+  } catch {
+    return a === b;
+  }
+}
+
+// Whether the check ended up somewhere else. A plain text comparison, the
+// same as bookmark_link_health() in supabase-schema.sql, so the badges and
+// the filters on the server always agree: the checker already stored the
+// bookmark's own URL when the final one only differed in spelling.
+function redirectedElsewhere(bookmark) {
+  const finalUrl = bookmark.link_final_url;
+  return Boolean(finalUrl) && finalUrl !== bookmark.url && finalUrl !== `${bookmark.url}/`;
+}
+
+export function getLinkHealth(bookmark) {
+  if (!bookmark.link_checked_at) return "unchecked";
+
+  if (bookmark.link_error) {
+    return BROKEN_ERRORS.has(bookmark.link_error) ? "broken" : "unknown";
+  }
+
+  const status = bookmark.link_status;
+  if (INCONCLUSIVE_STATUSES.has(status)) return "unknown";
+  if (status >= 400) return "broken";
+
+  if (redirectedElsewhere(bookmark)) return "redirected";
+  return "ok";
+}
@@ -0,0 +1,135 @@
+// Page metadata extraction for new bookmarks.
+// Fetches a page (through safeFetch, so SSRF protection, timeouts and size
+// limits all apply) and pulls out what the bookmark card needs: the title,
+// a description, a preview image and the favicon.
+//
+// Parsing is deliberately simple: we only look at <title>, <meta> and
+// <link> tags, which is where Open Graph / Twitter card data lives.
+//
+// Server-only (see safe-fetch.js).
+
+import { safeFetch, SafeFetchError } from "@/lib/safe-fetch";
+import { decodeEntities, parseAttributes } from "@/lib/html";
+
+// Only the <head> matters, so bigger documents are simply cut off
+const MAX_HTML_BYTES = 1024 * 1024; // 1 MB
+
+function cleanText(value) {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, " ").trim();
+  return text || null;
+}
+
+// Resolve a possibly-relative URL from the page; only http(s) results are kept
+function absoluteUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    const url = new URL(decodeEntities(value.trim()), baseUrl);
+    return url.protocol === "http:" || url.protocol === "https:"
+      ? url.toString()
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// Pull title/description/image/favicon out of an HTML document.
+// baseUrl is the page's final URL, used to resolve relative links.
+export function parseMetadata(html, baseUrl) {
+  // Everything we want is in <head>; stop at </head> when there is one
+  const headEnd = html.search(/<\/head\s*>/i);
+  const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = parseAttributes(tag);
+    const key = (attrs.property || attrs.name || "").toLowerCase();
+    // First occurrence wins, like most link-preview implementations
+    if (key && attrs.content && !(key in meta)) meta[key] = attrs.content;
+  }
+
+  let favicon = null;
+  let base = baseUrl;
+  for (const [tag] of head.matchAll(/<(?:link|base)\b[^>]*>/gi)) {
+    const attrs = parseAttributes(tag);
+    if (/^<base/i.test(tag) && attrs.href) {
+      base = absoluteUrl(attrs.href, baseUrl) || base;
+      continue;
+    }
+    const rel = (attrs.rel || "").toLowerCase().split(/\s+/);
+    if (!favicon && (rel.includes("icon") || rel.includes("apple-touch-icon"))) {
+      favicon = attrs.href;
+    }
+  }
+
+  const titleTag = head.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+
+  return {
+    title: cleanText(meta["og:title"] || meta["twitter:title"] || titleTag?.[1]),
+    description: cleanText(
+      meta["og:description"] ||
+        meta["twitter:description"] ||
+        meta["description"]
+    ),
+    image_url: absoluteUrl(
+      meta["og:image:secure_url"] ||
+        meta["og:image"] ||
+        meta["twitter:image"] ||
+        meta["twitter:image:src"],
+      base
+    ),
+    // Browsers fall back to /favicon.ico when the page doesn't declare one
+    favicon_url: absoluteUrl(favicon || "/favicon.ico", base),
+  };
+}
+
+// Figure out which charset the page uses, from the header or a <meta> tag
+function detectCharset(contentType, bytes) {
+  const fromHeader = /charset=["']?([\w-]+)/i.exec(contentType || "");
+  if (fromHeader) return fromHeader[1];
+
+  const sniff = bytes.subarray(0, 2048).toString("latin1");
+  const fromMeta = /<meta[^>]+charset=["']?([\w-]+)/i.exec(sniff);
+  return fromMeta ? fromMeta[1] : "utf-8";
+}
+
+// Turn a fetched page's bytes into text (also used for page snapshots)
+export function decodeBody(bytes, contentType) {
+  try {
+    return new TextDecoder(detectCharset(contentType, bytes)).decode(bytes);
+  } catch {
+    // Unknown charset label — utf-8 is the best guess
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+}
+
+// Fetch a URL and extract its metadata.
+// Returns { url, title, description, image_url, favicon_url }.
+// Throws SafeFetchError for blocked/unreachable/non-HTML pages.
+export async function fetchPageMetadata(url, options = {}) {
+  const res = await safeFetch(url, {
+    maxBytes: MAX_HTML_BYTES,
+    truncate: true,
+    ...options,
+  });
+
+  if (res.status >= 400) {
+    throw new SafeFetchError(`The site responded with ${res.status}`, "network");
+  }
+
+  const contentType = res.headers["content-type"] || "";
+  if (!/html|xml/i.test(contentType)) {
+    // Not a web page (a PDF, an image...) — nothing to parse, but the
+    // favicon of the site is still useful
+    return {
+      url: res.finalUrl,
+      title: null,
+      description: null,
+      image_url: null,
+      favicon_url: absoluteUrl("/favicon.ico", res.finalUrl),
+    };
+  }
+
+  const html = decodeBody(res.body, contentType);
+  return { url: res.finalUrl, ...parseMetadata(html, res.finalUrl) };
+}
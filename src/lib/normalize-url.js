@@ -0,0 +1,63 @@
+// URL normalization for duplicate detection.
+// Two links that lead to the same page should compare equal, even when
+// they're written differently:
+//   http://www.Example.com/docs/?utm_source=x#intro
+//   https://example.com/docs
+// both normalize to "https://example.com/docs".
+//
+// The result is stored as bookmarks.canonical_url and is only used as a
+// comparison key — the bookmark keeps (and opens) the URL the user saved.
+// Used everywhere bookmarks are written (dashboard, /save, import, the
+// REST API), so keep it free of browser- or server-only APIs.
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "msclkid",
+  "yclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "ref_src",
+  "_hsenc",
+  "_hsmi",
+]);
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return lower.startsWith("utm_") || TRACKING_PARAMS.has(lower);
+}
+
+// Returns the normalized URL, or null if `url` isn't an http(s) URL
+export function normalizeUrl(url) {
+  if (!url || typeof url !== "string") return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return null;
+
+  // http and https, and www. or not, are treated as the same site.
+  // URL already lowercases the host and drops default ports (:80, :443).
+  const host = parsed.host.replace(/^www\./, "");
+
+  // Trailing slashes don't make a different page: /docs/ == /docs
+  const path = parsed.pathname.replace(/\/+$/, "");
+
+  // Drop tracking parameters and sort the rest, so ?b=2&a=1 == ?a=1&b=2
+  const params = [...parsed.searchParams]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = new URLSearchParams(params).toString();
+
+  // Fragments usually point inside the page, so they're dropped — except
+  // "#/..." and "#!..." routes, which single-page apps use as the address
+  const hash = /^#[/!]/.test(parsed.hash) ? parsed.hash : "";
+
+  return `https://${host}${path}${query ? `?${query}` : ""}${hash}`;
+}
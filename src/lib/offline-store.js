@@ -0,0 +1,112 @@
+// The dashboard's offline copy, kept in the browser's IndexedDB:
+// - "spaces": the last bookmarks, tags, collections and workspaces seen for
+//   each space (one record per user + space), so the dashboard can show
+//   something instantly and keep working without a network
+// - "mutations": changes made while offline, waiting to be sent to
+//   Supabase in order (see src/lib/sync-queue.js)
+//
+// Browser-only. Every function resolves to a harmless default (null / [])
+// where IndexedDB isn't available, e.g. some private browsing modes.
+
+const DB_NAME = "smart-bookmarks";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore("spaces", { keyPath: "key" });
+      const mutations = db.createObjectStore("mutations", {
+        keyPath: "seq",
+        autoIncrement: true,
+      });
+      mutations.createIndex("userId", "userId");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.error("Failed to open offline store:", request.error?.message);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+}
+
+// Run one request in a transaction and resolve with its result
+async function run(storeName, mode, makeRequest, fallback) {
+  const db = await openDb();
+  if (!db) return fallback;
+
+  return new Promise((resolve) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result ?? fallback);
+    tx.onerror = () => {
+      console.error("Offline store request failed:", tx.error?.message);
+      resolve(fallback);
+    };
+  });
+}
+
+// ───────────────────────────────────────────────
+// CACHED SPACES
+// ───────────────────────────────────────────────
+
+// The key of a user's private space or one of their workspaces
+export function spaceKey(userId, workspaceId) {
+  return `${userId}:${workspaceId || "personal"}`;
+}
+
+// { bookmarks, tags, collections, workspaces, savedAt } or null
+export function loadCachedSpace(key) {
+  return run("spaces", "readonly", (store) => store.get(key), null);
+}
+
+export function saveCachedSpace(key, data) {
+  return run(
+    "spaces",
+    "readwrite",
+    (store) => store.put({ ...data, key, savedAt: new Date().toISOString() }),
+    null
+  );
+}
+
+// ───────────────────────────────────────────────
+// MUTATION QUEUE
+// ───────────────────────────────────────────────
+
+// Add a change to the end of the queue. Resolves to the stored mutation
+// (with its queue position, `seq`).
+export async function enqueueMutation(mutation) {
+  const stored = { ...mutation, queuedAt: new Date().toISOString() };
+  const seq = await run("mutations", "readwrite", (store) => store.add(stored), null);
+  return { ...stored, seq };
+}
+
+// A user's queued changes, oldest first
+export function listMutations(userId) {
+  return run(
+    "mutations",
+    "readonly",
+    (store) => store.index("userId").getAll(userId),
+    []
+  ).then((list) => list.sort((a, b) => a.seq - b.seq));
+}
+
+export function removeMutation(seq) {
+  return run("mutations", "readwrite", (store) => store.delete(seq), null);
+}
+
+// Forget everything (on sign-out, so the next user of this browser
+// doesn't see the cached bookmarks). The service worker's cache
+// (public/sw.js) only has the app itself, never anyone's bookmarks, so
+// it's kept.
+export async function clearOfflineData() {
+  await run("spaces", "readwrite", (store) => store.clear(), null);
+  await run("mutations", "readwrite", (store) => store.clear(), null);
+}
@@ -0,0 +1,85 @@
+// The user's profile and preferences (see "ACCOUNT SETTINGS" in
+// supabase-schema.sql), edited on /settings:
+// - display name and avatar, shown in the dashboard's header
+// - theme: light, dark, or whatever the device prefers ("system")
+// - default sort: the list's order when no ?sort= is picked (see
+//   listSort() in src/lib/sorting.js)
+// The theme is also kept in a cookie, so the server can render pages in
+// it straight away (see src/app/layout.js); it's copied from the profile
+// whenever the user signs in (src/app/auth/callback/route.js).
+// Safe to use in the browser and on the server.
+
+export const THEMES = {
+  system: "Same as my device",
+  light: "Light",
+  dark: "Dark",
+};
+
+export const THEME_COOKIE = "theme";
+
+export const DISPLAY_NAME_MAX_LENGTH = 80;
+
+export const AVATAR_BUCKET = "avatars";
+export const AVATAR_MAX_BYTES = 1024 * 1024;
+export const AVATAR_TYPES = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+// A profile for users who never saved their settings
+const DEFAULT_PROFILE = {
+  display_name: null,
+  avatar_path: null,
+  avatar_url: null,
+  theme: "system",
+  default_sort: null,
+};
+
+// The theme to render, from the cookie's value
+export function themeFromCookie(value) {
+  return THEMES[value] ? value : "system";
+}
+
+// The Set-Cookie options for the theme cookie (a year, readable by
+// scripts so the settings page can change it)
+export const THEME_COOKIE_OPTIONS = {
+  path: "/",
+  maxAge: 60 * 60 * 24 * 365,
+  sameSite: "lax",
+};
+
+// The theme cookie the way document.cookie takes it, for the browser
+export function themeCookie(theme) {
+  const { path, maxAge, sameSite } = THEME_COOKIE_OPTIONS;
+  return `${THEME_COOKIE}=${theme}; path=${path}; max-age=${maxAge}; samesite=${sameSite}`;
+}
+
+// The avatar's public URL (the bucket is public)
+export function avatarUrl(supabase, path) {
+  if (!path) return null;
+  return supabase.storage.from(AVATAR_BUCKET).getPublicUrl(path).data.publicUrl;
+}
+
+// The signed-in user's profile, with avatar_url filled in. Falls back to
+// the defaults when there's no row yet, or it couldn't be loaded.
+export async function fetchProfile(supabase, userId) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("display_name, avatar_path, theme, default_sort")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error("Failed to fetch profile:", error.message);
+    return DEFAULT_PROFILE;
+  }
+  if (!data) return DEFAULT_PROFILE;
+  return { ...data, avatar_url: avatarUrl(supabase, data.avatar_path) };
+}
+
+// What to call the user: their display name, or else their email
+export function displayName(profile, user) {
+  return profile?.display_name || user?.email || "";
+}
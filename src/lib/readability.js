@@ -0,0 +1,493 @@
+// Readable-article extraction for page snapshots, in the spirit of
+// Mozilla's Readability (the engine behind Firefox Reader View), but small
+// enough to live here without a DOM:
+// 1. parseHtml() turns the page into a simple element tree. It's forgiving
+//    rather than spec-complete — good enough for real-world article pages.
+// 2. extractArticle() throws away scripts, navigation, sidebars and other
+//    clutter, scores the remaining blocks by how much prose they contain,
+//    and keeps the best-scoring one (plus related siblings).
+// 3. The result is serialized through an allowlist of tags and attributes,
+//    so the stored HTML can't run scripts, load styles or frames, or
+//    link to javascript: URLs. Relative links and images are made absolute.
+//
+// Works on the server and in the browser (no Node or DOM APIs).
+
+import { decodeEntities, escapeHtml, parseAttributes } from "@/lib/html";
+
+// ───────────────────────────────────────────────
+// PARSING
+// ───────────────────────────────────────────────
+
+const VOID_TAGS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link",
+  "meta", "param", "source", "track", "wbr",
+]);
+
+// Their content is text, not markup, up to the matching end tag
+const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title", "noscript"]);
+
+// Opening one of these closes an open element of the listed kinds first
+// (<li>one<li>two, <td>a<td>b, ...)
+const AUTO_CLOSE = {
+  li: ["li"],
+  dt: ["dt", "dd"],
+  dd: ["dt", "dd"],
+  tr: ["tr", "td", "th"],
+  td: ["td", "th"],
+  th: ["td", "th"],
+  option: ["option"],
+  p: ["p"],
+};
+
+// Block elements that can't sit inside a <p>, so they end an open one
+const BLOCK_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "div", "dl", "fieldset",
+  "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header",
+  "hr", "main", "nav", "ol", "p", "pre", "section", "table", "ul",
+]);
+
+const TOKEN_PATTERN =
+  /<!--[\s\S]*?-->|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+function createElement(tag, attrs, parent) {
+  return { type: "element", tag, attrs, children: [], parent };
+}
+
+// Parse an HTML document into { type: "element", tag, attrs, children }
+// and { type: "text", text } nodes. The root's tag is "#root".
+export function parseHtml(html) {
+  const root = createElement("#root", {}, null);
+  let current = root;
+  let lastIndex = 0;
+
+  const addText = (raw) => {
+    if (raw) current.children.push({ type: "text", text: decodeEntities(raw) });
+  };
+  const close = (node) => {
+    current = node.parent;
+  };
+
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(html))) {
+    addText(html.slice(lastIndex, match.index));
+    lastIndex = TOKEN_PATTERN.lastIndex;
+
+    const [token, endTag, startTag, attrSource] = match;
+
+    if (endTag) {
+      // Close the nearest open element with this name; stray end tags
+      // are ignored
+      const tag = endTag.toLowerCase();
+      for (let node = current; node !== root; node = node.parent) {
+        if (node.tag === tag) {
+          close(node);
+          break;
+        }
+      }
+      continue;
+    }
+    if (!startTag) continue; // comment, doctype, processing instruction
+
+    const tag = startTag.toLowerCase();
+    const closes = AUTO_CLOSE[tag] || [];
+    while (current !== root && closes.includes(current.tag)) close(current);
+    if (BLOCK_TAGS.has(tag)) {
+      // An open <p> ends here, even with inline elements (<b>, <a>...)
+      // still open inside it
+      for (let node = current; node !== root; node = node.parent) {
+        if (node.tag === "p") {
+          close(node);
+          break;
+        }
+        if (BLOCK_TAGS.has(node.tag) || AUTO_CLOSE[node.tag]) break;
+      }
+    }
+
+    const attrs = {};
+    Object.entries(parseAttributes(attrSource)).forEach(([name, value]) => {
+      attrs[name] = decodeEntities(value);
+    });
+    const element = createElement(tag, attrs, current);
+    current.children.push(element);
+
+    if (VOID_TAGS.has(tag) || token.endsWith("/>")) continue;
+
+    if (RAW_TEXT_TAGS.has(tag)) {
+      const end = html.slice(lastIndex).search(new RegExp(`</${tag}\\s*>`, "i"));
+      const content = end === -1 ? html.slice(lastIndex) : html.slice(lastIndex, lastIndex + end);
+      if (content) element.children.push({ type: "text", text: decodeEntities(content) });
+      lastIndex = end === -1 ? html.length : html.indexOf(">", lastIndex + end) + 1;
+      TOKEN_PATTERN.lastIndex = lastIndex;
+      continue;
+    }
+
+    current = element;
+  }
+  addText(html.slice(lastIndex));
+  return root;
+}
+
+// ───────────────────────────────────────────────
+// TREE HELPERS
+// ───────────────────────────────────────────────
+
+function elements(node) {
+  return node.children.filter((child) => child.type === "element");
+}
+
+// Every element below node, depth first
+function descendants(node, result = []) {
+  elements(node).forEach((child) => {
+    result.push(child);
+    descendants(child, result);
+  });
+  return result;
+}
+
+function findFirst(node, tag) {
+  return descendants(node).find((el) => el.tag === tag) || null;
+}
+
+function textContent(node) {
+  if (node.type === "text") return node.text;
+  return node.children.map(textContent).join("");
+}
+
+function innerText(node) {
+  return textContent(node).replace(/\s+/g, " ").trim();
+}
+
+// Share of an element's text that sits inside links (menus and link
+// lists are nearly all links; articles mostly aren't)
+function linkDensity(node) {
+  const length = innerText(node).length;
+  if (length === 0) return 0;
+  const linkLength = descendants(node)
+    .filter((el) => el.tag === "a")
+    .reduce((sum, a) => sum + innerText(a).length, 0);
+  return linkLength / length;
+}
+
+function remove(node) {
+  const siblings = node.parent.children;
+  siblings.splice(siblings.indexOf(node), 1);
+}
+
+// ───────────────────────────────────────────────
+// EXTRACTION
+// ───────────────────────────────────────────────
+
+// Never part of an article
+const STRIP_TAGS = new Set([
+  "script", "style", "noscript", "template", "iframe", "frame", "object",
+  "embed", "canvas", "svg", "math", "form", "input", "button", "select",
+  "textarea", "nav", "aside", "footer", "dialog", "link", "meta", "head",
+]);
+
+// class/id hints, borrowed from Readability
+const UNLIKELY_CANDIDATES =
+  /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE =
+  /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Blocks whose text is scored
+const SCORED_TAGS = new Set(["p", "pre", "td", "blockquote", "section", "h2", "h3"]);
+
+function classAndId(el) {
+  return `${el.attrs.class || ""} ${el.attrs.id || ""}`;
+}
+
+function isHidden(el) {
+  return (
+    "hidden" in el.attrs ||
+    el.attrs["aria-hidden"] === "true" ||
+    /display\s*:\s*none|visibility\s*:\s*hidden/i.test(el.attrs.style || "")
+  );
+}
+
+// Drop everything that can't be article content
+function prune(node) {
+  elements(node).forEach((el) => {
+    const hints = classAndId(el);
+    const unlikely =
+      UNLIKELY_CANDIDATES.test(hints) &&
+      !MAYBE_CANDIDATE.test(hints) &&
+      !["body", "article", "main", "a", "table", "tbody", "tr", "td"].includes(el.tag);
+
+    if (STRIP_TAGS.has(el.tag) || isHidden(el) || unlikely || el.attrs.role === "complementary") {
+      remove(el);
+    } else {
+      prune(el);
+    }
+  });
+}
+
+function classWeight(el) {
+  let weight = 0;
+  const hints = [el.attrs.class, el.attrs.id].filter(Boolean);
+  hints.forEach((hint) => {
+    if (NEGATIVE.test(hint)) weight -= 25;
+    if (POSITIVE.test(hint)) weight += 25;
+  });
+  return weight;
+}
+
+function initialScore(el) {
+  let score = classWeight(el);
+  if (["div", "article", "main"].includes(el.tag)) score += 5;
+  else if (["pre", "td", "blockquote"].includes(el.tag)) score += 3;
+  else if (["address", "ol", "ul", "dl", "dd", "dt", "li"].includes(el.tag)) score -= 3;
+  else if (/^h[1-6]$/.test(el.tag) || el.tag === "th") score -= 5;
+  return score;
+}
+
+// A <div> holding only text and inline elements reads like a paragraph
+function isParagraphLike(el) {
+  if (SCORED_TAGS.has(el.tag)) return true;
+  return el.tag === "div" && !elements(el).some((child) => BLOCK_TAGS.has(child.tag));
+}
+
+// Pick the element most likely to hold the article
+function findArticleNode(body) {
+  const scores = new Map();
+  const addScore = (el, amount) => {
+    if (!el || el.tag === "#root") return;
+    if (!scores.has(el)) scores.set(el, initialScore(el));
+    scores.set(el, scores.get(el) + amount);
+  };
+
+  descendants(body).forEach((el) => {
+    if (!isParagraphLike(el)) return;
+    const text = innerText(el);
+    if (text.length < 25) return;
+
+    // More text and more commas = more likely prose
+    const commas = text.split(/[,，]/).length - 1;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    addScore(el.parent, score);
+    addScore(el.parent?.parent, score / 2);
+  });
+
+  let top = null;
+  let topScore = 0;
+  scores.forEach((score, el) => {
+    const adjusted = score * (1 - linkDensity(el));
+    scores.set(el, adjusted);
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  });
+  if (!top) return body;
+
+  // Siblings that score well (or are decent paragraphs) belong to the
+  // article too — e.g. an intro split off into its own <div>
+  if (!top.parent || top.parent.tag === "#root") return top;
+  const threshold = Math.max(10, topScore * 0.2);
+  const article = createElement("div", {}, null);
+  elements(top.parent).forEach((sibling) => {
+    const text = innerText(sibling);
+    const include =
+      sibling === top ||
+      (scores.get(sibling) ?? 0) >= threshold ||
+      (sibling.tag === "p" &&
+        ((text.length > 80 && linkDensity(sibling) < 0.25) ||
+          (text.length > 0 && linkDensity(sibling) === 0 && /\.( |$)/.test(text))));
+    if (include) article.children.push(sibling);
+  });
+  return article;
+}
+
+// Remove leftover link lists, empty wrappers and the like from the article
+function cleanArticle(node) {
+  node.children = node.children.filter((el) => {
+    if (el.type !== "element") return true;
+    cleanArticle(el);
+    if (!["div", "section", "ul", "ol", "table", "span"].includes(el.tag)) return true;
+
+    const text = innerText(el);
+    const hasMedia = descendants(el).some((d) => d.tag === "img" || d.tag === "pre");
+    return !(
+      (!text && !hasMedia) ||
+      (classWeight(el) < 0 && text.length < 500) ||
+      (linkDensity(el) > 0.5 && text.length < 300 && !hasMedia)
+    );
+  });
+}
+
+// ───────────────────────────────────────────────
+// SANITIZED OUTPUT
+// ───────────────────────────────────────────────
+
+// Tags kept in snapshots, with the attributes each may keep.
+// Anything else is unwrapped (its children are kept).
+const ALLOWED_TAGS = {
+  a: ["href", "title"],
+  abbr: ["title"],
+  b: [],
+  blockquote: [],
+  br: [],
+  caption: [],
+  cite: [],
+  code: [],
+  dd: [],
+  del: [],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: ["src", "alt", "title", "width", "height"],
+  ins: [],
+  kbd: [],
+  li: [],
+  mark: [],
+  ol: ["start"],
+  p: [],
+  pre: [],
+  q: [],
+  s: [],
+  small: [],
+  strong: [],
+  sub: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ["colspan", "rowspan"],
+  tfoot: [],
+  th: ["colspan", "rowspan", "scope"],
+  thead: [],
+  time: ["datetime"],
+  tr: [],
+  u: [],
+  ul: [],
+};
+
+// The article's own headline is shown separately, so <h1>s become <h2>s
+const RENAMED_TAGS = { h1: "h2", article: "div", section: "div", main: "div" };
+
+const NUMERIC_ATTRS = new Set(["width", "height", "colspan", "rowspan", "start"]);
+
+// Absolute http(s) URL (or mailto: for links), or null
+function safeUrl(value, baseUrl, { allowMailto = false } = {}) {
+  if (!value) return null;
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    if (url.protocol === "http:" || url.protocol === "https:") return url.toString();
+    if (allowMailto && url.protocol === "mailto:") return url.toString();
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+function cleanAttributes(el, tag, baseUrl) {
+  const attrs = {};
+  (ALLOWED_TAGS[tag] || []).forEach((name) => {
+    let value = el.attrs[name];
+    if (name === "src") {
+      // Lazy-loading images keep the real address in a data- attribute
+      const candidates = [el.attrs["data-src"], el.attrs["data-lazy-src"], el.attrs["data-original"], value];
+      value = candidates.map((c) => safeUrl(c, baseUrl)).find(Boolean);
+    } else if (name === "href") {
+      value = safeUrl(value, baseUrl, { allowMailto: true });
+    } else if (NUMERIC_ATTRS.has(name) && !/^\d{1,4}$/.test(value || "")) {
+      value = null;
+    }
+    if (value != null && value !== "") attrs[name] = value;
+  });
+  if (tag === "a" && attrs.href) attrs.rel = "noopener noreferrer nofollow";
+  return attrs;
+}
+
+function serialize(node, baseUrl) {
+  if (node.type === "text") return escapeHtml(node.text);
+
+  const tag = RENAMED_TAGS[node.tag] || node.tag;
+  const inner = node.children.map((child) => serialize(child, baseUrl)).join("");
+  if (!ALLOWED_TAGS[tag]) return inner;
+
+  const attrs = cleanAttributes(node, tag, baseUrl);
+  if (tag === "img" && !attrs.src) return "";
+  const attrText = Object.entries(attrs)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join("");
+
+  if (VOID_TAGS.has(tag)) return `<${tag}${attrText}>`;
+  return `<${tag}${attrText}>${inner}</${tag}>`;
+}
+
+// Plain text with a blank line between blocks, for search and excerpts
+function blockText(node) {
+  if (node.type === "text") return node.text;
+  const inner = node.children.map(blockText).join("");
+  if (node.tag === "br") return "\n";
+  return BLOCK_TAGS.has(node.tag) || node.tag === "li" || /^h[1-6]$/.test(node.tag)
+    ? `\n\n${inner}\n\n`
+    : inner;
+}
+
+function metaContent(root, ...keys) {
+  for (const el of descendants(root)) {
+    if (el.tag !== "meta") continue;
+    const key = (el.attrs.property || el.attrs.name || "").toLowerCase();
+    if (keys.includes(key) && el.attrs.content?.trim()) return el.attrs.content.trim();
+  }
+  return null;
+}
+
+// Extract the readable article from a page.
+// baseUrl (the page's final URL) resolves relative links and images.
+// Returns { title, byline, excerpt, html, text, wordCount }; html is
+// sanitized and safe to store, text is plain.
+export function extractArticle(html, baseUrl) {
+  const root = parseHtml(html);
+
+  // Read what we need from <head> before pruning removes it
+  const titleTag = findFirst(root, "title");
+  const title =
+    metaContent(root, "og:title", "twitter:title") ||
+    (titleTag ? innerText(titleTag) : null) ||
+    null;
+  const byline = metaContent(root, "author", "article:author", "byl");
+  const description = metaContent(root, "og:description", "description");
+
+  const body = findFirst(root, "body") || root;
+  prune(body);
+
+  let article = findArticleNode(body);
+  // A page marked up with <article> or <main> knows best when our
+  // scoring only found a scrap
+  const marked = findFirst(body, "article") || findFirst(body, "main");
+  if (marked && innerText(article).length < 250 && innerText(marked).length > innerText(article).length) {
+    article = marked;
+  }
+  cleanArticle(article);
+
+  const text = blockText(article)
+    .split(/\n{2,}/)
+    .map((block) => block.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n\n");
+  const firstParagraph = text.split("\n\n").find((block) => block.length > 80);
+
+  return {
+    title: title?.replace(/\s+/g, " ") || null,
+    byline,
+    excerpt: (description || firstParagraph || "").slice(0, 300) || null,
+    html: serialize(article, baseUrl),
+    text,
+    wordCount: text ? text.split(/\s+/).length : 0,
+  };
+}
@@ -0,0 +1,75 @@
+// Reading list: bookmarks double as a read-later queue.
+// Each bookmark is unread until read_at is set, and can be archived
+// (archived_at) to take it out of the main list without deleting it.
+// remind_at optionally brings an unread bookmark back to the user's
+// attention: once it's past, the bookmark shows up in the digest on the
+// dashboard.
+
+// The dashboard views (?view=...); no view = every bookmark not archived
+export const READING_VIEWS = {
+  reading: "Reading list",
+  archived: "Archive",
+};
+
+// Reminders picked from the date input go off at this local hour
+const REMINDER_HOUR = 9;
+
+export function isUnread(bookmark) {
+  return !bookmark.read_at && !bookmark.archived_at;
+}
+
+// Whether a bookmark belongs in a view. The reading list holds the same
+// bookmarks as the main list, just in reading order (see below).
+export function inReadingView(bookmark, view) {
+  return view === "archived" ? Boolean(bookmark.archived_at) : !bookmark.archived_at;
+}
+
+// Reading list order: unread first, oldest first (the longest-waiting
+// link comes up next); then read ones, most recently read first.
+// Ties are broken by id, in the same order dashboard_bookmarks() pages
+// the reading list in (see supabase-schema.sql).
+export function compareForReading(a, b) {
+  const aUnread = !a.read_at;
+  const bUnread = !b.read_at;
+  if (aUnread !== bUnread) return aUnread ? -1 : 1;
+  const byId = a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  if (aUnread) return new Date(a.created_at) - new Date(b.created_at) || byId;
+  return new Date(b.read_at) - new Date(a.read_at) || -byId;
+}
+
+export function isReminderDue(bookmark, now = Date.now()) {
+  return (
+    isUnread(bookmark) &&
+    Boolean(bookmark.remind_at) &&
+    new Date(bookmark.remind_at).getTime() <= now
+  );
+}
+
+// Unread bookmarks whose reminder has come up, oldest reminder first
+export function dueReminders(bookmarks, now = Date.now()) {
+  return bookmarks
+    .filter((b) => isReminderDue(b, now))
+    .sort((a, b) => new Date(a.remind_at) - new Date(b.remind_at));
+}
+
+// remind_at <-> the "YYYY-MM-DD" value of a date input, in local time
+export function reminderDateValue(remindAt) {
+  if (!remindAt) return "";
+  const date = new Date(remindAt);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function reminderFromDateValue(value) {
+  if (!value) return null;
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(year, month - 1, day, REMINDER_HOUR).toISOString();
+}
+
+// remind_at for "remind me again tomorrow"
+export function snoozeUntil(now = Date.now()) {
+  const date = new Date(now);
+  date.setDate(date.getDate() + 1);
+  date.setHours(REMINDER_HOUR, 0, 0, 0);
+  return date.toISOString();
+}
@@ -0,0 +1,281 @@
+// Server-side HTTP fetching of user-supplied URLs.
+// Any time the server requests a URL a user typed in, that user could point
+// it at something only the server can reach (localhost, the cloud metadata
+// endpoint at 169.254.169.254, other machines on the private network...).
+// This is called Server-Side Request Forgery (SSRF).
+//
+// safeFetch() guards against it by checking the IP address every hostname
+// resolves to, at connect time (so DNS tricks can't swap in a private IP
+// after the check), and by re-checking on every redirect hop.
+// It also enforces a timeout and a maximum response size.
+//
+// Server-only: uses Node's http/https/dns modules.
+
+import http from "node:http";
+import https from "node:https";
+import dns from "node:dns";
+import net from "node:net";
+import zlib from "node:zlib";
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024; // 2 MB
+const DEFAULT_MAX_REDIRECTS = 5;
+const USER_AGENT =
+  "Mozilla/5.0 (compatible; SmartBookmarkBot/1.0; +https://smart-book-app-one.vercel.app)";
+
+// Address ranges we refuse to connect to: loopback, private networks,
+// link-local (incl. cloud metadata), carrier-grade NAT, multicast, etc.
+const blockedRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, "ipv6"));
+
+// Thrown for anything that stops us getting a usable response.
+// `code` lets route handlers pick an HTTP status without string matching.
+export class SafeFetchError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SafeFetchError";
+    this.code = code; // "invalid_url" | "blocked" | "timeout" | "too_large" | "too_many_redirects" | "network"
+  }
+}
+
+// Is this IP address one we must never connect to?
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true; // not an IP at all — refuse
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) — check the embedded IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return blockedRanges.check(mapped[1], "ipv4");
+
+  return blockedRanges.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// Parse and validate a URL we're about to fetch. Only http(s), no
+// credentials in the URL, and no literal private IPs.
+export function parseFetchableUrl(input, { allowPrivateNetwork = false } = {}) {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    throw new SafeFetchError("Invalid URL", "invalid_url");
+  }
+
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new SafeFetchError("Only http and https URLs can be fetched", "invalid_url");
+  }
+  if (url.username || url.password) {
+    throw new SafeFetchError("URLs with credentials are not allowed", "invalid_url");
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (!allowPrivateNetwork && net.isIP(host) && isPrivateAddress(host)) {
+    throw new SafeFetchError("That address is not allowed", "blocked");
+  }
+
+  return url;
+}
+
+// dns.lookup replacement handed to http(s).request. Node calls it while
+// opening the socket, so the address we validate is the one we connect to.
+function createGuardedLookup(allowPrivateNetwork) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+
+      if (!allowPrivateNetwork) {
+        const blocked = addresses.find((a) => isPrivateAddress(a.address));
+        if (blocked) {
+          return callback(
+            new SafeFetchError(`${hostname} resolves to a private address`, "blocked")
+          );
+        }
+      }
+
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// Undo Content-Encoding, if the server compressed the body anyway.
+function decodeStream(res) {
+  switch ((res.headers["content-encoding"] || "").trim().toLowerCase()) {
+    case "gzip":
+    case "x-gzip":
+      return res.pipe(zlib.createGunzip());
+    case "deflate":
+      return res.pipe(zlib.createInflate());
+    case "br":
+      return res.pipe(zlib.createBrotliDecompress());
+    default:
+      return res;
+  }
+}
+
+// One request, no redirect handling. Resolves with the status, headers and
+// (unless method is HEAD) the body as a Buffer.
+function requestOnce(
+  url,
+  { method, headers, body: requestBody, signal, maxBytes, truncate, allowPrivateNetwork }
+) {
+  const transport = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      url,
+      {
+        method,
+        headers,
+        signal,
+        lookup: createGuardedLookup(allowPrivateNetwork),
+      },
+      (res) => {
+        const { statusCode, headers: resHeaders } = res;
+
+        // Redirects and HEAD requests: we only need the headers
+        if (method === "HEAD" || (statusCode >= 300 && statusCode < 400)) {
+          res.resume();
+          return resolve({ status: statusCode, headers: resHeaders, body: Buffer.alloc(0) });
+        }
+
+        const declared = Number(resHeaders["content-length"]);
+        if (declared > maxBytes && !truncate) {
+          res.destroy();
+          return reject(new SafeFetchError("Response is too large", "too_large"));
+        }
+
+        const chunks = [];
+        let received = 0;
+        const body = decodeStream(res);
+
+        body.on("data", (chunk) => {
+          received += chunk.length;
+          if (received > maxBytes) {
+            res.destroy();
+            body.destroy();
+            if (truncate) {
+              // Keep the first maxBytes and pretend the body ended there
+              chunks.push(chunk.subarray(0, chunk.length - (received - maxBytes)));
+              resolve({ status: statusCode, headers: resHeaders, body: Buffer.concat(chunks) });
+            } else {
+              reject(new SafeFetchError("Response is too large", "too_large"));
+            }
+            return;
+          }
+          chunks.push(chunk);
+        });
+        body.on("end", () =>
+          resolve({ status: statusCode, headers: resHeaders, body: Buffer.concat(chunks) })
+        );
+        body.on("error", (err) => reject(err));
+      }
+    );
+
+    req.on("error", (err) => reject(err));
+    req.end(requestBody);
+  });
+}
+
+// Fetch a user-supplied URL safely. Follows redirects (re-validating each
+// hop) and returns { status, headers, body, finalUrl, redirected }.
+//
+// Options:
+//   method              "GET" (default), "HEAD" or "POST"
+//   body                request body (string) for POST; redirects are
+//                       then not followed (the 3xx response is returned)
+//   headers             extra request headers, e.g. content-type
+//   timeoutMs           whole-request budget, including redirects
+//   maxBytes            maximum (decompressed) body size
+//   truncate            when true, a bigger body is cut off at maxBytes
+//                       instead of failing with "too_large"
+//   maxRedirects        how many hops to follow
+//   accept              Accept header
+//   allowPrivateNetwork skip the private-address checks — only for tests
+//                       that run against a local fixture server (see
+//                       scripts/check-metadata.mjs)
+export async function safeFetch(input, options = {}) {
+  const {
+    method = "GET",
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxBytes = DEFAULT_MAX_BYTES,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    truncate = false,
+    accept = "text/html,application/xhtml+xml;q=0.9,*/*;q=0.8",
+    allowPrivateNetwork = false,
+    body = undefined,
+    headers: extraHeaders = {},
+  } = options;
+
+  let url = parseFetchableUrl(input, { allowPrivateNetwork });
+  const signal = AbortSignal.timeout(timeoutMs);
+  const headers = {
+    "user-agent": USER_AGENT,
+    accept,
+    "accept-encoding": "gzip, deflate, br",
+    ...extraHeaders,
+  };
+  if (body !== undefined) headers["content-length"] = Buffer.byteLength(body);
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    let res;
+    try {
+      res = await requestOnce(url, {
+        method,
+        headers,
+        body,
+        signal,
+        maxBytes,
+        truncate,
+        allowPrivateNetwork,
+      });
+    } catch (err) {
+      if (err instanceof SafeFetchError) throw err;
+      if (signal.aborted) {
+        throw new SafeFetchError("The site took too long to respond", "timeout");
+      }
+      throw new SafeFetchError(err.message || "Request failed", "network");
+    }
+
+    const location = res.headers.location;
+    if (res.status >= 300 && res.status < 400 && location && body === undefined) {
+      // Relative redirects are resolved against the current URL
+      url = parseFetchableUrl(new URL(location, url).toString(), { allowPrivateNetwork });
+      continue;
+    }
+
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: res.body,
+      finalUrl: url.toString(),
+      redirected: hop > 0,
+    };
+  }
+
+  throw new SafeFetchError("Too many redirects", "too_many_redirects");
+}
@@ -0,0 +1,57 @@
+// Helpers for the "save this page" entry points, which all land on /save:
+// - the bookmarklet, which opens /save?url=...&title=...&text=<selection>
+//   in a small popup window
+// - the web app manifest's share_target, so "Share to" on a phone with the
+//   app installed opens the same page
+//
+// Share targets aren't consistent about where they put the link: many
+// Android apps leave `url` empty and send it inside `text` instead, so
+// getSaveParams() digs it out of there.
+
+const URL_IN_TEXT = /https?:\/\/[^\s<>"]+/i;
+
+// Longest selection we carry over into the notes
+export const MAX_SELECTION_LENGTH = 1000;
+
+function first(value) {
+  return (Array.isArray(value) ? value[0] : value) || "";
+}
+
+export function getSaveParams(searchParams) {
+  let url = first(searchParams?.url).trim();
+  let text = first(searchParams?.text).trim();
+  const title = first(searchParams?.title).trim();
+
+  if (!url) {
+    const match = text.match(URL_IN_TEXT);
+    if (match) {
+      url = match[0];
+      text = text.replace(match[0], " ").replace(/\s+/g, " ").trim();
+    }
+  }
+
+  return { url, title, text: text.slice(0, MAX_SELECTION_LENGTH) };
+}
+
+// The size of the popup the bookmarklet opens
+const POPUP_FEATURES = "width=480,height=640";
+
+// The bookmarklet's source: a javascript: URL that opens /save for the
+// current page (and any selected text) in a popup, or in the same tab if
+// popups are blocked. It must not contain "%": browsers percent-decode
+// javascript: URLs before running them.
+export function buildBookmarklet(origin) {
+  const code = `(() => {
+    const params = new URLSearchParams({
+      url: location.href,
+      title: document.title,
+      text: String(getSelection()).slice(0, ${MAX_SELECTION_LENGTH}),
+    });
+    const target = ${JSON.stringify(origin)} + "/save?" + params;
+    if (!window.open(target, "save-bookmark", "${POPUP_FEATURES}")) {
+      location.href = target;
+    }
+  })();`;
+
+  return "javascript:" + code.replace(/\s*\n\s*/g, " ");
+}
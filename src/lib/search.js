@@ -0,0 +1,22 @@
+// Helpers for full-text search.
+// The heavy lifting (ranking, stemming) happens in Postgres — see the
+// search_bookmarks() function in supabase-schema.sql. These helpers just
+// turn what the user typed into something safe to hand to to_tsquery().
+
+// Split the raw search box input into lowercase word terms.
+// Anything that isn't a letter or digit is treated as a separator, which
+// also strips tsquery operators (&, |, !, :, quotes) so user input can
+// never produce a malformed query.
+export function parseSearchTerms(input) {
+  return (input || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 10);
+}
+
+// Build a prefix-matching tsquery: "reac doc" -> "reac:* & doc:*"
+// so results show up while the user is still typing a word.
+export function buildPrefixQuery(terms) {
+  return terms.map((term) => `${term}:*`).join(" & ");
+}
@@ -0,0 +1,67 @@
+// Public share links (/s/<token>): a hand-picked list of bookmarks anyone
+// with the link can read. See share_links in supabase-schema.sql.
+
+// Choices offered when creating a link (days; null = never expires)
+export const SHARE_EXPIRY_OPTIONS = [
+  { label: "Never expires", days: null },
+  { label: "Expires in 1 day", days: 1 },
+  { label: "Expires in 7 days", days: 7 },
+  { label: "Expires in 30 days", days: 30 },
+];
+
+// Tokens are 64 hex characters (see the share_links table)
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+export function isShareToken(token) {
+  return typeof token === "string" && TOKEN_PATTERN.test(token);
+}
+
+export function sharePath(token) {
+  return `/s/${token}`;
+}
+
+// Load a shared list by its token: { link, bookmarks } or null if the link
+// doesn't exist, was revoked or has expired.
+// Goes through the security definer functions get_share_link() and
+// get_shared_bookmarks(), so it works for signed-out visitors too.
+export async function loadSharedList(supabase, token) {
+  if (!isShareToken(token)) return null;
+
+  const { data: links, error: linkError } = await supabase.rpc(
+    "get_share_link",
+    { share_token: token }
+  );
+  if (linkError) throw new Error(linkError.message);
+  if (!links || links.length === 0) return null;
+
+  const { data: bookmarks, error } = await supabase.rpc(
+    "get_shared_bookmarks",
+    { share_token: token }
+  );
+  if (error) throw new Error(error.message);
+
+  return { link: links[0], bookmarks: bookmarks || [] };
+}
+
+// Shape a shared list for the feed builders in src/lib/feed.js
+export function toFeed({ link, bookmarks }, { pageUrl, selfUrl }) {
+  const newest = bookmarks.reduce(
+    (latest, b) => (b.created_at > latest ? b.created_at : latest),
+    link.created_at
+  );
+
+  return {
+    title: link.title,
+    description: link.description,
+    link: pageUrl,
+    selfUrl,
+    updated: newest,
+    entries: bookmarks.map((b) => ({
+      id: `${pageUrl}#${b.id}`,
+      title: b.title,
+      url: b.url,
+      description: b.description,
+      published: b.created_at,
+    })),
+  };
+}
@@ -0,0 +1,123 @@
+// Smart views: saved filters shown in the sidebar (?smart=<id>).
+// A smart view's rules are a list of conditions that must all hold, each
+// { field, value }, e.g.
+//   [{ "field": "domain", "value": "github.com" },
+//    { "field": "title", "value": "rfc" },
+//    { "field": "added_within", "value": 30 }]
+// The server evaluates them (bookmark_matches_rules() in
+// supabase-schema.sql); matchesSmartView() below does the same for rows
+// the browser already has, e.g. ones arriving through realtime.
+// Safe to use in the browser and on the server.
+
+import { bookmarkDomain } from "@/lib/sorting";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The conditions a rule can use. input: the kind of value it takes
+// ("text", "number" or null for none), and how it reads in a sentence.
+// Numbers go up to max: anything bigger means the same in practice.
+export const SMART_VIEW_FIELDS = {
+  domain: { label: "Site is", input: "text", placeholder: "github.com" },
+  title: { label: "Title contains", input: "text", placeholder: "rfc" },
+  url: { label: "URL contains", input: "text", placeholder: "/docs/" },
+  notes: { label: "Notes contain", input: "text", placeholder: "todo" },
+  tag: { label: "Tagged", input: "text", placeholder: "react" },
+  added_within: {
+    label: "Added in the last",
+    input: "number",
+    unit: "days",
+    max: 36500,
+  },
+  visited_within: {
+    label: "Opened in the last",
+    input: "number",
+    unit: "days",
+    max: 36500,
+  },
+  min_visits: {
+    label: "Opened at least",
+    input: "number",
+    unit: "times",
+    max: 1000000,
+  },
+  never_visited: { label: "Never opened", input: null },
+};
+
+// Clean up rules typed into the editor: drop unknown fields and empty
+// values, trim and lowercase text the way it's matched, and make numbers
+// whole, positive and no bigger than their field's max. Returns null if
+// nothing usable is left.
+export function normalizeRules(rules) {
+  const cleaned = [];
+  for (const rule of rules || []) {
+    const field = SMART_VIEW_FIELDS[rule?.field];
+    if (!field) continue;
+
+    if (field.input === null) {
+      cleaned.push({ field: rule.field });
+    } else if (field.input === "number") {
+      const value = Math.floor(Number(rule.value));
+      if (Number.isFinite(value) && value > 0) {
+        cleaned.push({ field: rule.field, value: Math.min(value, field.max) });
+      }
+    } else {
+      let value = String(rule.value ?? "").trim().toLowerCase();
+      if (rule.field === "domain") {
+        value = value.replace(/^[a-z]+:\/\//, "").replace(/^www\./, "").split("/")[0];
+      }
+      if (rule.field === "tag") value = value.replace(/^#/, "").replace(/\s+/g, "-");
+      if (value) cleaned.push({ field: rule.field, value });
+    }
+  }
+  return cleaned.length > 0 ? cleaned : null;
+}
+
+// "Site is github.com", "Added in the last 30 days"...
+export function describeRule(rule) {
+  const field = SMART_VIEW_FIELDS[rule.field];
+  if (!field) return rule.field;
+  if (field.input === null) return field.label;
+  if (field.input === "number") return `${field.label} ${rule.value} ${field.unit}`;
+  return `${field.label} "${rule.value}"`;
+}
+
+function includesText(text, value) {
+  return (text || "").toLowerCase().includes(String(value).toLowerCase());
+}
+
+function matchesRule(bookmark, rule, tagsById, now) {
+  switch (rule.field) {
+    case "domain": {
+      const domain = bookmarkDomain(bookmark);
+      const value = String(rule.value).toLowerCase();
+      return domain === value || domain.endsWith(`.${value}`);
+    }
+    case "title":
+      return includesText(bookmark.title, rule.value);
+    case "url":
+      return includesText(bookmark.url, rule.value);
+    case "notes":
+      return includesText(bookmark.notes, rule.value);
+    case "tag":
+      return bookmark.tag_ids.some(
+        (id) => tagsById[id]?.name === String(rule.value).toLowerCase()
+      );
+    case "added_within":
+      return new Date(bookmark.created_at).getTime() >= now - rule.value * DAY_MS;
+    case "visited_within":
+      return (
+        Boolean(bookmark.last_visited_at) &&
+        new Date(bookmark.last_visited_at).getTime() >= now - rule.value * DAY_MS
+      );
+    case "min_visits":
+      return (bookmark.visit_count || 0) >= rule.value;
+    case "never_visited":
+      return !bookmark.last_visited_at;
+    default:
+      return false;
+  }
+}
+
+export function matchesSmartView(bookmark, rules, tagsById, now = Date.now()) {
+  return rules.every((rule) => matchesRule(bookmark, rule, tagsById, now));
+}
@@ -0,0 +1,187 @@
+// Page snapshots: a readable, sanitized copy of a bookmarked page, so the
+// bookmark stays useful if the page changes or disappears.
+// takeSnapshot() fetches the page (through safeFetch: SSRF protection,
+// timeouts and size limits apply), extracts the article with
+// src/lib/readability.js, uploads a standalone HTML document to the
+// private "snapshots" storage bucket and records the result in
+// bookmark_snapshots, whose text is covered by search.
+//
+// Server-only (see safe-fetch.js).
+
+import { safeFetch, SafeFetchError } from "@/lib/safe-fetch";
+import { decodeBody } from "@/lib/metadata";
+import { extractArticle } from "@/lib/readability";
+import { escapeHtml } from "@/lib/html";
+
+export const SNAPSHOT_BUCKET = "snapshots";
+
+const MAX_PAGE_BYTES = 3 * 1024 * 1024; // 3 MB
+const FETCH_TIMEOUT_MS = 15000;
+// Extracted text kept for search; longer articles are cut off
+const MAX_TEXT_LENGTH = 100000;
+
+// Storage path of a snapshot: inside the folder of the user who took it,
+// which is what the bucket's policies check
+export function snapshotPath(userId, bookmarkId) {
+  return `${userId}/${bookmarkId}.html`;
+}
+
+// The page couldn't be turned into a snapshot (not HTML, no text...)
+export class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SnapshotError";
+  }
+}
+
+// A self-contained document around the extracted article. The
+// Content-Security-Policy is a second line of defence on top of the
+// sanitizing: no scripts, styles or frames from anywhere, only images.
+export function buildSnapshotDocument({ article, url, finalUrl, takenAt }) {
+  const title = article.title || finalUrl;
+  const taken = new Date(takenAt).toUTCString();
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src https: http: data:; style-src 'unsafe-inline'">
+<meta name="robots" content="noindex, nofollow">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<base target="_blank">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { max-width: 42rem; margin: 2rem auto; padding: 0 1rem; font: 18px/1.65 Georgia, serif; color: #1f2937; }
+  header { font: 14px/1.5 system-ui, sans-serif; color: #6b7280; border-bottom: 1px solid #e5e7eb; margin-bottom: 2rem; padding-bottom: 1rem; }
+  h1 { font: bold 2rem/1.25 system-ui, sans-serif; color: #111827; margin: 0 0 .5rem; }
+  h2, h3, h4, h5, h6 { font-family: system-ui, sans-serif; line-height: 1.3; }
+  a { color: #2563eb; }
+  img { max-width: 100%; height: auto; }
+  pre { overflow-x: auto; background: #f3f4f6; padding: 1rem; font-size: 14px; }
+  blockquote { margin-left: 0; padding-left: 1rem; border-left: 3px solid #d1d5db; color: #4b5563; }
+  table { border-collapse: collapse; } td, th { border: 1px solid #e5e7eb; padding: .25rem .5rem; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+${article.byline ? `<div>By ${escapeHtml(article.byline)}</div>` : ""}
+<div>Saved from <a href="${escapeHtml(finalUrl)}" rel="noopener noreferrer nofollow">${escapeHtml(url)}</a> on ${escapeHtml(taken)}</div>
+</header>
+<article>
+${article.html}
+</article>
+</body>
+</html>
+`;
+}
+
+// Fetch and extract a page: { article, finalUrl }.
+// Throws SafeFetchError or SnapshotError when that's not possible.
+async function fetchArticle(url) {
+  const res = await safeFetch(url, {
+    maxBytes: MAX_PAGE_BYTES,
+    timeoutMs: FETCH_TIMEOUT_MS,
+  });
+  if (res.status >= 400) {
+    throw new SnapshotError(`The site responded with ${res.status}`);
+  }
+
+  const contentType = res.headers["content-type"] || "";
+  if (!/html|xml/i.test(contentType)) {
+    throw new SnapshotError("Only web pages can be saved (this link isn't HTML)");
+  }
+
+  const article = extractArticle(decodeBody(res.body, contentType), res.finalUrl);
+  if (!article.text) {
+    throw new SnapshotError("Couldn't find any readable text on the page");
+  }
+  return { article, finalUrl: res.finalUrl };
+}
+
+// Take (or retake) a bookmark's snapshot as the given user.
+// `supabase` is the user's own client, so RLS and the bucket policies decide
+// whether they may. Resolves to { snapshot, failure, error }:
+// - snapshot: the bookmark's bookmark_snapshots row afterwards
+// - failure: why the page couldn't be saved, for the user. The failure is
+//   recorded if there was no snapshot yet; an earlier good one is kept.
+// - error: a database or storage error
+export async function takeSnapshot(supabase, userId, bookmark) {
+  const takenAt = new Date().toISOString();
+
+  let result;
+  try {
+    result = await fetchArticle(bookmark.url);
+  } catch (err) {
+    if (!(err instanceof SafeFetchError || err instanceof SnapshotError)) throw err;
+
+    const { data: existing, error: existingError } = await supabase
+      .from("bookmark_snapshots")
+      .select("*")
+      .eq("bookmark_id", bookmark.id)
+      .maybeSingle();
+    if (existingError) return { error: existingError };
+    if (existing?.status === "ok") {
+      return { snapshot: existing, failure: err.message, error: null };
+    }
+
+    const { data: failed, error: saveError } = await supabase
+      .from("bookmark_snapshots")
+      .upsert(
+        {
+          bookmark_id: bookmark.id,
+          user_id: userId,
+          status: "failed",
+          error: err.message,
+          created_at: takenAt,
+        },
+        { onConflict: "bookmark_id" }
+      )
+      .select()
+      .single();
+    if (saveError) return { error: saveError };
+    return { snapshot: failed, failure: err.message, error: null };
+  }
+
+  const { article, finalUrl } = result;
+  const document = buildSnapshotDocument({
+    article,
+    url: bookmark.url,
+    finalUrl,
+    takenAt,
+  });
+  const path = snapshotPath(userId, bookmark.id);
+
+  const { error: uploadError } = await supabase.storage
+    .from(SNAPSHOT_BUCKET)
+    .upload(path, new Blob([document], { type: "text/html" }), {
+      contentType: "text/html; charset=utf-8",
+      upsert: true,
+    });
+  if (uploadError) return { error: uploadError };
+
+  const { data: snapshot, error } = await supabase
+    .from("bookmark_snapshots")
+    .upsert(
+      {
+        bookmark_id: bookmark.id,
+        user_id: userId,
+        status: "ok",
+        storage_path: path,
+        final_url: finalUrl,
+        title: article.title,
+        byline: article.byline,
+        excerpt: article.excerpt,
+        text_content: article.text.slice(0, MAX_TEXT_LENGTH),
+        word_count: article.wordCount,
+        size_bytes: Buffer.byteLength(document),
+        error: null,
+        created_at: takenAt,
+      },
+      { onConflict: "bookmark_id" }
+    )
+    .select()
+    .single();
+  if (error) return { error };
+  return { snapshot, failure: null, error: null };
+}
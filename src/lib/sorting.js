@@ -0,0 +1,135 @@
+// Sorting and grouping the dashboard's list (?sort= and ?group=).
+// The server pages the list in the same orders (see dashboard_bookmarks()
+// in supabase-schema.sql); these comparators put rows the browser already
+// has (from realtime, or the offline copy) in the same place, ties broken
+// by id the way Postgres does.
+// Safe to use in the browser and on the server.
+
+export const SORT_OPTIONS = {
+  newest: "Newest first",
+  title: "Title (A–Z)",
+  domain: "Site (A–Z)",
+  visited: "Last opened",
+  visits: "Most opened",
+};
+
+export const GROUP_OPTIONS = {
+  domain: "Site",
+  date: "Date",
+};
+
+// The sorts each grouping makes sense with (the first is picked when the
+// grouping is chosen under another sort). Groups are runs of neighbouring
+// bookmarks, so the list has to be in that order for them to hold together.
+export const GROUP_SORTS = {
+  domain: ["domain"],
+  date: ["newest", "visited"],
+};
+
+// uuids compare like their lowercase hex text
+function compareIds(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Lowercase text compared character by character (collate "C" in SQL)
+function compareText(a, b) {
+  const x = (a || "").toLowerCase();
+  const y = (b || "").toLowerCase();
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function time(iso) {
+  return iso ? new Date(iso).getTime() : -Infinity;
+}
+
+// The site a bookmark is on, like the generated bookmarks.domain column
+// (rows saved offline don't have that yet)
+export function bookmarkDomain(bookmark) {
+  if (bookmark.domain) return bookmark.domain;
+  try {
+    return new URL(bookmark.url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+const COMPARATORS = {
+  newest: (a, b) =>
+    time(b.created_at) - time(a.created_at) || compareIds(b.id, a.id),
+  title: (a, b) => compareText(a.title, b.title) || compareIds(a.id, b.id),
+  domain: (a, b) =>
+    compareText(bookmarkDomain(a), bookmarkDomain(b)) || compareIds(a.id, b.id),
+  visited: (a, b) =>
+    time(b.last_visited_at) - time(a.last_visited_at) || compareIds(b.id, a.id),
+  visits: (a, b) =>
+    (b.visit_count || 0) - (a.visit_count || 0) || compareIds(b.id, a.id),
+};
+
+export function sortComparator(sort) {
+  return COMPARATORS[sort] || COMPARATORS.newest;
+}
+
+// The order a list is in: the reading list's own ("reading"), or one of
+// SORT_OPTIONS if one was picked. Otherwise the most used list puts the
+// most opened first, a collection is in its manual order ("manual"), and
+// everything else is in the user's default sort (filters.defaultSort, set
+// on /settings), or newest first.
+export function listSort(filters) {
+  if (filters.view === "reading") return "reading";
+  if (SORT_OPTIONS[filters.sort]) return filters.sort;
+  if (filters.usage === "most") return "visits";
+  if (filters.collection) return "manual";
+  return SORT_OPTIONS[filters.defaultSort] ? filters.defaultSort : "newest";
+}
+
+// The grouping in effect: none if the list isn't in an order it works with
+// (e.g. a hand-edited URL, or the reading list)
+export function listGroup(filters) {
+  const sorts = GROUP_SORTS[filters.group];
+  return sorts?.includes(listSort(filters)) ? filters.group : null;
+}
+
+// The sort a grouping needs, given the one the list is in
+export function sortForGroup(group, sort) {
+  const sorts = GROUP_SORTS[group];
+  return !sorts || sorts.includes(sort) ? sort : sorts[0];
+}
+
+// "Today", "Yesterday", "Last 7 days", "Last 30 days", then month by month
+function dateBucket(iso, now) {
+  if (!iso) return "Never opened";
+  const date = new Date(iso);
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+  const days = Math.floor((startOfToday - date) / (24 * 60 * 60 * 1000)) + 1;
+
+  if (date >= startOfToday) return "Today";
+  if (days <= 1) return "Yesterday";
+  if (days < 7) return "Last 7 days";
+  if (days < 30) return "Last 30 days";
+  return date.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+}
+
+// Split a sorted list into headed groups: [{ key, label, bookmarks }].
+// Date groups use the date the list is sorted by (added, or last opened).
+export function groupBookmarks(bookmarks, group, sort, now = Date.now()) {
+  const groupOf = (b) => {
+    if (group === "domain") {
+      const domain = bookmarkDomain(b);
+      return domain || "Other";
+    }
+    return dateBucket(sort === "visited" ? b.last_visited_at : b.created_at, now);
+  };
+
+  const groups = [];
+  bookmarks.forEach((b) => {
+    const label = groupOf(b);
+    const last = groups[groups.length - 1];
+    if (last && last.label === label) {
+      last.bookmarks.push(b);
+    } else {
+      groups.push({ key: `${label}-${groups.length}`, label, bookmarks: [b] });
+    }
+  });
+  return groups;
+}
@@ -0,0 +1,24 @@
+// Creates a Supabase client with the SERVICE ROLE key, for trusted
+// server-side jobs that aren't acting for a signed-in user (e.g. the
+// scheduled link checker). It BYPASSES Row Level Security, so:
+// - never import this from a Client Component
+// - never expose SUPABASE_SERVICE_ROLE_KEY (no NEXT_PUBLIC_ prefix!)
+// - always filter queries yourself
+//
+// Returns null when the key isn't configured, like the server client.
+
+import { createClient } from "@supabase/supabase-js";
+
+export function createAdminClient() {
+  const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey || !(supabaseUrl.startsWith("http://") || supabaseUrl.startsWith("https://"))) {
+    console.warn("Supabase admin client: missing SUPABASE_SERVICE_ROLE_KEY or URL. Returning null.");
+    return null;
+  }
+
+  return createClient(supabaseUrl, serviceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+}
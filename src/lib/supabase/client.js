@@ -25,6 +25,9 @@ export function createClient() {
         getUser: async () => ({ data: { user: null } }),
         signInWithOAuth: async () => ({ error: new Error("Supabase not configured") }),
         signOut: async () => ({}),
+        onAuthStateChange: () => ({
+          data: { subscription: { unsubscribe: () => {} } },
+        }),
       },
       channel: () => ({
         on: () => ({ subscribe: () => ({}) }),
@@ -33,6 +36,7 @@ export function createClient() {
       from: () => ({
         select: async () => ({ data: [] }),
         insert: async () => ({}),
+        update: async () => ({}),
         delete: async () => ({}),
       }),
       removeChannel: () => {},
@@ -5,10 +5,45 @@
 
 import { createServerClient } from "@supabase/ssr";
 import { NextResponse } from "next/server";
+import { safeNextPath } from "@/lib/auth-redirect";
+
+// Pages that require a signed-in user (and everything below them)
+const PROTECTED_PATHS = [
+  "/",
+  "/import",
+  "/workspaces",
+  "/invite",
+  "/shares",
+  "/settings",
+  "/save",
+  "/duplicates",
+  "/trash",
+  "/bookmarks",
+  "/stats",
+];
+
+// Public pages anyone can open without signing in: shared lists (/s/<token>)
+// and their feeds. They don't use the visitor's session at all. Neither
+// does the REST API, which authenticates with access tokens instead.
+const PUBLIC_PATHS = ["/s", "/api/v1"];
+
+function matchesPath(paths, pathname) {
+  return paths.some(
+    (path) =>
+      pathname === path ||
+      (path !== "/" && pathname.startsWith(`${path}/`))
+  );
+}
 
 export async function updateSession(request) {
   // Start with a basic "pass-through" response
   let supabaseResponse = NextResponse.next({ request });
+
+  // Public pages skip the session refresh and the login redirect entirely
+  if (matchesPath(PUBLIC_PATHS, request.nextUrl.pathname)) {
+    return supabaseResponse;
+  }
+
   const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
   const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
 
@@ -50,19 +85,26 @@ export async function updateSession(request) {
     data: { user },
   } = await supabase.auth.getUser();
 
-  // If user is NOT logged in and they're trying to access the dashboard,
-  // redirect them to the login page
-  if (!user && request.nextUrl.pathname === "/") {
+  // If user is NOT logged in and they're trying to access the dashboard
+  // (or another protected page), redirect them to the login page.
+  // ?next= remembers where they were going so they land back there after.
+  if (!user && matchesPath(PROTECTED_PATHS, request.nextUrl.pathname)) {
     const url = request.nextUrl.clone();
+    const next = request.nextUrl.pathname + request.nextUrl.search;
     url.pathname = "/login";
+    url.search = next === "/" ? "" : `?next=${encodeURIComponent(next)}`;
     return NextResponse.redirect(url);
   }
 
   // If user IS logged in and they're on the login page,
-  // redirect them to the dashboard
+  // redirect them to the dashboard (or wherever ?next= points)
   if (user && request.nextUrl.pathname === "/login") {
+    const next = safeNextPath(request.nextUrl.searchParams.get("next"));
+    // Only the path and query are taken over: the redirect stays on this origin
+    const target = new URL(next, request.url);
     const url = request.nextUrl.clone();
-    url.pathname = "/";
+    url.pathname = target.pathname;
+    url.search = target.search;
     return NextResponse.redirect(url);
   }
 
@@ -0,0 +1,176 @@
+// Changes made while offline, and how they're sent to Supabase later.
+//
+// Each queued mutation is one of:
+//   { type: "insert",  bookmarkId, row, tagNames }
+//   { type: "update",  bookmarkId, changes, base }   base = values before
+//   { type: "trash",   bookmarkId, deletedAt }
+//   { type: "restore", bookmarkId, row }             row = the bookmark
+// plus { seq, userId, queuedAt } added by the offline store.
+//
+// New bookmarks get their id in the browser (crypto.randomUUID()), so a
+// bookmark created offline can be edited or deleted before it's synced,
+// and replaying its insert twice is harmless.
+//
+// Conflicts: while the queue waits, the same bookmark may change in another
+// tab or on another device (the dashboard hears about it over Realtime).
+// Edits are merged field by field: a queued change is applied only if the
+// server still has the value the user started from; if both sides changed
+// the same field, the server's value wins and the field is reported back
+// as a conflict. Edits to a bookmark deleted elsewhere are dropped.
+
+import { saveBookmarkTags } from "@/lib/tags";
+
+// supabase-js reports network failures as errors whose message comes from
+// fetch(): "Failed to fetch" (Chrome), "NetworkError..." (Firefox),
+// "Load failed" (Safari)
+export function isNetworkError(error) {
+  if (typeof navigator !== "undefined" && !navigator.onLine) return true;
+  return /failed to fetch|networkerror|load failed|network request failed/i.test(
+    error?.message || ""
+  );
+}
+
+// Only the fields the user actually changed, with their previous values:
+// { changes, base }, or null if nothing changed
+export function diffBookmark(current, changes) {
+  const changed = Object.keys(changes).filter(
+    (key) => (current[key] ?? null) !== (changes[key] ?? null)
+  );
+  if (changed.length === 0) return null;
+  return {
+    changes: Object.fromEntries(changed.map((key) => [key, changes[key]])),
+    base: Object.fromEntries(changed.map((key) => [key, current[key] ?? null])),
+  };
+}
+
+// Show queued changes on top of a list of bookmarks (from the server, the
+// cache or a realtime event), so the user sees their own edits until
+// they're synced. Bookmarks touched by the queue are marked pending.
+// inSpace(row) says whether a new or restored bookmark belongs in this list.
+export function applyPendingMutations(list, mutations, inSpace) {
+  return mutations.reduce((result, m) => {
+    const exists = result.some((b) => b.id === m.bookmarkId);
+    switch (m.type) {
+      case "insert":
+      case "restore":
+        if (exists || !inSpace(m.row)) return result;
+        return [{ ...m.row, tag_ids: m.row.tag_ids || [], pending: true }, ...result];
+      case "update":
+        return result.map((b) =>
+          b.id === m.bookmarkId ? { ...b, ...m.changes, pending: true } : b
+        );
+      case "trash":
+        return result.filter((b) => b.id !== m.bookmarkId);
+      default:
+        return result;
+    }
+  }, list);
+}
+
+// Send one mutation. Resolves to { conflicts: [field names] } when it's
+// done (applied, merged or dropped); throws if it should be retried later.
+async function replayOne(supabase, m) {
+  if (m.type === "insert") {
+    const { error } = await supabase.from("bookmarks").insert(m.row);
+    // 23505 = unique violation: an earlier replay already inserted it
+    if (error && error.code !== "23505") throw error;
+    if (!error && m.tagNames.length > 0) {
+      const { error: tagError } = await saveBookmarkTags(
+        supabase,
+        m.row.user_id,
+        m.row.id,
+        m.tagNames
+      );
+      if (tagError) throw tagError;
+    }
+    return { conflicts: [] };
+  }
+
+  if (m.type === "trash" || m.type === "restore") {
+    const { error } = await supabase
+      .from("bookmarks")
+      .update({ deleted_at: m.type === "trash" ? m.deletedAt : null })
+      .eq("id", m.bookmarkId);
+    if (error) throw error;
+    return { conflicts: [] };
+  }
+
+  // "update": three-way merge against what the server has now. Retry a
+  // few times if the row changes again between reading and writing.
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: current, error } = await supabase
+      .from("bookmarks")
+      .select("*")
+      .eq("id", m.bookmarkId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!current || current.deleted_at) {
+      return { conflicts: Object.keys(m.changes) };
+    }
+
+    const changes = {};
+    const conflicts = [];
+    Object.entries(m.changes).forEach(([key, value]) => {
+      const server = current[key] ?? null;
+      if (server === (m.base[key] ?? null)) changes[key] = value;
+      else if (server !== (value ?? null)) conflicts.push(key);
+    });
+    if (Object.keys(changes).length === 0) return { conflicts };
+
+    const { data, error: updateError } = await supabase
+      .from("bookmarks")
+      .update(changes)
+      .eq("id", m.bookmarkId)
+      .eq("updated_at", current.updated_at)
+      .select("id");
+    if (updateError) throw updateError;
+    if (data.length > 0) return { conflicts };
+  }
+  return { conflicts: Object.keys(m.changes) };
+}
+
+// Send queued mutations in order. Stops at the first network error, leaving
+// it and everything after it queued. Other errors (e.g. RLS refusing the
+// change) drop the mutation so it can't block the queue forever.
+// onDone(mutation, { conflicts, error }) is called as each one finishes
+// and should remove it from the queue. Resolves to true if the whole
+// queue was sent.
+export async function replayMutations(supabase, mutations, onDone) {
+  for (const m of mutations) {
+    try {
+      const { conflicts } = await replayOne(supabase, m);
+      await onDone(m, { conflicts, error: null });
+    } catch (error) {
+      if (isNetworkError(error)) return false;
+      console.error("Failed to sync change:", error.message);
+      await onDone(m, { conflicts: [], error });
+    }
+  }
+  return true;
+}
+
+// ───────────────────────────────────────────────
+// ONLINE STATUS
+// ───────────────────────────────────────────────
+
+// For useSyncExternalStore(subscribeToOnlineStatus, () => navigator.onLine)
+export function subscribeToOnlineStatus(callback) {
+  window.addEventListener("online", callback);
+  window.addEventListener("offline", callback);
+  return () => {
+    window.removeEventListener("online", callback);
+    window.removeEventListener("offline", callback);
+  };
+}
+
+// The signed-in user. getUser() asks the Supabase server, which fails
+// offline; then fall back to the session stored in the browser.
+export async function getCurrentUser(supabase) {
+  const { data, error } = await supabase.auth.getUser();
+  if (!error || !isNetworkError(error)) return data.user;
+
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+  return session?.user ?? null;
+}
@@ -0,0 +1,114 @@
+// Helpers for working with bookmark tags.
+// Tags live in their own table (one row per user + name) and are linked to
+// bookmarks through the bookmark_tags join table, so a bookmark can have
+// many tags and a tag can be on many bookmarks.
+
+// Turn the free-text tag input ("React, docs,  frontend") into a clean,
+// de-duplicated list of lowercase tag names.
+export function parseTagInput(input) {
+  const names = (input || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase().replace(/\s+/g, "-"))
+    .filter(Boolean);
+
+  return [...new Set(names)];
+}
+
+// Make sure every tag name exists for this user, then link them all to the
+// bookmark. Returns the tag rows ({ id, name }) that are now on the bookmark.
+export async function saveBookmarkTags(supabase, userId, bookmarkId, names) {
+  if (names.length === 0) return { data: [], error: null };
+
+  // upsert on (user_id, name) creates missing tags and returns existing ones
+  const { data: tags, error: tagError } = await supabase
+    .from("tags")
+    .upsert(
+      names.map((name) => ({ user_id: userId, name })),
+      { onConflict: "user_id,name" }
+    )
+    .select("id, name");
+
+  if (tagError) return { data: [], error: tagError };
+
+  const { error: linkError } = await supabase.from("bookmark_tags").upsert(
+    tags.map((tag) => ({
+      bookmark_id: bookmarkId,
+      tag_id: tag.id,
+      user_id: userId,
+    })),
+    { onConflict: "bookmark_id,tag_id", ignoreDuplicates: true }
+  );
+
+  if (linkError) return { data: [], error: linkError };
+  return { data: tags, error: null };
+}
+
+// Supabase returns the join rows nested under each bookmark
+// (select("*, bookmark_tags(tag_id)")). Flatten them into a plain
+// tag_ids array, which is also what we keep up to date from realtime events.
+export function withTagIds(bookmark) {
+  const { bookmark_tags, ...rest } = bookmark;
+  return {
+    ...rest,
+    tag_ids: (bookmark_tags || []).map((link) => link.tag_id),
+  };
+}
+
+// Bulk version of saveBookmarkTags for imports: links is a list of
+// { bookmarkId, names }. All tag names are upserted in one request and all
+// bookmark/tag links inserted in another.
+export async function saveTagsForBookmarks(supabase, userId, links) {
+  const allNames = [...new Set(links.flatMap((link) => link.names))];
+  if (allNames.length === 0) return { data: [], error: null };
+
+  const { data: tags, error: tagError } = await supabase
+    .from("tags")
+    .upsert(
+      allNames.map((name) => ({ user_id: userId, name })),
+      { onConflict: "user_id,name" }
+    )
+    .select("id, name");
+
+  if (tagError) return { data: [], error: tagError };
+
+  const idByName = Object.fromEntries(tags.map((tag) => [tag.name, tag.id]));
+  const rows = links.flatMap((link) =>
+    link.names.map((name) => ({
+      bookmark_id: link.bookmarkId,
+      tag_id: idByName[name],
+      user_id: userId,
+    }))
+  );
+
+  const { error: linkError } = await supabase
+    .from("bookmark_tags")
+    .upsert(rows, { onConflict: "bookmark_id,tag_id", ignoreDuplicates: true });
+
+  if (linkError) return { data: [], error: linkError };
+  return { data: tags, error: null };
+}
+
+// Make a bookmark's tags exactly `names`: link the new ones and unlink any
+// it had that aren't in the list. Returns the tag rows now on the bookmark.
+export async function replaceBookmarkTags(supabase, userId, bookmarkId, names) {
+  const { data: tags, error } = await saveBookmarkTags(
+    supabase,
+    userId,
+    bookmarkId,
+    names
+  );
+  if (error) return { data: [], error };
+
+  let unlink = supabase
+    .from("bookmark_tags")
+    .delete()
+    .eq("bookmark_id", bookmarkId)
+    .eq("user_id", userId);
+  if (tags.length > 0) {
+    unlink = unlink.not("tag_id", "in", `(${tags.map((t) => t.id).join(",")})`);
+  }
+
+  const { error: unlinkError } = await unlink;
+  if (unlinkError) return { data: [], error: unlinkError };
+  return { data: tags, error: null };
+}
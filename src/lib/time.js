@@ -0,0 +1,23 @@
+// "5 minutes ago", "3 months ago", ... for timestamps shown in the UI.
+
+const UNITS = [
+  ["year", 365 * 24 * 60 * 60],
+  ["month", 30 * 24 * 60 * 60],
+  ["week", 7 * 24 * 60 * 60],
+  ["day", 24 * 60 * 60],
+  ["hour", 60 * 60],
+  ["minute", 60],
+];
+
+const formatter = new Intl.RelativeTimeFormat("en", { numeric: "auto" });
+
+export function formatRelativeTime(date, now = Date.now()) {
+  const seconds = Math.round((new Date(date).getTime() - now) / 1000);
+
+  for (const [unit, size] of UNITS) {
+    if (Math.abs(seconds) >= size) {
+      return formatter.format(Math.trunc(seconds / size), unit);
+    }
+  }
+  return "just now";
+}
@@ -0,0 +1,21 @@
+// Deleted bookmarks go to the trash (bookmarks.deleted_at) first.
+// They can be restored from /trash until the retention period is over;
+// then the daily /api/cron/purge-trash job deletes them for good.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+// How long the "Moved to trash · Undo" toast stays up
+export const UNDO_TIMEOUT_MS = 8000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bookmarks deleted before this moment are due to be purged
+export function purgeCutoff(now = Date.now()) {
+  return new Date(now - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+}
+
+// Whole days left before a trashed bookmark is purged (0 = today)
+export function daysUntilPurge(deletedAt, now = Date.now()) {
+  const purgeAt = new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+  return Math.max(Math.ceil((purgeAt - now) / DAY_MS), 0);
+}
@@ -0,0 +1,92 @@
+// The dashboard's bookmark list, a page at a time (see
+// src/lib/dashboard-data.js): the rows loaded so far, where the loaded
+// part ends, and loading the next page once the end of the list comes
+// into view (see LoadMoreTrigger). A React hook, for the Dashboard
+// component; browser-only.
+
+import { useState, useEffect, useRef } from "react";
+import { buildDashboardUrl } from "@/lib/filters";
+import {
+  fetchBookmarkPage,
+  mergeBookmarkPage,
+  listComparator,
+  isLoaded,
+} from "@/lib/dashboard-data";
+
+// Takes the first page the server loaded (initialData: { bookmarks,
+// next }) and:
+// - online: whether there's a network to load pages over
+// - withPending(rows): lays queued offline changes over a page
+// - onPageLoaded(rows): called with each further page once it's in
+// Returns { bookmarks, setBookmarks, nextCursor, loadingMore,
+// loadMoreError, loadMore, showFirstPage, isInLoadedPages }.
+export function useBookmarkPages(
+  supabase,
+  { filters, initialData, online, withPending, onPageLoaded }
+) {
+  // The bookmarks loaded so far (plus any due reminders, wherever they
+  // are in the list)
+  const [bookmarks, setBookmarks] = useState(initialData?.bookmarks ?? []);
+  // Where the loaded part of the list ends: the last loaded row's sort key,
+  // or null once every page is in
+  const [nextCursor, setNextCursor] = useState(initialData?.next ?? null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+
+  // Which list is showing, for pages that arrive after it changed
+  const listKey = buildDashboardUrl(filters);
+  const listKeyRef = useRef(listKey);
+  useEffect(() => {
+    listKeyRef.current = listKey;
+  }, [listKey]);
+
+  // Start the list over from its first page (next: the cursor after it)
+  const showFirstPage = (rows, next) => {
+    setBookmarks(rows);
+    setNextCursor(next ?? null);
+    setLoadMoreError(null);
+  };
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore || !online) return;
+    const requestedFor = listKey;
+
+    setLoadingMore(true);
+    setLoadMoreError(null);
+    const page = await fetchBookmarkPage(supabase, {
+      workspaceId: filters.workspace,
+      filters,
+      after: nextCursor,
+    });
+    setLoadingMore(false);
+
+    // The user moved on to another list while this page was on its way
+    if (listKeyRef.current !== requestedFor) return;
+
+    if (page.error) {
+      console.error("Failed to load more bookmarks:", page.error.message);
+      setLoadMoreError(page.error.message);
+      return;
+    }
+    setBookmarks((prev) => withPending(mergeBookmarkPage(prev, page.bookmarks)));
+    setNextCursor(page.next);
+    onPageLoaded(page.bookmarks);
+  };
+
+  // Whether a row is within the pages loaded so far. Rows past the end
+  // (e.g. an old bookmark restored from the trash) wait until their page
+  // is loaded, so the list never has gaps in it.
+  const compareInList = listComparator(filters);
+  const isInLoadedPages = (row) => isLoaded(row, nextCursor, compareInList);
+
+  return {
+    bookmarks,
+    setBookmarks,
+    nextCursor,
+    loadingMore,
+    loadMoreError,
+    loadMore,
+    showFirstPage,
+    isInLoadedPages,
+  };
+}
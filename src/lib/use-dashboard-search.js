@@ -0,0 +1,78 @@
+// Searching the dashboard: the search box's input, and the ranked matches
+// the server found for it (see /api/search). A React hook, for the
+// Dashboard component; browser-only.
+
+import { useState, useEffect } from "react";
+import { withTagIds } from "@/lib/tags";
+
+// How long to wait after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Returns { query, setQuery, search, setSearch, searchError, searching,
+// searchPending }. search is the last response ({ query, workspace,
+// results, terms }); setSearch lets edits made elsewhere reach the
+// results. While searching (the box isn't empty), the list shows the
+// results instead, once those for the current input have arrived
+// (searchPending is true until then).
+export function useDashboardSearch(workspaceId) {
+  const [query, setQuery] = useState("");
+  const [search, setSearch] = useState({
+    query: "",
+    workspace: null,
+    results: [],
+    terms: [],
+  });
+  const [searchError, setSearchError] = useState(null);
+
+  // Debounce the input, then ask the server for ranked matches
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (!trimmed) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ q: trimmed });
+        if (workspaceId) params.set("workspace", workspaceId);
+        const res = await fetch(`/api/search?${params}`, {
+          signal: controller.signal,
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || "Search failed");
+
+        setSearch({
+          query: trimmed,
+          workspace: workspaceId,
+          results: body.results.map(withTagIds),
+          terms: body.terms,
+        });
+        setSearchError(null);
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        console.error("Failed to search bookmarks:", err.message);
+        setSearchError(err.message);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    // A new keystroke cancels the pending (or in-flight) search
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, workspaceId]);
+
+  const searching = query.trim() !== "";
+  const searchPending =
+    searching &&
+    (search.query !== query.trim() || search.workspace !== workspaceId);
+
+  return {
+    query,
+    setQuery,
+    search,
+    setSearch,
+    searchError,
+    searching,
+    searchPending,
+  };
+}
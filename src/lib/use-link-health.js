@@ -0,0 +1,130 @@
+// Link rot on the dashboard: checking every link in the space (through
+// /api/link-check), pointing redirected bookmarks at where they now live,
+// and trashing dead ones (see src/lib/link-health.js). A React hook, for
+// the Dashboard component and its LinkHealthPanel; browser-only.
+
+import { useState } from "react";
+import { normalizeUrl } from "@/lib/normalize-url";
+import { mergeBookmarkUpdate } from "@/lib/bookmarks";
+import { fetchBookmarkPage } from "@/lib/dashboard-data";
+
+// Takes:
+// - total: how many bookmarks the space has, archived ones included
+// - setBookmarks: the dashboard's list setter, to show results as they come
+// - trashBookmarks(rows): the dashboard's delete (with its Undo toast)
+// Returns { linkCheck, checkLinks, fixRedirects, fixAllRedirects,
+// deleteBrokenLinks }. linkCheck is the progress of a running "check all
+// links" ({ done, total }), or null.
+export function useLinkHealth(
+  supabase,
+  { workspaceId, total, setBookmarks, trashBookmarks }
+) {
+  const [linkCheck, setLinkCheck] = useState(null);
+
+  // Check every link in this space, a batch per request, until none are
+  // left that weren't checked since we started
+  const checkLinks = async () => {
+    const startedAt = new Date().toISOString();
+    setLinkCheck({ done: 0, total });
+
+    try {
+      for (let done = 0; ; ) {
+        const res = await fetch("/api/link-check", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ workspace: workspaceId, before: startedAt }),
+        });
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || "Link check failed");
+
+        // Show the results right away instead of waiting for realtime
+        body.results.forEach((result) =>
+          setBookmarks((prev) =>
+            prev.map((b) => (b.id === result.id ? { ...b, ...result } : b))
+          )
+        );
+
+        done += body.results.length;
+        setLinkCheck({ done, total: done + body.remaining });
+        if (body.remaining === 0 || body.results.length === 0) break;
+      }
+    } catch (err) {
+      console.error("Failed to check links:", err.message);
+      alert("Failed to check links: " + err.message);
+    } finally {
+      setLinkCheck(null);
+    }
+  };
+
+  // Point redirected bookmarks at the URL they redirect to
+  const fixRedirects = async (targets) => {
+    const results = await Promise.all(
+      targets.map((b) =>
+        supabase
+          .from("bookmarks")
+          .update({
+            url: b.link_final_url,
+            canonical_url: normalizeUrl(b.link_final_url),
+          })
+          .eq("id", b.id)
+          .select()
+      )
+    );
+
+    results.forEach(({ data }) => {
+      if (data?.[0]) setBookmarks((prev) => mergeBookmarkUpdate(prev, data[0]));
+    });
+    const failed = results.find((r) => r.error);
+    if (failed) {
+      console.error("Failed to fix redirect:", failed.error.message);
+      alert("Failed to fix redirect: " + failed.error.message);
+    }
+  };
+
+  // Every bookmark in this space in one link health state — not just the
+  // loaded ones, and archived ones too, like the counts in the panel
+  const fetchByHealth = async (health) => {
+    const { bookmarks: rows, error } = await fetchBookmarkPage(supabase, {
+      workspaceId,
+      filters: { view: "all", health },
+      pageSize: null,
+    });
+    if (error) {
+      console.error("Failed to fetch bookmarks:", error.message);
+      alert("Failed to fetch bookmarks: " + error.message);
+      return null;
+    }
+    return rows;
+  };
+
+  const fixAllRedirects = async () => {
+    const targets = await fetchByHealth("redirected");
+    if (!targets) return;
+    if (
+      !confirm(
+        `Update ${targets.length} bookmarks to the address they redirect to?`
+      )
+    ) {
+      return;
+    }
+    return fixRedirects(targets);
+  };
+
+  // Move every broken link in this space to the trash
+  const deleteBrokenLinks = async () => {
+    const targets = await fetchByHealth("broken");
+    if (!targets) return;
+    if (!confirm(`Move ${targets.length} dead links to the trash?`)) {
+      return;
+    }
+    await trashBookmarks(targets);
+  };
+
+  return {
+    linkCheck,
+    checkLinks,
+    fixRedirects,
+    fixAllRedirects,
+    deleteBrokenLinks,
+  };
+}
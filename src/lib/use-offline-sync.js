@@ -0,0 +1,163 @@
+// The dashboard's offline support, as React hooks (browser-only):
+// - useOfflineQueue: whether there's a network, and the changes made
+//   without one, waiting in IndexedDB to be synced
+// - useOfflineSync: keeps a copy of the space being viewed in IndexedDB,
+//   and sends the queued changes once the network is back
+// See src/lib/offline-store.js and src/lib/sync-queue.js.
+
+import { useState, useEffect, useRef, useSyncExternalStore } from "react";
+import {
+  spaceKey,
+  saveCachedSpace,
+  enqueueMutation,
+  listMutations,
+  removeMutation,
+} from "@/lib/offline-store";
+import {
+  applyPendingMutations,
+  replayMutations,
+  subscribeToOnlineStatus,
+} from "@/lib/sync-queue";
+import { fetchBookmarkPage, fetchDashboardCounts } from "@/lib/dashboard-data";
+import { belongsToSpace } from "@/lib/dashboard-realtime";
+
+// Returns { online, pending, setQueued, withPending, queueMutation }:
+// - pending: the queued changes (setQueued(list) replaces them)
+// - withPending(rows): the rows with the queued changes on top, so
+//   realtime updates and new pages don't paint over them. Reads the queue
+//   through a ref, so handlers subscribed long ago see the current one.
+// - queueMutation(mutation): queue a change made without a network
+export function useOfflineQueue({ userId, workspaceId }) {
+  const online = useSyncExternalStore(
+    subscribeToOnlineStatus,
+    () => navigator.onLine,
+    () => true
+  );
+  const [pending, setPending] = useState([]);
+  const pendingRef = useRef([]);
+
+  const setQueued = (queued) => {
+    pendingRef.current = queued;
+    setPending(queued);
+  };
+
+  const withPending = (rows) =>
+    applyPendingMutations(rows, pendingRef.current, (row) =>
+      belongsToSpace(row, workspaceId)
+    );
+
+  const queueMutation = async (mutation) => {
+    const queued = await enqueueMutation({ ...mutation, userId });
+    setQueued([...pendingRef.current, queued]);
+  };
+
+  return { online, pending, setQueued, withPending, queueMutation };
+}
+
+// Takes the queue from useOfflineQueue() and:
+// - ready: whether the dashboard has its data (the copy isn't saved
+//   before then)
+// - copy: { bookmarks, tags, collections, smartViews, workspaces }
+// - showFirstPage(rows, next), setCounts(counts): to show what the server
+//   ended up with after a sync
+// Returns { syncReport, dismissSyncReport }: the outcome of the last sync
+// ({ synced, conflicts, failed }), for the banner.
+export function useOfflineSync(
+  supabase,
+  { user, workspaceId, filters, ready, queue, copy, showFirstPage, setCounts }
+) {
+  const { online, setQueued } = queue;
+  const [syncReport, setSyncReport] = useState(null);
+
+  // Only the unfiltered list is kept (as far as it's been loaded): offline,
+  // the filters are applied to that copy in the browser. (The order
+  // doesn't matter; the copy is sorted when it's shown.)
+  const unfiltered =
+    !filters.view &&
+    !filters.collection &&
+    !filters.health &&
+    !filters.smart &&
+    !filters.usage &&
+    filters.tags.length === 0;
+  const { bookmarks, tags, collections, smartViews, workspaces } = copy;
+  useEffect(() => {
+    if (!user || !ready || !unfiltered) return;
+    saveCachedSpace(spaceKey(user.id, workspaceId), {
+      bookmarks,
+      tags,
+      collections,
+      smartViews,
+      workspaces,
+    });
+  }, [
+    user,
+    ready,
+    unfiltered,
+    workspaceId,
+    bookmarks,
+    tags,
+    collections,
+    smartViews,
+    workspaces,
+  ]);
+
+  // Send the changes made offline once the network is back
+  useEffect(() => {
+    if (!user || !online) return;
+    let cancelled = false;
+
+    const syncQueue = async () => {
+      const queued = await listMutations(user.id);
+      if (queued.length === 0) return;
+
+      const conflicts = [];
+      let failed = 0;
+      const done = await replayMutations(supabase, queued, async (m, result) => {
+        await removeMutation(m.seq);
+        if (result.error) failed++;
+        conflicts.push(...result.conflicts);
+      });
+
+      const remaining = await listMutations(user.id);
+      if (cancelled) return;
+      setQueued(remaining);
+      if (!done) return;
+
+      setSyncReport({
+        synced: queued.length - remaining.length,
+        conflicts: [...new Set(conflicts)],
+        failed,
+      });
+
+      // Reload the list (from its first page) so it shows what the server
+      // ended up with
+      const [page, { counts, error: countsError }] = await Promise.all([
+        fetchBookmarkPage(supabase, { workspaceId, filters }),
+        fetchDashboardCounts(supabase, workspaceId),
+      ]);
+      if (cancelled) return;
+      if (page.error) {
+        console.error("Failed to fetch bookmarks:", page.error.message);
+      } else {
+        showFirstPage(
+          applyPendingMutations(page.bookmarks, remaining, (row) =>
+            belongsToSpace(row, workspaceId)
+          ),
+          page.next
+        );
+      }
+      if (countsError) {
+        console.error("Failed to fetch counts:", countsError.message);
+      } else {
+        setCounts(counts);
+      }
+    };
+
+    syncQueue();
+    return () => {
+      cancelled = true;
+    };
+  }, [online, user, workspaceId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return { syncReport, dismissSyncReport: () => setSyncReport(null) };
+}
@@ -0,0 +1,89 @@
+// Keyboard shortcuts for working through the list (listed in the Reading
+// panel): j/k move between cards, o opens one (and marks it read), m
+// toggles read, e toggles archived, Escape lets go. Ignored while typing.
+// A React hook, for the Dashboard component; browser-only.
+
+import { useState, useEffect } from "react";
+import { openPath } from "@/lib/visits";
+
+// Takes the bookmarks as listed and the dashboard's setReadingState(rows,
+// changes). In the reading list (readingList), marking a card read moves
+// it out, so the focus goes on to the next one. Returns the id of the
+// focused card, or null.
+export function useReadingShortcuts({
+  visibleBookmarks,
+  readOnly,
+  readingList,
+  setReadingState,
+}) {
+  const [focusedId, setFocusedId] = useState(null);
+
+  // Re-subscribed on every render so the handler sees the current list
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey || e.defaultPrevented) return;
+      const target = e.target;
+      if (
+        target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+      ) {
+        return;
+      }
+
+      const index = visibleBookmarks.findIndex((b) => b.id === focusedId);
+      const current = visibleBookmarks[index];
+      const focus = (bookmark) => {
+        setFocusedId(bookmark?.id ?? null);
+        if (bookmark) {
+          document
+            .querySelector(`[data-bookmark-id="${bookmark.id}"]`)
+            ?.scrollIntoView({ block: "nearest" });
+        }
+      };
+      // After a change that moves the card out of place, go on to the next
+      const focusNext = () =>
+        focus(visibleBookmarks[index + 1] ?? visibleBookmarks[index - 1]);
+      const now = new Date().toISOString();
+
+      switch (e.key) {
+        case "j":
+          focus(visibleBookmarks[Math.min(index + 1, visibleBookmarks.length - 1)]);
+          break;
+        case "k":
+          focus(visibleBookmarks[Math.max(index - 1, 0)]);
+          break;
+        case "Escape":
+          if (!focusedId) return;
+          focus(null);
+          break;
+        case "o":
+          if (!current) return;
+          window.open(openPath(current), "_blank", "noopener,noreferrer");
+          if (!readOnly && !current.read_at) {
+            setReadingState([current], { read_at: now });
+          }
+          break;
+        case "m":
+          if (!current || readOnly) return;
+          setReadingState([current], { read_at: current.read_at ? null : now });
+          if (readingList) focusNext();
+          break;
+        case "e":
+          if (!current || readOnly) return;
+          setReadingState([current], {
+            archived_at: current.archived_at ? null : now,
+          });
+          focusNext();
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
+  return focusedId;
+}
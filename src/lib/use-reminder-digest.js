@@ -0,0 +1,44 @@
+// The reminder digest: after signing in, the dashboard lists the
+// bookmarks whose "remind me" date has come up (see src/lib/reading.js)
+// until the user dismisses it, which lasts until their next sign-in.
+// A React hook, for the Dashboard component; browser-only.
+
+import { useState, useSyncExternalStore } from "react";
+import { dueReminders } from "@/lib/reading";
+
+// localStorage key (+ user id) remembering which sign-in the digest was
+// dismissed for
+const DIGEST_DISMISSED_KEY = "reminder-digest-dismissed:";
+
+// Nothing to subscribe to: dismissing goes through state below
+const subscribeToNothing = () => () => {};
+
+// Returns { dueBookmarks, showDigest, dismissDigest }. The server sends
+// the due reminders along with the first page, wherever they are in the
+// list, so `bookmarks` has them all.
+export function useReminderDigest(user, bookmarks) {
+  const [dismissedNow, setDismissedNow] = useState(false);
+  // When the page is rendered on the server, or before the user is known,
+  // the digest stays hidden
+  const dismissedBefore = useSyncExternalStore(
+    subscribeToNothing,
+    () =>
+      !user ||
+      localStorage.getItem(DIGEST_DISMISSED_KEY + user.id) === user.last_sign_in_at,
+    () => true
+  );
+
+  const dueBookmarks = dueReminders(bookmarks);
+
+  // Hide the digest until the next sign-in
+  const dismissDigest = () => {
+    localStorage.setItem(DIGEST_DISMISSED_KEY + user.id, user.last_sign_in_at);
+    setDismissedNow(true);
+  };
+
+  return {
+    dueBookmarks,
+    showDigest: !dismissedNow && !dismissedBefore && dueBookmarks.length > 0,
+    dismissDigest,
+  };
+}
@@ -0,0 +1,105 @@
+// Bulk actions on the dashboard: selecting bookmarks, then sharing them as
+// a public, read-only list (/s/<token>, see src/lib/share.js), marking
+// them read, archiving or deleting them all at once. A React hook, for the
+// Dashboard component and its SelectionToolbar; browser-only.
+
+import { useState } from "react";
+import { sharePath } from "@/lib/share";
+
+// Takes the dashboard's own single-bookmark actions, which the bulk ones
+// reuse: trashBookmarks(rows) and setReadingState(rows, changes).
+// Returns { selectedIds, sharing, setSharing, startSelecting, selectAll,
+// toggleSelected, stopSelecting, createShareLink, deleteSelected,
+// setSelectedReadingState }. selectedIds is null when selection mode is
+// off, otherwise the selected bookmark ids (in the order they were picked).
+export function useSelection(
+  supabase,
+  { user, bookmarks, trashBookmarks, setReadingState }
+) {
+  const [selectedIds, setSelectedIds] = useState(null);
+  const [sharing, setSharing] = useState(false);
+
+  const startSelecting = () => setSelectedIds([]);
+
+  // Add these ids to the selection (e.g. everything shown)
+  const selectAll = (ids) => {
+    setSelectedIds((prev) => [...new Set([...(prev ?? []), ...ids])]);
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]
+    );
+  };
+
+  const stopSelecting = () => {
+    setSelectedIds(null);
+    setSharing(false);
+  };
+
+  const selectedBookmarks = () =>
+    bookmarks.filter((b) => selectedIds.includes(b.id));
+
+  const deleteSelected = async () => {
+    const targets = selectedBookmarks();
+    stopSelecting();
+    await trashBookmarks(targets);
+  };
+
+  const setSelectedReadingState = async (changes) => {
+    const targets = selectedBookmarks();
+    stopSelecting();
+    await setReadingState(targets, changes);
+  };
+
+  // Save the selection as a public share link and return its URL.
+  // The list keeps the order the bookmarks were picked in.
+  const createShareLink = async ({ title, description, expiresInDays }) => {
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const { data, error } = await supabase
+      .from("share_links")
+      .insert({ title, description, expires_at: expiresAt, user_id: user.id })
+      .select();
+
+    if (error) {
+      console.error("Failed to create share link:", error.message);
+      return { error: error.message };
+    }
+
+    const link = data[0];
+    const { error: itemsError } = await supabase
+      .from("share_link_bookmarks")
+      .insert(
+        selectedIds.map((id, i) => ({
+          share_link_id: link.id,
+          bookmark_id: id,
+          position: i,
+        }))
+      );
+
+    if (itemsError) {
+      console.error("Failed to add bookmarks to share link:", itemsError.message);
+      // Don't leave an empty list behind
+      await supabase.from("share_links").delete().eq("id", link.id);
+      return { error: itemsError.message };
+    }
+
+    return { url: `${window.location.origin}${sharePath(link.token)}` };
+  };
+
+  return {
+    selectedIds,
+    sharing,
+    setSharing,
+    startSelecting,
+    selectAll,
+    toggleSelected,
+    stopSelecting,
+    createShareLink,
+    deleteSelected,
+    setSelectedReadingState,
+  };
+}
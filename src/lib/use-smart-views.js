@@ -0,0 +1,84 @@
+// The dashboard's smart views: saved filters listed in the sidebar
+// (?smart=<id>), which the server evaluates (see src/lib/smart-views.js).
+// A React hook, for the Dashboard component; browser-only.
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { buildDashboardUrl } from "@/lib/filters";
+import { normalizeRules } from "@/lib/smart-views";
+
+// Starts from the views the server loaded (initialViews). Returns
+// { smartViews, setSmartViews, activeSmartView, saveSmartView,
+// deleteSmartView }. activeSmartView is the one being shown; one that's
+// gone (deleted in another tab) is null and matches nothing, as it does
+// on the server.
+export function useSmartViews(supabase, { initialViews, user, filters }) {
+  const router = useRouter();
+  const [smartViews, setSmartViews] = useState(initialViews ?? []);
+
+  const activeSmartView = filters.smart
+    ? smartViews.find((v) => v.id === filters.smart)
+    : null;
+
+  // Saves a new smart view (no id) or changes to one. Returns whether it
+  // was saved, so the editor knows to close.
+  const saveSmartView = async ({ id, name, rules }) => {
+    const cleanRules = normalizeRules(rules);
+    if (!name.trim()) {
+      alert("Give the smart view a name.");
+      return false;
+    }
+    if (!cleanRules) {
+      alert("Add at least one condition.");
+      return false;
+    }
+
+    const fields = { name: name.trim(), rules: cleanRules };
+    const { data, error } = await (id
+      ? supabase.from("smart_views").update(fields).eq("id", id).select()
+      : supabase
+          .from("smart_views")
+          .insert({ ...fields, user_id: user.id })
+          .select());
+
+    if (error) {
+      console.error("Failed to save smart view:", error.message);
+      alert("Failed to save smart view: " + error.message);
+      return false;
+    }
+    if (data?.[0]) {
+      setSmartViews((prev) =>
+        [...prev.filter((v) => v.id !== data[0].id), data[0]].sort((a, b) =>
+          a.name.localeCompare(b.name)
+        )
+      );
+    }
+    return true;
+  };
+
+  const deleteSmartView = async (view) => {
+    if (!confirm(`Delete the smart view "${view.name}"? No bookmarks are deleted.`)) {
+      return;
+    }
+
+    const { error } = await supabase.from("smart_views").delete().eq("id", view.id);
+
+    if (error) {
+      console.error("Failed to delete smart view:", error.message);
+      alert("Failed to delete smart view: " + error.message);
+      return;
+    }
+    setSmartViews((prev) => prev.filter((v) => v.id !== view.id));
+    if (filters.smart === view.id) {
+      router.push(buildDashboardUrl({ ...filters, smart: null }), { scroll: false });
+    }
+  };
+
+  return {
+    smartViews,
+    setSmartViews,
+    activeSmartView,
+    saveSmartView,
+    deleteSmartView,
+  };
+}
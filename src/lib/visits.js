@@ -0,0 +1,27 @@
+// Click tracking: bookmarks opened from the app go through
+// /bookmarks/<id>/open, which counts the visit (visit_count,
+// last_visited_at; see record_bookmark_visit() in supabase-schema.sql)
+// and redirects to the page. The counts feed the "most used" and "never
+// opened" lists (?usage=most / ?usage=never) and the /stats page.
+// They're kept on the bookmark, not per user: a bookmark in a shared
+// workspace counts every member's opens together.
+// Safe to use in the browser and on the server.
+
+export const USAGE_VIEWS = {
+  most: "Most used",
+  never: "Never opened",
+};
+
+// Where a link to a bookmark should point. Bookmarks added offline and
+// not synced yet aren't on the server, so they open directly (uncounted).
+export function openPath(bookmark) {
+  if (bookmark.pending) return bookmark.url;
+  return `/bookmarks/${encodeURIComponent(bookmark.id)}/open`;
+}
+
+// Whether a bookmark belongs in a usage list, like dashboard_bookmarks()
+export function matchesUsage(bookmark, usage) {
+  if (usage === "most") return (bookmark.visit_count || 0) > 0;
+  if (usage === "never") return !bookmark.last_visited_at;
+  return true;
+}
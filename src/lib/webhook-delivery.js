@@ -0,0 +1,118 @@
+// Sending webhook deliveries (see src/lib/webhooks.js for the format and
+// signature). Used by /api/webhooks/dispatch and the /api/cron/webhooks
+// job, which work through the queue, and by "Send test" on
+// /settings/webhooks.
+// Requests go through safeFetch, so the SSRF guard and timeouts apply:
+// webhook URLs are typed in by users. For trying webhooks against a
+// receiver on your own machine (scripts/webhook-receiver.mjs), set
+// WEBHOOKS_ALLOW_PRIVATE_NETWORK=true — in development only.
+//
+// Server-only (safeFetch uses Node's http/https/dns modules).
+
+import { safeFetch, SafeFetchError } from "@/lib/safe-fetch";
+import { mapWithConcurrency } from "@/lib/link-check";
+import { nextAttemptAt, signWebhookPayload, webhookBody } from "@/lib/webhooks";
+
+const DELIVERY_TIMEOUT_MS = 10000;
+// Only the start of the receiver's answer is kept, for the delivery log
+const RESPONSE_BYTES = 4 * 1024;
+const ERROR_SNIPPET_LENGTH = 200;
+
+// Send one delivery ({ id, event, payload, url, format, secret }).
+// Never throws: returns { ok, status, error }.
+export async function sendWebhook(delivery) {
+  const body = webhookBody(delivery.format, delivery);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const res = await safeFetch(delivery.url, {
+      method: "POST",
+      body,
+      headers: {
+        "content-type": "application/json",
+        "x-webhook-id": delivery.id,
+        "x-webhook-event": delivery.event,
+        "x-webhook-timestamp": String(timestamp),
+        "x-webhook-signature": await signWebhookPayload(
+          delivery.secret,
+          timestamp,
+          body
+        ),
+      },
+      accept: "*/*",
+      timeoutMs: DELIVERY_TIMEOUT_MS,
+      maxBytes: RESPONSE_BYTES,
+      truncate: true,
+      allowPrivateNetwork: process.env.WEBHOOKS_ALLOW_PRIVATE_NETWORK === "true",
+    });
+
+    if (res.status >= 200 && res.status < 300) {
+      return { ok: true, status: res.status, error: null };
+    }
+    const snippet = res.body.toString("utf8").trim().slice(0, ERROR_SNIPPET_LENGTH);
+    return {
+      ok: false,
+      status: res.status,
+      error: snippet ? `HTTP ${res.status}: ${snippet}` : `HTTP ${res.status}`,
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      status: null,
+      error: err instanceof SafeFetchError ? err.message : "Request failed",
+    };
+  }
+}
+
+// The columns to store on the delivery after an attempt. Failed attempts
+// are retried later (see RETRY_DELAYS_MINUTES) until they run out.
+export function deliveryOutcome(delivery, result) {
+  const attemptedAt = new Date().toISOString();
+  if (result.ok) {
+    return {
+      status: "delivered",
+      response_status: result.status,
+      last_error: null,
+      delivered_at: attemptedAt,
+    };
+  }
+
+  const retryAt = nextAttemptAt(delivery.attempts);
+  return {
+    status: retryAt ? "pending" : "failed",
+    response_status: result.status,
+    last_error: result.error,
+    ...(retryAt && { next_attempt_at: retryAt }),
+  };
+}
+
+// Send the deliveries that are due, with the service role client.
+// Returns how many were delivered, will be retried, or failed for good.
+export async function deliverDueWebhooks(
+  supabase,
+  { batchSize = 50, concurrency = 5 } = {}
+) {
+  const { data: due, error } = await supabase.rpc("claim_webhook_deliveries", {
+    batch_size: batchSize,
+  });
+  if (error) throw new Error(error.message);
+
+  const outcomes = await mapWithConcurrency(due, concurrency, async (delivery) => {
+    const outcome = deliveryOutcome(delivery, await sendWebhook(delivery));
+    const { error: saveError } = await supabase
+      .from("webhook_deliveries")
+      .update(outcome)
+      .eq("id", delivery.id);
+    if (saveError) {
+      // The claim's lease runs out and the delivery is tried again
+      console.error("Failed to save webhook delivery:", saveError.message);
+    }
+    return outcome.status;
+  });
+
+  return {
+    delivered: outcomes.filter((s) => s === "delivered").length,
+    retrying: outcomes.filter((s) => s === "pending").length,
+    failed: outcomes.filter((s) => s === "failed").length,
+  };
+}
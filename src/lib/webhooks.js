@@ -0,0 +1,149 @@
+// Outgoing webhooks (see "OUTGOING WEBHOOKS" in supabase-schema.sql).
+// When a bookmark is added, edited or deleted, the database queues a
+// delivery for each of the user's matching webhooks. The app asks for them
+// to be sent straight away (sendQueuedWebhooks() below, and the REST API
+// after each write); the daily /api/cron/webhooks job picks up whatever
+// is left (src/lib/webhook-delivery.js).
+//
+// Every delivery is a POST with these headers:
+//   X-Webhook-Id          the delivery's id (the same on every retry)
+//   X-Webhook-Event       e.g. "bookmark.created"
+//   X-Webhook-Timestamp   Unix seconds when this attempt was signed
+//   X-Webhook-Signature   "v1=" + hex HMAC-SHA256 of "<timestamp>.<body>",
+//                         keyed with the webhook's secret
+// Receivers should recompute the signature and reject old timestamps (see
+// verifyWebhookSignature() and scripts/webhook-receiver.mjs).
+//
+// Uses the Web Crypto API, so it works in the browser and on the server.
+
+export const WEBHOOK_EVENTS = {
+  "bookmark.created": "Bookmark added (or restored from the trash)",
+  "bookmark.updated": "Bookmark edited",
+  "bookmark.deleted": "Bookmark deleted (or moved to the trash)",
+};
+
+// A test delivery sent from the settings page; not something to subscribe to
+export const TEST_EVENT = "webhook.test";
+
+export const WEBHOOK_FORMATS = {
+  json: "JSON (signed event payload)",
+  slack: "Slack (incoming webhook message)",
+};
+
+// Minutes to wait before each retry; after the last one the delivery is
+// marked failed (so 6 attempts over about 15 hours)
+export const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+export const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// How old a signed timestamp a receiver should still accept
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// When to try again after `attempts` failed attempts, or null to give up
+export function nextAttemptAt(attempts, now = Date.now()) {
+  const minutes = RETRY_DELAYS_MINUTES[attempts - 1];
+  if (minutes === undefined) return null;
+  return new Date(now + minutes * 60 * 1000).toISOString();
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// "v1=<hex HMAC-SHA256 of `${timestamp}.${body}`>"
+export async function signWebhookPayload(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(`${timestamp}.${body}`)
+  );
+  return `v1=${toHex(signature)}`;
+}
+
+// For receivers written in JavaScript: whether a request's signature
+// headers match its raw body
+export async function verifyWebhookSignature(
+  secret,
+  { timestamp, signature, body },
+  now = Date.now()
+) {
+  const age = Math.abs(now / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = await signWebhookPayload(secret, timestamp, body);
+  // Compare every character, so the time taken doesn't give the answer away
+  if (expected.length !== signature?.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// Slack's link syntax: <url|text>, with &, < and > escaped
+function slackEscape(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function slackMessage(payload) {
+  const { event, bookmark, actor, workspace } = payload;
+  if (event === TEST_EVENT) {
+    return "👋 Test message from Smart Bookmarks — this webhook works.";
+  }
+
+  const link = `<${slackEscape(bookmark.url)}|${slackEscape(bookmark.title || bookmark.url)}>`;
+  const verb =
+    event === "bookmark.created"
+      ? "added"
+      : event === "bookmark.updated"
+        ? "updated"
+        : "deleted";
+  const who = actor?.email ? `${slackEscape(actor.email)} ${verb}` : `Bookmark ${verb}:`;
+  const where = workspace ? ` in *${slackEscape(workspace.name)}*` : "";
+
+  const lines = [`🔖 ${who} ${link}${where}`];
+  if (event !== "bookmark.deleted" && bookmark.notes) {
+    lines.push(`> ${slackEscape(bookmark.notes).replace(/\n/g, "\n> ")}`);
+  }
+  return lines.join("\n");
+}
+
+// The request body for a delivery in the webhook's format
+export function webhookBody(format, delivery) {
+  const payload = { id: delivery.id, ...delivery.payload };
+  if (format === "slack") {
+    return JSON.stringify({ text: slackMessage(payload), unfurl_links: false });
+  }
+  return JSON.stringify(payload);
+}
+
+// The payload of a test delivery
+export function testPayload(webhook) {
+  return {
+    event: TEST_EVENT,
+    occurred_at: new Date().toISOString(),
+    webhook: { id: webhook.id, name: webhook.name },
+  };
+}
+
+// Browser-only: have the server send the deliveries that are due (see
+// /api/webhooks/dispatch). Call it once after changing bookmarks; it
+// doesn't wait for the answer, and the request outlives the page (so a
+// popup can close right after).
+export function sendQueuedWebhooks() {
+  fetch("/api/webhooks/dispatch", { method: "POST", keepalive: true }).catch(
+    (err) => console.error("Failed to send webhooks:", err.message)
+  );
+}
@@ -3,9 +3,11 @@
 // 1. Refresh the Supabase session token if expired
 // 2. Redirect unauthenticated users away from protected pages
 // 3. Redirect authenticated users away from the login page
+// Public pages (shared lists at /s/...) and the token-authenticated REST
+// API (/api/v1/...) pass straight through.
 //
 // The "matcher" at the bottom tells Next.js which routes this applies to.
-// We exclude static files, images, and favicon.
+// We exclude static files, images, favicon and the service worker script.
 
 import { updateSession } from "@/lib/supabase/middleware";
 
@@ -16,6 +18,6 @@ export async function middleware(request) {
 export const config = {
   matcher: [
     // Run middleware on all routes EXCEPT static files and images
-    "/((?!_next/static|_next/image|favicon.ico|.*\\.(?:svg|png|jpg|jpeg|gif|webp)$).*)",
+    "/((?!_next/static|_next/image|favicon.ico|sw.js|.*\\.(?:svg|png|jpg|jpeg|gif|webp)$).*)",
   ],
 };
@@ -38,3 +38,2752 @@ create policy "Users can delete their own bookmarks"
 -- 6) Enable Realtime on the bookmarks table
 --    This is what powers the "updates in real-time across tabs" feature.
 alter publication supabase_realtime add table public.bookmarks;
+
+-- ===========================================
+-- TAGS (many-to-many with bookmarks)
+-- ===========================================
+
+-- 7) Create the tags table
+--    Tag names are unique per user, so "react" is only stored once.
+create table public.tags (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  name text not null,
+  created_at timestamp with time zone default now() not null,
+  unique (user_id, name)
+);
+
+-- 8) Create the join table linking bookmarks to tags
+--    user_id is stored here too so RLS can check ownership without a join.
+create table public.bookmark_tags (
+  bookmark_id uuid references public.bookmarks(id) on delete cascade not null,
+  tag_id uuid references public.tags(id) on delete cascade not null,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  created_at timestamp with time zone default now() not null,
+  primary key (bookmark_id, tag_id)
+);
+
+create index bookmark_tags_tag_id_idx on public.bookmark_tags (tag_id);
+
+-- 9) Enable RLS on both tables
+alter table public.tags enable row level security;
+alter table public.bookmark_tags enable row level security;
+
+-- 10) Policies: same per-user rules as bookmarks
+create policy "Users can view their own tags"
+  on public.tags
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can insert their own tags"
+  on public.tags
+  for insert
+  with check (auth.uid() = user_id);
+
+-- Needed because the app upserts tags (insert ... on conflict do update)
+create policy "Users can update their own tags"
+  on public.tags
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete their own tags"
+  on public.tags
+  for delete
+  using (auth.uid() = user_id);
+
+create policy "Users can view their own bookmark tags"
+  on public.bookmark_tags
+  for select
+  using (auth.uid() = user_id);
+
+-- Both the bookmark and the tag must belong to the user as well
+create policy "Users can tag their own bookmarks"
+  on public.bookmark_tags
+  for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.bookmarks b
+      where b.id = bookmark_id and b.user_id = auth.uid()
+    )
+    and exists (
+      select 1 from public.tags t
+      where t.id = tag_id and t.user_id = auth.uid()
+    )
+  );
+
+create policy "Users can untag their own bookmarks"
+  on public.bookmark_tags
+  for delete
+  using (auth.uid() = user_id);
+
+-- 11) Enable Realtime so tag changes sync across tabs too
+alter publication supabase_realtime add table public.tags;
+alter publication supabase_realtime add table public.bookmark_tags;
+
+-- ===========================================
+-- FULL-TEXT SEARCH
+-- ===========================================
+
+-- 12) Free-form notes on each bookmark (searchable)
+alter table public.bookmarks add column notes text;
+
+-- 13) Generated search vector over title, URL and notes
+--    The URL has its scheme stripped and its punctuation turned into spaces
+--    so "https://github.com/vercel/next.js" indexes "github com vercel next js".
+--    Weights rank title matches above URL matches above notes matches.
+alter table public.bookmarks add column search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple',
+      regexp_replace(regexp_replace(url, '^[a-z][a-z0-9+.-]*://(www\.)?', '', 'i'), '[^[:alnum:]]+', ' ', 'g')
+    ), 'B') ||
+    setweight(to_tsvector('english', coalesce(notes, '')), 'C')
+  ) stored;
+
+create index bookmarks_search_vector_idx on public.bookmarks using gin (search_vector);
+
+-- 14) Ranked search function, called from /api/search
+--    search_query is a tsquery string built by the app (e.g. "reac:* & doc:*").
+--    It is "security invoker" so RLS still limits results to the caller's rows.
+create or replace function public.search_bookmarks(search_query text, max_results int default 20)
+returns table (id uuid, rank real)
+language sql
+stable
+security invoker
+as $$
+  select b.id, ts_rank(b.search_vector, q) as rank
+  from public.bookmarks b,
+       to_tsquery('english', search_query) q
+  where b.search_vector @@ q
+  order by rank desc, b.created_at desc
+  limit least(max_results, 50);
+$$;
+
+-- ===========================================
+-- EDITING
+-- ===========================================
+
+-- 15) Track when each bookmark was last changed
+--    The app also uses this for conflict detection: an edit only applies
+--    if the row still has the updated_at the editor started from.
+alter table public.bookmarks
+  add column updated_at timestamp with time zone default now() not null;
+
+-- 16) Keep updated_at current on every UPDATE
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+create trigger bookmarks_set_updated_at
+  before update on public.bookmarks
+  for each row
+  execute function public.set_updated_at();
+
+-- 17) Policy: Users can only UPDATE their own bookmarks
+--    (and can't hand a bookmark over to someone else)
+create policy "Users can update their own bookmarks"
+  on public.bookmarks
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- ===========================================
+-- PAGE METADATA
+-- ===========================================
+
+-- 18) Details fetched from the page when a bookmark is added
+--    (filled in by /api/metadata; all optional)
+alter table public.bookmarks
+  add column description text,
+  add column image_url text,
+  add column favicon_url text;
+
+-- ===========================================
+-- IMPORT
+-- ===========================================
+
+-- 19) Where an imported bookmark lived in the browser it came from,
+--    e.g. "Bookmarks bar/Dev/React". Null for bookmarks added in the app.
+--    (Imports also set created_at to the browser's original "added" date.)
+alter table public.bookmarks add column folder_path text;
+
+-- ===========================================
+-- COLLECTIONS (nested folders) AND MANUAL ORDERING
+-- ===========================================
+
+-- 20) Create the collections table
+--    parent_id makes collections nest; deleting a collection deletes its
+--    sub-collections too. position orders siblings.
+create table public.collections (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  parent_id uuid references public.collections(id) on delete cascade,
+  name text not null,
+  position double precision default 0 not null,
+  created_at timestamp with time zone default now() not null,
+  updated_at timestamp with time zone default now() not null
+);
+
+create index collections_user_id_idx on public.collections (user_id);
+create index collections_parent_id_idx on public.collections (parent_id);
+
+create trigger collections_set_updated_at
+  before update on public.collections
+  for each row
+  execute function public.set_updated_at();
+
+-- 21) Stop a collection from being moved inside itself (directly or through
+--    one of its descendants), which would make a loop
+create or replace function public.prevent_collection_cycles()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.parent_id is not null and exists (
+    with recursive ancestors as (
+      select id, parent_id from public.collections where id = new.parent_id
+      union all
+      select c.id, c.parent_id
+      from public.collections c
+      join ancestors a on c.id = a.parent_id
+    )
+    select 1 from ancestors where id = new.id
+  ) then
+    raise exception 'A collection cannot be moved inside itself';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger collections_prevent_cycles
+  before insert or update of parent_id on public.collections
+  for each row
+  execute function public.prevent_collection_cycles();
+
+-- 22) Bookmarks can live in one collection, in a user-defined order.
+--    Deleting a collection moves its bookmarks back to "no collection".
+--    position is a float so a dragged bookmark can be placed between two
+--    others without renumbering the rest.
+alter table public.bookmarks
+  add column collection_id uuid references public.collections(id) on delete set null,
+  add column position double precision;
+
+create index bookmarks_collection_position_idx
+  on public.bookmarks (collection_id, position);
+
+-- 23) RLS: collections are private per user, like bookmarks.
+--    A parent collection must belong to the same user.
+alter table public.collections enable row level security;
+
+create policy "Users can view their own collections"
+  on public.collections
+  for select
+  using (auth.uid() = user_id);
+
+-- (Inside the subqueries, a bare parent_id would mean p.parent_id: the row
+-- being written is referred to as collections.)
+create policy "Users can insert their own collections"
+  on public.collections
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (
+      parent_id is null
+      or exists (
+        select 1 from public.collections p
+        where p.id = collections.parent_id and p.user_id = auth.uid()
+      )
+    )
+  );
+
+create policy "Users can update their own collections"
+  on public.collections
+  for update
+  using (auth.uid() = user_id)
+  with check (
+    auth.uid() = user_id
+    and (
+      parent_id is null
+      or exists (
+        select 1 from public.collections p
+        where p.id = collections.parent_id and p.user_id = auth.uid()
+      )
+    )
+  );
+
+create policy "Users can delete their own collections"
+  on public.collections
+  for delete
+  using (auth.uid() = user_id);
+
+-- 24) Enable Realtime so collection changes (and re-ordering, which is an
+--    UPDATE on bookmarks) sync across tabs
+alter publication supabase_realtime add table public.collections;
+
+-- ===========================================
+-- SHARED WORKSPACES (team bookmarks with roles)
+-- ===========================================
+-- A workspace is a shared space with its own bookmarks and collections.
+-- Members have a role:
+--   owner  — everything, plus managing members and invitations
+--   editor — add, edit, reorder and delete bookmarks and collections
+--   viewer — read only
+-- Bookmarks/collections with workspace_id = null stay private to their user.
+
+-- 25) Workspaces, members and invitations
+create table public.workspaces (
+  id uuid default gen_random_uuid() primary key,
+  name text not null,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamp with time zone default now() not null
+);
+
+create table public.workspace_members (
+  workspace_id uuid references public.workspaces(id) on delete cascade not null,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  role text not null check (role in ('owner', 'editor', 'viewer')),
+  -- Copied from the user's login so teammates can see who's who
+  email text,
+  created_at timestamp with time zone default now() not null,
+  primary key (workspace_id, user_id)
+);
+
+create index workspace_members_user_id_idx on public.workspace_members (user_id);
+
+create table public.workspace_invites (
+  id uuid default gen_random_uuid() primary key,
+  workspace_id uuid references public.workspaces(id) on delete cascade not null,
+  email text not null,
+  role text not null check (role in ('editor', 'viewer')),
+  -- Secret part of the accept link (/invite/accept?token=...)
+  token text not null unique default encode(extensions.gen_random_bytes(32), 'hex'),
+  invited_by uuid references auth.users(id) on delete set null,
+  created_at timestamp with time zone default now() not null,
+  expires_at timestamp with time zone default now() + interval '14 days' not null,
+  accepted_at timestamp with time zone
+);
+
+-- 26) Role lookups used by the policies below.
+--    "security definer" lets them read workspace_members without going
+--    through its own RLS (which would otherwise recurse).
+create or replace function public.workspace_role(ws uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.workspace_members
+  where workspace_id = ws and user_id = auth.uid();
+$$;
+
+create or replace function public.is_workspace_member(ws uuid)
+returns boolean
+language sql
+stable
+as $$
+  select public.workspace_role(ws) is not null;
+$$;
+
+create or replace function public.can_edit_workspace(ws uuid)
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(public.workspace_role(ws) in ('owner', 'editor'), false);
+$$;
+
+create or replace function public.is_workspace_owner(ws uuid)
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(public.workspace_role(ws) = 'owner', false);
+$$;
+
+-- 27) Whoever creates a workspace becomes its first owner
+create or replace function public.add_workspace_creator()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.workspace_members (workspace_id, user_id, role, email)
+  values (new.id, new.created_by, 'owner', auth.jwt() ->> 'email');
+  return new;
+end;
+$$;
+
+create trigger workspaces_add_creator
+  after insert on public.workspaces
+  for each row
+  execute function public.add_workspace_creator();
+
+-- 28) A workspace must always keep at least one owner
+create or replace function public.keep_workspace_owner()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.role = 'owner'
+    and (tg_op = 'DELETE' or new.role <> 'owner')
+    and exists (select 1 from public.workspaces where id = old.workspace_id)
+    and not exists (
+      select 1 from public.workspace_members
+      where workspace_id = old.workspace_id
+        and role = 'owner'
+        and user_id <> old.user_id
+    )
+  then
+    raise exception 'A workspace needs at least one owner';
+  end if;
+  return coalesce(new, old);
+end;
+$$;
+
+create trigger workspace_members_keep_owner
+  before update or delete on public.workspace_members
+  for each row
+  execute function public.keep_workspace_owner();
+
+-- 29) Accepting an invitation (called from /invite/accept).
+--    Checks the token, expiry and that the invite was sent to the signed-in
+--    user's email, then adds them as a member. Returns the workspace id.
+create or replace function public.accept_workspace_invite(invite_token text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invite public.workspace_invites;
+begin
+  if auth.uid() is null then
+    raise exception 'Not signed in';
+  end if;
+
+  select * into invite from public.workspace_invites
+  where token = invite_token
+  for update;
+
+  if invite is null or invite.accepted_at is not null or invite.expires_at < now() then
+    raise exception 'This invitation is invalid or has expired';
+  end if;
+
+  if lower(invite.email) <> lower(auth.jwt() ->> 'email') then
+    raise exception 'This invitation was sent to a different email address';
+  end if;
+
+  -- Already a member? Keep the higher of the two roles.
+  insert into public.workspace_members (workspace_id, user_id, role, email)
+  values (invite.workspace_id, auth.uid(), invite.role, auth.jwt() ->> 'email')
+  on conflict (workspace_id, user_id) do update
+    set role = case
+      when public.workspace_members.role in ('owner', 'editor') then public.workspace_members.role
+      else excluded.role
+    end;
+
+  update public.workspace_invites set accepted_at = now() where id = invite.id;
+
+  return invite.workspace_id;
+end;
+$$;
+
+-- 30) RLS for the workspace tables
+alter table public.workspaces enable row level security;
+alter table public.workspace_members enable row level security;
+alter table public.workspace_invites enable row level security;
+
+create policy "Members can view their workspaces"
+  on public.workspaces
+  for select
+  using (public.is_workspace_member(id) or created_by = auth.uid());
+
+create policy "Users can create workspaces"
+  on public.workspaces
+  for insert
+  with check (created_by = auth.uid());
+
+create policy "Owners can update their workspaces"
+  on public.workspaces
+  for update
+  using (public.is_workspace_owner(id));
+
+create policy "Owners can delete their workspaces"
+  on public.workspaces
+  for delete
+  using (public.is_workspace_owner(id));
+
+create policy "Members can view their teammates"
+  on public.workspace_members
+  for select
+  using (public.is_workspace_member(workspace_id));
+
+-- Members are only ever added by the two security definer functions above
+create policy "Owners can change member roles"
+  on public.workspace_members
+  for update
+  using (public.is_workspace_owner(workspace_id))
+  with check (public.is_workspace_owner(workspace_id));
+
+create policy "Owners can remove members and members can leave"
+  on public.workspace_members
+  for delete
+  using (public.is_workspace_owner(workspace_id) or user_id = auth.uid());
+
+create policy "Owners can view invitations"
+  on public.workspace_invites
+  for select
+  using (public.is_workspace_owner(workspace_id));
+
+create policy "Owners can create invitations"
+  on public.workspace_invites
+  for insert
+  with check (public.is_workspace_owner(workspace_id) and invited_by = auth.uid());
+
+create policy "Owners can revoke invitations"
+  on public.workspace_invites
+  for delete
+  using (public.is_workspace_owner(workspace_id));
+
+-- 31) Bookmarks and collections can belong to a workspace
+alter table public.bookmarks
+  add column workspace_id uuid references public.workspaces(id) on delete cascade;
+alter table public.collections
+  add column workspace_id uuid references public.workspaces(id) on delete cascade;
+
+create index bookmarks_workspace_id_idx on public.bookmarks (workspace_id);
+create index collections_workspace_id_idx on public.collections (workspace_id);
+
+-- 32) Rewrite the bookmark policies: private bookmarks are still only
+--    visible to their owner; workspace bookmarks are visible to every member
+--    and writable by owners and editors.
+drop policy "Users can view their own bookmarks" on public.bookmarks;
+drop policy "Users can insert their own bookmarks" on public.bookmarks;
+drop policy "Users can update their own bookmarks" on public.bookmarks;
+drop policy "Users can delete their own bookmarks" on public.bookmarks;
+
+create policy "Users can view their own or workspace bookmarks"
+  on public.bookmarks
+  for select
+  using (
+    (workspace_id is null and auth.uid() = user_id)
+    or (workspace_id is not null and public.is_workspace_member(workspace_id))
+  );
+
+create policy "Users can insert their own or workspace bookmarks"
+  on public.bookmarks
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (workspace_id is null or public.can_edit_workspace(workspace_id))
+  );
+
+create policy "Users can update their own or workspace bookmarks"
+  on public.bookmarks
+  for update
+  using (
+    (workspace_id is null and auth.uid() = user_id)
+    or (workspace_id is not null and public.can_edit_workspace(workspace_id))
+  )
+  with check (
+    (workspace_id is null and auth.uid() = user_id)
+    or (workspace_id is not null and public.can_edit_workspace(workspace_id))
+  );
+
+create policy "Users can delete their own or workspace bookmarks"
+  on public.bookmarks
+  for delete
+  using (
+    (workspace_id is null and auth.uid() = user_id)
+    or (workspace_id is not null and public.can_edit_workspace(workspace_id))
+  );
+
+-- The update policy only sees the new row, so on its own it would let an
+-- editor turn a teammate's workspace bookmark into a private one of their
+-- own (workspace_id null, user_id theirs), taking it away from everyone
+-- else. A bookmark stays in the space it was added to, with the same
+-- owner; nothing in the app moves bookmarks between spaces.
+create or replace function public.keep_bookmark_space()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.workspace_id is distinct from old.workspace_id
+    or new.user_id is distinct from old.user_id
+  then
+    raise exception 'A bookmark can''t be moved to another space or owner'
+      using errcode = 'insufficient_privilege';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger bookmarks_keep_space
+  before update of workspace_id, user_id on public.bookmarks
+  for each row
+  execute function public.keep_bookmark_space();
+
+-- Tagging follows the bookmark rules too: anyone who can edit a bookmark
+-- can tag it (with their own tags), not just whoever added it.
+drop policy "Users can tag their own bookmarks" on public.bookmark_tags;
+
+create policy "Users can tag bookmarks they can edit"
+  on public.bookmark_tags
+  for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.bookmarks b
+      where b.id = bookmark_id
+        and (
+          (b.workspace_id is null and b.user_id = auth.uid())
+          or (b.workspace_id is not null and public.can_edit_workspace(b.workspace_id))
+        )
+    )
+    and exists (
+      select 1 from public.tags t
+      where t.id = tag_id and t.user_id = auth.uid()
+    )
+  );
+
+-- 33) Same rules for collections (a parent must be in the same space)
+drop policy "Users can view their own collections" on public.collections;
+drop policy "Users can insert their own collections" on public.collections;
+drop policy "Users can update their own collections" on public.collections;
+drop policy "Users can delete their own collections" on public.collections;
+
+create policy "Users can view their own or workspace collections"
+  on public.collections
+  for select
+  using (
+    (workspace_id is null and auth.uid() = user_id)
+    or (workspace_id is not null and public.is_workspace_member(workspace_id))
+  );
+
+create policy "Users can insert their own or workspace collections"
+  on public.collections
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (workspace_id is null or public.can_edit_workspace(workspace_id))
+    and (
+      parent_id is null
+      or exists (
+        select 1 from public.collections p
+        where p.id = collections.parent_id
+          and p.workspace_id is not distinct from collections.workspace_id
+      )
+    )
+  );
+
+create policy "Users can update their own or workspace collections"
+  on public.collections
+  for update
+  using (
+    (workspace_id is null and auth.uid() = user_id)
+    or (workspace_id is not null and public.can_edit_workspace(workspace_id))
+  )
+  with check (
+    (
+      (workspace_id is null and auth.uid() = user_id)
+      or (workspace_id is not null and public.can_edit_workspace(workspace_id))
+    )
+    and (
+      parent_id is null
+      or exists (
+        select 1 from public.collections p
+        where p.id = collections.parent_id
+          and p.workspace_id is not distinct from collections.workspace_id
+      )
+    )
+  );
+
+create policy "Users can delete their own or workspace collections"
+  on public.collections
+  for delete
+  using (
+    (workspace_id is null and auth.uid() = user_id)
+    or (workspace_id is not null and public.can_edit_workspace(workspace_id))
+  );
+
+-- 34) Activity log for workspace bookmarks: who added or removed what.
+--    Filled by a trigger (so it can't be forged from the client) and
+--    streamed to open dashboards over Realtime.
+create table public.bookmark_activity (
+  id uuid default gen_random_uuid() primary key,
+  workspace_id uuid references public.workspaces(id) on delete cascade not null,
+  bookmark_id uuid,
+  actor_id uuid references auth.users(id) on delete set null,
+  actor_email text,
+  action text not null check (action in ('added', 'removed')),
+  title text,
+  url text,
+  created_at timestamp with time zone default now() not null
+);
+
+create index bookmark_activity_workspace_idx
+  on public.bookmark_activity (workspace_id, created_at desc);
+
+create or replace function public.log_bookmark_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  changed public.bookmarks := coalesce(new, old);
+begin
+  -- Skip bookmarks removed because their whole workspace is being deleted
+  if changed.workspace_id is not null
+    and exists (select 1 from public.workspaces where id = changed.workspace_id)
+  then
+    insert into public.bookmark_activity
+      (workspace_id, bookmark_id, actor_id, actor_email, action, title, url)
+    values (
+      changed.workspace_id,
+      changed.id,
+      auth.uid(),
+      auth.jwt() ->> 'email',
+      case when tg_op = 'INSERT' then 'added' else 'removed' end,
+      changed.title,
+      changed.url
+    );
+  end if;
+  return changed;
+end;
+$$;
+
+create trigger bookmarks_log_activity
+  after insert or delete on public.bookmarks
+  for each row
+  execute function public.log_bookmark_activity();
+
+alter table public.bookmark_activity enable row level security;
+
+create policy "Members can view their workspace activity"
+  on public.bookmark_activity
+  for select
+  using (public.is_workspace_member(workspace_id));
+
+-- 35) Realtime for membership changes and the activity feed
+alter publication supabase_realtime add table public.workspace_members;
+alter publication supabase_realtime add table public.bookmark_activity;
+
+-- 36) Search within one space: in_workspace = null searches the caller's
+--    private bookmarks, otherwise that workspace's bookmarks.
+--    (Replaces the two-argument version from step 14.)
+drop function public.search_bookmarks(text, int);
+
+create or replace function public.search_bookmarks(
+  search_query text,
+  max_results int default 20,
+  in_workspace uuid default null
+)
+returns table (id uuid, rank real)
+language sql
+stable
+security invoker
+as $$
+  select b.id, ts_rank(b.search_vector, q) as rank
+  from public.bookmarks b,
+       to_tsquery('english', search_query) q
+  where b.search_vector @@ q
+    and (
+      (in_workspace is null and b.workspace_id is null and b.user_id = auth.uid())
+      or b.workspace_id = in_workspace
+    )
+  order by rank desc, b.created_at desc
+  limit least(max_results, 50);
+$$;
+
+-- ===========================================
+-- PUBLIC SHARE LINKS
+-- ===========================================
+-- A share link publishes a hand-picked list of bookmarks at /s/<token>
+-- (plus RSS/Atom feeds of it) to anyone who has the link, no sign-in needed.
+-- Deleting the link revokes it; expires_at (optional) ends it automatically.
+
+-- 37) Share links and the bookmarks on each list
+create table public.share_links (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  -- Secret part of the public URL; 256 random bits, so it can't be guessed
+  token text not null unique default encode(extensions.gen_random_bytes(32), 'hex'),
+  title text not null,
+  description text,
+  expires_at timestamp with time zone,
+  created_at timestamp with time zone default now() not null
+);
+
+create index share_links_user_id_idx on public.share_links (user_id);
+
+create table public.share_link_bookmarks (
+  share_link_id uuid references public.share_links(id) on delete cascade not null,
+  bookmark_id uuid references public.bookmarks(id) on delete cascade not null,
+  -- Order of the bookmark on the shared list
+  position int not null default 0,
+  primary key (share_link_id, bookmark_id)
+);
+
+-- 38) RLS: only the creator can see and manage their links.
+--    A bookmark can only be put on a list by someone who can see it
+--    (the subquery on bookmarks goes through the bookmarks' own RLS).
+alter table public.share_links enable row level security;
+alter table public.share_link_bookmarks enable row level security;
+
+create policy "Users can view their own share links"
+  on public.share_links
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can create their own share links"
+  on public.share_links
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update their own share links"
+  on public.share_links
+  for update
+  using (auth.uid() = user_id);
+
+create policy "Users can delete their own share links"
+  on public.share_links
+  for delete
+  using (auth.uid() = user_id);
+
+create policy "Users can view bookmarks on their share links"
+  on public.share_link_bookmarks
+  for select
+  using (
+    exists (
+      select 1 from public.share_links l
+      where l.id = share_link_id and l.user_id = auth.uid()
+    )
+  );
+
+create policy "Users can add visible bookmarks to their share links"
+  on public.share_link_bookmarks
+  for insert
+  with check (
+    exists (
+      select 1 from public.share_links l
+      where l.id = share_link_id and l.user_id = auth.uid()
+    )
+    and exists (select 1 from public.bookmarks b where b.id = bookmark_id)
+  );
+
+create policy "Users can remove bookmarks from their share links"
+  on public.share_link_bookmarks
+  for delete
+  using (
+    exists (
+      select 1 from public.share_links l
+      where l.id = share_link_id and l.user_id = auth.uid()
+    )
+  );
+
+-- 39) Public read access, used by /s/<token> and its feeds.
+--    Visitors never touch the tables directly: these "security definer"
+--    functions look a list up by its token and return only the shared
+--    bookmarks, and only a few public columns of them (no notes, no owner).
+create or replace function public.get_share_link(share_token text)
+returns table (
+  title text,
+  description text,
+  created_at timestamp with time zone,
+  expires_at timestamp with time zone
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select l.title, l.description, l.created_at, l.expires_at
+  from public.share_links l
+  where l.token = share_token
+    and (l.expires_at is null or l.expires_at > now());
+$$;
+
+create or replace function public.get_shared_bookmarks(share_token text)
+returns table (
+  id uuid,
+  title text,
+  url text,
+  description text,
+  favicon_url text,
+  created_at timestamp with time zone
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select b.id, b.title, b.url, b.description, b.favicon_url, b.created_at
+  from public.share_links l
+  join public.share_link_bookmarks s on s.share_link_id = l.id
+  join public.bookmarks b on b.id = s.bookmark_id
+  where l.token = share_token
+    and (l.expires_at is null or l.expires_at > now())
+  order by s.position, b.created_at desc;
+$$;
+
+grant execute on function public.get_share_link(text) to anon, authenticated;
+grant execute on function public.get_shared_bookmarks(text) to anon, authenticated;
+
+-- ===========================================
+-- LINK HEALTH (dead-link checker)
+-- ===========================================
+-- /api/link-check (on demand) and /api/cron/link-check (daily) request each
+-- bookmark's URL and store the result here. The app turns these into
+-- "broken" / "redirected" badges (see src/lib/link-health.js).
+
+-- 40) Result of the last check. link_error is set instead of link_status
+--    when no HTTP response came back at all ("timeout", "network", ...).
+alter table public.bookmarks
+  add column link_status int,
+  add column link_final_url text,
+  add column link_error text,
+  add column link_checked_at timestamp with time zone;
+
+-- The checkers pick the links that haven't been checked for the longest
+create index bookmarks_link_checked_at_idx
+  on public.bookmarks (link_checked_at nulls first);
+
+-- 41) Recording a check result is not an edit: keep updated_at as it was,
+--    so a check finishing doesn't look like a conflicting edit to an open
+--    editor. Any other change still bumps updated_at as before.
+create or replace function public.set_bookmark_updated_at()
+returns trigger
+language plpgsql
+as $$
+declare
+  -- search_vector is generated after BEFORE triggers run, so it isn't
+  -- comparable here; it only changes when title/url/notes do anyway
+  check_columns text[] := array[
+    'link_status', 'link_final_url', 'link_error', 'link_checked_at',
+    'updated_at', 'search_vector'
+  ];
+begin
+  if (to_jsonb(new) - check_columns) = (to_jsonb(old) - check_columns) then
+    new.updated_at = old.updated_at;
+  else
+    new.updated_at = now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger bookmarks_set_updated_at on public.bookmarks;
+
+create trigger bookmarks_set_updated_at
+  before update on public.bookmarks
+  for each row
+  execute function public.set_bookmark_updated_at();
+
+-- ===========================================
+-- REST API (personal access tokens)
+-- ===========================================
+-- Scripts and browser extensions call /api/v1/... with
+-- "Authorization: Bearer sbk_...". Users create and revoke their tokens on
+-- /settings/tokens. The API looks tokens up with the service role key
+-- (there's no session cookie), so it filters every query by the token's
+-- user itself.
+
+-- 42) Personal access tokens. Only a SHA-256 hash of each token is stored;
+--    the token itself is shown to the user once, when it's created.
+create table public.api_tokens (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references auth.users(id) on delete cascade not null,
+  name text not null,
+  token_hash text not null unique,
+  -- First characters of the token, so users can tell their tokens apart
+  token_prefix text not null,
+  scopes text[] not null
+    check (cardinality(scopes) > 0 and scopes <@ array['read', 'write']),
+  expires_at timestamp with time zone,
+  last_used_at timestamp with time zone,
+  created_at timestamp with time zone default now() not null
+);
+
+create index api_tokens_user_id_idx on public.api_tokens (user_id);
+
+-- 43) RLS: users see, create and revoke (delete) their own tokens
+alter table public.api_tokens enable row level security;
+
+create policy "Users can view their own API tokens"
+  on public.api_tokens
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can create their own API tokens"
+  on public.api_tokens
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can revoke their own API tokens"
+  on public.api_tokens
+  for delete
+  using (auth.uid() = user_id);
+
+-- 44) Per-token rate limiting (fixed window).
+--    use_api_token() checks a token hash, counts the request against the
+--    token's current window and records last_used_at, all in one call.
+--    Only the service role may call it; the table has no policies at all.
+create table public.api_rate_limits (
+  token_id uuid references public.api_tokens(id) on delete cascade primary key,
+  window_start timestamp with time zone not null,
+  request_count int not null
+);
+
+alter table public.api_rate_limits enable row level security;
+
+create or replace function public.use_api_token(
+  token_hash_input text,
+  max_requests int,
+  window_seconds int
+)
+returns table (
+  token_id uuid,
+  user_id uuid,
+  scopes text[],
+  allowed boolean,
+  remaining int,
+  reset_at timestamp with time zone
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  token public.api_tokens;
+  bucket public.api_rate_limits;
+  window_length interval := make_interval(secs => window_seconds);
+begin
+  select * into token from public.api_tokens t
+  where t.token_hash = token_hash_input
+    and (t.expires_at is null or t.expires_at > now());
+
+  -- Unknown, revoked or expired token: no row
+  if not found then
+    return;
+  end if;
+
+  insert into public.api_rate_limits as r (token_id, window_start, request_count)
+  values (token.id, now(), 1)
+  on conflict (token_id) do update
+    set window_start = case
+          when r.window_start <= now() - window_length then now()
+          else r.window_start
+        end,
+        request_count = case
+          when r.window_start <= now() - window_length then 1
+          else r.request_count + 1
+        end
+  returning * into bucket;
+
+  update public.api_tokens set last_used_at = now() where id = token.id;
+
+  return query select
+    token.id,
+    token.user_id,
+    token.scopes,
+    bucket.request_count <= max_requests,
+    greatest(max_requests - bucket.request_count, 0),
+    bucket.window_start + window_length;
+end;
+$$;
+
+revoke execute on function public.use_api_token(text, int, int) from public, anon, authenticated;
+grant execute on function public.use_api_token(text, int, int) to service_role;
+
+-- ===========================================
+-- DUPLICATE DETECTION
+-- ===========================================
+-- The same page saved twice often looks different: a trailing slash,
+-- utm_* parameters, http vs https, www. or not. The app normalizes every
+-- URL it saves (src/lib/normalize-url.js) into canonical_url, warns when
+-- adding a link that's already saved, and lists existing duplicates on
+-- /duplicates so they can be merged.
+
+-- 45) The normalized URL, used only to compare bookmarks.
+--    Rows saved before this column existed are filled in by the app
+--    (see set_canonical_urls below).
+alter table public.bookmarks
+  add column canonical_url text;
+
+create index bookmarks_user_canonical_url_idx
+  on public.bookmarks (user_id, canonical_url);
+
+-- 46) Filling in canonical_url isn't an edit either (see 41)
+create or replace function public.set_bookmark_updated_at()
+returns trigger
+language plpgsql
+as $$
+declare
+  -- search_vector is generated after BEFORE triggers run, so it isn't
+  -- comparable here; it only changes when title/url/notes do anyway
+  check_columns text[] := array[
+    'link_status', 'link_final_url', 'link_error', 'link_checked_at',
+    'canonical_url', 'updated_at', 'search_vector'
+  ];
+begin
+  if (to_jsonb(new) - check_columns) = (to_jsonb(old) - check_columns) then
+    new.updated_at = old.updated_at;
+  else
+    new.updated_at = now();
+  end if;
+  return new;
+end;
+$$;
+
+-- 47) Backfill canonical_url for many bookmarks in one request.
+--    updates is a JSON array of { "id": ..., "canonical_url": ... }.
+--    security invoker: RLS still decides which rows the caller may update.
+create or replace function public.set_canonical_urls(updates jsonb)
+returns void
+language sql
+security invoker
+as $$
+  update public.bookmarks b
+  set canonical_url = u.canonical_url
+  from jsonb_to_recordset(updates) as u(id uuid, canonical_url text)
+  where b.id = u.id;
+$$;
+
+-- 48) Merge duplicates into one bookmark, all in one transaction.
+--    keep_id survives; it gets merged_title, the earliest created_at of the
+--    group, every tag and share list the others were on, their notes
+--    appended to its own, and their collection/preview details if it has
+--    none. The other bookmarks are then deleted.
+--    Only the caller's own private bookmarks can be merged.
+create or replace function public.merge_bookmarks(
+  keep_id uuid,
+  merge_ids uuid[],
+  merged_title text
+)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  ids uuid[] := array_append(array_remove(merge_ids, keep_id), keep_id);
+  merged_notes text;
+begin
+  if cardinality(ids) < 2 then
+    raise exception 'Pick at least two bookmarks to merge';
+  end if;
+
+  if (
+    select count(*) from bookmarks
+    where id = any(ids) and user_id = auth.uid() and workspace_id is null
+  ) <> cardinality(ids) then
+    raise exception 'Bookmarks not found';
+  end if;
+
+  -- Each distinct note once: the kept bookmark's first, then oldest first
+  select string_agg(notes, E'\n\n' order by is_other, created_at)
+  into merged_notes
+  from (
+    select distinct on (trim(notes))
+      trim(notes) as notes, id <> keep_id as is_other, created_at
+    from bookmarks
+    where id = any(ids) and coalesce(trim(notes), '') <> ''
+    order by trim(notes), id <> keep_id, created_at
+  ) n;
+
+  insert into bookmark_tags (bookmark_id, tag_id, user_id)
+  select keep_id, tag_id, user_id
+  from bookmark_tags
+  where bookmark_id = any(ids) and bookmark_id <> keep_id
+  on conflict do nothing;
+
+  insert into share_link_bookmarks (share_link_id, bookmark_id, position)
+  select share_link_id, keep_id, min(position)
+  from share_link_bookmarks
+  where bookmark_id = any(ids) and bookmark_id <> keep_id
+  group by share_link_id
+  on conflict do nothing;
+
+  update bookmarks k
+  set
+    title = coalesce(nullif(trim(merged_title), ''), k.title),
+    notes = merged_notes,
+    created_at = g.created_at,
+    collection_id = coalesce(k.collection_id, g.collection_id),
+    description = coalesce(k.description, g.description),
+    image_url = coalesce(k.image_url, g.image_url),
+    favicon_url = coalesce(k.favicon_url, g.favicon_url)
+  from (
+    -- The oldest non-null value of each column across the group
+    select
+      min(created_at) as created_at,
+      (array_agg(collection_id order by created_at)
+        filter (where collection_id is not null))[1] as collection_id,
+      (array_agg(description order by created_at)
+        filter (where description is not null))[1] as description,
+      (array_agg(image_url order by created_at)
+        filter (where image_url is not null))[1] as image_url,
+      (array_agg(favicon_url order by created_at)
+        filter (where favicon_url is not null))[1] as favicon_url
+    from bookmarks
+    where id = any(ids)
+  ) g
+  where k.id = keep_id;
+
+  delete from bookmarks where id = any(ids) and id <> keep_id;
+end;
+$$;
+
+-- ===========================================
+-- TRASH (soft delete)
+-- ===========================================
+-- Deleting a bookmark only sets deleted_at, so it can be undone right away
+-- or restored later from /trash. Bookmarks stay in the trash for 30 days;
+-- after that /api/cron/purge-trash (daily, see vercel.json) deletes them
+-- for good. Users can also empty their trash themselves.
+--
+-- Every query that lists bookmarks filters on "deleted_at is null".
+
+-- 49) When the bookmark was moved to the trash (null = not deleted)
+alter table public.bookmarks
+  add column deleted_at timestamp with time zone;
+
+create index bookmarks_deleted_at_idx
+  on public.bookmarks (deleted_at)
+  where deleted_at is not null;
+
+-- 50) Search leaves out deleted bookmarks
+create or replace function public.search_bookmarks(
+  search_query text,
+  max_results int default 20,
+  in_workspace uuid default null
+)
+returns table (id uuid, rank real)
+language sql
+stable
+security invoker
+as $$
+  select b.id, ts_rank(b.search_vector, q) as rank
+  from public.bookmarks b,
+       to_tsquery('english', search_query) q
+  where b.search_vector @@ q
+    and b.deleted_at is null
+    and (
+      (in_workspace is null and b.workspace_id is null and b.user_id = auth.uid())
+      or b.workspace_id = in_workspace
+    )
+  order by rank desc, b.created_at desc
+  limit least(max_results, 50);
+$$;
+
+-- 51) So do public share links: a deleted bookmark disappears from every
+--    list it was shared on (and comes back if it's restored)
+create or replace function public.get_shared_bookmarks(share_token text)
+returns table (
+  id uuid,
+  title text,
+  url text,
+  description text,
+  favicon_url text,
+  created_at timestamp with time zone
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select b.id, b.title, b.url, b.description, b.favicon_url, b.created_at
+  from public.share_links l
+  join public.share_link_bookmarks s on s.share_link_id = l.id
+  join public.bookmarks b on b.id = s.bookmark_id
+  where l.token = share_token
+    and (l.expires_at is null or l.expires_at > now())
+    and b.deleted_at is null
+  order by s.position, b.created_at desc;
+$$;
+
+-- 52) Workspace activity: moving a bookmark to the trash counts as
+--    "removed" and restoring it as "restored". Purging it from the trash
+--    later isn't logged again.
+alter table public.bookmark_activity
+  drop constraint bookmark_activity_action_check;
+
+alter table public.bookmark_activity
+  add constraint bookmark_activity_action_check
+  check (action in ('added', 'removed', 'restored'));
+
+create or replace function public.log_bookmark_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  changed public.bookmarks := coalesce(new, old);
+  activity text;
+begin
+  if tg_op = 'INSERT' then
+    activity := 'added';
+  elsif tg_op = 'UPDATE' then
+    activity := case when new.deleted_at is null then 'restored' else 'removed' end;
+  elsif old.deleted_at is null then
+    activity := 'removed';
+  else
+    -- Already logged when it went to the trash
+    return changed;
+  end if;
+
+  -- Skip bookmarks removed because their whole workspace is being deleted
+  if changed.workspace_id is not null
+    and exists (select 1 from public.workspaces where id = changed.workspace_id)
+  then
+    insert into public.bookmark_activity
+      (workspace_id, bookmark_id, actor_id, actor_email, action, title, url)
+    values (
+      changed.workspace_id,
+      changed.id,
+      auth.uid(),
+      auth.jwt() ->> 'email',
+      activity,
+      changed.title,
+      changed.url
+    );
+  end if;
+  return changed;
+end;
+$$;
+
+create trigger bookmarks_log_trash_activity
+  after update of deleted_at on public.bookmarks
+  for each row
+  when (old.deleted_at is distinct from new.deleted_at)
+  execute function public.log_bookmark_activity();
+
+-- 53) Reading list: when a bookmark was read or archived (null = not
+--    yet), and an optional date to be reminded about it.
+--    Archived bookmarks drop out of the main list; the reading list shows
+--    the unread ones, oldest first. These live on the bookmark, so in a
+--    shared workspace they're shared by every member.
+alter table public.bookmarks
+  add column read_at timestamp with time zone,
+  add column archived_at timestamp with time zone,
+  add column remind_at timestamp with time zone;
+
+-- Reminders that are due: unread, not archived, remind_at in the past
+create index bookmarks_remind_at_idx
+  on public.bookmarks (user_id, remind_at)
+  where remind_at is not null and read_at is null and archived_at is null;
+
+-- 54) Marking a bookmark read or archived isn't an edit: it shouldn't make
+--    a tab that's editing the same bookmark report a conflict.
+create or replace function public.set_bookmark_updated_at()
+returns trigger
+language plpgsql
+as $$
+declare
+  -- search_vector is generated after BEFORE triggers run, so it isn't
+  -- comparable here; it only changes when title/url/notes do anyway
+  check_columns text[] := array[
+    'link_status', 'link_final_url', 'link_error', 'link_checked_at',
+    'canonical_url', 'read_at', 'archived_at', 'updated_at', 'search_vector'
+  ];
+begin
+  if (to_jsonb(new) - check_columns) = (to_jsonb(old) - check_columns) then
+    new.updated_at = old.updated_at;
+  else
+    new.updated_at = now();
+  end if;
+  return new;
+end;
+$$;
+
+-- 55) Page snapshots: a cleaned-up copy of a bookmarked page, kept in case
+--    the original disappears. The server fetches the page, extracts the
+--    readable article and stores it as sanitized HTML in the "snapshots"
+--    storage bucket (see 56); this table holds one row per bookmark with
+--    the outcome and the extracted text, which search covers too (57).
+--    user_id is whoever took the snapshot — the file lives in their folder.
+create table public.bookmark_snapshots (
+  bookmark_id uuid primary key references public.bookmarks (id) on delete cascade,
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  status text not null check (status in ('ok', 'failed')),
+  storage_path text,
+  final_url text,
+  title text,
+  byline text,
+  excerpt text,
+  text_content text,
+  word_count integer,
+  size_bytes integer,
+  error text,
+  created_at timestamp with time zone default now() not null,
+  search_vector tsvector generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(text_content, '')), 'D')
+  ) stored
+);
+
+create index bookmark_snapshots_search_vector_idx
+  on public.bookmark_snapshots using gin (search_vector);
+
+alter table public.bookmark_snapshots enable row level security;
+
+-- Anyone who can see the bookmark can read its snapshot
+create policy "Users can view snapshots of visible bookmarks"
+  on public.bookmark_snapshots
+  for select
+  using (exists (select 1 from public.bookmarks b where b.id = bookmark_id));
+
+-- Anyone who can edit the bookmark can take (or retake) its snapshot.
+-- The file must be the one snapshotPath() in src/lib/snapshot.js names:
+-- <user id>/<bookmark id>.html, in the snapshot taker's own folder. Any
+-- other path would let a row point at someone else's file, which the
+-- read policy in 56 would then open up, and 58 would queue for deletion.
+create policy "Users can snapshot bookmarks they can edit"
+  on public.bookmark_snapshots
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (storage_path is null or storage_path = user_id || '/' || bookmark_id || '.html')
+    and exists (
+      select 1 from public.bookmarks b
+      where b.id = bookmark_id
+        and (
+          (b.workspace_id is null and b.user_id = auth.uid())
+          or (b.workspace_id is not null and public.can_edit_workspace(b.workspace_id))
+        )
+    )
+  );
+
+create policy "Users can update snapshots of bookmarks they can edit"
+  on public.bookmark_snapshots
+  for update
+  using (
+    exists (
+      select 1 from public.bookmarks b
+      where b.id = bookmark_id
+        and (
+          (b.workspace_id is null and b.user_id = auth.uid())
+          or (b.workspace_id is not null and public.can_edit_workspace(b.workspace_id))
+        )
+    )
+  )
+  with check (
+    auth.uid() = user_id
+    and (storage_path is null or storage_path = user_id || '/' || bookmark_id || '.html')
+  );
+
+-- 56) The private "snapshots" bucket. Files are stored as
+--    <user id>/<bookmark id>.html, and each user can only write inside
+--    their own folder. Reading is allowed for your own folder, plus any
+--    file a snapshot row you can see points at (so workspace members can
+--    open snapshots other members took).
+insert into storage.buckets (id, name, public)
+values ('snapshots', 'snapshots', false)
+on conflict (id) do nothing;
+
+create policy "Users can read their own or visible snapshots"
+  on storage.objects
+  for select
+  to authenticated
+  using (
+    bucket_id = 'snapshots'
+    and (
+      (storage.foldername(name))[1] = auth.uid()::text
+      or exists (
+        select 1 from public.bookmark_snapshots s
+        where s.storage_path = storage.objects.name
+      )
+    )
+  );
+
+create policy "Users can upload snapshots to their own folder"
+  on storage.objects
+  for insert
+  to authenticated
+  with check (
+    bucket_id = 'snapshots'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+create policy "Users can replace snapshots in their own folder"
+  on storage.objects
+  for update
+  to authenticated
+  using (
+    bucket_id = 'snapshots'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+create policy "Users can delete snapshots in their own folder"
+  on storage.objects
+  for delete
+  to authenticated
+  using (
+    bucket_id = 'snapshots'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+-- 57) Search also looks inside snapshots. A match in the page's text
+--    ranks below a match in the bookmark's own title, URL or notes.
+create or replace function public.search_bookmarks(
+  search_query text,
+  max_results int default 20,
+  in_workspace uuid default null
+)
+returns table (id uuid, rank real)
+language sql
+stable
+security invoker
+as $$
+  select b.id,
+         greatest(
+           ts_rank(b.search_vector, q),
+           coalesce(ts_rank(s.search_vector, q), 0) * 0.5
+         )::real as rank
+  from public.bookmarks b
+  cross join to_tsquery('english', search_query) q
+  left join public.bookmark_snapshots s on s.bookmark_id = b.id
+  where (b.search_vector @@ q or s.search_vector @@ q)
+    and b.deleted_at is null
+    and (
+      (in_workspace is null and b.workspace_id is null and b.user_id = auth.uid())
+      or b.workspace_id = in_workspace
+    )
+  order by rank desc, b.created_at desc
+  limit least(max_results, 50);
+$$;
+
+-- 58) Snapshot files left behind. When a snapshot row goes away (its
+--    bookmark was deleted for good, or a workspace or account was) or
+--    points at a new file, the old file's path is queued here; the daily
+--    /api/cron/purge-trash job removes the files from storage. Only the
+--    service role reads this table (RLS on, no policies).
+create table public.snapshot_file_deletions (
+  storage_path text primary key,
+  queued_at timestamp with time zone default now() not null
+);
+
+alter table public.snapshot_file_deletions enable row level security;
+
+create or replace function public.queue_snapshot_file_deletion()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.storage_path is not null
+    and (tg_op = 'DELETE' or old.storage_path is distinct from new.storage_path)
+  then
+    insert into public.snapshot_file_deletions (storage_path)
+    values (old.storage_path)
+    on conflict (storage_path) do nothing;
+  end if;
+  return null;
+end;
+$$;
+
+create trigger bookmark_snapshots_queue_file_deletion
+  after update of storage_path or delete on public.bookmark_snapshots
+  for each row
+  execute function public.queue_snapshot_file_deletion();
+
+-- 59) Dashboard pages. The dashboard loads bookmarks a page at a time
+--    instead of all at once. dashboard_bookmarks() applies its filters
+--    (space, view, collection, tags, link health) and returns the page
+--    after a cursor: the sort key of the previous page's last row.
+--    - Newest first, by (created_at, id): the id breaks ties, so no row
+--      is skipped or repeated between pages
+--    - The reading list (in_view 'reading') keeps its own order — unread
+--      oldest first, then read ones most recently read first — so its
+--      cursor also carries read_at
+--    in_view: null = not archived, 'archived' = the archive, 'all' = both
+--    (for bulk actions). Tags are matched by name among the user's own
+--    tags, and a bookmark must have every one. page_size null = no limit
+--    (a collection is loaded whole: its manual order needs every row).
+--    Security invoker: RLS decides what's visible, as in search_bookmarks().
+create index bookmarks_personal_page_idx
+  on public.bookmarks (user_id, created_at desc, id desc)
+  where workspace_id is null and deleted_at is null;
+create index bookmarks_workspace_page_idx
+  on public.bookmarks (workspace_id, created_at desc, id desc)
+  where deleted_at is null;
+
+-- Mirrors getLinkHealth() in src/lib/link-health.js. Redirects are spotted
+-- by comparing the URLs as text, allowing for the "/" browsers add to a
+-- bare domain.
+create or replace function public.bookmark_link_health(b public.bookmarks)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when b.link_checked_at is null then 'unchecked'
+    when b.link_error is not null then
+      case when b.link_error in ('network', 'invalid_url', 'too_many_redirects')
+        then 'broken' else 'unknown' end
+    when b.link_status in (401, 403, 429) then 'unknown'
+    when b.link_status >= 400 then 'broken'
+    -- The checker stores the URL itself when the final one only differs
+    -- in spelling (see checkLink() in src/lib/link-check.js), so a text
+    -- comparison agrees with getLinkHealth() in src/lib/link-health.js
+    when b.link_final_url is not null
+      and b.link_final_url not in (b.url, b.url || '/') then 'redirected'
+    else 'ok'
+  end;
+$$;
+
+create or replace function public.dashboard_bookmarks(
+  in_workspace uuid default null,
+  in_view text default null,
+  in_collection uuid default null,
+  in_tags text[] default '{}',
+  in_health text default null,
+  after_created_at timestamptz default null,
+  after_id uuid default null,
+  after_read_at timestamptz default null,
+  page_size int default 50
+)
+returns setof public.bookmarks
+language sql
+stable
+security invoker
+as $$
+  select b.*
+  from public.bookmarks b
+  where b.deleted_at is null
+    and (
+      (in_workspace is null and b.workspace_id is null and b.user_id = auth.uid())
+      or b.workspace_id = in_workspace
+    )
+    and case in_view
+      when 'archived' then b.archived_at is not null
+      when 'all' then true
+      else b.archived_at is null
+    end
+    and (in_collection is null or b.collection_id = in_collection)
+    and (in_health is null or public.bookmark_link_health(b) = in_health)
+    and (
+      cardinality(in_tags) = 0
+      or (
+        select count(distinct t.name)
+        from public.bookmark_tags bt
+        join public.tags t on t.id = bt.tag_id
+        where bt.bookmark_id = b.id
+          and t.user_id = auth.uid()
+          and t.name = any(in_tags)
+      ) = cardinality(in_tags)
+    )
+    -- Only rows after the cursor
+    and (
+      after_id is null
+      or case
+        when in_view is distinct from 'reading' then
+          (b.created_at, b.id) < (after_created_at, after_id)
+        -- The last row was unread: later unread ones, then every read one
+        when after_read_at is null then
+          b.read_at is not null or (b.created_at, b.id) > (after_created_at, after_id)
+        else
+          b.read_at is not null and (b.read_at, b.id) < (after_read_at, after_id)
+      end
+    )
+  order by
+    -- Reading list: unread first, oldest first...
+    case when in_view = 'reading' then b.read_at is not null end,
+    case when in_view = 'reading' and b.read_at is null then b.created_at end,
+    case when in_view = 'reading' and b.read_at is null then b.id end,
+    -- ...then read ones, most recently read first
+    case when in_view = 'reading' then b.read_at end desc,
+    case when in_view = 'reading' then b.id end desc,
+    -- Everything else: newest first
+    b.created_at desc,
+    b.id desc
+  limit page_size;
+$$;
+
+-- 60) Sidebar counts. With only a page of bookmarks in the browser, the
+--    dashboard can't count them itself any more; this counts the whole
+--    space in one round trip: bookmarks in each reading view, per tag,
+--    per collection and per link health state.
+create or replace function public.dashboard_counts(in_workspace uuid default null)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with space as (
+    select b.id, b.read_at, b.archived_at, b.collection_id,
+           public.bookmark_link_health(b) as health
+    from public.bookmarks b
+    where b.deleted_at is null
+      and (
+        (in_workspace is null and b.workspace_id is null and b.user_id = auth.uid())
+        or b.workspace_id = in_workspace
+      )
+  )
+  select jsonb_build_object(
+    'all', (select count(*) from space where archived_at is null),
+    'unread', (select count(*) from space where archived_at is null and read_at is null),
+    'archived', (select count(*) from space where archived_at is not null),
+    'tags', coalesce((
+      select jsonb_object_agg(tag_id, n)
+      from (
+        select bt.tag_id, count(*) as n
+        from space s
+        join public.bookmark_tags bt on bt.bookmark_id = s.id
+        group by bt.tag_id
+      ) per_tag
+    ), '{}'::jsonb),
+    'collections', coalesce((
+      select jsonb_object_agg(collection_id, n)
+      from (
+        select collection_id, count(*) as n
+        from space
+        where collection_id is not null
+        group by collection_id
+      ) per_collection
+    ), '{}'::jsonb),
+    'health', coalesce((
+      select jsonb_object_agg(health, n)
+      from (select health, count(*) as n from space group by health) per_health
+    ), '{}'::jsonb)
+  );
+$$;
+
+-- ===========================================
+-- SORTING, GROUPING AND SMART VIEWS
+-- ===========================================
+
+-- 61) Columns to sort by.
+--    - visit_count / last_visited_at: how often and when the bookmark was
+--      last opened from the app
+--    - domain: the site's host name, lowercased and without "www.", for
+--      sorting and grouping by site (generated, so it follows url)
+alter table public.bookmarks
+  add column visit_count int default 0 not null,
+  add column last_visited_at timestamp with time zone,
+  add column domain text generated always as (
+    regexp_replace(
+      lower(substring(url from '^[A-Za-z][A-Za-z0-9+.-]*://(?:[^/?#@]*@)?([^/?#:]+)')),
+      '^www\.',
+      ''
+    )
+  ) stored;
+
+create index bookmarks_user_domain_idx on public.bookmarks (user_id, domain);
+
+--    Being opened isn't an edit either (see 54); domain is generated after
+--    BEFORE triggers run, like search_vector.
+create or replace function public.set_bookmark_updated_at()
+returns trigger
+language plpgsql
+as $$
+declare
+  check_columns text[] := array[
+    'link_status', 'link_final_url', 'link_error', 'link_checked_at',
+    'canonical_url', 'read_at', 'archived_at', 'updated_at', 'search_vector',
+    'visit_count', 'last_visited_at', 'domain'
+  ];
+begin
+  if (to_jsonb(new) - check_columns) = (to_jsonb(old) - check_columns) then
+    new.updated_at = old.updated_at;
+  else
+    new.updated_at = now();
+  end if;
+  return new;
+end;
+$$;
+
+-- 62) Smart views: saved filters, e.g. "domain is github.com AND title
+--    contains rfc AND added in the last 30 days". rules is a JSON array of
+--    { "field": ..., "value": ... } conditions that must all hold (see
+--    src/lib/smart-views.js for the fields). Each user has their own; they
+--    apply to whichever space is being viewed.
+create table public.smart_views (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references auth.users(id) on delete cascade not null
+    default auth.uid(),
+  name text not null,
+  rules jsonb default '[]'::jsonb not null
+    check (jsonb_typeof(rules) = 'array'),
+  created_at timestamp with time zone default now() not null,
+  updated_at timestamp with time zone default now() not null
+);
+
+create index smart_views_user_id_idx on public.smart_views (user_id);
+
+create trigger smart_views_set_updated_at
+  before update on public.smart_views
+  for each row
+  execute function public.set_updated_at();
+
+alter table public.smart_views enable row level security;
+
+create policy "Users can view their own smart views"
+  on public.smart_views
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can create their own smart views"
+  on public.smart_views
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update their own smart views"
+  on public.smart_views
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users can delete their own smart views"
+  on public.smart_views
+  for delete
+  using (auth.uid() = user_id);
+
+alter publication supabase_realtime add table public.smart_views;
+
+-- 63) Evaluating a smart view's rules against a bookmark. Mirrors
+--    matchesSmartView() in src/lib/smart-views.js. Text conditions ignore
+--    case; a condition with a missing or mistyped value matches nothing.
+--    Numbers are compared as numeric, never turned into an int or an
+--    interval, so a huge one (saved by hand) can't overflow and break the
+--    list: ages are worked out in days instead.
+create or replace function public.bookmark_matches_rules(b public.bookmarks, rules jsonb)
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(bool_and(
+    coalesce(
+      case r->>'field'
+        when 'domain' then
+          b.domain = lower(r->>'value') or b.domain like '%.' || lower(r->>'value')
+        when 'title' then strpos(lower(b.title), lower(r->>'value')) > 0
+        when 'url' then strpos(lower(b.url), lower(r->>'value')) > 0
+        when 'notes' then strpos(lower(coalesce(b.notes, '')), lower(r->>'value')) > 0
+        when 'tag' then exists (
+          select 1
+          from public.bookmark_tags bt
+          join public.tags t on t.id = bt.tag_id
+          where bt.bookmark_id = b.id
+            and t.user_id = auth.uid()
+            and t.name = lower(r->>'value')
+        )
+        when 'added_within' then
+          case when jsonb_typeof(r->'value') = 'number' then
+            extract(epoch from now() - b.created_at) / 86400 <= (r->>'value')::numeric
+          end
+        when 'visited_within' then
+          case when jsonb_typeof(r->'value') = 'number' then
+            extract(epoch from now() - b.last_visited_at) / 86400 <= (r->>'value')::numeric
+          end
+        when 'never_visited' then b.last_visited_at is null
+        when 'min_visits' then
+          case when jsonb_typeof(r->'value') = 'number' then
+            b.visit_count >= (r->>'value')::numeric
+          end
+      end,
+      false
+    )
+  ), true)
+  from jsonb_array_elements(rules) r;
+$$;
+
+--    dashboard_bookmarks() (see 59) learns sorting and smart views:
+--    - in_sort: null/'newest' (created_at), 'title', 'domain' (A to Z),
+--      'visited' (last opened first, never-opened last) or 'visits' (most
+--      opened first). Every sort pages by (sort key, id), so the cursor
+--      carries the previous page's last title/domain/visit values too.
+--      The reading list keeps its own order whatever the sort.
+--    - in_smart_view: only bookmarks matching that smart view's rules
+--    Text sorts compare lowercase text byte by byte (collate "C"), the
+--    same way the browser compares the rows it already has.
+drop function if exists public.dashboard_bookmarks(
+  uuid, text, uuid, text[], text, timestamptz, uuid, timestamptz, int
+);
+
+create or replace function public.dashboard_bookmarks(
+  in_workspace uuid default null,
+  in_view text default null,
+  in_collection uuid default null,
+  in_tags text[] default '{}',
+  in_health text default null,
+  in_smart_view uuid default null,
+  in_sort text default null,
+  after_id uuid default null,
+  after_created_at timestamptz default null,
+  after_read_at timestamptz default null,
+  after_title text default null,
+  after_domain text default null,
+  after_last_visited_at timestamptz default null,
+  after_visit_count int default null,
+  page_size int default 50
+)
+returns setof public.bookmarks
+language plpgsql
+stable
+security invoker
+as $$
+declare
+  sort_key text := case
+    when in_view = 'reading' then 'reading'
+    else coalesce(in_sort, 'newest')
+  end;
+  smart_rules jsonb;
+begin
+  if in_smart_view is not null then
+    -- RLS: only the user's own smart views are found
+    select rules into smart_rules from public.smart_views where id = in_smart_view;
+    if smart_rules is null then
+      return;
+    end if;
+  end if;
+
+  return query
+  select b.*
+  from public.bookmarks b
+  where b.deleted_at is null
+    and (
+      (in_workspace is null and b.workspace_id is null and b.user_id = auth.uid())
+      or b.workspace_id = in_workspace
+    )
+    and case in_view
+      when 'archived' then b.archived_at is not null
+      when 'all' then true
+      else b.archived_at is null
+    end
+    and (in_collection is null or b.collection_id = in_collection)
+    and (in_health is null or public.bookmark_link_health(b) = in_health)
+    and (smart_rules is null or public.bookmark_matches_rules(b, smart_rules))
+    and (
+      cardinality(in_tags) = 0
+      or (
+        select count(distinct t.name)
+        from public.bookmark_tags bt
+        join public.tags t on t.id = bt.tag_id
+        where bt.bookmark_id = b.id
+          and t.user_id = auth.uid()
+          and t.name = any(in_tags)
+      ) = cardinality(in_tags)
+    )
+    -- Only rows after the cursor
+    and (
+      after_id is null
+      or case sort_key
+        -- The last row was unread: later unread ones, then every read one
+        when 'reading' then
+          case when after_read_at is null then
+            b.read_at is not null or (b.created_at, b.id) > (after_created_at, after_id)
+          else
+            b.read_at is not null and (b.read_at, b.id) < (after_read_at, after_id)
+          end
+        when 'title' then
+          (lower(b.title) collate "C", b.id) > (lower(after_title) collate "C", after_id)
+        when 'domain' then
+          (coalesce(b.domain, '') collate "C", b.id) > (coalesce(after_domain, '') collate "C", after_id)
+        when 'visited' then
+          (coalesce(b.last_visited_at, '-infinity'), b.id)
+            < (coalesce(after_last_visited_at, '-infinity'), after_id)
+        when 'visits' then
+          (b.visit_count, b.id) < (after_visit_count, after_id)
+        else
+          (b.created_at, b.id) < (after_created_at, after_id)
+      end
+    )
+  order by
+    -- Reading list: unread first, oldest first, then read ones, most
+    -- recently read first
+    case when sort_key = 'reading' then b.read_at is not null end,
+    case when sort_key = 'reading' and b.read_at is null then b.created_at end,
+    case when sort_key = 'reading' and b.read_at is null then b.id end,
+    case when sort_key = 'reading' then b.read_at end desc,
+    case when sort_key = 'reading' then b.id end desc,
+    -- A to Z
+    case when sort_key = 'title' then lower(b.title) collate "C" end,
+    case when sort_key = 'domain' then coalesce(b.domain, '') collate "C" end,
+    case when sort_key in ('title', 'domain') then b.id end,
+    -- Most recently / most often opened first
+    case when sort_key = 'visited' then coalesce(b.last_visited_at, '-infinity') end desc,
+    case when sort_key = 'visits' then b.visit_count end desc,
+    case when sort_key in ('visited', 'visits') then b.id end desc,
+    -- Newest first
+    b.created_at desc,
+    b.id desc
+  limit page_size;
+end;
+$$;
+
+-- ===========================================
+-- CLICK TRACKING AND USAGE STATS
+-- ===========================================
+
+-- 64) Opening a bookmark from the app goes through /bookmarks/<id>/open,
+--    which counts the visit here and then redirects to the bookmarked URL.
+--    Anyone who can see the bookmark counts as a visitor — viewers in a
+--    workspace too, even though they can't edit it, hence "security
+--    definer" (with the same visibility check RLS would make). Returns
+--    the URL to go to, or null if the bookmark isn't there (or is in the
+--    trash). Being opened doesn't change updated_at (see 61). The count
+--    is the bookmark's, not the visitor's: in a workspace, every member's
+--    opens add up.
+create or replace function public.record_bookmark_visit(visited_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  visited_url text;
+begin
+  update public.bookmarks b
+  set visit_count = b.visit_count + 1,
+      last_visited_at = now()
+  where b.id = visited_id
+    and b.deleted_at is null
+    and (
+      (b.workspace_id is null and b.user_id = auth.uid())
+      or public.is_workspace_member(b.workspace_id)
+    )
+  returning b.url into visited_url;
+
+  return visited_url;
+end;
+$$;
+
+-- 65) "Most used" and "never opened" lists: dashboard_bookmarks() (see 63)
+--    takes in_usage:
+--    - 'most': bookmarks opened at least once, most opened first unless
+--      another sort is picked
+--    - 'never': bookmarks never opened from the app
+drop function if exists public.dashboard_bookmarks(
+  uuid, text, uuid, text[], text, uuid, text,
+  uuid, timestamptz, timestamptz, text, text, timestamptz, int, int
+);
+
+create or replace function public.dashboard_bookmarks(
+  in_workspace uuid default null,
+  in_view text default null,
+  in_collection uuid default null,
+  in_tags text[] default '{}',
+  in_health text default null,
+  in_smart_view uuid default null,
+  in_usage text default null,
+  in_sort text default null,
+  after_id uuid default null,
+  after_created_at timestamptz default null,
+  after_read_at timestamptz default null,
+  after_title text default null,
+  after_domain text default null,
+  after_last_visited_at timestamptz default null,
+  after_visit_count int default null,
+  page_size int default 50
+)
+returns setof public.bookmarks
+language plpgsql
+stable
+security invoker
+as $$
+declare
+  sort_key text := case
+    when in_view = 'reading' then 'reading'
+    when in_usage = 'most' then coalesce(in_sort, 'visits')
+    else coalesce(in_sort, 'newest')
+  end;
+  smart_rules jsonb;
+begin
+  if in_smart_view is not null then
+    -- RLS: only the user's own smart views are found
+    select rules into smart_rules from public.smart_views where id = in_smart_view;
+    if smart_rules is null then
+      return;
+    end if;
+  end if;
+
+  return query
+  select b.*
+  from public.bookmarks b
+  where b.deleted_at is null
+    and (
+      (in_workspace is null and b.workspace_id is null and b.user_id = auth.uid())
+      or b.workspace_id = in_workspace
+    )
+    and case in_view
+      when 'archived' then b.archived_at is not null
+      when 'all' then true
+      else b.archived_at is null
+    end
+    and (in_collection is null or b.collection_id = in_collection)
+    and (in_health is null or public.bookmark_link_health(b) = in_health)
+    and (smart_rules is null or public.bookmark_matches_rules(b, smart_rules))
+    and case in_usage
+      when 'most' then b.visit_count > 0
+      when 'never' then b.last_visited_at is null
+      else true
+    end
+    and (
+      cardinality(in_tags) = 0
+      or (
+        select count(distinct t.name)
+        from public.bookmark_tags bt
+        join public.tags t on t.id = bt.tag_id
+        where bt.bookmark_id = b.id
+          and t.user_id = auth.uid()
+          and t.name = any(in_tags)
+      ) = cardinality(in_tags)
+    )
+    -- Only rows after the cursor
+    and (
+      after_id is null
+      or case sort_key
+        -- The last row was unread: later unread ones, then every read one
+        when 'reading' then
+          case when after_read_at is null then
+            b.read_at is not null or (b.created_at, b.id) > (after_created_at, after_id)
+          else
+            b.read_at is not null and (b.read_at, b.id) < (after_read_at, after_id)
+          end
+        when 'title' then
+          (lower(b.title) collate "C", b.id) > (lower(after_title) collate "C", after_id)
+        when 'domain' then
+          (coalesce(b.domain, '') collate "C", b.id) > (coalesce(after_domain, '') collate "C", after_id)
+        when 'visited' then
+          (coalesce(b.last_visited_at, '-infinity'), b.id)
+            < (coalesce(after_last_visited_at, '-infinity'), after_id)
+        when 'visits' then
+          (b.visit_count, b.id) < (after_visit_count, after_id)
+        else
+          (b.created_at, b.id) < (after_created_at, after_id)
+      end
+    )
+  order by
+    -- Reading list: unread first, oldest first, then read ones, most
+    -- recently read first
+    case when sort_key = 'reading' then b.read_at is not null end,
+    case when sort_key = 'reading' and b.read_at is null then b.created_at end,
+    case when sort_key = 'reading' and b.read_at is null then b.id end,
+    case when sort_key = 'reading' then b.read_at end desc,
+    case when sort_key = 'reading' then b.id end desc,
+    -- A to Z
+    case when sort_key = 'title' then lower(b.title) collate "C" end,
+    case when sort_key = 'domain' then coalesce(b.domain, '') collate "C" end,
+    case when sort_key in ('title', 'domain') then b.id end,
+    -- Most recently / most often opened first
+    case when sort_key = 'visited' then coalesce(b.last_visited_at, '-infinity') end desc,
+    case when sort_key = 'visits' then b.visit_count end desc,
+    case when sort_key in ('visited', 'visits') then b.id end desc,
+    -- Newest first
+    b.created_at desc,
+    b.id desc
+  limit page_size;
+end;
+$$;
+
+-- 66) Sidebar counts (see 60) for the usage lists too:
+--    usage: { most: opened at least once, never: never opened }, like the
+--    reading counts leaving out archived bookmarks
+create or replace function public.dashboard_counts(in_workspace uuid default null)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with space as (
+    select b.id, b.read_at, b.archived_at, b.collection_id,
+           b.visit_count, b.last_visited_at,
+           public.bookmark_link_health(b) as health
+    from public.bookmarks b
+    where b.deleted_at is null
+      and (
+        (in_workspace is null and b.workspace_id is null and b.user_id = auth.uid())
+        or b.workspace_id = in_workspace
+      )
+  )
+  select jsonb_build_object(
+    'all', (select count(*) from space where archived_at is null),
+    'unread', (select count(*) from space where archived_at is null and read_at is null),
+    'archived', (select count(*) from space where archived_at is not null),
+    'usage', jsonb_build_object(
+      'most', (select count(*) from space where archived_at is null and visit_count > 0),
+      'never', (select count(*) from space where archived_at is null and last_visited_at is null)
+    ),
+    'tags', coalesce((
+      select jsonb_object_agg(tag_id, n)
+      from (
+        select bt.tag_id, count(*) as n
+        from space s
+        join public.bookmark_tags bt on bt.bookmark_id = s.id
+        group by bt.tag_id
+      ) per_tag
+    ), '{}'::jsonb),
+    'collections', coalesce((
+      select jsonb_object_agg(collection_id, n)
+      from (
+        select collection_id, count(*) as n
+        from space
+        where collection_id is not null
+        group by collection_id
+      ) per_collection
+    ), '{}'::jsonb),
+    'health', coalesce((
+      select jsonb_object_agg(health, n)
+      from (select health, count(*) as n from space group by health) per_health
+    ), '{}'::jsonb)
+  );
+$$;
+
+-- 67) Usage statistics for /stats, over the bookmarks the user saved (in
+--    any space; not the ones in the trash). Visits are the bookmarks' own
+--    counts (see 64), so shared ones include other members' opens:
+--    - totals: { bookmarks, opened, visits, stale }
+--    - per_week: bookmarks added in each of the last `weeks` weeks, oldest
+--      first, weeks with none included ({ week: monday's date, added })
+--    - top_domains: the sites with the most bookmarks
+--      ({ domain, bookmarks, visits })
+--    - stale: bookmarks not opened for `stale_days` days (or never, and
+--      saved that long ago), longest-untouched first. Archived ones are
+--      left out: they were put away on purpose.
+--    Weeks start on Monday, in the database's time zone (UTC on Supabase).
+create or replace function public.bookmark_stats(
+  weeks int default 12,
+  stale_days int default 90,
+  list_limit int default 10
+)
+returns jsonb
+language sql
+stable
+security invoker
+as $$
+  with mine as (
+    select b.id, b.title, b.url, b.domain, b.created_at, b.archived_at,
+           b.visit_count, b.last_visited_at,
+           coalesce(b.last_visited_at, b.created_at)
+             < now() - make_interval(days => stale_days) as is_stale
+    from public.bookmarks b
+    where b.user_id = auth.uid()
+      and b.deleted_at is null
+  ),
+  stale as (
+    select * from mine where is_stale and archived_at is null
+  )
+  select jsonb_build_object(
+    'totals', jsonb_build_object(
+      'bookmarks', (select count(*) from mine),
+      'opened', (select count(*) from mine where visit_count > 0),
+      'visits', (select coalesce(sum(visit_count), 0) from mine),
+      'stale', (select count(*) from stale)
+    ),
+    'per_week', (
+      select jsonb_agg(
+        jsonb_build_object(
+          'week', w.week::date,
+          'added', (
+            select count(*) from mine
+            where created_at >= w.week and created_at < w.week + interval '1 week'
+          )
+        )
+        order by w.week
+      )
+      from generate_series(
+        date_trunc('week', now()) - make_interval(weeks => weeks - 1),
+        date_trunc('week', now()),
+        interval '1 week'
+      ) as w(week)
+    ),
+    'top_domains', coalesce((
+      select jsonb_agg(d order by d.bookmarks desc, d.visits desc, d.domain)
+      from (
+        select domain, count(*) as bookmarks, sum(visit_count) as visits
+        from mine
+        where domain is not null
+        group by domain
+        order by count(*) desc, sum(visit_count) desc, domain
+        limit list_limit
+      ) d
+    ), '[]'::jsonb),
+    'stale', coalesce((
+      select jsonb_agg(s order by s.untouched_since, s.id)
+      from (
+        select id, title, url, domain, created_at, last_visited_at, visit_count,
+               coalesce(last_visited_at, created_at) as untouched_since
+        from stale
+        order by coalesce(last_visited_at, created_at), id
+        limit list_limit
+      ) s
+    ), '[]'::jsonb)
+  );
+$$;
+
+-- ===========================================
+-- OUTGOING WEBHOOKS
+-- ===========================================
+-- Users point webhooks at their own endpoints (or a Slack incoming
+-- webhook) on /settings/webhooks. Adding, editing or deleting a bookmark
+-- queues a delivery for every matching webhook, from a trigger, so it
+-- happens however the bookmark was changed (dashboard, /save, the REST
+-- API...). The /api/cron/webhooks job sends queued deliveries, signed
+-- with the webhook's secret, and retries failed ones with backoff (see
+-- src/lib/webhooks.js and src/lib/webhook-delivery.js).
+
+-- 68) Webhooks. A webhook with no workspace fires for the user's private
+--    bookmarks; one with a workspace fires for that workspace's bookmarks
+--    (whoever changed them) while the user is a member. format picks the
+--    body: the event as JSON, or a Slack message. The secret signs every
+--    delivery so the receiver can check it came from us.
+create table public.webhooks (
+  id uuid default gen_random_uuid() primary key,
+  user_id uuid references auth.users(id) on delete cascade not null
+    default auth.uid(),
+  workspace_id uuid references public.workspaces(id) on delete cascade,
+  name text not null,
+  url text not null check (url ~* '^https?://'),
+  format text default 'json' not null check (format in ('json', 'slack')),
+  events text[] default array['bookmark.created', 'bookmark.updated', 'bookmark.deleted'] not null
+    check (
+      cardinality(events) > 0
+      and events <@ array['bookmark.created', 'bookmark.updated', 'bookmark.deleted']
+    ),
+  secret text not null
+    default 'whsec_' || encode(extensions.gen_random_bytes(24), 'hex'),
+  active boolean default true not null,
+  created_at timestamp with time zone default now() not null,
+  updated_at timestamp with time zone default now() not null
+);
+
+create index webhooks_user_id_idx on public.webhooks (user_id);
+create index webhooks_workspace_id_idx on public.webhooks (workspace_id);
+
+create trigger webhooks_set_updated_at
+  before update on public.webhooks
+  for each row
+  execute function public.set_updated_at();
+
+alter table public.webhooks enable row level security;
+
+create policy "Users can view their own webhooks"
+  on public.webhooks
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can create webhooks for spaces they belong to"
+  on public.webhooks
+  for insert
+  with check (
+    auth.uid() = user_id
+    and (workspace_id is null or public.is_workspace_member(workspace_id))
+  );
+
+create policy "Users can update their own webhooks"
+  on public.webhooks
+  for update
+  using (auth.uid() = user_id)
+  with check (
+    auth.uid() = user_id
+    and (workspace_id is null or public.is_workspace_member(workspace_id))
+  );
+
+create policy "Users can delete their own webhooks"
+  on public.webhooks
+  for delete
+  using (auth.uid() = user_id);
+
+-- 69) The delivery log: one row per event per webhook. status is
+--    'pending' (waiting for its next attempt at next_attempt_at),
+--    'delivered' (the endpoint answered 2xx) or 'failed' (out of
+--    attempts). response_status and last_error describe the last attempt.
+--    Users can read the log of their own webhooks; only the database and
+--    the service role write to it.
+create table public.webhook_deliveries (
+  id uuid default gen_random_uuid() primary key,
+  webhook_id uuid references public.webhooks(id) on delete cascade not null,
+  event text not null,
+  payload jsonb not null,
+  status text default 'pending' not null
+    check (status in ('pending', 'delivered', 'failed')),
+  attempts int default 0 not null,
+  next_attempt_at timestamp with time zone default now() not null,
+  response_status int,
+  last_error text,
+  created_at timestamp with time zone default now() not null,
+  delivered_at timestamp with time zone
+);
+
+create index webhook_deliveries_webhook_idx
+  on public.webhook_deliveries (webhook_id, created_at desc);
+create index webhook_deliveries_due_idx
+  on public.webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+
+alter table public.webhook_deliveries enable row level security;
+
+create policy "Users can view their own webhook deliveries"
+  on public.webhook_deliveries
+  for select
+  using (
+    exists (
+      select 1 from public.webhooks w
+      where w.id = webhook_id and w.user_id = auth.uid()
+    )
+  );
+
+-- Retrying a delivery from the log: back to pending, due now, with a
+-- fresh set of attempts
+create or replace function public.retry_webhook_delivery(delivery_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.webhook_deliveries d
+  set status = 'pending',
+      attempts = 0,
+      next_attempt_at = now()
+  from public.webhooks w
+  where d.id = delivery_id
+    and w.id = d.webhook_id
+    and w.user_id = auth.uid()
+    and d.status <> 'pending';
+$$;
+
+-- 70) Queue deliveries when bookmarks change:
+--    - bookmark.created: added, or restored from the trash
+--    - bookmark.updated: edited (updated_at changed; link checks, reading
+--      state and visits don't count, see 54 and 61)
+--    - bookmark.deleted: moved to the trash, or deleted outright without
+--      going through it (purging the trash later isn't sent again)
+create or replace function public.queue_webhook_deliveries()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  changed public.bookmarks := coalesce(new, old);
+  event text;
+begin
+  if tg_op = 'INSERT' then
+    if new.deleted_at is not null then
+      return null;
+    end if;
+    event := 'bookmark.created';
+  elsif tg_op = 'DELETE' then
+    if old.deleted_at is not null then
+      return null;
+    end if;
+    event := 'bookmark.deleted';
+  elsif old.deleted_at is null and new.deleted_at is not null then
+    event := 'bookmark.deleted';
+  elsif old.deleted_at is not null and new.deleted_at is null then
+    event := 'bookmark.created';
+  elsif new.deleted_at is null and new.updated_at is distinct from old.updated_at then
+    event := 'bookmark.updated';
+  else
+    return null;
+  end if;
+
+  -- Skip bookmarks removed because their whole workspace is being deleted
+  if changed.workspace_id is not null
+    and not exists (select 1 from public.workspaces where id = changed.workspace_id)
+  then
+    return null;
+  end if;
+
+  insert into public.webhook_deliveries (webhook_id, event, payload)
+  select
+    w.id,
+    event,
+    jsonb_build_object(
+      'event', event,
+      'occurred_at', now(),
+      'actor', jsonb_build_object('id', auth.uid(), 'email', auth.jwt() ->> 'email'),
+      'workspace', case
+        when changed.workspace_id is null then null
+        else (
+          select jsonb_build_object('id', ws.id, 'name', ws.name)
+          from public.workspaces ws
+          where ws.id = changed.workspace_id
+        )
+      end,
+      'bookmark', jsonb_build_object(
+        'id', changed.id,
+        'url', changed.url,
+        'title', changed.title,
+        'description', changed.description,
+        'notes', changed.notes,
+        'created_at', changed.created_at,
+        'updated_at', changed.updated_at
+      )
+    )
+  from public.webhooks w
+  where w.active
+    and event = any(w.events)
+    and case
+      when changed.workspace_id is null then
+        w.workspace_id is null and w.user_id = changed.user_id
+      else
+        w.workspace_id = changed.workspace_id
+        and exists (
+          select 1 from public.workspace_members m
+          where m.workspace_id = w.workspace_id and m.user_id = w.user_id
+        )
+    end;
+
+  return null;
+end;
+$$;
+
+create trigger bookmarks_queue_webhook_deliveries
+  after insert or update or delete on public.bookmarks
+  for each row
+  execute function public.queue_webhook_deliveries();
+
+-- 71) Picking up due deliveries (for /api/webhooks/dispatch and
+--    /api/cron/webhooks, service role only). Each one claimed counts as
+--    an attempt and is pushed lease_seconds into the future, so a run
+--    that dies halfway doesn't lose it and two runs don't send it twice
+--    ("skip locked"). Paused webhooks' deliveries wait until they're
+--    switched back on.
+create or replace function public.claim_webhook_deliveries(
+  batch_size int default 50,
+  lease_seconds int default 300
+)
+returns table (
+  id uuid,
+  webhook_id uuid,
+  event text,
+  payload jsonb,
+  attempts int,
+  url text,
+  format text,
+  secret text
+)
+language sql
+security definer
+set search_path = public
+as $$
+  update public.webhook_deliveries d
+  set attempts = d.attempts + 1,
+      next_attempt_at = now() + make_interval(secs => lease_seconds)
+  from public.webhooks w
+  where w.id = d.webhook_id
+    and d.id in (
+      select due.id
+      from public.webhook_deliveries due
+      join public.webhooks active_hook
+        on active_hook.id = due.webhook_id and active_hook.active
+      where due.status = 'pending'
+        and due.next_attempt_at <= now()
+      order by due.next_attempt_at
+      limit batch_size
+      for update of due skip locked
+    )
+  returning d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.format, w.secret;
+$$;
+
+revoke execute on function public.claim_webhook_deliveries(int, int) from public, anon, authenticated;
+grant execute on function public.claim_webhook_deliveries(int, int) to service_role;
+
+-- ===========================================
+-- ACCOUNT SETTINGS
+-- ===========================================
+-- /settings: a profile (display name and avatar), per-user preferences
+-- (theme and the list's default sort), the user's sign-in sessions, and
+-- deleting the account with everything in it (see src/lib/profile.js and
+-- src/app/api/account/route.js).
+
+-- 72) Profiles: one row per user, created the first time they save their
+--    settings (until then the defaults apply). avatar_path points at a
+--    file in the "avatars" bucket (73). default_sort is one of the sorts
+--    in src/lib/sorting.js, used when no ?sort= is picked and the list
+--    would otherwise be newest first (null = newest first).
+create table public.profiles (
+  user_id uuid primary key references auth.users(id) on delete cascade
+    default auth.uid(),
+  display_name text check (char_length(display_name) <= 80),
+  avatar_path text,
+  theme text default 'system' not null check (theme in ('system', 'light', 'dark')),
+  default_sort text
+    check (default_sort in ('newest', 'title', 'domain', 'visited', 'visits')),
+  created_at timestamp with time zone default now() not null,
+  updated_at timestamp with time zone default now() not null
+);
+
+create trigger profiles_set_updated_at
+  before update on public.profiles
+  for each row
+  execute function public.set_updated_at();
+
+alter table public.profiles enable row level security;
+
+create policy "Users can view their own profile"
+  on public.profiles
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Users can create their own profile"
+  on public.profiles
+  for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users can update their own profile"
+  on public.profiles
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- 73) The public "avatars" bucket. Files are stored as
+--    <user id>/<random name>.<ext> (a new name for every upload, so
+--    browsers never show a cached old picture), up to 1 MB, images only.
+--    Anyone with the URL can see an avatar; only its owner can change it.
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'avatars', 'avatars', true, 1048576,
+  array['image/png', 'image/jpeg', 'image/webp', 'image/gif']
+)
+on conflict (id) do nothing;
+
+create policy "Users can list avatars in their own folder"
+  on storage.objects
+  for select
+  to authenticated
+  using (
+    bucket_id = 'avatars'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+create policy "Users can upload avatars to their own folder"
+  on storage.objects
+  for insert
+  to authenticated
+  with check (
+    bucket_id = 'avatars'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+create policy "Users can delete avatars in their own folder"
+  on storage.objects
+  for delete
+  to authenticated
+  using (
+    bucket_id = 'avatars'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+-- 74) Sign-in sessions: every browser or device the user signed in on
+--    that hasn't signed out. The auth schema isn't exposed to the API, so
+--    these read and end the caller's own sessions for them. current marks
+--    the session making the request. Ending a session stops it from
+--    refreshing; its access token still works until it expires (an hour
+--    by default).
+create or replace function public.list_sessions()
+returns table (
+  id uuid,
+  created_at timestamptz,
+  last_active_at timestamptz,
+  user_agent text,
+  ip text,
+  current boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    s.id,
+    s.created_at,
+    coalesce(s.refreshed_at at time zone 'UTC', s.updated_at, s.created_at) as last_active_at,
+    s.user_agent,
+    host(s.ip) as ip,
+    s.id::text = auth.jwt() ->> 'session_id' as current
+  from auth.sessions s
+  where s.user_id = auth.uid()
+    and (s.not_after is null or s.not_after > now())
+  order by last_active_at desc;
+$$;
+
+create or replace function public.end_session(session_id uuid)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  delete from auth.sessions
+  where id = session_id
+    and user_id = auth.uid();
+$$;
+
+-- 75) Deleting an account (for /api/account, service role only). Run
+--    before the auth user itself is deleted, which then takes every row
+--    left that belongs to them with it (on delete cascade):
+--    - their webhooks go first, so the bookmarks below don't queue
+--      deliveries for them
+--    - workspaces where they're the only owner: handed to the member who
+--      joined first, or deleted with everything in them if nobody else
+--      is left
+--    - every bookmark they added, private or shared, is deleted while
+--      the rest of the account still exists, so the triggers that log
+--      activity, queue snapshot files and notify other members' webhooks
+--      run as usual. Shared ones are gone for the workspace's other
+--      members too (as are the collections they made there, by cascade);
+--      /settings warns about that before deleting.
+--    The storage files (snapshots and avatars) are removed by the route.
+create or replace function public.delete_account_data(target_user uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  owned record;
+  successor uuid;
+begin
+  delete from public.webhooks where user_id = target_user;
+
+  for owned in
+    select m.workspace_id
+    from public.workspace_members m
+    where m.user_id = target_user
+      and m.role = 'owner'
+      and not exists (
+        select 1 from public.workspace_members other
+        where other.workspace_id = m.workspace_id
+          and other.role = 'owner'
+          and other.user_id <> target_user
+      )
+  loop
+    select other.user_id into successor
+    from public.workspace_members other
+    where other.workspace_id = owned.workspace_id
+      and other.user_id <> target_user
+    order by other.created_at, other.user_id
+    limit 1;
+
+    if successor is null then
+      delete from public.workspaces where id = owned.workspace_id;
+    else
+      update public.workspace_members
+      set role = 'owner'
+      where workspace_id = owned.workspace_id
+        and user_id = successor;
+    end if;
+  end loop;
+
+  delete from public.bookmarks where user_id = target_user;
+end;
+$$;
+
+revoke execute on function public.delete_account_data(uuid) from public, anon, authenticated;
+grant execute on function public.delete_account_data(uuid) to service_role;